@@ -20,4 +20,12 @@ if (window.location.hostname === 'app.nodeui.io' || window.location.hostname ===
     window.NODEUI_WS_URL = `wss://${window.location.host}/collab`;
 }
 
-// For development, it will default to ws://localhost:8080
\ No newline at end of file
+// For development, it will default to ws://localhost:8080
+
+// Plugins to load on startup. Each entry is the URL of a plugin script that calls
+// registerNodeUIPlugin(); see docs/api/plugins.md. Plugins can also be loaded by
+// dropping their .js file on the canvas.
+// window.NODEUI_PLUGINS = [
+//     'plugins/my-node-pack.js',
+//     'https://example.com/nodeui-plugins/charts.js'
+// ];
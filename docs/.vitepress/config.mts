@@ -131,6 +131,8 @@ export default defineConfig({
             { text: 'Canvas', link: '/api/canvas' },
             { text: 'Edges', link: '/api/edges' },
             { text: 'Custom Nodes', link: '/api/custom-nodes' },
+            { text: 'Plugins', link: '/api/plugins' },
+            { text: 'Dataflow', link: '/api/dataflow' },
           ]
         }
       ],
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Alignment and distribution for a multi-selection: aligning edges and
+ * centres, spacing nodes evenly, matching sizes and tidying into a grid. The results
+ * are published as `node:moved` and `node:resized`, so they are undoable in one step
+ * and reach collaborators.
+ */
+
+class Alignment {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.gap = 40; // Space between nodes when tidying into a grid
+
+        events.subscribe('align:apply', ({ command }) => this.apply(command));
+    }
+
+    /**
+     * The available commands, with their menu labels, their `Alt` shortcuts and the
+     * number of nodes they need.
+     * @type {Object<string, {label: string, code: string, shift: boolean, shortcut: string, minNodes: number}>}
+     */
+    static get COMMANDS() {
+        const command = (label, code, shift, minNodes = 2) => ({
+            label,
+            code,
+            shift,
+            shortcut: `Alt+${shift ? 'Shift+' : ''}${code.slice(-1)}`,
+            minNodes
+        });
+        return {
+            left: command('Align Left', 'KeyA', false),
+            centerX: command('Align Horizontal Centers', 'KeyH', false),
+            right: command('Align Right', 'KeyD', false),
+            top: command('Align Top', 'KeyW', false),
+            centerY: command('Align Vertical Centers', 'KeyV', false),
+            bottom: command('Align Bottom', 'KeyS', false),
+            distributeX: command('Distribute Horizontally', 'KeyH', true, 3),
+            distributeY: command('Distribute Vertically', 'KeyV', true, 3),
+            matchWidth: command('Match Width', 'KeyW', true),
+            matchHeight: command('Match Height', 'KeyE', true),
+            tidy: command('Tidy into Grid', 'KeyT', true)
+        };
+    }
+
+    /**
+     * Runs a command on the selection.
+     * @param {string} command - One of the keys of Alignment.COMMANDS.
+     */
+    apply(command) {
+        const definition = Alignment.COMMANDS[command];
+        if (!definition) {
+            console.warn(`Unknown alignment command "${command}"`);
+            return;
+        }
+
+        const units = this._collectUnits();
+        if (units.length < definition.minNodes) return;
+
+        const moves = new Map();  // Unit ID -> new top-left corner
+        const sizes = new Map();  // Unit ID -> new size
+        const left = Math.min(...units.map(unit => unit.x));
+        const top = Math.min(...units.map(unit => unit.y));
+        const right = Math.max(...units.map(unit => unit.x + unit.width));
+        const bottom = Math.max(...units.map(unit => unit.y + unit.height));
+
+        switch (command) {
+            case 'left':
+                units.forEach(unit => moves.set(unit.id, { x: left, y: unit.y }));
+                break;
+            case 'centerX':
+                units.forEach(unit => moves.set(unit.id, { x: (left + right - unit.width) / 2, y: unit.y }));
+                break;
+            case 'right':
+                units.forEach(unit => moves.set(unit.id, { x: right - unit.width, y: unit.y }));
+                break;
+            case 'top':
+                units.forEach(unit => moves.set(unit.id, { x: unit.x, y: top }));
+                break;
+            case 'centerY':
+                units.forEach(unit => moves.set(unit.id, { x: unit.x, y: (top + bottom - unit.height) / 2 }));
+                break;
+            case 'bottom':
+                units.forEach(unit => moves.set(unit.id, { x: unit.x, y: bottom - unit.height }));
+                break;
+            case 'distributeX':
+                this._distribute(units, 'x', 'width').forEach((x, id) => {
+                    moves.set(id, { x, y: units.find(unit => unit.id === id).y });
+                });
+                break;
+            case 'distributeY':
+                this._distribute(units, 'y', 'height').forEach((y, id) => {
+                    moves.set(id, { x: units.find(unit => unit.id === id).x, y });
+                });
+                break;
+            case 'matchWidth':
+            case 'matchHeight': {
+                // Routing nodes keep their fixed size
+                const resizable = units.filter(unit => !(this.nodeUI.nodes.get(unit.id) instanceof RoutingNode));
+                const key = command === 'matchWidth' ? 'width' : 'height';
+                const size = Math.max(...resizable.map(unit => unit[key]));
+                resizable.forEach(unit => sizes.set(unit.id, { width: unit.width, height: unit.height, [key]: size }));
+                break;
+            }
+            case 'tidy':
+                this._tidy(units, left, top).forEach((position, id) => moves.set(id, position));
+                break;
+        }
+
+        this._commit(units, moves, sizes, definition.label);
+    }
+
+    /**
+     * Runs the command bound to an `Alt` shortcut.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {boolean} True if a command handled the event.
+     */
+    handleKeyDown(event) {
+        if (!event.altKey || event.ctrlKey || event.metaKey) return false;
+
+        // Match on the physical key, since Alt changes event.key on macOS
+        const entry = Object.entries(Alignment.COMMANDS).find(([, definition]) =>
+            definition.code === event.code && definition.shift === event.shiftKey
+        );
+        if (!entry) return false;
+
+        event.preventDefault();
+        this.apply(entry[0]);
+        return true;
+    }
+
+    /**
+     * Builds the menu entries for the selection context menu and the command palette.
+     * @returns {{label: string, shortcut: string, disabled: boolean, action: function}[]}
+     */
+    getMenuItems() {
+        const unitCount = this._collectUnits().length;
+        return Object.entries(Alignment.COMMANDS).map(([command, definition]) => ({
+            label: definition.label,
+            shortcut: definition.shortcut,
+            disabled: unitCount < definition.minNodes,
+            action: () => events.publish('align:apply', { command })
+        }));
+    }
+
+    // --- Units ---
+
+    /**
+     * Collects the selected nodes that get arranged. Pinned nodes stay where they are,
+     * a group carries everything inside it, and a node whose group is also selected
+     * only moves with the group.
+     * @returns {{id: string, x: number, y: number, width: number, height: number, memberIds: string[]}[]}
+     * @private
+     */
+    _collectUnits() {
+        return this.nodeUI.nodeManager.getArrangeUnits(this.nodeUI.selectedNodes);
+    }
+
+    // --- Arranging ---
+
+    /**
+     * Spaces units evenly along one axis. The outermost two stay put and the gaps
+     * between neighbours become equal.
+     * @param {object[]} units - The units to distribute.
+     * @param {string} axis - 'x' or 'y'.
+     * @param {string} size - 'width' or 'height'.
+     * @returns {Map<string, number>} The new coordinate of each unit on the axis.
+     * @private
+     */
+    _distribute(units, axis, size) {
+        const ordered = units.slice().sort((a, b) => (a[axis] + a[size] / 2) - (b[axis] + b[size] / 2));
+        const first = ordered[0];
+        const last = ordered[ordered.length - 1];
+        const occupied = ordered.reduce((total, unit) => total + unit[size], 0);
+        const gap = (last[axis] + last[size] - first[axis] - occupied) / (ordered.length - 1);
+
+        const positions = new Map();
+        let position = first[axis];
+        ordered.forEach(unit => {
+            positions.set(unit.id, position);
+            position += unit[size] + gap;
+        });
+        return positions;
+    }
+
+    /**
+     * Arranges units in a roughly square grid in reading order (top to bottom, then left
+     * to right). Each column is as wide as its widest unit and each row as tall as its
+     * tallest, so nothing overlaps and little space is wasted.
+     * @param {object[]} units - The units to arrange.
+     * @param {number} left - The left edge of the grid.
+     * @param {number} top - The top edge of the grid.
+     * @returns {Map<string, {x: number, y: number}>} The new top-left corner of each unit.
+     * @private
+     */
+    _tidy(units, left, top) {
+        const columns = Math.ceil(Math.sqrt(units.length));
+        const rowHeight = 120; // Nodes whose tops are this close count as one row when sorting
+        const ordered = units.slice().sort((a, b) =>
+            Math.round(a.y / rowHeight) - Math.round(b.y / rowHeight) || a.x - b.x
+        );
+
+        const columnWidths = [];
+        const rowHeights = [];
+        ordered.forEach((unit, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            columnWidths[column] = Math.max(columnWidths[column] || 0, unit.width);
+            rowHeights[row] = Math.max(rowHeights[row] || 0, unit.height);
+        });
+
+        const positions = new Map();
+        ordered.forEach((unit, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            positions.set(unit.id, {
+                x: left + columnWidths.slice(0, column).reduce((sum, width) => sum + width + this.gap, 0),
+                y: top + rowHeights.slice(0, row).reduce((sum, height) => sum + height + this.gap, 0)
+            });
+        });
+        return positions;
+    }
+
+    /**
+     * Publishes the new positions and sizes as one undo step. A unit that moves takes
+     * the nodes inside it along.
+     * @param {object[]} units - The arranged units.
+     * @param {Map<string, {x: number, y: number}>} moves - New top-left corners by unit ID.
+     * @param {Map<string, {width: number, height: number}>} sizes - New sizes by unit ID.
+     * @param {string} label - The undo step label.
+     * @private
+     */
+    _commit(units, moves, sizes, label) {
+        const history = this.nodeUI.historyManager;
+        history.batch(label, () => {
+            units.forEach(unit => {
+                const move = moves.get(unit.id);
+                const dx = move ? Math.round(move.x - unit.x) : 0;
+                const dy = move ? Math.round(move.y - unit.y) : 0;
+                if (dx !== 0 || dy !== 0) {
+                    unit.memberIds.forEach(nodeId => {
+                        const node = this.nodeUI.nodes.get(nodeId);
+                        const from = { x: node.x, y: node.y };
+                        const to = { x: node.x + dx, y: node.y + dy };
+                        history.recordNodeMove(nodeId, from, to);
+                        events.publish('node:moved', { nodeId, ...to });
+                    });
+                }
+
+                const size = sizes.get(unit.id);
+                if (size && (size.width !== unit.width || size.height !== unit.height)) {
+                    // Resized where the move above left the unit
+                    const position = { x: unit.x + dx, y: unit.y + dy };
+                    const before = { ...position, width: unit.width, height: unit.height };
+                    const after = { ...position, ...size };
+                    history.recordNodeResize(unit.id, before, after);
+                    events.publish('node:resized', { nodeId: unit.id, ...after });
+                }
+            });
+        });
+    }
+}
+
+// Attach to window for global access
+window.Alignment = Alignment;
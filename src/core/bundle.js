@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Self-contained project bundles. A `.nodeui` file is a zip holding the
+ * graph JSON together with everything it refers to outside itself: videos kept in the
+ * asset database, image-sequence frames and subgraph files. Opening a bundle restores
+ * the assets before the graph loads, so it shows the same on any machine.
+ *
+ * Layout of a bundle:
+ *   manifest.json             Format marker and the list of packed files
+ *   graph.json                The graph, as saved by Save Graph, minus the internal graphs
+ *                             kept in subgraph files
+ *   assets/<id>/<name>        Files from the asset database, by their asset ID
+ *   frames/<node id>/<n>.png  Image-sequence frames, referenced as `bundle://frames/...`
+ *   subgraphs/<name>.json     Subgraph files, at each SubGraphNode's `subgraphPath`
+ */
+
+const BUNDLE_FORMAT = 'nodeui-bundle';
+const BUNDLE_VERSION = 1;
+
+class ProjectBundle {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        events.subscribe('graph:export-bundle', () => this.export());
+    }
+
+    /**
+     * Image types that frames are stored as, by file extension.
+     * @type {Object<string, string>}
+     */
+    static get IMAGE_TYPES() {
+        return {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            gif: 'image/gif',
+            webp: 'image/webp',
+            svg: 'image/svg+xml',
+            bmp: 'image/bmp',
+            avif: 'image/avif'
+        };
+    }
+
+    /**
+     * Packs the current graph and its assets into a `.nodeui` file and downloads it.
+     * @returns {Promise<void>}
+     */
+    async export() {
+        try {
+            await window.loadJSZip();
+        } catch (error) {
+            console.error('Failed to load the zip library:', error);
+            alert('The bundle could not be created because the zip library failed to load.');
+            return;
+        }
+
+        const zip = new JSZip();
+        const graph = this.nodeUI.fileHandler.serializeGraph();
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            created: new Date().toISOString(),
+            assets: [],
+            frames: [],
+            subgraphs: []
+        };
+
+        // Frames first, so the subgraph files written below refer to them too
+        this._forEachNode(graph, node => {
+            if (!Array.isArray(node.imageSequence)) return;
+            node.imageSequence = node.imageSequence.map((source, index) => {
+                const match = /^data:([\w/+.-]+);base64,(.*)$/.exec(source);
+                if (!match) return source;
+                const path = `frames/${node.id}/${String(index).padStart(4, '0')}.${this._getExtension(match[1])}`;
+                zip.file(path, match[2], { base64: true });
+                manifest.frames.push(path);
+                return `bundle://${path}`;
+            });
+        });
+
+        // Assets are looked up before the subgraphs below are moved out of the graph
+        const assetIds = this._findAssetIds(JSON.stringify(graph));
+
+        // Each internal graph is stored once, in its subgraph file. One that differs from
+        // what another node already wrote to the same path stays in the graph instead.
+        const subgraphFiles = new Map();  // Path -> file contents
+        this._forEachNode(graph, node => {
+            if (node.type !== 'SubGraphNode' || !node.subgraphPath || !node.internalGraph) return;
+            const contents = JSON.stringify({
+                id: node.subgraphId,
+                title: node.title,
+                internalGraph: node.internalGraph,
+                exposedAttributes: node.exposedAttributes || []
+            }, null, 2);
+            if (!subgraphFiles.has(node.subgraphPath)) {
+                subgraphFiles.set(node.subgraphPath, contents);
+                zip.file(node.subgraphPath, contents);
+                manifest.subgraphs.push(node.subgraphPath);
+            } else if (subgraphFiles.get(node.subgraphPath) !== contents) {
+                return;
+            }
+            delete node.internalGraph;
+        });
+
+        const json = JSON.stringify(graph, null, 2);
+        for (const id of assetIds) {
+            let file;
+            try {
+                file = await assetDb.getFile(id);
+            } catch (error) {
+                console.warn(`Asset ${id} is not in the asset database and is left out of the bundle.`);
+                continue;
+            }
+            const name = file.name || `${id}.${this._getExtension(file.type)}`;
+            const path = `assets/${id}/${name}`;
+            // Media files are compressed already
+            zip.file(path, file, { compression: 'STORE' });
+            manifest.assets.push({ id, path, name, type: file.type, size: file.size });
+        }
+
+        zip.file('graph.json', json);
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.nodeUI.projectName || 'graph'}.nodeui`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        events.publish('log:info', `Bundle saved with ${manifest.assets.length} assets, ${manifest.frames.length} frames and ${manifest.subgraphs.length} subgraphs.`);
+    }
+
+    /**
+     * Unpacks a `.nodeui` file. Its assets are saved to the asset database; an asset
+     * whose ID is already taken by a different file is saved under a new ID and the
+     * graph's references to it are updated. Frames go back into the graph, and a
+     * SubGraphNode with no internal graph gets the one from its subgraph file.
+     * @param {Blob} file - The bundle.
+     * @returns {Promise<string>} The graph JSON, ready to load.
+     * @throws {GraphValidationError} If the file is not a bundle.
+     */
+    async read(file) {
+        await window.loadJSZip();
+        const zip = await JSZip.loadAsync(file);
+        const manifestEntry = zip.file('manifest.json');
+        const graphEntry = zip.file('graph.json');
+        if (!manifestEntry || !graphEntry) {
+            throw new GraphValidationError(['Not a NodeUI bundle: manifest.json or graph.json is missing']);
+        }
+        const manifest = JSON.parse(await manifestEntry.async('string'));
+        if (manifest.format !== BUNDLE_FORMAT) {
+            throw new GraphValidationError(['Not a NodeUI bundle: manifest.json has no bundle format marker']);
+        }
+        if (manifest.version > BUNDLE_VERSION) {
+            throw new GraphValidationError([`This bundle was made by a newer version of NodeUI (bundle version ${manifest.version})`]);
+        }
+
+        const renamed = new Map();  // Asset ID in the bundle -> ID it was saved under
+        for (const asset of manifest.assets || []) {
+            const entry = zip.file(asset.path);
+            if (!entry) {
+                console.warn(`Asset ${asset.path} is listed in the bundle but missing from it.`);
+                continue;
+            }
+            const blob = new Blob([await entry.async('arraybuffer')], { type: asset.type || '' });
+            const existing = await assetDb.getFile(asset.id).catch(() => null);
+            if (!existing) {
+                await assetDb.saveFile(blob, asset.id);
+            } else if (!(await this._isSameFile(existing, blob))) {
+                renamed.set(asset.id, await assetDb.saveFile(blob));
+            }
+        }
+        const remap = text => {
+            renamed.forEach((newId, oldId) => {
+                text = text.split(`local-video://${oldId}`).join(`local-video://${newId}`);
+            });
+            return text;
+        };
+
+        const graph = JSON.parse(remap(await graphEntry.async('string')));
+        const nodes = [];
+        this._forEachNode(graph, node => nodes.push(node));
+        for (const node of nodes) {
+            if (Array.isArray(node.imageSequence)) {
+                node.imageSequence = await Promise.all(node.imageSequence.map(source => this._readFrame(zip, source)));
+            }
+            const subgraphEntry = node.subgraphPath && zip.file(node.subgraphPath);
+            if (subgraphEntry && !(node.internalGraph && node.internalGraph.nodes && node.internalGraph.nodes.length)) {
+                const subgraph = JSON.parse(remap(await subgraphEntry.async('string')));
+                node.internalGraph = subgraph.internalGraph;
+                // Its frames are restored when the loop reaches them
+                this._forEachNode(node.internalGraph, child => nodes.push(child));
+            }
+        }
+
+        if (renamed.size > 0) {
+            console.log(`Restored ${renamed.size} bundled assets under new IDs, as their IDs were taken.`);
+        }
+        return JSON.stringify(graph);
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Calls a function for every node of a graph, including those inside subgraphs.
+     * @param {object} graph - Graph data with a `nodes` array.
+     * @param {function(object): void} callback - Called with each node's data.
+     * @private
+     */
+    _forEachNode(graph, callback) {
+        (graph.nodes || []).forEach(node => {
+            callback(node);
+            if (node.internalGraph) this._forEachNode(node.internalGraph, callback);
+        });
+    }
+
+    /**
+     * Lists the asset database IDs a graph refers to.
+     * @param {string} json - The graph JSON.
+     * @returns {string[]} The unique IDs.
+     * @private
+     */
+    _findAssetIds(json) {
+        return Array.from(new Set(Array.from(json.matchAll(/local-video:\/\/([\w-]+)/g), match => match[1])));
+    }
+
+    /**
+     * Checks whether two files have the same type and contents.
+     * @param {Blob} a
+     * @param {Blob} b
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isSameFile(a, b) {
+        if (a.size !== b.size || a.type !== b.type) return false;
+        const [bytesA, bytesB] = await Promise.all([a, b].map(async blob => new Uint8Array(await blob.arrayBuffer())));
+        return bytesA.every((byte, index) => byte === bytesB[index]);
+    }
+
+    /**
+     * Turns a `bundle://` frame reference back into a data URL. Other frames are kept.
+     * @param {JSZip} zip - The bundle.
+     * @param {string} source - The frame as stored in the graph.
+     * @returns {Promise<string>} The frame.
+     * @private
+     */
+    async _readFrame(zip, source) {
+        if (typeof source !== 'string' || !source.startsWith('bundle://')) return source;
+        const path = source.slice('bundle://'.length);
+        const entry = zip.file(path);
+        if (!entry) {
+            console.warn(`Frame ${path} is missing from the bundle.`);
+            return source;
+        }
+        const type = ProjectBundle.IMAGE_TYPES[path.split('.').pop().toLowerCase()] || 'image/png';
+        return `data:${type};base64,${await entry.async('base64')}`;
+    }
+
+    /**
+     * Picks a file extension for a MIME type.
+     * @param {string} mimeType
+     * @returns {string}
+     * @private
+     */
+    _getExtension(mimeType) {
+        const known = Object.keys(ProjectBundle.IMAGE_TYPES).find(extension => ProjectBundle.IMAGE_TYPES[extension] === mimeType);
+        if (known) return known;
+        const subtype = (mimeType || '').split('/')[1];
+        return subtype ? subtype.replace(/[^\w].*$/, '') : 'bin';
+    }
+}
+
+// Attach to window for global access
+window.ProjectBundle = ProjectBundle;
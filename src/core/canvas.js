@@ -8,6 +8,7 @@
 class Canvas {
     constructor(nodeUI) {
         this.nodeUI = nodeUI;
+        this.panZoomFrameId = null;
     }
 
     /**
@@ -140,30 +141,39 @@ class Canvas {
     }
 
     /**
-     * Creates SVG markers for edge arrowheads for each color state.
+     * Creates SVG markers for each edge end shape, color and state. Markers are named
+     * `edge-marker-{shape}-{color}-{state}`; see BaseEdge.updateMarkers.
      */
     createMarkers() {
         const edgeDefs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
         const colors = ['default', 'red', 'green', 'blue', 'yellow', 'purple'];
         const states = ['border', 'border-hover'];
+        // Each shape is drawn in a 10x10 box pointing right; refX puts its tip on the end of the line
+        const shapes = {
+            arrow: { tag: 'path', attributes: { d: 'M 0 0 L 10 5 L 0 10 z' }, refX: 8 },
+            diamond: { tag: 'path', attributes: { d: 'M 0 5 L 5 0 L 10 5 L 5 10 z' }, refX: 9 },
+            circle: { tag: 'circle', attributes: { cx: 5, cy: 5, r: 4 }, refX: 9 }
+        };
 
-        colors.forEach(color => {
-            states.forEach(state => {
-                const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-                marker.id = `arrowhead-${color}-${state}`;
-                marker.setAttribute('viewBox', '0 0 10 10');
-                marker.setAttribute('refX', '8');
-                marker.setAttribute('refY', '5');
-                marker.setAttribute('markerWidth', '6');
-                marker.setAttribute('markerHeight', '6');
-                marker.setAttribute('orient', 'auto-start-reverse');
-                
-                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                path.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
-                path.style.fill = `var(--color-node-${color}-${state})`;
-                
-                marker.appendChild(path);
-                edgeDefs.appendChild(marker);
+        Object.entries(shapes).forEach(([shape, definition]) => {
+            colors.forEach(color => {
+                states.forEach(state => {
+                    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+                    marker.id = `edge-marker-${shape}-${color}-${state}`;
+                    marker.setAttribute('viewBox', '0 0 10 10');
+                    marker.setAttribute('refX', definition.refX);
+                    marker.setAttribute('refY', '5');
+                    marker.setAttribute('markerWidth', '6');
+                    marker.setAttribute('markerHeight', '6');
+                    marker.setAttribute('orient', 'auto-start-reverse');
+
+                    const element = document.createElementNS('http://www.w3.org/2000/svg', definition.tag);
+                    Object.entries(definition.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+                    element.style.fill = `var(--color-node-${color}-${state})`;
+
+                    marker.appendChild(element);
+                    edgeDefs.appendChild(marker);
+                });
             });
         });
 
@@ -177,19 +187,16 @@ class Canvas {
     updateEdge(edgeId) {
         const edge = this.nodeUI.edges.get(edgeId);
         if (!edge) return;
+        this.nodeUI.spatialIndex.markEdgeDirty(edgeId);
+        // Unmounted edges are redrawn when they're mounted again
+        if (!edge.groupElement.isConnected) return;
 
         const startPos = edge.startPosition;
         const endPos = edge.endPosition;
 
         if (!startPos || !endPos) return;
 
-        // Calculate the path for the edge
-        let pathD;
-        if (edge.routingPoints && edge.routingPoints.length > 0) {
-            pathD = this.calculateSpline([startPos, ...edge.routingPoints, endPos], edge.startHandleId, edge.endHandleId);
-        } else {
-            pathD = this.calculateCurve(startPos, endPos, edge.startHandleId, edge.endHandleId);
-        }
+        const pathD = this.calculateEdgePath(edge);
 
         edge.element.setAttribute('d', pathD);
         edge.hitArea.setAttribute('d', pathD);
@@ -241,6 +248,8 @@ class Canvas {
 
         const maxPadding = parseInt(getComputedStyle(this.nodeUI.container).getPropertyValue('--edge-padding')) || 8;
         let path = '';
+        startHandle = this.getHandleSide(startHandle);
+        endHandle = this.getHandleSide(endHandle);
 
         // Start from the first point with padding
         const firstPoint = { ...points[0] };
@@ -270,6 +279,18 @@ class Canvas {
         return path;
     }
 
+    /**
+     * Maps a handle ID to the side of the node it sits on. Input ports are on the
+     * left and output ports on the right; positional handles are returned as-is.
+     * @param {string} handleId - The handle ID.
+     * @returns {string} The side ('top', 'right', 'bottom', 'left'), or the handle ID unchanged.
+     */
+    getHandleSide(handleId) {
+        const port = Dataflow.parseHandle(handleId);
+        if (!port) return handleId;
+        return port.direction === 'input' ? 'left' : 'right';
+    }
+
     /**
      * Calculates a curved path between two points.
      * @param {{x:number, y:number}} startPos The start point.
@@ -279,6 +300,11 @@ class Canvas {
      * @returns {string} The SVG path `d` attribute string.
      */
     calculateCurve(startPos, endPos, startHandle, endHandle) {
+        // Zoomed far out, edges are drawn as straight lines
+        if (this.nodeUI.levelOfDetail.isSimplified()) {
+            const { p1, p2 } = this.getCurveControlPoints(startPos, endPos, startHandle, endHandle);
+            return `M ${p1.x} ${p1.y} L ${p2.x} ${p2.y}`;
+        }
         return this._getCurvedPathD(startPos, endPos, startHandle, endHandle);
     }
 
@@ -294,10 +320,16 @@ class Canvas {
             // Use spline calculation for edges with routing points
             const points = [edge.startPosition, ...edge.routingPoints, edge.endPosition];
             return this.calculateSpline(points, edge.startHandleId, edge.endHandleId);
-        } else {
-            // Use curve calculation for simple edges
-            return this.calculateCurve(edge.startPosition, edge.endPosition, edge.startHandleId, edge.endHandleId);
         }
+
+        // Straight and orthogonal routing styles are polylines
+        const route = this.nodeUI.edgeRouter.getRoute(edge);
+        if (route) {
+            return route.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+        }
+
+        // Use curve calculation for simple edges
+        return this.calculateCurve(edge.startPosition, edge.endPosition, edge.startHandleId, edge.endHandleId);
     }
 
     /**
@@ -309,6 +341,24 @@ class Canvas {
      * @returns {string} The SVG path `d` attribute string.
      */
     _getCurvedPathD(startPos, endPos, startHandle, endHandle) {
+        const { p1, cp1, cp2, p2 } = this.getCurveControlPoints(startPos, endPos, startHandle, endHandle);
+
+        // The path starts from the padded point (p1), not the handle center (p0).
+        return `M ${p1.x} ${p1.y} C ${cp1.x} ${cp1.y}, ${cp2.x} ${cp2.y}, ${p2.x} ${p2.y}`;
+    }
+
+    /**
+     * Calculates the end and control points of the cubic Bézier curve drawn between two handles.
+     * @param {{x:number, y:number}} startPos The start point.
+     * @param {{x:number, y:number}} endPos The end point.
+     * @param {string} startHandle The orientation of the start handle.
+     * @param {string} endHandle The orientation of the end handle.
+     * @returns {{p1: object, cp1: object, cp2: object, p2: object}} The padded end points and the control points.
+     */
+    getCurveControlPoints(startPos, endPos, startHandle, endHandle) {
+        startHandle = this.getHandleSide(startHandle);
+        endHandle = this.getHandleSide(endHandle);
+
         // P0 and P3 are the start and end points of the edge, but we will draw from p1 to p2.
         const p0 = { ...startPos };
         const p3 = { ...endPos };
@@ -354,9 +404,53 @@ class Canvas {
             case 'right':  cp2.x += offset; break;
         }
 
+        return { p1, cp1, cp2, p2 };
+    }
 
-        // The path starts from the padded point (p1), not the handle center (p0).
-        return `M ${p1.x} ${p1.y} C ${cp1.x} ${cp1.y}, ${cp2.x} ${cp2.y}, ${p2.x} ${p2.y}`;
+    /**
+     * Approximates an edge's path with a polyline, without needing its SVG element.
+     * Used for hit-testing, so unmounted edges can be tested too.
+     * @param {BaseEdge} edge - The edge.
+     * @returns {{x: number, y: number}[]} Points along the path, or an empty array if the edge has no position yet.
+     */
+    getEdgePoints(edge) {
+        if (!edge.startPosition || !edge.endPosition) return [];
+
+        if (edge.routingPoints && edge.routingPoints.length > 0) {
+            // Routed edges are straight segments, padded at both ends like calculateSpline
+            const maxPadding = parseInt(getComputedStyle(this.nodeUI.container).getPropertyValue('--edge-padding')) || 8;
+            const pad = (point, handle) => {
+                const padded = { ...point };
+                switch (this.getHandleSide(handle)) {
+                    case 'top':    padded.y -= maxPadding; break;
+                    case 'bottom': padded.y += maxPadding; break;
+                    case 'left':   padded.x -= maxPadding; break;
+                    case 'right':  padded.x += maxPadding; break;
+                }
+                return padded;
+            };
+            return [pad(edge.startPosition, edge.startHandleId), ...edge.routingPoints, pad(edge.endPosition, edge.endHandleId)];
+        }
+
+        const route = this.nodeUI.edgeRouter.getRoute(edge);
+        if (route) return route;
+
+        const { p1, cp1, cp2, p2 } = this.getCurveControlPoints(edge.startPosition, edge.endPosition, edge.startHandleId, edge.endHandleId);
+        if (this.nodeUI.levelOfDetail.isSimplified()) return [p1, p2];
+
+        // One sample every 20px or so of the control polygon's length
+        const controlLength = Math.hypot(cp1.x - p1.x, cp1.y - p1.y) + Math.hypot(cp2.x - cp1.x, cp2.y - cp1.y) + Math.hypot(p2.x - cp2.x, p2.y - cp2.y);
+        const samples = Math.max(4, Math.min(64, Math.ceil(controlLength / 20)));
+        const points = [];
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const u = 1 - t;
+            points.push({
+                x: u * u * u * p1.x + 3 * u * u * t * cp1.x + 3 * u * t * t * cp2.x + t * t * t * p2.x,
+                y: u * u * u * p1.y + 3 * u * u * t * cp1.y + 3 * u * t * t * cp2.y + t * t * t * p2.y
+            });
+        }
+        return points;
     }
 
     /**
@@ -393,6 +487,11 @@ class Canvas {
         this.nodeUI.pinnedNodes.forEach(nodeId => {
             this.nodeUI.updateConnectedEdges(nodeId);
         });
+
+        // Mount whatever has scrolled into view
+        this.nodeUI.virtualizer.scheduleUpdate();
+        this.nodeUI.levelOfDetail.update();
+        this.nodeUI.minimap.scheduleRender();
     }
 
     /**
@@ -403,6 +502,9 @@ class Canvas {
      * @param {number} [duration=300] - The animation duration in milliseconds.
      */
     animatePanZoom(targetScale, targetOffsetX, targetOffsetY, duration = 300) {
+        // A new animation takes over from one still running
+        cancelAnimationFrame(this.panZoomFrameId);
+
         const startScale = this.nodeUI.panZoom.scale;
         const startOffsetX = this.nodeUI.panZoom.offsetX;
         const startOffsetY = this.nodeUI.panZoom.offsetY;
@@ -426,11 +528,11 @@ class Canvas {
             this.updateCanvasTransform();
 
             if (progress < 1) {
-                requestAnimationFrame(animationStep);
+                this.panZoomFrameId = requestAnimationFrame(animationStep);
             }
         };
 
-        requestAnimationFrame(animationStep);
+        this.panZoomFrameId = requestAnimationFrame(animationStep);
     }
 
     /**
@@ -481,13 +583,15 @@ class Canvas {
             bottom: parseFloat(box.style.top) + parseFloat(box.style.height)
         };
         
-        this.nodeUI.nodes.forEach(node => {
+        const bounds = { minX: selectionRect.left, minY: selectionRect.top, maxX: selectionRect.right, maxY: selectionRect.bottom };
+
+        this.nodeUI.spatialIndex.queryNodes(bounds).forEach(node => {
             if (this.isNodeInSelection(node, selectionRect)) {
                 this.nodeUI.selectNode(node.id);
             }
         });
 
-        this.nodeUI.edges.forEach(edge => {
+        this.nodeUI.spatialIndex.queryEdges(bounds).forEach(edge => {
             if (this.isEdgeInSelection(edge, selectionRect)) {
                 this.nodeUI.selectEdge(edge.id);
             }
@@ -517,31 +621,18 @@ class Canvas {
 
     /**
      * Checks if an edge intersects with the selection rectangle.
-     * This is done by sampling points along the edge's path.
+     * This is done against the edge's indexed path, so it works for unmounted edges too.
      * @param {BaseEdge} edge The edge to check.
      * @param {object} selectionRect The selection rectangle in world space.
      * @returns {boolean} True if the edge intersects the selection.
      */
     isEdgeInSelection(edge, selectionRect) {
-        if (!edge.element) return false;
-
-        const path = edge.element;
-        const len = path.getTotalLength();
-        if (len === 0) return false;
-
-        // Sample points along the path
-        for (let i = 0; i < len; i += 10) {
-            const point = path.getPointAtLength(i);
-            if (
-                point.x > selectionRect.left &&
-                point.x < selectionRect.right &&
-                point.y > selectionRect.top &&
-                point.y < selectionRect.bottom
-            ) {
-                return true;
-            }
-        }
-        return false;
+        return this.nodeUI.spatialIndex.edgeIntersectsRect(edge, {
+            minX: selectionRect.left,
+            minY: selectionRect.top,
+            maxX: selectionRect.right,
+            maxY: selectionRect.bottom
+        });
     }
 
 
@@ -589,18 +680,8 @@ class Canvas {
             const x2 = parseFloat(this.nodeUI.edgeCutState.cutLine.getAttribute('x2'));
             const y2 = parseFloat(this.nodeUI.edgeCutState.cutLine.getAttribute('y2'));
     
-            this.nodeUI.edges.forEach(edge => {
-                const path = edge.element;
-                const len = path.getTotalLength();
-                for (let i = 0; i < len; i += 5) {
-                    const p1 = path.getPointAtLength(i);
-                    const p2 = path.getPointAtLength(i + 5 > len ? len : i + 5);
-                    if (this.lineIntersect(x1, y1, x2, y2, p1.x, p1.y, p2.x, p2.y)) {
-                        events.publish('edge:delete', edge.id);
-                        break; 
-                    }
-                }
-            });
+            const hits = this.nodeUI.spatialIndex.findEdgeIntersections({ x: x1, y: y1 }, { x: x2, y: y2 });
+            hits.forEach(({ edge }) => events.publish('edge:delete', edge.id));
         }
 
         this.nodeUI.edgeCutState.cutLine.remove();
@@ -666,65 +747,51 @@ class Canvas {
         const line = this.nodeUI.edgeHandler.getRoutingCutState().cutLine;
         const p1 = { x: parseFloat(line.getAttribute('x1')), y: parseFloat(line.getAttribute('y1')) };
         const p2 = { x: parseFloat(line.getAttribute('x2')), y: parseFloat(line.getAttribute('y2')) };
-        let hasCut = false;
 
-        this.nodeUI.edges.forEach(edge => {
-            if (hasCut) return; // Only cut the first intersected edge
-
-            const path = edge.element;
-            const len = path.getTotalLength();
-            for (let i = 0; i < len; i += 5) {
-                const point1 = path.getPointAtLength(i);
-                const point2 = path.getPointAtLength(i + 5 > len ? len : i + 5);
-                const intersection = this.getLineIntersection(p1, p2, point1, point2);
-                if (intersection) {
-                    const routingNode = new RoutingNode({ 
-                        x: intersection.x - 15, // Center the 30px node
-                        y: intersection.y - 15 
-                    });
-                    this.nodeUI.addNode(routingNode);
-                    
-                    // Determine the direction of the edge to choose appropriate handles
-                    const p1 = edge.startPosition;
-                    const p2 = edge.endPosition;
-                    const dx = p2.x - p1.x;
-                    const dy = p2.y - p1.y;
-                    
-                    let startHandle, endHandle;
-                    
-                    // Determine if edge is more horizontal or vertical
-                    if (Math.abs(dx) > Math.abs(dy)) {
-                        // More horizontal
-                        if (dx > 0) {
-                            startHandle = 'left';
-                            endHandle = 'right';
-                        } else {
-                            startHandle = 'right';
-                            endHandle = 'left';
-                        }
-                    } else {
-                        // More vertical
-                        if (dy > 0) {
-                            startHandle = 'top';
-                            endHandle = 'bottom';
-                        } else {
-                            startHandle = 'bottom';
-                            endHandle = 'top';
-                        }
-                    }
-                    
-                    // Create two new edges
-                    events.publish('edge:create', { startNodeId: edge.startNodeId, startHandleId: edge.startHandleId, endNodeId: routingNode.id, endHandleId: startHandle });
-                    events.publish('edge:create', { startNodeId: routingNode.id, startHandleId: endHandle, endNodeId: edge.endNodeId, endHandleId: edge.endHandleId });
-                    
-                    // Delete the original edge
-                    events.publish('edge:delete', edge.id);
-                    
-                    hasCut = true;
-                    break;
+        // Only cut the edge crossed nearest the start of the line
+        const hit = this.nodeUI.spatialIndex.findEdgeIntersections(p1, p2)[0];
+        if (hit) {
+            const { edge, point: intersection } = hit;
+            const routingNode = new RoutingNode({ 
+                x: intersection.x - 15, // Center the 30px node
+                y: intersection.y - 15 
+            });
+            this.nodeUI.addNode(routingNode);
+            
+            // Determine the direction of the edge to choose appropriate handles
+            const dx = edge.endPosition.x - edge.startPosition.x;
+            const dy = edge.endPosition.y - edge.startPosition.y;
+            
+            let startHandle, endHandle;
+            
+            // Determine if edge is more horizontal or vertical
+            if (Math.abs(dx) > Math.abs(dy)) {
+                // More horizontal
+                if (dx > 0) {
+                    startHandle = 'left';
+                    endHandle = 'right';
+                } else {
+                    startHandle = 'right';
+                    endHandle = 'left';
+                }
+            } else {
+                // More vertical
+                if (dy > 0) {
+                    startHandle = 'top';
+                    endHandle = 'bottom';
+                } else {
+                    startHandle = 'bottom';
+                    endHandle = 'top';
                 }
             }
-        });
+            
+            // Create two new edges
+            events.publish('edge:create', { startNodeId: edge.startNodeId, startHandleId: edge.startHandleId, endNodeId: routingNode.id, endHandleId: startHandle });
+            events.publish('edge:create', { startNodeId: routingNode.id, startHandleId: endHandle, endNodeId: edge.endNodeId, endHandleId: edge.endHandleId });
+            
+            // Delete the original edge
+            events.publish('edge:delete', edge.id);
+        }
 
         line.remove();
         this.nodeUI.edgeHandler.getRoutingCutState().cutLine = null;
@@ -774,6 +841,18 @@ class Canvas {
         const offsetMult = parseFloat(getComputedStyle(this.nodeUI.container).getPropertyValue('--handle-offset-mult')) || 1;
         const baseOffset = 10;
         const offset = baseOffset * offsetMult;
+
+        // Port handles sit at fixed offsets down the sides of the node
+        const portOffset = node.getPortOffset(handlePosition, offset);
+        if (portOffset) {
+            if (node.isPinned) {
+                return {
+                    x: (node.x + portOffset.x - this.nodeUI.panZoom.offsetX) / this.nodeUI.panZoom.scale,
+                    y: (node.y + portOffset.y - this.nodeUI.panZoom.offsetY) / this.nodeUI.panZoom.scale
+                };
+            }
+            return { x: node.x + portOffset.x, y: node.y + portOffset.y };
+        }
         
         if (node.isPinned) {
              // For pinned nodes, calculations are in screen space first
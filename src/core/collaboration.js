@@ -735,22 +735,29 @@ class Collaboration {
         this.localOperations.add(message.operationId);
         setTimeout(() => this.localOperations.delete(message.operationId), this.operationTimeout);
         
-        // Apply the operation locally
-        // For primitive values, we can't attach the operation ID, so we need to handle them differently
-        if (message.eventName === 'node:delete' || message.eventName === 'edge:delete') {
-            // For delete events, temporarily track the operation to prevent re-broadcasting
-            const tempData = { _operationId: message.operationId, id: message.data };
-            this.localOperations.add(tempData._operationId);
-            events.publish(message.eventName, message.data);
-            // The operation ID is already tracked above, no need to track again
-        } else {
-            const isObject = message.data && typeof message.data === 'object';
-            const dataWithOperationId = isObject 
-                ? { ...message.data, _operationId: message.operationId }
-                : message.data;
-            events.publish(message.eventName, dataWithOperationId);
+        // Rebase our undo history so undoing never reverts this peer's change,
+        // then apply the operation locally without recording it
+        this.nodeUI.historyManager.rebase(message.eventName, message.data);
+        this.nodeUI.historyManager.suspend();
+        try {
+            // For primitive values, we can't attach the operation ID, so we need to handle them differently
+            if (message.eventName === 'node:delete' || message.eventName === 'edge:delete') {
+                // For delete events, temporarily track the operation to prevent re-broadcasting
+                const tempData = { _operationId: message.operationId, id: message.data };
+                this.localOperations.add(tempData._operationId);
+                events.publish(message.eventName, message.data);
+                // The operation ID is already tracked above, no need to track again
+            } else {
+                const isObject = message.data && typeof message.data === 'object';
+                const dataWithOperationId = isObject 
+                    ? { ...message.data, _operationId: message.operationId }
+                    : message.data;
+                events.publish(message.eventName, dataWithOperationId);
+            }
+        } finally {
+            // A failed operation mustn't leave local undo recording switched off
+            this.nodeUI.historyManager.resume();
         }
-        
     }
     
     /**
@@ -758,35 +765,8 @@ class Collaboration {
      */
     sendCurrentState() {
         const state = {
-            nodes: Array.from(this.nodeUI.nodes.entries()).map(([id, node]) => ({
-                id: id,
-                x: node.x,
-                y: node.y,
-                width: node.width,
-                height: node.height,
-                title: node.title,
-                content: node.content,
-                type: node.type || node.constructor.name,
-                color: node.color,
-                isPinned: node.isPinned,
-                // Add type-specific data
-                ...(node.containedNodeIds && { containedNodeIds: Array.from(node.containedNodeIds) }),
-                ...(node.internalGraph && { internalGraph: node.internalGraph }),
-                ...(node.subgraphId && { subgraphId: node.subgraphId }),
-                ...(node.imageSequence && { imageSequence: node.imageSequence }),
-                ...(node.currentFrame !== undefined && { currentFrame: node.currentFrame }),
-                ...(node.fps && { fps: node.fps })
-            })),
-            edges: Array.from(this.nodeUI.edges.entries()).map(([id, edge]) => ({
-                id: id,
-                startNodeId: edge.startNodeId,
-                endNodeId: edge.endNodeId,
-                startHandleId: edge.startHandleId,
-                endHandleId: edge.endHandleId,
-                type: edge.type,
-                label: edge.label,
-                routingPoints: edge.routingPoints
-            }))
+            nodes: Array.from(this.nodeUI.nodes.values()).map(node => node.serialize()),
+            edges: Array.from(this.nodeUI.edges.values()).map(edge => edge.serialize())
         };
         
         // Check size before sending
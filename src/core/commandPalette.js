@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Command palette (Ctrl/Cmd+K). Fuzzy-searches the editor's actions and
+ * the nodes of the current graph and every subgraph. Choosing an action runs it;
+ * choosing a node navigates into the subgraph that holds it, selects it and frames it.
+ */
+
+class CommandPalette {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.maxResults = 50;
+
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.results = [];
+        this.activeIndex = 0;
+
+        events.subscribe('palette:open', () => this.open());
+        events.subscribe('palette:close', () => this.close());
+    }
+
+    /**
+     * @returns {string[]} Node types left out of search results, since they have no title of their own.
+     */
+    static get UNLISTED_TYPES() {
+        return ['RoutingNode', 'SubgraphInputNode', 'SubgraphOutputNode'];
+    }
+
+    // --- Opening and closing ---
+
+    /**
+     * Shows the palette with an empty query.
+     */
+    open() {
+        if (this.element) {
+            this.input.select();
+            return;
+        }
+        this.nodeUI.contextMenuHandler.hide();
+
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette-backdrop';
+        this.element.addEventListener('mousedown', (event) => {
+            if (event.target === this.element) this.close();
+        });
+        // Keep clicks and scrolling in the palette from reaching the canvas
+        ['mousedown', 'wheel', 'contextmenu', 'dblclick'].forEach(eventName => {
+            this.element.addEventListener(eventName, (event) => event.stopPropagation());
+        });
+
+        const panel = document.createElement('div');
+        panel.className = 'command-palette';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'command-palette-input';
+        this.input.placeholder = 'Search actions and nodes...';
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+
+        this.list = document.createElement('ul');
+        this.list.className = 'command-palette-results';
+
+        panel.appendChild(this.input);
+        panel.appendChild(this.list);
+        this.element.appendChild(panel);
+        document.body.appendChild(this.element);
+
+        this.search('');
+        this.input.focus();
+    }
+
+    /**
+     * Hides the palette.
+     */
+    close() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.results = [];
+        this.nodeUI.container.focus();
+    }
+
+    // --- Searching ---
+
+    /**
+     * Finds the actions and nodes matching a query and lists them, best match first.
+     * With an empty query only the actions are listed.
+     * @param {string} query - The text typed into the palette.
+     */
+    search(query) {
+        query = query.trim();
+        const results = [];
+
+        this.getCommands().forEach(command => {
+            const score = query ? CommandPalette.fuzzyScore(query, command.label) : 0;
+            if (score !== null) results.push({ ...command, kind: 'command', score });
+        });
+
+        if (query) {
+            this.getNodeEntries().forEach(entry => {
+                let score = CommandPalette.fuzzyScore(query, entry.title);
+                // Content is long, so only a literal match counts, and ranks below title matches
+                if (score === null && entry.content.toLowerCase().includes(query.toLowerCase())) {
+                    score = -100;
+                }
+                if (score !== null) results.push({ ...entry, kind: 'node', score });
+            });
+        }
+
+        this.results = results.sort((a, b) => b.score - a.score).slice(0, this.maxResults);
+        this.activeIndex = 0;
+        this.renderResults();
+    }
+
+    /**
+     * Scores how well a query matches a piece of text. Every character of the query has
+     * to appear in the text in order; runs of consecutive characters and matches at the
+     * start of words score higher, and shorter texts win ties.
+     * @param {string} query - The search query.
+     * @param {string} text - The text to match against.
+     * @returns {number|null} The score, or null if the text doesn't match.
+     */
+    static fuzzyScore(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = (text || '').toLowerCase();
+        let score = 0;
+        let position = 0;
+        let previousMatch = -2;
+
+        for (const char of needle) {
+            if (char === ' ') continue;
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return null;
+
+            score += 1;
+            if (index === previousMatch + 1) score += 5;                 // Consecutive characters
+            if (index === 0 || /[\s\-_/.:]/.test(haystack[index - 1])) score += 3; // Start of a word
+            previousMatch = index;
+            position = index + 1;
+        }
+        return score - haystack.length * 0.01;
+    }
+
+    /**
+     * Lists every action the palette can run. Actions that don't apply right now, such
+     * as grouping with nothing selected, are left out.
+     * @returns {{label: string, iconClass: string, shortcut?: string, action: function(): void}[]} The actions.
+     */
+    getCommands() {
+        const nodeUI = this.nodeUI;
+        const menu = nodeUI.contextMenuSettings.canvas;
+        const hasSelection = nodeUI.selectedNodes.size > 0 || nodeUI.selectedEdges.size > 0;
+        const commands = [];
+
+        // Every registered node type, created in the middle of the view
+        nodeRegistry.getMenuEntries(menu).forEach(entry => {
+            commands.push({
+                label: `Add ${entry.label}`,
+                iconClass: entry.iconClass,
+                action: () => {
+                    const center = this.getViewCenter();
+                    nodeUI.addNode(nodeRegistry.create({
+                        type: entry.type,
+                        x: center.x,
+                        y: center.y,
+                        ...(entry.titleFromLabel && { title: entry.label })
+                    }));
+                }
+            });
+        });
+
+        nodeUI.pluginManager.getMenuItems().forEach(item => {
+            commands.push({ label: item.label, iconClass: item.iconClass, action: () => item.action(this.getViewCenter()) });
+        });
+
+        commands.push(
+            { label: 'Save Graph', iconClass: 'icon-download', shortcut: 'Ctrl+S', action: () => events.publish('graph:save') },
+            { label: 'Load Graph', iconClass: 'icon-upload', action: () => nodeUI.contextMenuHandler.triggerGraphLoad() },
+            { label: 'Save Project Bundle', iconClass: 'icon-box', action: () => events.publish('graph:export-bundle') },
+            { label: 'Open Projects', iconClass: 'icon-database', shortcut: 'Ctrl+O', action: () => events.publish('projects:open') },
+            { label: 'New Project', iconClass: 'icon-plus', action: () => nodeUI.projectWorkspace.create() },
+            { label: 'Export Screenshot', iconClass: 'icon-camera', action: () => events.publish('graph:screenshot') },
+            { label: 'Export SVG', iconClass: 'icon-download', action: () => events.publish('graph:export-svg') },
+            { label: 'Export PDF', iconClass: 'icon-file-text', action: () => events.publish('graph:export-pdf') },
+            { label: 'Export JSON Canvas', iconClass: 'icon-download', action: () => events.publish('graph:export-canvas') },
+            ...Object.entries(DiagramExporter.FORMATS).flatMap(([format, { label }]) => [
+                { label: `Copy as ${label}`, iconClass: 'icon-copy', action: () => events.publish(`graph:export-${format}`, { copy: true }) },
+                { label: `Export ${label}`, iconClass: 'icon-download', action: () => events.publish(`graph:export-${format}`) }
+            ]),
+            { label: 'Validate Graph', iconClass: 'icon-check', action: () => events.publish('validation:open') },
+            { label: 'Find and Replace', iconClass: 'icon-edit', shortcut: 'Ctrl+F', action: () => events.publish('find:open') }
+        );
+
+        Object.entries(GraphLayout.ALGORITHMS).forEach(([algorithm, label]) => {
+            commands.push({
+                label: `Auto Layout: ${label}`,
+                iconClass: 'icon-share-2',
+                action: () => events.publish('layout:apply', { algorithm })
+            });
+        });
+
+        if (nodeUI.selectedNodes.size > 0) {
+            commands.push(
+                { label: 'Group Selection', iconClass: 'icon-group', shortcut: 'G', action: () => nodeUI.groupSelection() },
+                { label: 'Create Subgraph from Selection', iconClass: 'icon-squares-subtract', shortcut: 'S', action: () => nodeUI.subgraphSelection() },
+                { label: 'Export Selection as SVG', iconClass: 'icon-download', action: () => events.publish('graph:export-svg', { selectionOnly: true }) },
+                { label: 'Export Selection as PDF', iconClass: 'icon-file-text', action: () => events.publish('graph:export-pdf', { selectionOnly: true }) },
+                ...Object.entries(DiagramExporter.FORMATS).map(([format, { label }]) => ({
+                    label: `Copy Selection as ${label}`,
+                    iconClass: 'icon-copy',
+                    action: () => events.publish(`graph:export-${format}`, { selectionOnly: true, copy: true })
+                }))
+            );
+            nodeUI.alignment.getMenuItems().filter(item => !item.disabled).forEach(item => {
+                commands.push({ label: item.label, iconClass: 'icon-align-start-vertical', shortcut: item.shortcut, action: item.action });
+            });
+        }
+        if (!nodeUI.projectWorkspace.currentProjectId) {
+            commands.push({ label: 'Save Graph as Project', iconClass: 'icon-database', action: () => nodeUI.projectWorkspace.saveCurrentAs(nodeUI.projectName) });
+        }
+        if (nodeUI.graphContext.graphStack.length > 1) {
+            commands.push({ label: 'Exit Subgraph', iconClass: 'icon-log-out', action: () => this.navigateTo(nodeUI.graphContext.graphStack.slice(0, -1)) });
+        }
+
+        commands.push(
+            { label: `Snap to Grid: ${nodeUI.snapToGrid ? 'Turn Off' : 'Turn On'}`, iconClass: menu.snapGrid.iconClass, action: () => events.publish('snap:grid-toggle') },
+            { label: `Snap to Objects: ${nodeUI.snapToObjects ? 'Turn Off' : 'Turn On'}`, iconClass: menu.snapObject.iconClass, action: () => events.publish('snap:object-toggle') },
+            { label: 'Toggle Minimap', iconClass: 'icon-layout-panel-left', shortcut: 'M', action: () => events.publish('minimap:toggle') },
+            { label: hasSelection ? 'Frame Selection' : 'Frame All', iconClass: 'icon-aperture', action: () => nodeUI.frameSelection() },
+            { label: 'Select All', iconClass: 'icon-plus-square', shortcut: 'Ctrl+A', action: () => nodeUI.selectAll() },
+            { label: 'Undo', iconClass: 'icon-rewind', shortcut: 'Ctrl+Z', action: () => nodeUI.historyManager.undo() },
+            { label: 'Redo', iconClass: 'icon-skip-forward', shortcut: 'Ctrl+Y', action: () => nodeUI.historyManager.redo() }
+        );
+
+        if (hasSelection) {
+            commands.push(
+                { label: menu.cut.label, iconClass: menu.cut.iconClass, shortcut: 'Ctrl+X', action: () => nodeUI.cutSelection() },
+                { label: menu.copy.label, iconClass: menu.copy.iconClass, shortcut: 'Ctrl+C', action: () => nodeUI.copySelection() },
+                { label: menu.delete.label, iconClass: menu.delete.iconClass, shortcut: 'Delete', action: () => nodeUI.deleteSelection() }
+            );
+        }
+        if (nodeUI.clipboard.nodes.length > 0) {
+            commands.push({ label: menu.paste.label, iconClass: menu.paste.iconClass, shortcut: 'Ctrl+V', action: () => nodeUI.paste() });
+        }
+
+        return commands;
+    }
+
+    /**
+     * Lists the nodes of the current graph, its subgraphs, and the graphs above it
+     * when a subgraph is open.
+     * @returns {{nodeId: string, title: string, content: string, type: string, path: string[], pathLabel: string}[]} One entry per node.
+     *   `path` is the graph stack of the graph holding the node.
+     */
+    getNodeEntries() {
+        const { graphStack, breadcrumbData } = this.nodeUI.graphContext;
+        const entries = [];
+
+        const addGraph = (nodes, path, titles, skipSubgraphId = null) => {
+            nodes.forEach(node => {
+                if (CommandPalette.UNLISTED_TYPES.includes(node.type)) return;
+                entries.push({
+                    nodeId: node.id,
+                    title: node.title || '',
+                    content: typeof node.content === 'string' ? node.content : '',
+                    type: node.type,
+                    path,
+                    pathLabel: titles.join(' / ')
+                });
+                // Subgraphs on the open path are listed from their own level instead
+                if (node.type === 'SubGraphNode' && node.internalGraph && node.id !== skipSubgraphId) {
+                    addGraph(node.internalGraph.nodes || [], [...path, node.id], [...titles, node.title]);
+                }
+            });
+        };
+
+        // The graphs above the open subgraph, as they were when it was entered
+        const titles = ['Main'];
+        breadcrumbData.forEach((level, index) => {
+            if (level.graphData) {
+                addGraph(level.graphData.nodes || [], graphStack.slice(0, index + 1), [...titles], graphStack[index + 1]);
+            }
+            titles.push(level.title);
+        });
+        addGraph(Array.from(this.nodeUI.nodes.values()), graphStack.slice(), titles);
+
+        return entries;
+    }
+
+    // --- Running results ---
+
+    /**
+     * Runs an action, or jumps to a node, and closes the palette.
+     * @param {object} result - A result from search().
+     */
+    choose(result) {
+        this.close();
+        if (result.kind === 'command') {
+            result.action();
+        } else {
+            this.revealNode(result.nodeId, result.path);
+        }
+    }
+
+    /**
+     * Opens the graph holding a node, then selects the node and frames it.
+     * @param {string} nodeId - The node's ID.
+     * @param {string[]} path - The graph stack of the graph holding the node.
+     */
+    revealNode(nodeId, path) {
+        this.navigateTo(path);
+        this._selectWhenLoaded(nodeId, 10);
+    }
+
+    /**
+     * Navigates to a graph, entering and leaving subgraphs as needed.
+     * @param {string[]} path - The target graph stack, starting with 'main'.
+     */
+    navigateTo(path) {
+        const target = path.map(id => (id === 'main' ? 'main' : `sg_${id.substring(0, 8)}`)).join('/');
+        if (window.location.hash.slice(1) === target) return;
+        window.location.hash = target;
+        // Navigate straight away rather than on the hashchange event, so the nodes are loaded on return
+        this.nodeUI.handleHashChange();
+    }
+
+    /**
+     * Selects and frames a node. In a collaborative session a subgraph's nodes arrive
+     * from other users after a short delay, so this retries until the node appears.
+     * @param {string} nodeId - The node's ID.
+     * @param {number} attempts - How many more times to retry.
+     * @private
+     */
+    _selectWhenLoaded(nodeId, attempts) {
+        if (!this.nodeUI.nodes.has(nodeId)) {
+            if (attempts > 0) setTimeout(() => this._selectWhenLoaded(nodeId, attempts - 1), 100);
+            return;
+        }
+        this.nodeUI.clearSelection();
+        this.nodeUI.selectNode(nodeId);
+        events.publish('selection:changed', {
+            selectedNodeIds: Array.from(this.nodeUI.selectedNodes),
+            selectedEdgeIds: Array.from(this.nodeUI.selectedEdges)
+        });
+        this.nodeUI.frameSelection();
+    }
+
+    // --- Rendering ---
+
+    /**
+     * Fills the result list.
+     */
+    renderResults() {
+        this.list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching actions or nodes';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'command-palette-item';
+            item.classList.toggle('is-active', index === this.activeIndex);
+
+            const icon = document.createElement('span');
+            icon.className = `icon ${result.kind === 'node' ? nodeRegistry.getIcon(result.type) : (result.iconClass || '')}`;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            label.textContent = result.kind === 'node' ? (result.title || 'Untitled') : result.label;
+
+            const detail = document.createElement('span');
+            detail.className = 'command-palette-detail';
+            detail.textContent = result.kind === 'node' ? result.pathLabel : (result.shortcut || '');
+
+            item.appendChild(icon);
+            item.appendChild(label);
+            item.appendChild(detail);
+            item.addEventListener('mousemove', () => this.setActive(index));
+            item.addEventListener('click', () => this.choose(result));
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Highlights a result.
+     * @param {number} index - The result's index.
+     */
+    setActive(index) {
+        if (index === this.activeIndex) return;
+        const items = this.list.querySelectorAll('.command-palette-item');
+        if (items[this.activeIndex]) items[this.activeIndex].classList.remove('is-active');
+        this.activeIndex = index;
+        if (items[index]) {
+            items[index].classList.add('is-active');
+            items[index].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Arrow keys move through the results, Enter chooses one and Escape closes the palette.
+     * @param {KeyboardEvent} event
+     */
+    onKeyDown(event) {
+        event.stopPropagation();
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (this.results.length) this.setActive((this.activeIndex + 1) % this.results.length);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (this.results.length) this.setActive((this.activeIndex - 1 + this.results.length) % this.results.length);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (this.results[this.activeIndex]) this.choose(this.results[this.activeIndex]);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    // --- Helpers ---
+
+    /**
+     * @returns {{x: number, y: number}} The middle of the view in world coordinates.
+     */
+    getViewCenter() {
+        const { scale, offsetX, offsetY } = this.nodeUI.panZoom;
+        return {
+            x: (this.nodeUI.container.clientWidth / 2 - offsetX) / scale,
+            y: (this.nodeUI.container.clientHeight / 2 - offsetY) / scale
+        };
+    }
+}
+
+// Attach to window for global access
+window.CommandPalette = CommandPalette;
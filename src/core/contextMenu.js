@@ -369,69 +369,18 @@ class ContextMenu {
         const worldPos = this.nodeUI.getMousePosition({ clientX: x, clientY: y });
         let items = [];
 
-        // Define potential node types to create
-        const nodeCreationActions = [
-            { 
-                key: 'note',
-                type: 'BaseNode',
-            },
-            {
-                key: 'group',
-                type: 'GroupNode',
-            },
-            {
-                key: 'subgraph',
-                type: 'SubGraphNode',
-            },
-            {
-                key: 'routingNode',
-                type: 'RoutingNode',
-            },
-            {
-                key: 'threejs',
-                type: 'ThreeJSNode',
-            },
-            {
-                key: 'settings',
-                type: 'SettingsNode',
-            },
-            {
-                key: 'log',
-                type: 'LogNode',
-            },
-            {
-                key: 'imageSequence',
-                type: 'ImageSequenceNode',
-            }
-        ];
-
-        nodeCreationActions.forEach(action => {
-            const menuConfig = this.nodeUI.contextMenuSettings.canvas[action.key];
-            if (!menuConfig) return;
-
+        // Add an entry for every registered node type
+        nodeRegistry.getMenuEntries(this.nodeUI.contextMenuSettings.canvas).forEach(entry => {
             items.push({
-                label: menuConfig.label,
-                iconClass: menuConfig.iconClass,
+                label: entry.label,
+                iconClass: entry.iconClass,
                 action: () => {
-                    let newNode;
-                    if (action.type === 'RoutingNode') {
-                        newNode = new RoutingNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'GroupNode') {
-                        newNode = new GroupNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'LogNode') {
-                        newNode = new LogNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'SettingsNode') {
-                        newNode = new SettingsNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'SubGraphNode') {
-                        newNode = new SubGraphNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'ThreeJSNode') {
-                        newNode = new ThreeJSNode({ x: worldPos.x, y: worldPos.y });
-                    } else if (action.type === 'ImageSequenceNode') {
-                        newNode = new ImageSequenceNode({ x: worldPos.x, y: worldPos.y });
-                    }
-                    else {
-                        newNode = new BaseNode({ x: worldPos.x, y: worldPos.y, title: menuConfig.label, type: action.type });
-                    }
+                    const newNode = nodeRegistry.create({
+                        type: entry.type,
+                        x: worldPos.x,
+                        y: worldPos.y,
+                        ...(entry.titleFromLabel && { title: entry.label })
+                    });
                     this.nodeUI.addNode(newNode);
 
                     if (edgeStartInfo) {
@@ -452,7 +401,16 @@ class ContextMenu {
                 }
             });
         });
-        
+
+        // Add items contributed by plugins
+        this.nodeUI.pluginManager.getMenuItems().forEach(item => {
+            items.push({
+                label: item.label,
+                iconClass: item.iconClass,
+                action: () => item.action(worldPos)
+            });
+        });
+
         // Add separator before save/load
         items.push({ isSeparator: true });
         
@@ -465,6 +423,25 @@ class ContextMenu {
                 action: () => events.publish('graph:save')
             });
         }
+
+        const saveBundleMenu = this.nodeUI.contextMenuSettings.canvas.saveBundle;
+        if (saveBundleMenu) {
+            items.push({
+                label: saveBundleMenu.label,
+                iconClass: saveBundleMenu.iconClass,
+                action: () => events.publish('graph:export-bundle')
+            });
+        }
+
+        const exportTextMenu = this.nodeUI.contextMenuSettings.canvas.exportText;
+        if (exportTextMenu) {
+            const selectionOnly = this.nodeUI.selectedNodes.size > 0;
+            items.push({
+                label: selectionOnly ? `${exportTextMenu.label} (Selection)` : exportTextMenu.label,
+                iconClass: exportTextMenu.iconClass,
+                submenu: this.nodeUI.diagramExporter.getMenuItems(selectionOnly)
+            });
+        }
         
         const loadGraphMenu = this.nodeUI.contextMenuSettings.canvas.loadGraph;
         if (loadGraphMenu) {
@@ -474,6 +451,45 @@ class ContextMenu {
                 action: () => this.triggerGraphLoad()
             });
         }
+
+        const projectsMenu = this.nodeUI.contextMenuSettings.canvas.projects;
+        if (projectsMenu) {
+            items.push({
+                label: projectsMenu.label,
+                iconClass: projectsMenu.iconClass,
+                action: () => events.publish('projects:open')
+            });
+        }
+
+        const validateGraphMenu = this.nodeUI.contextMenuSettings.canvas.validateGraph;
+        if (validateGraphMenu) {
+            items.push({
+                label: validateGraphMenu.label,
+                iconClass: validateGraphMenu.iconClass,
+                action: () => events.publish('validation:open')
+            });
+        }
+
+        const autoLayoutMenu = this.nodeUI.contextMenuSettings.canvas.autoLayout;
+        if (autoLayoutMenu) {
+            items.push({
+                label: autoLayoutMenu.label,
+                iconClass: autoLayoutMenu.iconClass,
+                submenu: Object.entries(GraphLayout.ALGORITHMS).map(([algorithm, label]) => ({
+                    label,
+                    action: () => events.publish('layout:apply', { algorithm })
+                }))
+            });
+        }
+
+        const arrangeMenu = this.nodeUI.contextMenuSettings.canvas.arrange;
+        if (arrangeMenu && this.nodeUI.selectedNodes.size >= 2) {
+            items.push({
+                label: arrangeMenu.label,
+                iconClass: arrangeMenu.iconClass,
+                submenu: this.nodeUI.alignment.getMenuItems()
+            });
+        }
         
         // Add other context menu items if not in edge-draw mode
         if (!edgeStartInfo) {
@@ -568,29 +584,25 @@ class ContextMenu {
     }
 
     /**
-     * Triggers a file input to load a graph from JSON.
+     * Triggers a file input to load a graph from JSON or a JSON Canvas file.
      */
     triggerGraphLoad() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.json,.canvas,.nodeui';
         input.style.display = 'none';
         
         input.addEventListener('change', (event) => {
             const file = event.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        // Validate it's JSON before loading
-                        JSON.parse(e.target.result);
-                        events.publish('graph:load-content', e.target.result);
-                    } catch (error) {
-                        console.error('Invalid JSON file:', error);
-                        alert('Invalid JSON file format');
-                    }
-                };
-                reader.readAsText(file);
+                this.nodeUI.fileHandler.readGraphFromFile(file).then(json => {
+                    // Validate the graph before loading so problems can be reported
+                    this.nodeUI.graphSchema.parse(json);
+                    events.publish('graph:load-content', json);
+                }).catch(error => {
+                    console.error('Invalid graph file:', error);
+                    alert(error instanceof GraphValidationError ? error.message : 'Invalid JSON file format');
+                });
             }
             document.body.removeChild(input);
         });
@@ -599,6 +611,104 @@ class ContextMenu {
         input.click();
     }
 
+    /**
+     * Applies properties to every selected edge, or to just the given edge if it isn't
+     * part of the selection, as one undo step.
+     * @param {BaseEdge} edge - The edge the menu was opened on.
+     * @param {object} props - The properties to publish with `edge:update`.
+     * @param {string} label - The undo step label.
+     */
+    updateEdges(edge, props, label) {
+        const edgeIds = this.nodeUI.selectedEdges.has(edge.id) ? Array.from(this.nodeUI.selectedEdges) : [edge.id];
+        this.nodeUI.historyManager.batch(label, () => {
+            edgeIds.forEach(edgeId => events.publish('edge:update', { edgeId, ...props }));
+        });
+    }
+
+    /**
+     * Builds the routing style submenu for an edge. Choosing a style applies it to every
+     * selected edge; "Default" makes them follow the graph's default style again.
+     * @param {BaseEdge} edge - The edge the menu was opened on.
+     * @returns {object[]} The submenu items.
+     */
+    getRoutingStyleItems(edge) {
+        const applyStyle = (routingStyle) => this.updateEdges(edge, { routingStyle }, 'Change edge routing');
+
+        return [
+            {
+                label: `Default (${EdgeRouter.STYLES[this.nodeUI.edgeRoutingStyle]})`,
+                action: () => applyStyle(null)
+            },
+            ...Object.entries(EdgeRouter.STYLES).map(([style, label]) => ({
+                label,
+                action: () => applyStyle(style)
+            }))
+        ];
+    }
+
+    /**
+     * Builds the edge style items: arrowheads at either end, the line's pattern and
+     * width, its color and the flow animation. Each labels the clicked edge's current value.
+     * @param {BaseEdge} edge - The edge the menu was opened on.
+     * @returns {object[]} The menu items.
+     */
+    getEdgeStyleItems(edge) {
+        const menu = this.nodeUI.contextMenuSettings.edge;
+        const applyStyle = (props) => this.updateEdges(edge, props, 'Change edge style');
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const arrowItems = (key) => Object.entries(BaseEdge.ARROWHEADS).map(([shape, label]) => ({
+            label,
+            action: () => applyStyle({ [key]: shape })
+        }));
+        const colors = ['default', 'red', 'green', 'blue', 'yellow', 'purple'];
+        const swatch = (color) => `<span class="context-menu-swatch" style="background-color: var(--color-node-${color}-border)"></span>`;
+
+        return [
+            {
+                label: `${menu.startArrow.label}: ${BaseEdge.ARROWHEADS[edge.startArrow] || 'None'}`,
+                iconClass: menu.startArrow.iconClass,
+                submenu: arrowItems('startArrow')
+            },
+            {
+                label: `${menu.endArrow.label}: ${BaseEdge.ARROWHEADS[edge.endArrow] || 'None'}`,
+                iconClass: menu.endArrow.iconClass,
+                submenu: arrowItems('endArrow')
+            },
+            {
+                label: `${menu.line.label}: ${capitalize(edge.dashPattern)}, ${edge.strokeWidth}px`,
+                iconClass: menu.line.iconClass,
+                submenu: [
+                    ...['solid', 'dashed', 'dotted'].map(dashPattern => ({
+                        label: capitalize(dashPattern),
+                        action: () => applyStyle({ dashPattern })
+                    })),
+                    { isSeparator: true },
+                    ...[1, 2, 3, 4, 6].map(strokeWidth => ({
+                        label: `${strokeWidth}px`,
+                        action: () => applyStyle({ strokeWidth })
+                    }))
+                ]
+            },
+            {
+                label: `${menu.color.label}: ${edge.color ? capitalize(edge.color) : 'Start Node'}`,
+                iconClass: menu.color.iconClass,
+                submenu: [
+                    { label: 'Start Node', iconHtml: swatch(edge.nodeColor), action: () => applyStyle({ color: null }) },
+                    ...colors.map(color => ({
+                        label: capitalize(color),
+                        iconHtml: swatch(color),
+                        action: () => applyStyle({ color })
+                    }))
+                ]
+            },
+            {
+                label: `${menu.flow.label}: ${edge.flow ? 'On' : 'Off'}`,
+                iconClass: menu.flow.iconClass,
+                action: () => applyStyle({ flow: !edge.flow })
+            }
+        ];
+    }
+
     /**
      * Shows the context menu for a specific edge.
      * @param {number} x The screen x-coordinate.
@@ -678,6 +788,13 @@ class ContextMenu {
                     events.publish('edge:delete', edge.id);
                 }
             },
+            {
+                label: `${menu.routingStyle.label}: ${EdgeRouter.STYLES[edge.routingStyle] || 'Default'}`,
+                iconClass: menu.routingStyle.iconClass,
+                submenu: this.getRoutingStyleItems(edge)
+            },
+            { isSeparator: true },
+            ...this.getEdgeStyleItems(edge),
             { isSeparator: true },
             {
                 label: menu.delete.label,
@@ -0,0 +1,488 @@
+/**
+ * @fileoverview Dataflow evaluation. Nodes declare typed input and output ports through
+ * getPorts(), and edges from an output port to an input port carry values between them.
+ * The evaluator runs nodes in topological order, caches their results and, after a change,
+ * only re-runs the changed nodes and everything downstream of them.
+ */
+
+/**
+ * Port value types. `any` connects to every other type.
+ */
+const PORT_TYPES = ['any', 'number', 'string', 'boolean', 'object'];
+
+class Dataflow {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        /**
+         * The last result of every evaluated node, keyed by node ID.
+         * @type {Map<string, {inputs: object, outputs: object, error: string|null}>}
+         */
+        this.cache = new Map();
+
+        /**
+         * Nodes that changed since the last evaluation.
+         * @type {Set<string>}
+         */
+        this.dirty = new Set();
+
+        this.isScheduled = false;
+    }
+
+    // --- Port Handles ---
+
+    /**
+     * Builds the handle ID used by edges for a port, e.g. `in:a` or `out:result`.
+     * @param {'input'|'output'} direction - The port direction.
+     * @param {string} portId - The port ID.
+     * @returns {string}
+     */
+    static handleId(direction, portId) {
+        return `${direction === 'input' ? 'in' : 'out'}:${portId}`;
+    }
+
+    /**
+     * Splits a port handle ID into its direction and port ID.
+     * @param {string} handleId - An edge handle ID.
+     * @returns {{direction: 'input'|'output', portId: string}|null} Null for positional handles like 'left'.
+     */
+    static parseHandle(handleId) {
+        const match = typeof handleId === 'string' && /^(in|out):(.+)$/.exec(handleId);
+        if (!match) return null;
+        return { direction: match[1] === 'in' ? 'input' : 'output', portId: match[2] };
+    }
+
+    /**
+     * @param {string} outputType - The type of the output port.
+     * @param {string} inputType - The type of the input port.
+     * @returns {boolean} Whether values of the output type may flow into the input.
+     */
+    static isCompatible(outputType, inputType) {
+        return outputType === 'any' || inputType === 'any' || outputType === inputType;
+    }
+
+    /**
+     * Finds the port a handle belongs to.
+     * @param {BaseNode} node - The node.
+     * @param {string} handleId - The handle ID.
+     * @returns {{id: string, name: string, type: string, direction: string}|null}
+     */
+    getPort(node, handleId) {
+        const parsed = Dataflow.parseHandle(handleId);
+        if (!node || !parsed) return null;
+
+        const ports = node.getPorts();
+        const list = parsed.direction === 'input' ? ports.inputs : ports.outputs;
+        const port = list.find(p => p.id === parsed.portId);
+        return port ? { ...port, direction: parsed.direction } : null;
+    }
+
+    /**
+     * Checks whether an edge may be created between two handles. Edges that don't
+     * connect two ports are purely visual and always allowed.
+     * @param {{startNodeId: string, startHandleId: string, endNodeId: string, endHandleId: string}} edgeData
+     * @returns {string|null} Why the connection isn't allowed, or null if it is.
+     */
+    checkConnection({ startNodeId, startHandleId, endNodeId, endHandleId }) {
+        const startPort = this.getPort(this.nodeUI.nodes.get(startNodeId), startHandleId);
+        const endPort = this.getPort(this.nodeUI.nodes.get(endNodeId), endHandleId);
+        if (!startPort || !endPort) return null;
+
+        if (startPort.direction !== 'output' || endPort.direction !== 'input') {
+            return 'Connect an output port to an input port';
+        }
+        if (!Dataflow.isCompatible(startPort.type, endPort.type)) {
+            return `Cannot connect ${startPort.type} output "${startPort.name || startPort.id}" to ${endPort.type} input "${endPort.name || endPort.id}"`;
+        }
+        if (this._isReachable(endNodeId, startNodeId)) {
+            return 'Connection would create a cycle';
+        }
+        return null;
+    }
+
+    /**
+     * Lists the edges of a node that the connect path would no longer allow, e.g.
+     * after the type of one of its ports changed.
+     * @param {string} nodeId - The node ID.
+     * @returns {BaseEdge[]}
+     */
+    getIncompatibleEdges(nodeId) {
+        const edgeIds = this.nodeUI.nodeEdges.get(nodeId) || new Set();
+        return Array.from(edgeIds)
+            .map(edgeId => this.nodeUI.edges.get(edgeId))
+            .filter(edge => edge && this.checkConnection(edge) !== null);
+    }
+
+    /**
+     * Returns the edge feeding an input port, if any.
+     * @param {string} nodeId - The node ID.
+     * @param {string} handleId - The input port's handle ID.
+     * @returns {BaseEdge|null}
+     */
+    getInputEdge(nodeId, handleId) {
+        const edgeIds = this.nodeUI.nodeEdges.get(nodeId) || new Set();
+        for (const edgeId of edgeIds) {
+            const edge = this.nodeUI.edges.get(edgeId);
+            if (edge && edge.endNodeId === nodeId && edge.endHandleId === handleId) {
+                return edge;
+            }
+        }
+        return null;
+    }
+
+    // --- Dirty Tracking ---
+
+    /**
+     * Marks a node as changed. It and everything downstream of it is re-evaluated
+     * once the current call stack has finished.
+     * @param {string} nodeId - The node ID.
+     */
+    markDirty(nodeId) {
+        this.dirty.add(nodeId);
+        if (this.isScheduled) return;
+
+        this.isScheduled = true;
+        queueMicrotask(() => {
+            this.isScheduled = false;
+            this.evaluate();
+        });
+    }
+
+    /**
+     * Marks the node an edge feeds as changed. Routing nodes are followed to the
+     * nodes they pass values on to.
+     * @param {BaseEdge} edge - An edge that was added or is about to be removed.
+     */
+    markEdgeDirty(edge) {
+        const visited = new Set();
+        const stack = [edge.endNodeId];
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            const node = this.nodeUI.nodes.get(nodeId);
+            if (!node || visited.has(nodeId)) continue;
+            visited.add(nodeId);
+
+            if (!(node instanceof RoutingNode)) {
+                this.markDirty(nodeId);
+                continue;
+            }
+            (this.nodeUI.nodeEdges.get(nodeId) || new Set()).forEach(edgeId => {
+                const outgoing = this.nodeUI.edges.get(edgeId);
+                if (outgoing && outgoing.startNodeId === nodeId) stack.push(outgoing.endNodeId);
+            });
+        }
+    }
+
+    /**
+     * Drops a removed node's cached result.
+     * @param {string} nodeId - The node ID.
+     */
+    forget(nodeId) {
+        this.cache.delete(nodeId);
+        this.dirty.delete(nodeId);
+    }
+
+    // --- Evaluation ---
+
+    /**
+     * Re-evaluates the dirty nodes and their downstream nodes in topological order.
+     * Nodes that are part of a cycle aren't run and report an error instead.
+     */
+    evaluate() {
+        const evaluated = this._run();
+        if (evaluated.length > 0) {
+            events.publish('dataflow:evaluated', { nodeIds: evaluated });
+        }
+    }
+
+    /**
+     * Re-evaluates every node with ports, ignoring the cache.
+     */
+    evaluateAll() {
+        this.nodeUI.nodes.forEach(node => {
+            if (this._hasPorts(node)) this.dirty.add(node.id);
+        });
+        this.evaluate();
+    }
+
+    /**
+     * Builds an evaluator for a serialized graph that isn't on the canvas, such as the
+     * internal graph of a subgraph node. The nodes are created once, without being rendered,
+     * and every node with ports starts out dirty. Keep the evaluator to re-run only the
+     * nodes marked dirty since the last runGraph() call.
+     * @param {{nodes: object[], edges: object[]}} graphData - The graph data.
+     * @returns {Dataflow} The evaluator. Its `nodeUI` is the context holding the created nodes.
+     */
+    static createGraphEvaluator(graphData) {
+        const context = { nodes: new Map(), edges: new Map(), nodeEdges: new Map() };
+        (graphData.nodes || []).forEach(nodeData => {
+            const node = nodeRegistry.create(nodeData);
+            context.nodes.set(node.id, node);
+            context.nodeEdges.set(node.id, new Set());
+        });
+        (graphData.edges || []).forEach(edgeData => {
+            if (!context.nodes.has(edgeData.startNodeId) || !context.nodes.has(edgeData.endNodeId)) return;
+            context.edges.set(edgeData.id, edgeData);
+            context.nodeEdges.get(edgeData.startNodeId).add(edgeData.id);
+            context.nodeEdges.get(edgeData.endNodeId).add(edgeData.id);
+        });
+
+        const evaluator = new Dataflow(context);
+        context.nodes.forEach(node => {
+            if (evaluator._hasPorts(node)) evaluator.dirty.add(node.id);
+        });
+        return evaluator;
+    }
+
+    /**
+     * Evaluates a serialized graph once. See createGraphEvaluator().
+     * @param {{nodes: object[], edges: object[]}} graphData - The graph data.
+     * @returns {Map<string, {node: BaseNode, result: object}>} Every node with ports and its result, keyed by node ID.
+     */
+    static evaluateGraphData(graphData) {
+        return Dataflow.createGraphEvaluator(graphData).runGraph();
+    }
+
+    /**
+     * Evaluates the dirty nodes of an evaluator built by createGraphEvaluator(). Unlike
+     * evaluate(), this runs synchronously and publishes nothing.
+     * @returns {Map<string, {node: BaseNode, result: object}>} Every node with ports and its latest result, keyed by node ID.
+     */
+    runGraph() {
+        this._run();
+        const results = new Map();
+        this.cache.forEach((result, nodeId) => {
+            results.set(nodeId, { node: this.nodeUI.nodes.get(nodeId), result });
+        });
+        return results;
+    }
+
+    /**
+     * Evaluates the dirty nodes and everything downstream of them.
+     * @returns {string[]} The IDs of the evaluated nodes.
+     * @private
+     */
+    _run() {
+        if (this.dirty.size === 0) return [];
+
+        const graph = this._buildGraph();
+        const pending = new Set();
+        const stack = Array.from(this.dirty);
+        this.dirty.clear();
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (pending.has(nodeId) || !graph.nodes.has(nodeId)) continue;
+            pending.add(nodeId);
+            graph.downstream.get(nodeId).forEach(id => stack.push(id));
+        }
+        if (pending.size === 0) return [];
+
+        const { order, cyclic } = this.topologicalSort(graph);
+        const evaluated = [];
+
+        order.forEach(nodeId => {
+            if (!pending.has(nodeId)) return;
+            this._evaluateNode(graph.nodes.get(nodeId), graph.inputs.get(nodeId));
+            evaluated.push(nodeId);
+        });
+
+        cyclic.forEach(nodeId => {
+            if (!pending.has(nodeId)) return;
+            this._setResult(graph.nodes.get(nodeId), { inputs: {}, outputs: {}, error: 'Node is part of a cycle' });
+            evaluated.push(nodeId);
+        });
+
+        return evaluated;
+    }
+
+    /**
+     * Sorts the dataflow graph so every node comes after the nodes it reads from (Kahn's algorithm).
+     * @param {object} graph - A graph built by _buildGraph().
+     * @returns {{order: string[], cyclic: string[]}} The sorted node IDs, and the IDs left over because they're on or behind a cycle.
+     */
+    topologicalSort(graph) {
+        const inDegree = new Map();
+        graph.nodes.forEach((node, nodeId) => inDegree.set(nodeId, 0));
+        graph.downstream.forEach(targets => {
+            targets.forEach(targetId => inDegree.set(targetId, inDegree.get(targetId) + 1));
+        });
+
+        const queue = [];
+        inDegree.forEach((degree, nodeId) => {
+            if (degree === 0) queue.push(nodeId);
+        });
+
+        const order = [];
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            order.push(nodeId);
+            graph.downstream.get(nodeId).forEach(targetId => {
+                inDegree.set(targetId, inDegree.get(targetId) - 1);
+                if (inDegree.get(targetId) === 0) queue.push(targetId);
+            });
+        }
+
+        const cyclic = Array.from(graph.nodes.keys()).filter(nodeId => inDegree.get(nodeId) > 0);
+        return { order, cyclic };
+    }
+
+    /**
+     * Returns a node's last evaluation result.
+     * @param {string} nodeId - The node ID.
+     * @returns {{inputs: object, outputs: object, error: string|null}|null}
+     */
+    getResult(nodeId) {
+        return this.cache.get(nodeId) || null;
+    }
+
+    /**
+     * Returns the last value of an output port.
+     * @param {string} nodeId - The node ID.
+     * @param {string} portId - The output port ID.
+     * @returns {*} The value, or undefined if the node hasn't been evaluated.
+     */
+    getOutputValue(nodeId, portId) {
+        const result = this.cache.get(nodeId);
+        return result ? result.outputs[portId] : undefined;
+    }
+
+    // --- Evaluation Helpers ---
+
+    /**
+     * Collects the nodes with ports and the port-to-port connections between them.
+     * Routing nodes are transparent: a chain of them between an output and an input
+     * counts as a direct connection.
+     * @returns {{nodes: Map<string, BaseNode>, inputs: Map<string, object[]>, downstream: Map<string, Set<string>>}}
+     * @private
+     */
+    _buildGraph() {
+        const graph = { nodes: new Map(), inputs: new Map(), downstream: new Map() };
+        this.nodeUI.nodes.forEach(node => {
+            if (!this._hasPorts(node)) return;
+            graph.nodes.set(node.id, node);
+            graph.inputs.set(node.id, []);
+            graph.downstream.set(node.id, new Set());
+        });
+
+        this.nodeUI.edges.forEach(edge => {
+            const endPort = Dataflow.parseHandle(edge.endHandleId);
+            if (!endPort || endPort.direction !== 'input' || !graph.nodes.has(edge.endNodeId)) return;
+
+            const source = this._resolveSource(edge, new Set());
+            if (!source || !graph.nodes.has(source.nodeId)) return;
+
+            graph.inputs.get(edge.endNodeId).push({
+                portId: endPort.portId,
+                sourceNodeId: source.nodeId,
+                sourcePortId: source.portId
+            });
+            graph.downstream.get(source.nodeId).add(edge.endNodeId);
+        });
+
+        return graph;
+    }
+
+    /**
+     * Follows an edge back to the output port it reads from, passing through routing nodes.
+     * @param {BaseEdge} edge - The edge.
+     * @param {Set<string>} visited - Routing nodes already passed, to stop at loops.
+     * @returns {{nodeId: string, portId: string}|null}
+     * @private
+     */
+    _resolveSource(edge, visited) {
+        const startPort = Dataflow.parseHandle(edge.startHandleId);
+        if (startPort) {
+            return startPort.direction === 'output' ? { nodeId: edge.startNodeId, portId: startPort.portId } : null;
+        }
+
+        const startNode = this.nodeUI.nodes.get(edge.startNodeId);
+        if (!(startNode instanceof RoutingNode) || visited.has(startNode.id)) return null;
+        visited.add(startNode.id);
+
+        const edgeIds = this.nodeUI.nodeEdges.get(startNode.id) || new Set();
+        for (const edgeId of edgeIds) {
+            const incoming = this.nodeUI.edges.get(edgeId);
+            if (incoming && incoming.endNodeId === startNode.id) {
+                const source = this._resolveSource(incoming, visited);
+                if (source) return source;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gathers a node's input values and runs its evaluate() method.
+     * @param {BaseNode} node - The node.
+     * @param {{portId: string, sourceNodeId: string, sourcePortId: string}[]} connections - The node's incoming connections.
+     * @private
+     */
+    _evaluateNode(node, connections) {
+        const inputs = {};
+        node.getPorts().inputs.forEach(port => {
+            const connection = connections.find(c => c.portId === port.id);
+            const value = connection ? this.getOutputValue(connection.sourceNodeId, connection.sourcePortId) : undefined;
+            inputs[port.id] = value !== undefined ? value : port.default;
+        });
+
+        let result;
+        try {
+            result = { inputs, outputs: node.evaluate(inputs) || {}, error: null };
+        } catch (error) {
+            result = { inputs, outputs: {}, error: error.message };
+        }
+        this._setResult(node, result);
+    }
+
+    /**
+     * Caches a result and hands it to the node for display.
+     * @param {BaseNode} node - The node.
+     * @param {{inputs: object, outputs: object, error: string|null}} result - The evaluation result.
+     * @private
+     */
+    _setResult(node, result) {
+        this.cache.set(node.id, result);
+        try {
+            node.onEvaluated(result);
+        } catch (error) {
+            console.error(`Error displaying the result of node ${node.id}:`, error);
+        }
+    }
+
+    /**
+     * @param {BaseNode} node
+     * @returns {boolean} Whether the node has any ports.
+     * @private
+     */
+    _hasPorts(node) {
+        const ports = node.getPorts();
+        return ports.inputs.length > 0 || ports.outputs.length > 0;
+    }
+
+    /**
+     * Whether `toNodeId` can be reached from `fromNodeId` by following dataflow connections.
+     * @param {string} fromNodeId - The node to start from.
+     * @param {string} toNodeId - The node to look for.
+     * @returns {boolean}
+     * @private
+     */
+    _isReachable(fromNodeId, toNodeId) {
+        const { downstream } = this._buildGraph();
+        const visited = new Set();
+        const stack = [fromNodeId];
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (nodeId === toNodeId) return true;
+            if (visited.has(nodeId) || !downstream.has(nodeId)) continue;
+            visited.add(nodeId);
+            downstream.get(nodeId).forEach(id => stack.push(id));
+        }
+        return false;
+    }
+}
+
+// Attach to window for global access
+window.Dataflow = Dataflow;
+window.PORT_TYPES = PORT_TYPES;
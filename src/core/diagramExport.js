@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Exports the graph or the selection as Mermaid flowchart, Graphviz DOT or
+ * PlantUML text, to paste into documentation or code review. Node titles, edge labels
+ * and arrowheads, groups and colors are kept; node content is not.
+ */
+
+class DiagramExporter {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        Object.keys(DiagramExporter.FORMATS).forEach(format => {
+            events.subscribe(`graph:export-${format}`, ({ selectionOnly = false, copy = false } = {}) => {
+                this.export(format, selectionOnly, copy);
+            });
+        });
+    }
+
+    /**
+     * The text formats, with their menu labels and file extensions.
+     * @type {Object<string, {label: string, extension: string}>}
+     */
+    static get FORMATS() {
+        return {
+            mermaid: { label: 'Mermaid', extension: 'mmd' },
+            dot: { label: 'DOT', extension: 'dot' },
+            plantuml: { label: 'PlantUML', extension: 'puml' }
+        };
+    }
+
+    /**
+     * Node colors as fill and stroke, taken from the theme's node colors on a white page.
+     * @type {Object<string, {fill: string, stroke: string}>}
+     */
+    static get COLORS() {
+        return {
+            red: { fill: '#fadadb', stroke: '#e5484d' },
+            green: { fill: '#d8f5e8', stroke: '#3ecf8e' },
+            blue: { fill: '#cce9ff', stroke: '#0090ff' },
+            yellow: { fill: '#fef4dc', stroke: '#f9c74f' },
+            purple: { fill: '#ebdcf8', stroke: '#9d4edd' }
+        };
+    }
+
+    /**
+     * Copies the graph or the selection to the clipboard, or downloads it, as text.
+     * @param {string} format - One of the keys of DiagramExporter.FORMATS.
+     * @param {boolean} [selectionOnly=false] - Export only the selected nodes.
+     * @param {boolean} [copy=false] - Copy to the clipboard instead of downloading.
+     */
+    export(format, selectionOnly = false, copy = false) {
+        const definition = DiagramExporter.FORMATS[format];
+        if (!definition) {
+            console.warn(`Unknown diagram format "${format}"`);
+            return;
+        }
+        const text = this.toText(format, selectionOnly);
+        if (text === null) return;
+
+        if (copy) {
+            navigator.clipboard.writeText(text).then(() => {
+                events.publish('log:info', `Copied the graph to the clipboard as ${definition.label}.`);
+            }).catch(error => {
+                console.error('Failed to copy to the clipboard:', error);
+            });
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.nodeUI.projectName || 'graph'}.${definition.extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Writes the graph or the selection as text.
+     * @param {string} format - One of the keys of DiagramExporter.FORMATS.
+     * @param {boolean} [selectionOnly=false] - Export only the selected nodes.
+     * @returns {string|null} The text, or null if there is nothing to export.
+     */
+    toText(format, selectionOnly = false) {
+        const diagram = this._collect(selectionOnly);
+        if (diagram.nodes.length === 0 && diagram.groups.length === 0) {
+            console.warn('Nothing to export.');
+            return null;
+        }
+        switch (format) {
+            case 'dot':
+                return this._writeDot(diagram);
+            case 'plantuml':
+                return this._writePlantUml(diagram);
+            default:
+                return this._writeMermaid(diagram);
+        }
+    }
+
+    /**
+     * Builds the menu entries for the canvas context menu.
+     * @param {boolean} selectionOnly - Whether the entries export only the selection.
+     * @returns {{label: string, iconClass: string, action: function}[]}
+     */
+    getMenuItems(selectionOnly) {
+        const formats = Object.entries(DiagramExporter.FORMATS);
+        return [
+            ...formats.map(([format, { label }]) => ({
+                label: `Copy as ${label}`,
+                iconClass: 'icon-copy',
+                action: () => events.publish(`graph:export-${format}`, { selectionOnly, copy: true })
+            })),
+            { isSeparator: true },
+            ...formats.map(([format, { label, extension }]) => ({
+                label: `Download ${label} (.${extension})`,
+                iconClass: 'icon-download',
+                action: () => events.publish(`graph:export-${format}`, { selectionOnly })
+            }))
+        ];
+    }
+
+    // --- Collecting ---
+
+    /**
+     * Collects what gets exported. Pinned nodes are left out, a selected group brings
+     * the nodes inside it, and edges running through routing nodes are joined into one
+     * edge between the nodes at either end. Nodes and groups get short IDs such as `n1`
+     * and `g1`, as the formats restrict which characters an ID may contain.
+     * @param {boolean} selectionOnly - Export only the selected nodes.
+     * @returns {{title: string, direction: string, nodes: object[], groups: object[], edges: object[]}}
+     * @private
+     */
+    _collect(selectionOnly) {
+        let candidates = Array.from(this.nodeUI.nodes.values());
+        if (selectionOnly) {
+            const selected = new Set();
+            this.nodeUI.selectedNodes.forEach(nodeId => {
+                const node = this.nodeUI.nodes.get(nodeId);
+                if (!node) return;
+                selected.add(node);
+                if (node instanceof GroupNode) {
+                    this.nodeUI.nodeManager.getAllContainedNodes(node).forEach(member => selected.add(member));
+                }
+            });
+            candidates = Array.from(selected);
+        }
+        const exported = new Map(candidates.filter(node => !node.isPinned).map(node => [node.id, node]));
+
+        const ids = new Map();  // Node ID -> ID in the text
+        const nodes = [];
+        const groups = [];
+        exported.forEach(node => {
+            if (node instanceof RoutingNode) return;
+            const isGroup = node instanceof GroupNode;
+            const list = isGroup ? groups : nodes;
+            const id = `${isGroup ? 'g' : 'n'}${list.length + 1}`;
+            ids.set(node.id, id);
+            list.push({ id, title: node.title || '', color: node.color, parent: null, node });
+        });
+
+        // A node belongs to the innermost exported group that contains it
+        groups.forEach(group => {
+            group.node.containedNodeIds.forEach(childId => {
+                const child = nodes.find(item => item.node.id === childId) || groups.find(item => item.node.id === childId);
+                if (child) child.parent = group.id;
+            });
+        });
+
+        const routedEdges = this._joinRoutedEdges(exported);
+        const edges = routedEdges.map(edge => ({ ...edge, from: ids.get(edge.from), to: ids.get(edge.to) }));
+
+        return {
+            title: this.nodeUI.projectName || '',
+            direction: this._getDirection(routedEdges.map(edge => [exported.get(edge.from), exported.get(edge.to)])),
+            nodes,
+            groups,
+            edges
+        };
+    }
+
+    /**
+     * Lists the edges between exported nodes, replacing each path through routing nodes
+     * with a single edge. The first segment's label, line and color are used, and the
+     * last segment's end arrow.
+     * @param {Map<string, BaseNode>} exported - The exported nodes by ID.
+     * @returns {object[]} The edges, with `from` and `to` node IDs.
+     * @private
+     */
+    _joinRoutedEdges(exported) {
+        const isRouting = nodeId => exported.get(nodeId) instanceof RoutingNode;
+        const outgoing = new Map();
+        const visibleEdges = Array.from(this.nodeUI.edges.values()).filter(edge =>
+            exported.has(edge.startNodeId) && exported.has(edge.endNodeId)
+        );
+        visibleEdges.forEach(edge => {
+            if (!outgoing.has(edge.startNodeId)) outgoing.set(edge.startNodeId, []);
+            outgoing.get(edge.startNodeId).push(edge);
+        });
+
+        const edges = [];
+        visibleEdges.filter(edge => !isRouting(edge.startNodeId)).forEach(first => {
+            const startNode = exported.get(first.startNodeId);
+            const follow = (segment, label, visited) => {
+                if (!isRouting(segment.endNodeId)) {
+                    edges.push({
+                        from: first.startNodeId,
+                        to: segment.endNodeId,
+                        label,
+                        startArrow: first.startArrow,
+                        endArrow: segment.endArrow,
+                        dashPattern: first.dashPattern,
+                        strokeWidth: first.strokeWidth,
+                        color: first.color || startNode.color
+                    });
+                    return;
+                }
+                if (visited.has(segment.endNodeId)) return;
+                visited.add(segment.endNodeId);
+                (outgoing.get(segment.endNodeId) || []).forEach(next => follow(next, label || next.label || '', visited));
+            };
+            follow(first, first.label || '', new Set());
+        });
+        return edges;
+    }
+
+    /**
+     * Picks the direction the graph mostly flows in, from where its edges point.
+     * @param {Array<[BaseNode, BaseNode]>} pairs - The start and end node of each edge.
+     * @returns {string} 'LR' or 'TB'.
+     * @private
+     */
+    _getDirection(pairs) {
+        let horizontal = 0, vertical = 0;
+        pairs.forEach(([from, to]) => {
+            horizontal += Math.abs((to.x + to.width / 2) - (from.x + from.width / 2));
+            vertical += Math.abs((to.y + to.height / 2) - (from.y + from.height / 2));
+        });
+        return horizontal > vertical ? 'LR' : 'TB';
+    }
+
+    /**
+     * Calls a writer for each group and node in nesting order, so containers can wrap
+     * their contents.
+     * @param {object} diagram - The collected diagram.
+     * @param {function(object, number): string[]} writeNode - Writes a node at a depth.
+     * @param {function(object, number, string[]): string[]} writeGroup - Writes a group around its written contents.
+     * @returns {string[]} The lines.
+     * @private
+     */
+    _writeTree(diagram, writeNode, writeGroup) {
+        const writeChildren = (parentId, depth) => [
+            ...diagram.groups
+                .filter(group => group.parent === parentId)
+                .flatMap(group => writeGroup(group, depth, writeChildren(group.id, depth + 1))),
+            ...diagram.nodes
+                .filter(node => node.parent === parentId)
+                .flatMap(node => writeNode(node, depth))
+        ];
+        return writeChildren(null, 1);
+    }
+
+    // --- Mermaid ---
+
+    /**
+     * Writes a Mermaid flowchart. Colors become `style` and `linkStyle` statements.
+     * @param {object} diagram - The collected diagram.
+     * @returns {string}
+     * @private
+     */
+    _writeMermaid(diagram) {
+        const quote = text => `"${text.replace(/"/g, '#quot;').replace(/\n/g, '<br>')}"`;
+        const indent = depth => '    '.repeat(depth);
+        const lines = [];
+        if (diagram.title) lines.push('---', `title: ${JSON.stringify(diagram.title)}`, '---');
+        lines.push(`flowchart ${diagram.direction}`);
+
+        lines.push(...this._writeTree(
+            diagram,
+            (node, depth) => [`${indent(depth)}${node.id}[${quote(node.title || ' ')}]`],
+            (group, depth, contents) => [
+                `${indent(depth)}subgraph ${group.id} [${quote(group.title || ' ')}]`,
+                ...contents,
+                `${indent(depth)}end`
+            ]
+        ));
+
+        const heads = { arrow: ['<', '>'], circle: ['o', 'o'], diamond: ['<', '>'], none: ['', ''] };
+        diagram.edges.forEach(edge => {
+            // Mermaid has no start-only arrow, so such an edge is written backwards
+            const reversed = edge.startArrow !== 'none' && edge.endArrow === 'none';
+            const [from, to] = reversed ? [edge.to, edge.from] : [edge.from, edge.to];
+            const [startArrow, endArrow] = reversed ? ['none', edge.startArrow] : [edge.startArrow, edge.endArrow];
+            const start = (heads[startArrow] || heads.arrow)[0];
+            const end = (heads[endArrow] || heads.arrow)[1];
+
+            let line;
+            if (edge.dashPattern !== 'solid') {
+                line = '-.-';
+            } else if (edge.strokeWidth >= 4) {
+                line = start || end ? '==' : '===';
+            } else {
+                line = start || end ? '--' : '---';
+            }
+            const label = edge.label ? `|${quote(edge.label)}|` : '';
+            lines.push(`    ${from} ${start}${line}${end}${label} ${to}`);
+        });
+
+        [...diagram.groups, ...diagram.nodes].forEach(item => {
+            const color = DiagramExporter.COLORS[item.color];
+            if (color) lines.push(`    style ${item.id} fill:${color.fill},stroke:${color.stroke}`);
+        });
+        diagram.edges.forEach((edge, index) => {
+            const color = DiagramExporter.COLORS[edge.color];
+            if (color) lines.push(`    linkStyle ${index} stroke:${color.stroke}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    // --- DOT ---
+
+    /**
+     * Writes a Graphviz digraph with groups as clusters. An edge to a group is drawn to
+     * the group's first node and clipped at the cluster's frame.
+     * @param {object} diagram - The collected diagram.
+     * @returns {string}
+     * @private
+     */
+    _writeDot(diagram) {
+        const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const indent = depth => '    '.repeat(depth);
+        const attributes = list => {
+            const pairs = Object.entries(list).filter(([, value]) => value !== undefined);
+            return pairs.length > 0 ? ` [${pairs.map(([key, value]) => `${key}=${value}`).join(', ')}]` : '';
+        };
+        const clusterId = group => `cluster_${group.id.slice(1)}`;
+
+        const lines = [`digraph ${quote(diagram.title || 'graph')} {`];
+        if (diagram.direction === 'LR') lines.push('    rankdir=LR;');
+        lines.push('    node [shape=box, style="rounded,filled", fillcolor=white];');
+
+        lines.push(...this._writeTree(
+            diagram,
+            (node, depth) => {
+                const color = DiagramExporter.COLORS[node.color];
+                return [`${indent(depth)}${node.id}${attributes({
+                    label: quote(node.title),
+                    fillcolor: color && quote(color.fill),
+                    color: color && quote(color.stroke)
+                })};`];
+            },
+            (group, depth, contents) => {
+                const color = DiagramExporter.COLORS[group.color];
+                return [
+                    `${indent(depth)}subgraph ${clusterId(group)} {`,
+                    `${indent(depth + 1)}label=${quote(group.title)};`,
+                    `${indent(depth + 1)}style=${color ? '"rounded,filled"' : 'rounded'};`,
+                    ...(color ? [`${indent(depth + 1)}fillcolor=${quote(color.fill)};`, `${indent(depth + 1)}color=${quote(color.stroke)};`] : []),
+                    ...contents,
+                    `${indent(depth)}}`
+                ];
+            }
+        ));
+
+        // Edges to a group are drawn to a node inside it and clipped at the cluster
+        const firstNodeIn = (groupId) => {
+            const node = diagram.nodes.find(item => item.parent === groupId);
+            if (node) return node.id;
+            const nested = diagram.groups.find(item => item.parent === groupId);
+            return nested ? firstNodeIn(nested.id) : null;
+        };
+        const endpoint = (id) => {
+            const group = diagram.groups.find(item => item.id === id);
+            return group ? { id: firstNodeIn(id), cluster: clusterId(group) } : { id, cluster: undefined };
+        };
+
+        const shapes = { arrow: 'normal', circle: 'dot', diamond: 'diamond', none: 'none' };
+        let compound = false;
+        diagram.edges.forEach(edge => {
+            const from = endpoint(edge.from);
+            const to = endpoint(edge.to);
+            if (!from.id || !to.id) return;
+            compound = compound || !!from.cluster || !!to.cluster;
+
+            const hasStart = edge.startArrow !== 'none';
+            const hasEnd = edge.endArrow !== 'none';
+            const dir = hasStart ? (hasEnd ? 'both' : 'back') : (hasEnd ? undefined : 'none');
+            const color = DiagramExporter.COLORS[edge.color];
+            lines.push(`    ${from.id} -> ${to.id}${attributes({
+                label: edge.label ? quote(edge.label) : undefined,
+                dir,
+                arrowtail: hasStart && edge.startArrow !== 'arrow' ? shapes[edge.startArrow] : undefined,
+                arrowhead: hasEnd && edge.endArrow !== 'arrow' ? shapes[edge.endArrow] : undefined,
+                style: edge.dashPattern !== 'solid' ? edge.dashPattern : undefined,
+                penwidth: edge.strokeWidth !== 2 ? edge.strokeWidth / 2 : undefined,
+                color: color && quote(color.stroke),
+                ltail: from.cluster,
+                lhead: to.cluster
+            })};`);
+        });
+        if (compound) lines.splice(1, 0, '    compound=true;');
+
+        lines.push('}');
+        return `${lines.join('\n')}\n`;
+    }
+
+    // --- PlantUML ---
+
+    /**
+     * Writes a PlantUML diagram of rectangles, with groups as rectangles around their
+     * contents. PlantUML draws every arrowhead as an arrow.
+     * @param {object} diagram - The collected diagram.
+     * @returns {string}
+     * @private
+     */
+    _writePlantUml(diagram) {
+        // PlantUML strings have no escape for double quotes
+        const quote = text => `"${text.replace(/"/g, '\'').replace(/\n/g, '\\n')}"`;
+        const indent = depth => '  '.repeat(depth);
+        const fill = item => {
+            const color = DiagramExporter.COLORS[item.color];
+            return color ? ` ${color.fill}` : '';
+        };
+
+        const lines = ['@startuml'];
+        if (diagram.title) lines.push(`title ${diagram.title.replace(/\n/g, ' ')}`);
+        if (diagram.direction === 'LR') lines.push('left to right direction');
+        lines.push('skinparam rectangle {', '  RoundCorner 8', '}');
+
+        lines.push(...this._writeTree(
+            diagram,
+            (node, depth) => [`${indent(depth - 1)}rectangle ${quote(node.title || ' ')} as ${node.id}${fill(node)}`],
+            (group, depth, contents) => [
+                `${indent(depth - 1)}rectangle ${quote(group.title || ' ')} as ${group.id}${fill(group)} {`,
+                ...contents,
+                `${indent(depth - 1)}}`
+            ]
+        ));
+
+        diagram.edges.forEach(edge => {
+            const color = DiagramExporter.COLORS[edge.color];
+            const style = [
+                color && color.stroke,
+                edge.dashPattern !== 'solid' ? edge.dashPattern : null,
+                edge.strokeWidth !== 2 ? `thickness=${edge.strokeWidth}` : null
+            ].filter(Boolean);
+            const line = style.length > 0 ? `-[${style.join(',')}]-` : '--';
+            const start = edge.startArrow !== 'none' ? '<' : '';
+            const end = edge.endArrow !== 'none' ? '>' : '';
+            const label = edge.label ? ` : ${edge.label.replace(/\n/g, '\\n')}` : '';
+            lines.push(`${edge.from} ${start}${line}${end} ${edge.to}${label}`);
+        });
+
+        lines.push('@enduml');
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Attach to window for global access
+window.DiagramExporter = DiagramExporter;
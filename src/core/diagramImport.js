@@ -0,0 +1,841 @@
+/**
+ * @fileoverview Imports Mermaid flowcharts and Graphviz DOT graphs. The text is parsed
+ * into nodes, groups and edges, laid out with the layered layout in the diagram's own
+ * direction and created as one undo step: nodes become BaseNodes titled with their
+ * labels, subgraphs and clusters become GroupNodes and edge labels carry over.
+ */
+
+class DiagramImporter {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.groupPadding = 40;     // Space between a group's frame and its contents
+        this.titleBarHeight = 48;   // Height of a group's title bar
+        this.minNodeWidth = 200;
+        this.maxNodeWidth = 320;
+        this.nodeHeight = 120;
+    }
+
+    /**
+     * Mermaid node shapes, as the opening bracket and the brackets that may close it.
+     * Longer openers come first so `((` is not read as `(`.
+     * @type {Array<[string, string[]]>}
+     */
+    static get MERMAID_SHAPES() {
+        return [
+            ['(((', [')))']],
+            ['([', ['])']],
+            ['[[', [']]']],
+            ['[(', [')]']],
+            ['((', ['))']],
+            ['{{', ['}}']],
+            ['[/', ['/]', '\\]']],
+            ['[\\', ['\\]', '/]']],
+            ['>', [']']],
+            ['[', [']']],
+            ['(', [')']],
+            ['{', ['}']]
+        ];
+    }
+
+    /**
+     * Tells which diagram language a text is written in. Mermaid keywords are
+     * case-sensitive, as in Mermaid itself.
+     * @param {string} text - The text to inspect.
+     * @param {boolean} [strict=false] - For text that may just be a note, such as pasted text:
+     *   a Mermaid flowchart also needs a direction or at least one link.
+     * @returns {string|null} 'mermaid', 'dot', or null if it is neither.
+     */
+    static detect(text, strict = false) {
+        const source = DiagramImporter._stripPreamble(text);
+        if (/^(?:strict\s+)?(?:di)?graph(?:\s+("[^"]*"|[\w.]+))?\s*\{/i.test(source)) return 'dot';
+        const header = /^(?:graph|flowchart)(?:[ \t]+(TB|TD|BT|RL|LR))?[ \t]*(?:;|\n|$)/.exec(source);
+        if (header && (!strict || header[1] || /--[->ox.]|==[=>]|-\.-|~~~/.test(source.slice(header[0].length)))) {
+            return 'mermaid';
+        }
+        return null;
+    }
+
+    /**
+     * Removes what may precede the diagram itself: a Markdown code fence, Mermaid
+     * front matter and directives, and leading comments.
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    static _stripPreamble(text) {
+        return text
+            .trim()
+            .replace(/^```[\w-]*[ \t]*\n([\s\S]*?)\n?```$/, '$1')
+            .replace(/^---\n[\s\S]*?\n---[ \t]*\n/, '')
+            .replace(/^(?:\s*(?:%%[^\n]*|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*))*\s*/, '');
+    }
+
+    /**
+     * Imports a Mermaid flowchart or DOT graph centred on a canvas position.
+     * @param {string} text - The diagram source.
+     * @param {{x: number, y: number}} position - Where to centre the imported graph.
+     * @param {boolean} [strict=false] - Only take the text for a diagram if it clearly is one. See detect().
+     * @returns {boolean} True if the text was a diagram and got imported.
+     */
+    importText(text, position, strict = false) {
+        const format = DiagramImporter.detect(text, strict);
+        if (!format) return false;
+
+        let model;
+        try {
+            model = format === 'dot' ? this.parseDot(text) : this.parseMermaid(text);
+        } catch (error) {
+            console.error('Failed to parse diagram:', error);
+            alert(`Could not import the ${format === 'dot' ? 'DOT' : 'Mermaid'} diagram: ${error.message}`);
+            return true;
+        }
+        if (model.nodes.size === 0 && model.groups.size === 0) {
+            console.warn('The diagram has no nodes to import.');
+            return false;
+        }
+
+        this._create(model, this._layout(model), position);
+        events.publish('log:info', `Imported ${format === 'dot' ? 'DOT' : 'Mermaid'} diagram with ${model.nodes.size} nodes and ${model.edges.length} edges.`);
+        return true;
+    }
+
+    // --- Model ---
+
+    /**
+     * Creates an empty diagram model.
+     * @returns {{direction: string, nodes: Map<string, object>, groups: Map<string, object>, edges: object[]}}
+     * @private
+     */
+    _createModel() {
+        return {
+            direction: 'TB',
+            nodes: new Map(),   // ID -> {id, label, parent}
+            groups: new Map(),  // ID -> {id, label, parent}
+            edges: []           // {from, to, label, startArrow, endArrow, dashPattern, strokeWidth}
+        };
+    }
+
+    /**
+     * Adds a node to the model, or updates one mentioned before. A node belongs to the
+     * first group it is mentioned in, even if it was mentioned outside any group earlier.
+     * @param {object} model - The diagram model.
+     * @param {string} id - The node's ID in the diagram.
+     * @param {string|null} label - Its label, or null to keep the current one.
+     * @param {string|null} groupId - The group it is mentioned in.
+     * @private
+     */
+    _addNode(model, id, label, groupId) {
+        let node = model.nodes.get(id);
+        if (!node) {
+            node = { id, label: null, parent: null };
+            model.nodes.set(id, node);
+        }
+        if (label !== null) node.label = label;
+        if (groupId && !node.parent) node.parent = groupId;
+    }
+
+    /**
+     * Finishes a parsed model: a node that only stands for a group (an edge pointing at a
+     * subgraph) is dropped in favour of the group, and unlabelled nodes use their IDs.
+     * @param {object} model - The diagram model.
+     * @returns {object} The model.
+     * @private
+     */
+    _finishModel(model) {
+        model.nodes.forEach((node, id) => {
+            if (model.groups.has(id) && node.label === null) {
+                model.nodes.delete(id);
+            } else if (node.label === null) {
+                node.label = id;
+            }
+        });
+        model.edges = model.edges.filter(edge =>
+            (model.nodes.has(edge.from) || model.groups.has(edge.from)) &&
+            (model.nodes.has(edge.to) || model.groups.has(edge.to))
+        );
+        return model;
+    }
+
+    /**
+     * Turns a diagram label into a single-line title.
+     * @param {string} label
+     * @returns {string}
+     * @private
+     */
+    _cleanLabel(label) {
+        return label
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/#quot;/g, '"')
+            .replace(/^`|`$/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // --- Mermaid ---
+
+    /**
+     * Parses a Mermaid flowchart: nodes in any shape, chained links with or without
+     * labels, `&` to link several nodes at once and nested subgraphs. Styling
+     * statements are ignored.
+     * @param {string} text - The Mermaid source, starting with `graph` or `flowchart`.
+     * @returns {object} The diagram model.
+     */
+    parseMermaid(text) {
+        const model = this._createModel();
+        const statements = this._splitMermaidStatements(DiagramImporter._stripPreamble(text));
+
+        const header = /^(?:graph|flowchart)(?:\s+(TB|TD|BT|RL|LR))?$/.exec(statements.shift() || '');
+        if (!header) throw new Error('Expected "graph" or "flowchart" at the start.');
+        const direction = header[1] || 'TB';
+        model.direction = direction === 'TD' ? 'TB' : direction;
+
+        const groupStack = [];
+        let anonymousCount = 0;
+        statements.forEach(statement => {
+            const groupId = groupStack.length > 0 ? groupStack[groupStack.length - 1] : null;
+
+            const subgraph = /^subgraph\b\s*(.*)$/.exec(statement);
+            if (subgraph) {
+                const group = this._parseMermaidSubgraph(subgraph[1], () => `subgraph${++anonymousCount}`);
+                model.groups.set(group.id, { ...group, parent: groupId });
+                groupStack.push(group.id);
+                return;
+            }
+            if (statement === 'end') {
+                groupStack.pop();
+                return;
+            }
+            if (/^(?:classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/.test(statement)) {
+                return;
+            }
+            this._parseMermaidChain(statement, model, groupId);
+        });
+        return this._finishModel(model);
+    }
+
+    /**
+     * Splits Mermaid source into statements at line breaks and semicolons outside
+     * quotes, dropping comments and blank lines.
+     * @param {string} source
+     * @returns {string[]}
+     * @private
+     */
+    _splitMermaidStatements(source) {
+        const statements = [];
+        source.split('\n').forEach(line => {
+            if (/^\s*%%/.test(line)) return;
+            let current = '';
+            let inQuotes = false;
+            for (const char of line) {
+                if (char === '"') inQuotes = !inQuotes;
+                if (char === ';' && !inQuotes) {
+                    statements.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            statements.push(current);
+        });
+        return statements.map(statement => statement.trim()).filter(statement => statement);
+    }
+
+    /**
+     * Reads a subgraph header: `id`, `id [Title]`, `"Title"` or a title with spaces.
+     * @param {string} header - The text after `subgraph`.
+     * @param {function(): string} createId - Makes an ID for a subgraph that has none.
+     * @returns {{id: string, label: string}}
+     * @private
+     */
+    _parseMermaidSubgraph(header, createId) {
+        const unquote = value => value.trim().replace(/^"(.*)"$/, '$1');
+        const titled = /^([\w-]+)\s*\[(.*)\]$/.exec(header);
+        if (titled) return { id: titled[1], label: this._cleanLabel(unquote(titled[2])) };
+        if (!header || /^".*"$/.test(header)) {
+            return { id: createId(), label: this._cleanLabel(unquote(header)) || 'Subgraph' };
+        }
+        return { id: header, label: this._cleanLabel(header) };
+    }
+
+    /**
+     * Parses a statement of nodes joined by links, such as `A & B --> C -- yes --> D`.
+     * @param {string} statement
+     * @param {object} model - The diagram model to add to.
+     * @param {string|null} groupId - The subgraph the statement is in.
+     * @private
+     */
+    _parseMermaidChain(statement, model, groupId) {
+        let rest = statement;
+        const readNodes = () => {
+            const ids = [];
+            do {
+                const node = this._readMermaidNode(rest.replace(/^\s*&/, ''));
+                if (!node) return null;
+                this._addNode(model, node.id, node.label, groupId);
+                ids.push(node.id);
+                rest = node.rest;
+            } while (/^\s*&/.test(rest));
+            return ids;
+        };
+
+        let fromIds = readNodes();
+        while (fromIds && rest.trim()) {
+            const link = this._readMermaidLink(rest);
+            if (!link) break;
+            rest = link.rest;
+            const toIds = readNodes();
+            if (!toIds) break;
+            if (link.edge) {
+                fromIds.forEach(from => toIds.forEach(to => model.edges.push({ from, to, ...link.edge })));
+            }
+            fromIds = toIds;
+        }
+        if (!fromIds || rest.trim()) {
+            console.warn(`Skipping unsupported Mermaid statement: ${statement}`);
+        }
+    }
+
+    /**
+     * Reads a node reference with an optional shape and label, e.g. `A`, `A[Label]`
+     * or `A(("Label")):::class`.
+     * @param {string} source
+     * @returns {{id: string, label: string|null, rest: string}|null} Null if there is no node.
+     * @private
+     */
+    _readMermaidNode(source) {
+        const match = /^\s*([\w\u00C0-\uFFFF]+)/.exec(source);
+        if (!match) return null;
+
+        const id = match[1];
+        let rest = source.slice(match[0].length);
+        let label = null;
+        const shape = DiagramImporter.MERMAID_SHAPES.find(([open]) => rest.startsWith(open));
+        if (shape) {
+            const [open, closers] = shape;
+            rest = rest.slice(open.length);
+            const quoted = /^\s*"([^"]*)"\s*/.exec(rest);
+            let end;
+            if (quoted) {
+                label = quoted[1];
+                rest = rest.slice(quoted[0].length);
+                end = closers.some(closer => rest.startsWith(closer)) ? 0 : -1;
+            } else {
+                const ends = closers.map(closer => rest.indexOf(closer)).filter(index => index >= 0);
+                end = ends.length > 0 ? Math.min(...ends) : -1;
+                label = rest.slice(0, end);
+            }
+            if (end < 0) return null;
+            const closer = closers.find(candidate => rest.startsWith(candidate, end));
+            rest = rest.slice(end + closer.length);
+            label = this._cleanLabel(label);
+        }
+        rest = rest.replace(/^:::[\w-]+/, '');
+        return { id, label, rest };
+    }
+
+    /**
+     * Reads a link such as `-->`, `-.->`, `==>`, `<-->`, `--o`, `-- text -->` or
+     * `-->|text|`. Invisible links (`~~~`) are read but produce no edge.
+     * @param {string} source
+     * @returns {{edge: object|null, rest: string}|null} Null if there is no link.
+     * @private
+     */
+    _readMermaidLink(source) {
+        let start, line, end, label = '';
+        const withText = /^\s*([<ox]?)(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.+-)(>|[ox](?=[\s|]|$))?\s*/.exec(source);
+        const plain = /^\s*([<ox]?)(-{2,}|={2,}|-?\.+-|~{3,})(>|[ox](?=[\s|]|$))?\s*/.exec(source);
+        let rest;
+        if (withText) {
+            [, start, line, label, , end] = withText;
+            rest = source.slice(withText[0].length);
+        } else if (plain) {
+            [, start, line, end] = plain;
+            rest = source.slice(plain[0].length);
+            const piped = /^\|(?:"([^"]*)"|([^|]*))\|\s*/.exec(rest);
+            if (piped) {
+                label = piped[1] !== undefined ? piped[1] : piped[2];
+                rest = rest.slice(piped[0].length);
+            }
+        } else {
+            return null;
+        }
+        if (line.startsWith('~')) return { edge: null, rest };
+
+        const arrow = head => ({ '<': 'arrow', '>': 'arrow', o: 'circle', x: 'arrow' })[head] || 'none';
+        return {
+            edge: {
+                label: this._cleanLabel(label.replace(/^"(.*)"$/, '$1')),
+                startArrow: arrow(start),
+                endArrow: arrow(end),
+                dashPattern: line.includes('.') ? 'dashed' : 'solid',
+                strokeWidth: line.includes('=') ? 4 : 2
+            },
+            rest
+        };
+    }
+
+    // --- DOT ---
+
+    /**
+     * Parses a Graphviz DOT graph: node and edge statements with their attributes,
+     * default attributes, and subgraphs. Only clusters (subgraphs named `cluster…`)
+     * become groups, as they are the only subgraphs Graphviz draws.
+     * @param {string} text - The DOT source.
+     * @returns {object} The diagram model.
+     */
+    parseDot(text) {
+        const model = this._createModel();
+        model.direction = 'TB';
+        const tokens = this._tokenizeDot(text);
+        let index = 0;
+
+        const peek = (offset = 0) => tokens[index + offset] || { type: 'end', value: '' };
+        const isKeyword = (token, keyword) => token.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+        const accept = (type) => (peek().type === type ? tokens[index++] : null);
+        const expect = (type) => {
+            const token = accept(type);
+            if (!token) throw new Error(`Expected "${type === 'id' ? 'an identifier' : type}" but found "${peek().value || peek().type}".`);
+            return token;
+        };
+
+        if (isKeyword(peek(), 'strict')) index++;
+        const kind = expect('id');
+        if (!isKeyword(kind, 'graph') && !isKeyword(kind, 'digraph')) {
+            throw new Error('Expected "graph" or "digraph" at the start.');
+        }
+        const directed = isKeyword(kind, 'digraph');
+        accept('id');
+
+        const readAttributes = () => {
+            const attributes = {};
+            while (accept('[')) {
+                while (!accept(']')) {
+                    const key = expect('id').value;
+                    attributes[key] = accept('=') ? expect('id').value : 'true';
+                    accept(',') || accept(';');
+                }
+            }
+            return attributes;
+        };
+
+        const addMember = (scope, id) => {
+            for (let current = scope; current; current = current.parent) current.members.add(id);
+        };
+
+        const readNodeId = (scope) => {
+            const id = expect('id').value;
+            // Ports and compass points are not kept
+            if (accept(':')) {
+                expect('id');
+                if (accept(':')) expect('id');
+            }
+            this._addNode(model, id, null, scope.groupId);
+            addMember(scope, id);
+            return id;
+        };
+
+        const setGraphAttribute = (scope, key, value) => {
+            if (key === 'label' && scope.groupId) {
+                model.groups.get(scope.groupId).label = this._cleanDotLabel(value, scope.groupId);
+            } else if (key === 'rankdir' && !scope.parent) {
+                const direction = value.toUpperCase();
+                if (['TB', 'BT', 'LR', 'RL'].includes(direction)) model.direction = direction;
+            }
+        };
+
+        let readStatements;
+        const readSubgraph = (scope) => {
+            let name = null;
+            if (isKeyword(peek(), 'subgraph')) {
+                index++;
+                if (peek().type === 'id') name = tokens[index++].value;
+            }
+            expect('{');
+
+            const isCluster = name !== null && /^cluster/i.test(name);
+            if (isCluster && !model.groups.has(name)) {
+                model.groups.set(name, {
+                    id: name,
+                    label: name.replace(/^cluster[_-]?/i, '') || name,
+                    parent: scope.groupId
+                });
+            }
+            const child = {
+                parent: scope,
+                groupId: isCluster ? name : scope.groupId,
+                nodeDefaults: { ...scope.nodeDefaults },
+                edgeDefaults: { ...scope.edgeDefaults },
+                members: new Set()
+            };
+            readStatements(child);
+            expect('}');
+            return Array.from(child.members);
+        };
+
+        const readOperand = (scope) => {
+            if (peek().type === '{' || isKeyword(peek(), 'subgraph')) return readSubgraph(scope);
+            return [readNodeId(scope)];
+        };
+
+        const readStatement = (scope) => {
+            const token = peek();
+            if (token.type === 'id' && ['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) && peek(1).type === '[') {
+                index++;
+                const attributes = readAttributes();
+                if (isKeyword(token, 'graph')) {
+                    Object.entries(attributes).forEach(([key, value]) => setGraphAttribute(scope, key, value));
+                } else {
+                    Object.assign(isKeyword(token, 'node') ? scope.nodeDefaults : scope.edgeDefaults, attributes);
+                }
+                return;
+            }
+            if (token.type === 'id' && peek(1).type === '=') {
+                index += 2;
+                setGraphAttribute(scope, token.value, expect('id').value);
+                return;
+            }
+
+            const operands = [readOperand(scope)];
+            if (peek().type !== 'edge') {
+                // A node statement; a bare subgraph has nothing more to read
+                if (operands[0].length === 1 && token.type === 'id' && !isKeyword(token, 'subgraph')) {
+                    const attributes = { ...scope.nodeDefaults, ...readAttributes() };
+                    if (attributes.label !== undefined) {
+                        const id = operands[0][0];
+                        model.nodes.get(id).label = this._cleanDotLabel(attributes.label, id);
+                    }
+                }
+                return;
+            }
+            while (accept('edge')) operands.push(readOperand(scope));
+            const attributes = { ...scope.edgeDefaults, ...readAttributes() };
+            const edge = this._dotEdgeStyle(attributes, directed);
+            if (!edge) return;
+            for (let i = 1; i < operands.length; i++) {
+                operands[i - 1].forEach(from => operands[i].forEach(to => model.edges.push({ from, to, ...edge })));
+            }
+        };
+
+        readStatements = (scope) => {
+            while (peek().type !== '}' && peek().type !== 'end') {
+                if (accept(';')) continue;
+                readStatement(scope);
+            }
+        };
+
+        expect('{');
+        readStatements({ parent: null, groupId: null, nodeDefaults: {}, edgeDefaults: {}, members: new Set() });
+        expect('}');
+        return this._finishModel(model);
+    }
+
+    /**
+     * Splits DOT source into identifiers (plain, numeral, quoted or HTML), edge
+     * operators and punctuation, skipping comments.
+     * @param {string} text
+     * @returns {{type: string, value: string, quoted?: boolean}[]}
+     * @private
+     */
+    _tokenizeDot(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (text.startsWith('//', i) || (char === '#' && (i === 0 || text[i - 1] === '\n'))) {
+                const end = text.indexOf('\n', i);
+                i = end < 0 ? text.length : end;
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                i = end < 0 ? text.length : end + 2;
+            } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+                tokens.push({ type: 'edge', value: text.substr(i, 2) });
+                i += 2;
+            } else if ('{}[];,=:'.includes(char)) {
+                tokens.push({ type: char, value: char });
+                i++;
+            } else if (char === '"') {
+                let value = '';
+                for (i++; i < text.length && text[i] !== '"'; i++) {
+                    if (text[i] === '\\' && text[i + 1] === '"') {
+                        value += '"';
+                        i++;
+                    } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                        i++;
+                    } else {
+                        value += text[i];
+                    }
+                }
+                if (i >= text.length) throw new Error('Unterminated string.');
+                i++;
+                tokens.push({ type: 'id', value, quoted: true });
+            } else if (char === '<') {
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    if (text[i] === '>') depth--;
+                    i++;
+                } while (depth > 0 && i < text.length);
+                if (depth > 0) throw new Error('Unterminated HTML label.');
+                tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), quoted: true });
+            } else {
+                const match = /^(?:[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*|-?(?:\.\d+|\d+(?:\.\d*)?))/.exec(text.slice(i, i + 256));
+                if (!match) throw new Error(`Unexpected "${char}".`);
+                tokens.push({ type: 'id', value: match[0] });
+                i += match[0].length;
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Turns a DOT label into a single-line title, expanding `\N` and `\G` to the
+     * object's name and line breaks to spaces.
+     * @param {string} label
+     * @param {string} name - The node or cluster name.
+     * @returns {string}
+     * @private
+     */
+    _cleanDotLabel(label, name) {
+        return this._cleanLabel(label.replace(/\\[NG]/g, name).replace(/\\[nlr]/g, ' ').replace(/\\(.)/g, '$1'));
+    }
+
+    /**
+     * Maps DOT edge attributes to edge options.
+     * @param {Object<string, string>} attributes - The edge's attributes, defaults included.
+     * @param {boolean} directed - Whether the graph is a digraph.
+     * @returns {object|null} The edge options, or null for an invisible edge.
+     * @private
+     */
+    _dotEdgeStyle(attributes, directed) {
+        const style = (attributes.style || '').toLowerCase();
+        if (style.includes('invis')) return null;
+
+        const shape = (name = 'normal') => {
+            if (name === 'none') return 'none';
+            if (/dot|circle/.test(name)) return 'circle';
+            if (/diamond|box/.test(name)) return 'diamond';
+            return 'arrow';
+        };
+        const dir = attributes.dir || (directed ? 'forward' : 'none');
+        const penWidth = parseFloat(attributes.penwidth);
+        let strokeWidth = style.includes('bold') ? 4 : 2;
+        if (penWidth > 0) strokeWidth = Math.min(6, Math.max(1, Math.round(penWidth * 2)));
+
+        return {
+            label: attributes.label ? this._cleanDotLabel(attributes.label, '') : '',
+            startArrow: dir === 'back' || dir === 'both' ? shape(attributes.arrowtail) : 'none',
+            endArrow: dir === 'forward' || dir === 'both' ? shape(attributes.arrowhead) : 'none',
+            dashPattern: style.includes('dashed') ? 'dashed' : style.includes('dotted') ? 'dotted' : 'solid',
+            strokeWidth
+        };
+    }
+
+    // --- Layout ---
+
+    /**
+     * Lays the model out from the innermost groups outwards: each group's contents are
+     * arranged with the layered layout, the group is sized to fit them, and it is then
+     * arranged as a single unit among its siblings.
+     * @param {object} model - The diagram model.
+     * @returns {Map<string, {x: number, y: number, width: number, height: number}>} The box of every node and group.
+     * @private
+     */
+    _layout(model) {
+        const items = [...model.nodes.values(), ...model.groups.values()];
+        const parentOf = id => (model.nodes.get(id) || model.groups.get(id)).parent;
+        const sizes = new Map();    // ID -> {width, height}
+        const offsets = new Map();  // ID -> top-left corner within the parent's content area
+
+        const arrangeChildren = (parentId) => {
+            const childIds = items.filter(item => item.parent === parentId).map(item => item.id);
+            childIds.forEach(id => {
+                if (model.groups.has(id)) {
+                    arrangeChildren(id);
+                } else {
+                    sizes.set(id, this._measureNode(model.nodes.get(id).label));
+                }
+            });
+
+            // An edge into a group links the group's ancestor among these children
+            const childSet = new Set(childIds);
+            const ancestorAmongChildren = (id) => {
+                while (id && !childSet.has(id)) id = parentOf(id);
+                return id;
+            };
+            const links = [];
+            model.edges.forEach(edge => {
+                const from = ancestorAmongChildren(edge.from);
+                const to = ancestorAmongChildren(edge.to);
+                if (from && to && from !== to) links.push({ from, to });
+            });
+
+            const units = childIds.map((id, index) => ({ id, x: 0, y: index, ...sizes.get(id) }));
+            const positions = this._arrange(units, links, model.direction);
+            positions.forEach((position, id) => offsets.set(id, position));
+
+            if (parentId !== null) {
+                const width = Math.max(0, ...units.map(unit => positions.get(unit.id).x + unit.width));
+                const height = Math.max(0, ...units.map(unit => positions.get(unit.id).y + unit.height));
+                sizes.set(parentId, {
+                    width: Math.max(this.minNodeWidth, width + this.groupPadding * 2),
+                    height: Math.max(this.nodeHeight, height + this.titleBarHeight + this.groupPadding * 2)
+                });
+            }
+        };
+        arrangeChildren(null);
+
+        const boxes = new Map();
+        const resolve = (id) => {
+            if (boxes.has(id)) return boxes.get(id);
+            const parentId = parentOf(id);
+            let originX = 0, originY = 0;
+            if (parentId) {
+                const parent = resolve(parentId);
+                originX = parent.x + this.groupPadding;
+                originY = parent.y + this.titleBarHeight + this.groupPadding;
+            }
+            const box = { x: originX + offsets.get(id).x, y: originY + offsets.get(id).y, ...sizes.get(id) };
+            boxes.set(id, box);
+            return box;
+        };
+        items.forEach(item => resolve(item.id));
+        return boxes;
+    }
+
+    /**
+     * Runs the layered layout, which flows left to right, in any direction by
+     * transposing and mirroring, and moves the result to start at the origin.
+     * @param {object[]} units - The units to arrange.
+     * @param {{from: string, to: string}[]} links - The links between them.
+     * @param {string} direction - 'TB', 'BT', 'LR' or 'RL'.
+     * @returns {Map<string, {x: number, y: number}>} The top-left corner of each unit.
+     * @private
+     */
+    _arrange(units, links, direction) {
+        const positions = new Map();
+        if (units.length === 0) return positions;
+
+        const vertical = direction === 'TB' || direction === 'BT';
+        const layered = this.nodeUI.graphLayout.layeredLayout(
+            vertical ? units.map(unit => ({ ...unit, width: unit.height, height: unit.width })) : units,
+            links
+        );
+        units.forEach(unit => {
+            const { x, y } = layered.get(unit.id);
+            const position = vertical ? { x: y, y: x } : { x, y };
+            if (direction === 'RL') position.x = -position.x - unit.width;
+            if (direction === 'BT') position.y = -position.y - unit.height;
+            positions.set(unit.id, position);
+        });
+
+        const left = Math.min(...Array.from(positions.values(), position => position.x));
+        const top = Math.min(...Array.from(positions.values(), position => position.y));
+        positions.forEach(position => {
+            position.x -= left;
+            position.y -= top;
+        });
+        return positions;
+    }
+
+    /**
+     * Sizes a node to fit its title, using a rough average character width.
+     * @param {string} label
+     * @returns {{width: number, height: number}}
+     * @private
+     */
+    _measureNode(label) {
+        const width = Math.min(this.maxNodeWidth, Math.max(this.minNodeWidth, label.length * 8 + 64));
+        return { width, height: this.nodeHeight };
+    }
+
+    // --- Creating ---
+
+    /**
+     * Creates the laid-out graph centred on a position as one undo step and selects it.
+     * @param {object} model - The diagram model.
+     * @param {Map<string, {x: number, y: number, width: number, height: number}>} boxes - The layout.
+     * @param {{x: number, y: number}} position - Where to centre the graph.
+     * @private
+     */
+    _create(model, boxes, position) {
+        const allBoxes = Array.from(boxes.values());
+        const left = Math.min(...allBoxes.map(box => box.x));
+        const top = Math.min(...allBoxes.map(box => box.y));
+        const right = Math.max(...allBoxes.map(box => box.x + box.width));
+        const bottom = Math.max(...allBoxes.map(box => box.y + box.height));
+        const dx = Math.round(position.x - (left + right) / 2);
+        const dy = Math.round(position.y - (top + bottom) / 2);
+        const placed = id => {
+            const box = boxes.get(id);
+            return { x: box.x + dx, y: box.y + dy, width: box.width, height: box.height };
+        };
+
+        const nodeIds = new Map();  // Diagram ID -> NodeUI ID
+        model.groups.forEach((group, id) => nodeIds.set(id, crypto.randomUUID()));
+        model.nodes.forEach((node, id) => nodeIds.set(id, crypto.randomUUID()));
+
+        // Outer groups are created first so they sit behind the groups inside them
+        const depthOf = (group) => (group.parent ? depthOf(model.groups.get(group.parent)) + 1 : 0);
+        const groups = Array.from(model.groups.values()).sort((a, b) => depthOf(a) - depthOf(b));
+
+        const history = this.nodeUI.historyManager;
+        history.beginBatch('Import diagram');
+        try {
+            groups.forEach(group => {
+                const containedNodeIds = [...model.groups.values(), ...model.nodes.values()]
+                    .filter(item => item.parent === group.id)
+                    .map(item => nodeIds.get(item.id));
+                events.publish('node:create', {
+                    id: nodeIds.get(group.id),
+                    type: 'GroupNode',
+                    title: group.label,
+                    color: 'default',
+                    containedNodeIds,
+                    ...placed(group.id)
+                });
+            });
+            model.nodes.forEach(node => {
+                events.publish('node:create', {
+                    id: nodeIds.get(node.id),
+                    type: 'BaseNode',
+                    title: node.label,
+                    content: '',
+                    color: 'default',
+                    ...placed(node.id)
+                });
+            });
+            model.edges.forEach(({ from, to, ...style }) => {
+                const [startHandleId, endHandleId] = from === to
+                    ? ['right', 'top']
+                    : this.nodeUI.fileHandler.getFacingSides(boxes.get(from), boxes.get(to));
+                events.publish('edge:create', {
+                    startNodeId: nodeIds.get(from),
+                    startHandleId,
+                    endNodeId: nodeIds.get(to),
+                    endHandleId,
+                    ...style
+                });
+            });
+        } finally {
+            history.endBatch();
+        }
+
+        const interactions = this.nodeUI.interactionHandler;
+        interactions.clearSelection();
+        nodeIds.forEach(nodeId => interactions.selectNode(nodeId));
+        events.publish('selection:changed', {
+            selectedNodeIds: Array.from(this.nodeUI.selectedNodes)
+        });
+    }
+}
+
+// Attach to window for global access
+window.DiagramImporter = DiagramImporter;
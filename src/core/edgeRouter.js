@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Edge routing styles. Besides the default bezier curve, an edge can be
+ * drawn as a straight line, as an orthogonal (Manhattan) route, or as an orthogonal
+ * route that bends around the nodes in its way. Each edge can pick a style, or follow
+ * the graph's default.
+ */
+
+class EdgeRouter {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.margin = 20;       // Space kept between a route and the nodes it goes around
+        this.bendPenalty = 40;  // Extra cost of a bend, in pixels of length, so routes stay simple
+        this.searchPadding = 200; // How far beyond its end points a route looks for nodes to avoid
+
+        /**
+         * The last searched route of each edge, with the inputs it was found for.
+         * @type {WeakMap<BaseEdge, {key: string, route: {x: number, y: number}[]}>}
+         */
+        this.routeCache = new WeakMap();
+    }
+
+    /**
+     * The available styles and their menu labels.
+     * @type {Object<string, string>}
+     */
+    static get STYLES() {
+        return {
+            curved: 'Curved',
+            straight: 'Straight',
+            orthogonal: 'Orthogonal',
+            avoid: 'Avoid Nodes'
+        };
+    }
+
+    /**
+     * @param {BaseEdge} edge - The edge.
+     * @returns {string} The style the edge is drawn with: its own, or the graph's default.
+     */
+    getStyle(edge) {
+        return EdgeRouter.STYLES[edge.routingStyle] ? edge.routingStyle : this.nodeUI.edgeRoutingStyle;
+    }
+
+    /**
+     * Works out the polyline an edge is drawn along.
+     * @param {BaseEdge} edge - The edge.
+     * @returns {{x: number, y: number}[]|null} The route from the padded start point to the
+     *   padded end point, or null if the edge is drawn as a curve or through its own routing points.
+     */
+    getRoute(edge) {
+        const style = this.getStyle(edge);
+        if (style === 'curved' || (edge.routingPoints && edge.routingPoints.length > 0)) return null;
+        if (!edge.startPosition || !edge.endPosition) return null;
+
+        const canvas = this.nodeUI.canvasRenderer;
+        const { p1, p2 } = canvas.getCurveControlPoints(edge.startPosition, edge.endPosition, edge.startHandleId, edge.endHandleId);
+        // Zoomed far out, every edge is a straight line
+        if (style === 'straight' || this.nodeUI.levelOfDetail.isSimplified()) return [p1, p2];
+
+        const startDirection = this._getDirection(canvas.getHandleSide(edge.startHandleId), edge.startPosition, edge.endPosition);
+        const endDirection = this._getDirection(canvas.getHandleSide(edge.endHandleId), edge.endPosition, edge.startPosition);
+
+        // Leave each node straight out of its handle, far enough to clear the margin
+        const start = { x: edge.startPosition.x + startDirection.x * this.margin, y: edge.startPosition.y + startDirection.y * this.margin };
+        const end = { x: edge.endPosition.x + endDirection.x * this.margin, y: edge.endPosition.y + endDirection.y * this.margin };
+
+        const endpointIds = [edge.startNodeId, edge.endNodeId];
+        const obstacles = this._getObstacles(start, end, style === 'avoid' ? null : endpointIds);
+
+        // The path search is the costly part, so its result is kept until the end points
+        // or the obstacles change. Drawing an edge and indexing it both ask for its route.
+        const key = JSON.stringify([edge.startPosition, edge.endPosition, edge.startHandleId, edge.endHandleId, obstacles]);
+        const cached = this.routeCache.get(edge);
+        if (cached && cached.key === key) return cached.route;
+
+        const path = this._findPath(start, end, startDirection, { x: -endDirection.x, y: -endDirection.y }, obstacles)
+            || this._findPath(start, end, startDirection, { x: -endDirection.x, y: -endDirection.y }, []);
+
+        const route = this._simplify([p1, ...(path || [start, end]), p2]);
+        this.routeCache.set(edge, { key, route });
+        return route;
+    }
+
+    // --- Obstacles ---
+
+    /**
+     * Collects the rectangles a route has to go around, grown by the margin. Nodes near
+     * the route are looked up in the spatial index.
+     * @param {{x: number, y: number}} start - The route's first point.
+     * @param {{x: number, y: number}} end - The route's last point.
+     * @param {string[]|null} onlyIds - Only avoid these nodes; null avoids every node near the route.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}[]} The rectangles.
+     * @private
+     */
+    _getObstacles(start, end, onlyIds) {
+        const area = {
+            minX: Math.min(start.x, end.x) - this.searchPadding,
+            minY: Math.min(start.y, end.y) - this.searchPadding,
+            maxX: Math.max(start.x, end.x) + this.searchPadding,
+            maxY: Math.max(start.y, end.y) + this.searchPadding
+        };
+
+        const obstacles = [];
+        const candidates = onlyIds
+            ? onlyIds.map(nodeId => this.nodeUI.nodes.get(nodeId))
+            : this.nodeUI.spatialIndex.queryNodes({
+                minX: area.minX - this.margin,
+                minY: area.minY - this.margin,
+                maxX: area.maxX + this.margin,
+                maxY: area.maxY + this.margin
+            });
+        candidates.forEach(node => {
+            // Groups hold other nodes and pinned nodes float above the canvas, so neither blocks a route
+            if (!node || node.isPinned || node instanceof GroupNode) return;
+            const rect = {
+                minX: node.x - this.margin,
+                minY: node.y - this.margin,
+                maxX: node.x + node.width + this.margin,
+                maxY: node.y + node.height + this.margin
+            };
+            if (rect.maxX < area.minX || rect.minX > area.maxX || rect.maxY < area.minY || rect.minY > area.maxY) return;
+            // A node crowding one of the end points can't be avoided, so it's ignored
+            if (this._isInside(start, rect) || this._isInside(end, rect)) return;
+            obstacles.push(rect);
+        });
+        return obstacles;
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect
+     * @returns {boolean} True if the point is strictly inside the rectangle.
+     * @private
+     */
+    _isInside(point, rect) {
+        return point.x > rect.minX && point.x < rect.maxX && point.y > rect.minY && point.y < rect.maxY;
+    }
+
+    // --- Path Search ---
+
+    /**
+     * Finds the shortest orthogonal route between two points that doesn't cross any
+     * obstacle, preferring fewer bends. The route runs along a sparse grid made of the
+     * obstacles' edges and the end points, searched with A*.
+     * @param {{x: number, y: number}} start - The first point.
+     * @param {{x: number, y: number}} end - The last point.
+     * @param {{x: number, y: number}} startDirection - The direction the route sets off in.
+     * @param {{x: number, y: number}} endDirection - The direction the route should arrive in.
+     * @param {object[]} obstacles - Rectangles from _getObstacles().
+     * @returns {{x: number, y: number}[]|null} The corners of the route, or null if there is none.
+     * @private
+     */
+    _findPath(start, end, startDirection, endDirection, obstacles) {
+        const unique = (values) => Array.from(new Set(values.map(value => Math.round(value * 100) / 100))).sort((a, b) => a - b);
+        const xs = unique([start.x, end.x, (start.x + end.x) / 2, ...obstacles.flatMap(rect => [rect.minX, rect.maxX])]);
+        const ys = unique([start.y, end.y, (start.y + end.y) / 2, ...obstacles.flatMap(rect => [rect.minY, rect.maxY])]);
+
+        const isFree = (x, y) => !obstacles.some(rect => this._isInside({ x, y }, rect));
+        const indexOf = (values, value) => values.indexOf(Math.round(value * 100) / 100);
+        const startCell = { i: indexOf(xs, start.x), j: indexOf(ys, start.y) };
+        const endCell = { i: indexOf(xs, end.x), j: indexOf(ys, end.y) };
+
+        const directions = [{ x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }];
+        const directionIndex = (direction) => directions.findIndex(d => d.x === direction.x && d.y === direction.y);
+        const key = (i, j, d) => (j * xs.length + i) * 4 + d;
+        const heuristic = (i, j) => Math.abs(xs[i] - end.x) + Math.abs(ys[j] - end.y);
+        // Between routes that are otherwise as good, prefer bends halfway between the end points
+        const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        const bendCost = (i, j) => this.bendPenalty + (Math.abs(xs[i] - middle.x) + Math.abs(ys[j] - middle.y)) * 0.01;
+
+        // A binary heap of [cost estimate, state key]
+        const heap = [];
+        const push = (item) => {
+            heap.push(item);
+            for (let n = heap.length - 1; n > 0;) {
+                const parent = (n - 1) >> 1;
+                if (heap[parent][0] <= heap[n][0]) break;
+                [heap[parent], heap[n]] = [heap[n], heap[parent]];
+                n = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                for (let n = 0; ;) {
+                    const left = n * 2 + 1;
+                    const right = left + 1;
+                    let smallest = n;
+                    if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                    if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                    if (smallest === n) break;
+                    [heap[smallest], heap[n]] = [heap[n], heap[smallest]];
+                    n = smallest;
+                }
+            }
+            return top;
+        };
+
+        const costs = new Map();
+        const previous = new Map();
+        const startKey = key(startCell.i, startCell.j, Math.max(0, directionIndex(startDirection)));
+        costs.set(startKey, 0);
+        push([heuristic(startCell.i, startCell.j), startKey]);
+
+        const wantedEnd = directionIndex(endDirection);
+        let bestKey = null;
+        let bestCost = Infinity;
+
+        while (heap.length > 0) {
+            const [estimate, stateKey] = pop();
+            if (estimate >= bestCost) break;
+            const cost = costs.get(stateKey);
+            const d = stateKey % 4;
+            const cell = Math.floor(stateKey / 4);
+            const i = cell % xs.length;
+            const j = Math.floor(cell / xs.length);
+
+            if (i === endCell.i && j === endCell.j) {
+                // Arriving from the wrong side costs one more bend
+                const total = cost + (d === wantedEnd ? 0 : this.bendPenalty);
+                if (total < bestCost) {
+                    bestCost = total;
+                    bestKey = stateKey;
+                }
+                continue;
+            }
+
+            directions.forEach((direction, nextD) => {
+                // Never double back
+                if (direction.x === -directions[d].x && direction.y === -directions[d].y) return;
+                const ni = i + direction.x;
+                const nj = j + direction.y;
+                if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ys.length) return;
+                if (!isFree(xs[ni], ys[nj]) || !isFree((xs[i] + xs[ni]) / 2, (ys[j] + ys[nj]) / 2)) return;
+
+                const nextCost = cost + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]) + (nextD === d ? 0 : bendCost(i, j));
+                const nextKey = key(ni, nj, nextD);
+                if (nextCost >= (costs.get(nextKey) ?? Infinity)) return;
+                costs.set(nextKey, nextCost);
+                previous.set(nextKey, stateKey);
+                push([nextCost + heuristic(ni, nj), nextKey]);
+            });
+        }
+
+        if (bestKey === null) return null;
+        const path = [];
+        for (let stateKey = bestKey; stateKey !== undefined; stateKey = previous.get(stateKey)) {
+            const cell = Math.floor(stateKey / 4);
+            path.unshift({ x: xs[cell % xs.length], y: ys[Math.floor(cell / xs.length)] });
+        }
+        return path;
+    }
+
+    // --- Helpers ---
+
+    /**
+     * @param {string} side - The handle's side, from Canvas.getHandleSide().
+     * @param {{x: number, y: number}} from - The handle's position.
+     * @param {{x: number, y: number}} towards - The other end of the edge.
+     * @returns {{x: number, y: number}} The unit vector pointing out of the handle. Handles
+     *   that aren't on a side point towards the other end.
+     * @private
+     */
+    _getDirection(side, from, towards) {
+        switch (side) {
+            case 'top':    return { x: 0, y: -1 };
+            case 'bottom': return { x: 0, y: 1 };
+            case 'left':   return { x: -1, y: 0 };
+            case 'right':  return { x: 1, y: 0 };
+        }
+        const dx = towards.x - from.x;
+        const dy = towards.y - from.y;
+        return Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx) || 1, y: 0 } : { x: 0, y: Math.sign(dy) };
+    }
+
+    /**
+     * Drops repeated points and points in the middle of a straight run.
+     * @param {{x: number, y: number}[]} points
+     * @returns {{x: number, y: number}[]} The corners.
+     * @private
+     */
+    _simplify(points) {
+        const result = [];
+        points.forEach(point => {
+            const last = result[result.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+            const beforeLast = result[result.length - 2];
+            if (beforeLast && ((beforeLast.x === last.x && last.x === point.x) || (beforeLast.y === last.y && last.y === point.y))) {
+                result[result.length - 1] = point;
+                return;
+            }
+            result.push(point);
+        });
+        return result;
+    }
+}
+
+// Attach to window for global access
+window.EdgeRouter = EdgeRouter;
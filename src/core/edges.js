@@ -29,7 +29,8 @@ class Edges {
         this.routingState = {
             isRouting: false,
             edgeId: null,
-            pointIndex: -1
+            pointIndex: -1,
+            originalPoints: null
         };
     }
 
@@ -55,7 +56,7 @@ class Edges {
 
         const nodeColor = startNode.color || 'default';
         // Use the hover state for the marker since this is an active interaction
-        tempEdge.setAttribute('marker-end', `url(#arrowhead-${nodeColor}-border-hover)`);
+        tempEdge.setAttribute('marker-end', `url(#edge-marker-arrow-${nodeColor}-border-hover)`);
         
         // Set the --edge-draw-color variable for this specific edge to match the start node's hover color
         const drawColor = getComputedStyle(document.documentElement).getPropertyValue(`--color-node-${nodeColor}-border-hover`).trim();
@@ -95,12 +96,26 @@ class Edges {
             return;
         }
 
-        events.publish('edge:create', {
+        const edgeData = {
             startNodeId: state.startNodeId,
             startHandleId: state.startHandlePosition,
             endNodeId: endNodeId,
             endHandleId: endHandlePosition,
-        });
+        };
+
+        // Dataflow edges always run from output to input, whichever end the drag started at
+        const startPort = Dataflow.parseHandle(edgeData.startHandleId);
+        const endPort = Dataflow.parseHandle(edgeData.endHandleId);
+        if (startPort && endPort && startPort.direction === 'input' && endPort.direction === 'output') {
+            events.publish('edge:create', {
+                startNodeId: edgeData.endNodeId,
+                startHandleId: edgeData.endHandleId,
+                endNodeId: edgeData.startNodeId,
+                endHandleId: edgeData.startHandleId
+            });
+        } else {
+            events.publish('edge:create', edgeData);
+        }
 
         this.cancelDrawingEdge(); // Clean up after successful connection
     }
@@ -187,6 +202,10 @@ class Edges {
         this.routingState.isRouting = true;
         this.routingState.edgeId = edgeId;
         this.routingState.pointIndex = parseInt(pointIndex);
+
+        // Remember where the points were so the drag can be undone
+        const edge = this.nodeUI.edges.get(edgeId);
+        this.routingState.originalPoints = edge ? edge.routingPoints.map(point => ({ ...point })) : null;
     }
 
     /**
@@ -205,10 +224,20 @@ class Edges {
     }
 
     /**
-     * Ends edge routing.
+     * Ends edge routing and records the moved routing point in the undo history.
      */
     endEdgeRouting() {
+        const edge = this.nodeUI.edges.get(this.routingState.edgeId);
+        if (this.routingState.isRouting && edge && this.routingState.originalPoints) {
+            this.nodeUI.historyManager.recordEdgeUpdate(
+                edge.id,
+                { routingPoints: this.routingState.originalPoints },
+                { routingPoints: edge.routingPoints }
+            );
+        }
+
         this.routingState.isRouting = false;
+        this.routingState.originalPoints = null;
     }
 
     /**
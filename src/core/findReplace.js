@@ -0,0 +1,512 @@
+/**
+ * @fileoverview Find and replace. Searches node titles, node content and edge labels in
+ * the current graph and inside its subgraphs, highlights what matches on the canvas,
+ * steps through the matches and replaces them. Replacements go through `node:update`,
+ * `edge:update` and `subgraph:update`, so they are undoable and reach collaborators.
+ */
+
+class FindReplace {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.query = '';
+        this.replacement = '';
+        this.options = { matchCase: false, wholeWord: false, regex: false };
+
+        /**
+         * Every occurrence found by the last search, in graph order.
+         * @type {{target: object, index: number, length: number}[]}
+         */
+        this.matches = [];
+        this.activeIndex = -1;
+        this.error = null;
+
+        this.panel = null;
+        this.isScheduled = false;
+        this.isReplacing = false;
+
+        // Elements currently marked on the canvas, so they can be unmarked after the graph changes
+        this.highlightedElements = new Set();
+
+        // Keep an open panel up to date while the graph is edited
+        [
+            'node:create', 'node:delete', 'node:update', 'edge:create', 'edge:delete',
+            'edge:update', 'subgraph:update', 'history:changed'
+        ].forEach(eventName => {
+            events.subscribe(eventName, () => this.scheduleSearch());
+        });
+        events.subscribe('find:open', () => this.open());
+        events.subscribe('find:close', () => this.close());
+    }
+
+    // --- Searching ---
+
+    /**
+     * Builds the regular expression for the current query and options.
+     * @returns {RegExp|null} The expression, or null if the query is empty.
+     * @throws {SyntaxError} If the query is an invalid regular expression.
+     */
+    buildPattern() {
+        if (!this.query) return null;
+        let source = this.options.regex ? this.query : this.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (this.options.wholeWord) source = `\\b(?:${source})\\b`;
+        return new RegExp(source, this.options.matchCase ? 'g' : 'gi');
+    }
+
+    /**
+     * Lists every searchable text: the title and content of each node and the label of
+     * each edge, in the current graph and, recursively, in its subgraphs.
+     * @returns {{kind: string, id: string, field: string, value: string, subgraphPath: string[], owner: string}[]} The texts.
+     *   `subgraphPath` holds the IDs of the subgraph nodes the text is inside, outermost first.
+     */
+    getTargets() {
+        const targets = [];
+
+        const addGraph = (nodes, edges, subgraphPath, owner) => {
+            nodes.forEach(node => {
+                ['title', 'content'].forEach(field => {
+                    if (typeof node[field] === 'string' && node[field]) {
+                        targets.push({ kind: 'node', id: node.id, field, value: node[field], subgraphPath, owner: owner || node.title });
+                    }
+                });
+                if (node.type === 'SubGraphNode' && node.internalGraph) {
+                    addGraph(node.internalGraph.nodes || [], node.internalGraph.edges || [], [...subgraphPath, node.id], owner || node.title);
+                }
+            });
+            edges.forEach(edge => {
+                if (typeof edge.label === 'string' && edge.label) {
+                    targets.push({ kind: 'edge', id: edge.id, field: 'label', value: edge.label, subgraphPath, owner: owner || 'Edge' });
+                }
+            });
+        };
+
+        addGraph(Array.from(this.nodeUI.nodes.values()), Array.from(this.nodeUI.edges.values()), [], null);
+        return targets;
+    }
+
+    /**
+     * Finds every occurrence of the query and highlights the nodes and edges that contain one.
+     */
+    search() {
+        this.matches = [];
+        this.error = null;
+
+        let pattern = null;
+        try {
+            pattern = this.buildPattern();
+        } catch (error) {
+            this.error = 'Invalid regular expression';
+        }
+
+        if (pattern) {
+            this.getTargets().forEach(target => {
+                for (const match of target.value.matchAll(pattern)) {
+                    // An empty match can't be shown or replaced
+                    if (match[0].length === 0) continue;
+                    this.matches.push({ target, index: match.index, length: match[0].length });
+                }
+            });
+        }
+
+        this.activeIndex = this.matches.length === 0 ? -1 : Math.max(0, Math.min(this.activeIndex, this.matches.length - 1));
+        this._updateHighlights();
+        this._renderStatus();
+    }
+
+    /**
+     * Searches again once the current call stack has finished, if the panel is open.
+     */
+    scheduleSearch() {
+        if (!this.panel || this.isScheduled || this.isReplacing) return;
+
+        this.isScheduled = true;
+        queueMicrotask(() => {
+            this.isScheduled = false;
+            if (this.panel) this.search();
+        });
+    }
+
+    // --- Navigation ---
+
+    /**
+     * Moves to the next match, wrapping around at the end.
+     */
+    next() {
+        if (this.matches.length === 0) return;
+        this.activeIndex = (this.activeIndex + 1) % this.matches.length;
+        this._revealActive();
+    }
+
+    /**
+     * Moves to the previous match, wrapping around at the start.
+     */
+    previous() {
+        if (this.matches.length === 0) return;
+        this.activeIndex = (this.activeIndex - 1 + this.matches.length) % this.matches.length;
+        this._revealActive();
+    }
+
+    /**
+     * Selects and frames the node or edge holding the active match. A match inside a
+     * subgraph selects the subgraph node it's in.
+     * @private
+     */
+    _revealActive() {
+        const match = this.matches[this.activeIndex];
+        if (!match) return;
+        const { target } = match;
+
+        this.nodeUI.clearSelection();
+        const nodeId = target.subgraphPath.length > 0 ? target.subgraphPath[0] : (target.kind === 'node' ? target.id : null);
+        if (nodeId && this.nodeUI.nodes.has(nodeId)) {
+            this.nodeUI.selectNode(nodeId);
+        } else if (target.kind === 'edge' && this.nodeUI.edges.has(target.id)) {
+            this.nodeUI.selectEdge(target.id);
+        }
+        events.publish('selection:changed', {
+            selectedNodeIds: Array.from(this.nodeUI.selectedNodes),
+            selectedEdgeIds: Array.from(this.nodeUI.selectedEdges)
+        });
+        this.nodeUI.frameSelection();
+
+        this._updateHighlights();
+        this._renderStatus();
+    }
+
+    // --- Replacing ---
+
+    /**
+     * Replaces the active match and moves on to the next one.
+     */
+    replace() {
+        const match = this.matches[this.activeIndex];
+        if (!match) return;
+        this._applyReplacements([match], 'Replace');
+        this._revealActive();
+    }
+
+    /**
+     * Replaces every match as one undo step.
+     */
+    replaceAll() {
+        if (this.matches.length === 0) return;
+        this._applyReplacements(this.matches, 'Replace All');
+    }
+
+    /**
+     * Writes the replacements for a set of matches. Each changed text is written once,
+     * with `node:update` or `edge:update` in the current graph, and each changed
+     * subgraph is written once with `subgraph:update`, recorded in the same undo step.
+     * @param {object[]} matches - The matches to replace.
+     * @param {string} label - The undo step label.
+     * @private
+     */
+    _applyReplacements(matches, label) {
+        const pattern = this.buildPattern();
+
+        // Group the matches by the text they're in
+        const byTarget = new Map();
+        matches.forEach(match => {
+            if (!byTarget.has(match.target)) byTarget.set(match.target, []);
+            byTarget.get(match.target).push(match);
+        });
+
+        const subgraphs = new Map(); // Top-level subgraph node ID -> edited copy of its internal graph
+
+        this.isReplacing = true;
+        this.nodeUI.historyManager.beginBatch(label);
+        try {
+            byTarget.forEach((targetMatches, target) => {
+                const value = this._replaceInText(target.value, targetMatches, pattern);
+
+                if (target.subgraphPath.length === 0) {
+                    if (target.kind === 'node') {
+                        events.publish('node:update', { nodeId: target.id, [target.field]: value });
+                    } else {
+                        events.publish('edge:update', { edgeId: target.id, label: value });
+                    }
+                    return;
+                }
+
+                const [subgraphId, ...innerPath] = target.subgraphPath;
+                if (!subgraphs.has(subgraphId)) {
+                    const subgraphNode = this.nodeUI.nodes.get(subgraphId);
+                    subgraphs.set(subgraphId, JSON.parse(JSON.stringify(subgraphNode.internalGraph)));
+                }
+                // Walk down to the graph holding the text
+                let graph = subgraphs.get(subgraphId);
+                innerPath.forEach(id => {
+                    graph = graph.nodes.find(node => node.id === id).internalGraph;
+                });
+                const item = (target.kind === 'node' ? graph.nodes : graph.edges).find(entry => entry.id === target.id);
+                if (item) item[target.field] = value;
+            });
+            subgraphs.forEach((internalGraph, subgraphId) => {
+                // Nothing records subgraph:update on its own, so the whole graph is recorded here
+                const before = this.nodeUI.nodes.get(subgraphId).internalGraph;
+                this.nodeUI.historyManager.recordSubgraphUpdate(subgraphId, before, internalGraph);
+                events.publish('subgraph:update', { subgraphId, internalGraph });
+            });
+        } finally {
+            this.nodeUI.historyManager.endBatch();
+            this.isReplacing = false;
+        }
+
+        this.search();
+    }
+
+    /**
+     * Replaces the given occurrences in a text, leaving any others alone.
+     * @param {string} text - The text.
+     * @param {object[]} matches - Occurrences in the text, from search().
+     * @param {RegExp} pattern - The search pattern.
+     * @returns {string} The new text.
+     * @private
+     */
+    _replaceInText(text, matches, pattern) {
+        const indexes = new Set(matches.map(match => match.index));
+        return text.replace(pattern, (...args) => {
+            const hasGroups = typeof args[args.length - 1] === 'object';
+            const offset = args[args.length - (hasGroups ? 3 : 2)];
+            if (!indexes.has(offset)) return args[0];
+            const groups = hasGroups ? args[args.length - 1] : undefined;
+            return this.options.regex
+                ? FindReplace.expandReplacement(this.replacement, args.slice(0, args.length - (hasGroups ? 3 : 2)), groups)
+                : this.replacement;
+        });
+    }
+
+    /**
+     * Expands `$&`, `$1`-`$99`, `$<name>` and `$$` in a replacement string, as
+     * String.prototype.replace does.
+     * @param {string} replacement - The replacement string.
+     * @param {string[]} captures - The whole match followed by its capture groups.
+     * @param {object} [groups] - Named capture groups.
+     * @returns {string} The expanded replacement.
+     */
+    static expandReplacement(replacement, captures, groups) {
+        return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, symbol, name) => {
+            if (symbol === '$') return '$';
+            if (symbol === '&') return captures[0];
+            if (name !== undefined) return groups && groups[name] !== undefined ? groups[name] : token;
+            const index = Number(symbol);
+            return index > 0 && index < captures.length ? (captures[index] ?? '') : token;
+        });
+    }
+
+    // --- Panel ---
+
+    /**
+     * Shows the find and replace panel and focuses the search field.
+     */
+    open() {
+        if (!this.panel) {
+            this._createPanel();
+            this.search();
+        }
+        this.findInput.focus();
+        this.findInput.select();
+    }
+
+    /**
+     * Hides the panel and removes the highlights.
+     */
+    close() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.matches = [];
+        this.activeIndex = -1;
+        this._clearHighlights();
+    }
+
+    /**
+     * Builds the panel: the search and replace fields, the option toggles and the buttons.
+     * @private
+     */
+    _createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'find-panel';
+        // Keep clicks, typing and scrolling in the panel from reaching the canvas
+        ['mousedown', 'dblclick', 'wheel', 'contextmenu', 'keydown'].forEach(eventName => {
+            this.panel.addEventListener(eventName, (event) => event.stopPropagation());
+        });
+
+        const findRow = document.createElement('div');
+        findRow.className = 'find-panel-row';
+        this.findInput = this._createInput('Find', this.query, (value) => {
+            this.query = value;
+            this.activeIndex = 0;
+            this.search();
+        });
+        this.findInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                event.shiftKey ? this.previous() : this.next();
+            }
+        });
+        findRow.appendChild(this.findInput);
+        findRow.appendChild(this._createToggle('Aa', 'Match case', 'matchCase'));
+        findRow.appendChild(this._createToggle('W', 'Whole word', 'wholeWord'));
+        findRow.appendChild(this._createToggle('.*', 'Regular expression', 'regex'));
+
+        const replaceRow = document.createElement('div');
+        replaceRow.className = 'find-panel-row';
+        this.replaceInput = this._createInput('Replace', this.replacement, (value) => {
+            this.replacement = value;
+        });
+        this.replaceInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.replace();
+            }
+        });
+        replaceRow.appendChild(this.replaceInput);
+        replaceRow.appendChild(this._createButton('Replace', () => this.replace()));
+        replaceRow.appendChild(this._createButton('All', () => this.replaceAll(), 'Replace all'));
+
+        const statusRow = document.createElement('div');
+        statusRow.className = 'find-panel-row';
+        this.statusElement = document.createElement('span');
+        this.statusElement.className = 'find-panel-status';
+        statusRow.appendChild(this.statusElement);
+        statusRow.appendChild(this._createButton('↑', () => this.previous(), 'Previous match (Shift+Enter)'));
+        statusRow.appendChild(this._createButton('↓', () => this.next(), 'Next match (Enter)'));
+        statusRow.appendChild(this._createButton('Close', () => this.close(), 'Close (Escape)'));
+
+        this.panel.appendChild(findRow);
+        this.panel.appendChild(replaceRow);
+        this.panel.appendChild(statusRow);
+        this.panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        });
+        this.nodeUI.container.appendChild(this.panel);
+    }
+
+    /**
+     * Shows the match count and where the active match is.
+     * @private
+     */
+    _renderStatus() {
+        if (!this.panel) return;
+        const match = this.matches[this.activeIndex];
+        this.panel.classList.toggle('has-error', !!this.error);
+
+        if (this.error) {
+            this.statusElement.textContent = this.error;
+        } else if (!this.query) {
+            this.statusElement.textContent = '';
+        } else if (!match) {
+            this.statusElement.textContent = 'No results';
+        } else {
+            const { target } = match;
+            const field = target.kind === 'edge' ? 'edge label' : target.field;
+            const where = target.subgraphPath.length > 0 ? ` in ${target.owner}` : '';
+            // Titles come from the graph, so never parse them as HTML
+            this.statusElement.textContent = `${this.activeIndex + 1} of ${this.matches.length} · ${field}${where}`;
+        }
+    }
+
+    /**
+     * @param {string} placeholder - The placeholder text.
+     * @param {string} value - The initial value.
+     * @param {function(string): void} onInput - Called with the new value as it is typed.
+     * @returns {HTMLInputElement}
+     * @private
+     */
+    _createInput(placeholder, value, onInput) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'find-panel-input';
+        input.placeholder = placeholder;
+        input.value = value;
+        input.addEventListener('input', () => onInput(input.value));
+        return input;
+    }
+
+    /**
+     * @param {string} label - The button text.
+     * @param {string} title - The tooltip.
+     * @param {string} option - The key in `this.options` the toggle switches.
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createToggle(label, title, option) {
+        const button = this._createButton(label, () => {
+            this.options[option] = !this.options[option];
+            button.classList.toggle('is-active', this.options[option]);
+            this.search();
+        }, title);
+        button.classList.toggle('is-active', this.options[option]);
+        return button;
+    }
+
+    /**
+     * @param {string} label - The button text.
+     * @param {function(): void} onClick - The click handler.
+     * @param {string} [title] - The tooltip.
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(label, onClick, title) {
+        const button = document.createElement('button');
+        button.className = 'find-panel-button';
+        button.textContent = label;
+        if (title) button.title = title;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    // --- Highlights ---
+
+    /**
+     * Marks the nodes and edges holding a match, and the one holding the active match.
+     * Matches inside a subgraph mark the subgraph node.
+     * @private
+     */
+    _updateHighlights() {
+        this._clearHighlights();
+        this.matches.forEach((match, index) => {
+            const element = this._getElement(match.target);
+            if (!element) return;
+            element.classList.add('find-match');
+            if (index === this.activeIndex) element.classList.add('find-current');
+            this.highlightedElements.add(element);
+        });
+    }
+
+    /**
+     * @param {object} target - A text from getTargets().
+     * @returns {Element|null} The element on the canvas that holds it.
+     * @private
+     */
+    _getElement(target) {
+        if (target.subgraphPath.length > 0) {
+            const subgraphNode = this.nodeUI.nodes.get(target.subgraphPath[0]);
+            return subgraphNode ? subgraphNode.element : null;
+        }
+        const item = target.kind === 'node' ? this.nodeUI.nodes.get(target.id) : this.nodeUI.edges.get(target.id);
+        return item ? item.element : null;
+    }
+
+    /**
+     * Removes all highlights, including from elements no longer on the canvas.
+     * @private
+     */
+    _clearHighlights() {
+        this.highlightedElements.forEach(element => {
+            element.classList.remove('find-match', 'find-current');
+        });
+        this.highlightedElements.clear();
+    }
+}
+
+// Attach to window for global access
+window.FindReplace = FindReplace;
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Versioned graph file schema. Upgrades older graph files step by step
+ * through a list of migrations and validates the result, reporting exactly which
+ * node or edge is malformed.
+ */
+
+/**
+ * The format version written by File.saveGraph(). Bump it together with a new
+ * entry in GraphSchema's migration list whenever the file layout changes.
+ */
+const GRAPH_FORMAT_VERSION = 1;
+
+/**
+ * Error thrown when a graph file cannot be loaded. `errors` lists every problem found.
+ */
+class GraphValidationError extends Error {
+    /**
+     * @param {string[]} errors - One human-readable message per problem.
+     */
+    constructor(errors) {
+        const preview = errors.slice(0, 10).join('\n  ');
+        const more = errors.length > 10 ? `\n  ...and ${errors.length - 10} more` : '';
+        super(`Invalid graph file (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  ${preview}${more}`);
+        this.name = 'GraphValidationError';
+        this.errors = errors;
+    }
+}
+
+class GraphSchema {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        /**
+         * Ordered migrations. Each one upgrades a file from `version - 1` to `version`.
+         * Files without a `formatVersion` field are treated as version 0.
+         * @type {{version: number, description: string, migrate: function(object): object}[]}
+         */
+        this.migrations = [
+            {
+                version: 1,
+                // Unversioned files already have the version 1 layout; only the version is added
+                description: 'Add formatVersion',
+                migrate: (data) => data
+            }
+        ];
+    }
+
+    /**
+     * Parses, migrates and validates a graph file. Edges that point to a missing node
+     * don't stop the file from loading; they are left out with a warning in the console.
+     * @param {string|object} json - The raw file contents or an already parsed object.
+     * @returns {object} Graph data in the current format.
+     * @throws {GraphValidationError} If the file cannot be parsed, upgraded or validated.
+     */
+    parse(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new GraphValidationError([`File is not valid JSON: ${error.message}`]);
+            }
+        }
+
+        const migrated = this.migrate(data);
+        const warnings = [];
+        const errors = this.validate(migrated, warnings);
+        if (errors.length > 0) {
+            throw new GraphValidationError(errors);
+        }
+        if (warnings.length > 0) {
+            console.warn(`Graph file has ${warnings.length} edge end(s) pointing to missing nodes; those edges were left out:`);
+            warnings.forEach(warning => console.warn(`  - ${warning}`));
+            this._dropDanglingEdges(migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Returns the format version of a graph file.
+     * @param {object} data - The parsed graph file.
+     * @returns {number}
+     */
+    getVersion(data) {
+        return Number.isInteger(data.formatVersion) ? data.formatVersion : 0;
+    }
+
+    /**
+     * Upgrades graph data to the current format by running each pending migration in order.
+     * The input is not modified.
+     * @param {object} data - The parsed graph file.
+     * @returns {object} A migrated copy of the data.
+     * @throws {GraphValidationError} If the data isn't an object or comes from a newer version.
+     */
+    migrate(data) {
+        if (!this._isObject(data)) {
+            throw new GraphValidationError(['Graph file must contain a JSON object']);
+        }
+
+        const fileVersion = this.getVersion(data);
+        if (fileVersion > GRAPH_FORMAT_VERSION) {
+            throw new GraphValidationError([
+                `formatVersion ${fileVersion} is newer than this version of NodeUI supports (${GRAPH_FORMAT_VERSION})`
+            ]);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        this.migrations
+            .filter(migration => migration.version > fileVersion)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+                migrated.formatVersion = migration.version;
+            });
+
+        migrated.formatVersion = GRAPH_FORMAT_VERSION;
+        return migrated;
+    }
+
+    /**
+     * Checks graph data against the current format. Only malformed data is an error;
+     * edges that point to a missing node are well-formed and reported as warnings.
+     * @param {object} data - Graph data in the current format.
+     * @param {string[]} [warnings=[]] - Collects problems that don't prevent loading.
+     * @returns {string[]} A list of problems; empty if the graph is valid.
+     */
+    validate(data, warnings = []) {
+        const errors = [];
+        if (!this._isObject(data)) {
+            return ['Graph file must contain a JSON object'];
+        }
+        if (data.metadata !== undefined && !this._isObject(data.metadata)) {
+            errors.push('"metadata" must be an object');
+        } else if (data.metadata && data.metadata.plugins !== undefined) {
+            this._validatePlugins(data.metadata.plugins, errors);
+        }
+        this._validateGraph(data, '', errors, warnings);
+        return errors;
+    }
+
+    // --- Validation Helpers ---
+
+    /**
+     * Validates the nodes and edges of a graph or subgraph.
+     * @param {object} graph - An object with `nodes` and `edges` arrays.
+     * @param {string} path - Prefix used to locate problems in nested graphs.
+     * @param {string[]} errors - Collected problems.
+     * @param {string[]} warnings - Collected problems that don't prevent loading.
+     * @private
+     */
+    _validateGraph(graph, path, errors, warnings) {
+        if (!Array.isArray(graph.nodes)) {
+            errors.push(`${path}"nodes" must be an array`);
+        }
+        if (!Array.isArray(graph.edges)) {
+            errors.push(`${path}"edges" must be an array`);
+        }
+        if (!Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) return;
+
+        const nodeIds = new Set();
+        graph.nodes.forEach((node, index) => {
+            const where = this._describe(`${path}nodes`, index, node);
+            if (!this._isObject(node)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+
+            if (typeof node.id !== 'string' || node.id === '') {
+                errors.push(`${where}: "id" must be a non-empty string`);
+            } else if (nodeIds.has(node.id)) {
+                errors.push(`${where}: duplicate node id`);
+            } else {
+                nodeIds.add(node.id);
+            }
+
+            if (typeof node.type !== 'string' || node.type === '') {
+                errors.push(`${where}: "type" must be a non-empty string`);
+            }
+            ['x', 'y'].forEach(key => {
+                if (!Number.isFinite(node[key])) {
+                    errors.push(`${where}: "${key}" must be a finite number`);
+                }
+            });
+            ['width', 'height'].forEach(key => {
+                if (node[key] !== undefined && !(Number.isFinite(node[key]) && node[key] > 0)) {
+                    errors.push(`${where}: "${key}" must be a positive number`);
+                }
+            });
+            ['title', 'content', 'color'].forEach(key => {
+                if (node[key] !== undefined && typeof node[key] !== 'string') {
+                    errors.push(`${where}: "${key}" must be a string`);
+                }
+            });
+            if (node.isPinned !== undefined && typeof node.isPinned !== 'boolean') {
+                errors.push(`${where}: "isPinned" must be a boolean`);
+            }
+            if (node.containedNodeIds !== undefined &&
+                !(Array.isArray(node.containedNodeIds) && node.containedNodeIds.every(id => typeof id === 'string'))) {
+                errors.push(`${where}: "containedNodeIds" must be an array of node ids`);
+            }
+            if (node.internalGraph !== undefined) {
+                if (this._isObject(node.internalGraph)) {
+                    this._validateGraph(node.internalGraph, `${where} > internalGraph.`, errors, warnings);
+                } else {
+                    errors.push(`${where}: "internalGraph" must be an object`);
+                }
+            }
+        });
+
+        const edgeIds = new Set();
+        graph.edges.forEach((edge, index) => {
+            const where = this._describe(`${path}edges`, index, edge);
+            if (!this._isObject(edge)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+
+            if (typeof edge.id !== 'string' || edge.id === '') {
+                errors.push(`${where}: "id" must be a non-empty string`);
+            } else if (edgeIds.has(edge.id)) {
+                errors.push(`${where}: duplicate edge id`);
+            } else {
+                edgeIds.add(edge.id);
+            }
+
+            ['startNodeId', 'endNodeId'].forEach(key => {
+                if (typeof edge[key] !== 'string') {
+                    errors.push(`${where}: "${key}" must be a string`);
+                } else if (!nodeIds.has(edge[key])) {
+                    warnings.push(`${where}: "${key}" refers to missing node "${edge[key]}"`);
+                }
+            });
+            ['startHandleId', 'endHandleId', 'label', 'routingStyle', 'startArrow', 'endArrow', 'dashPattern', 'color'].forEach(key => {
+                if (edge[key] !== undefined && edge[key] !== null && typeof edge[key] !== 'string') {
+                    errors.push(`${where}: "${key}" must be a string`);
+                }
+            });
+            if (edge.strokeWidth !== undefined && !(Number.isFinite(edge.strokeWidth) && edge.strokeWidth > 0)) {
+                errors.push(`${where}: "strokeWidth" must be a positive number`);
+            }
+            if (edge.flow !== undefined && typeof edge.flow !== 'boolean') {
+                errors.push(`${where}: "flow" must be a boolean`);
+            }
+            if (edge.routingPoints !== undefined &&
+                !(Array.isArray(edge.routingPoints) &&
+                  edge.routingPoints.every(point => this._isObject(point) && Number.isFinite(point.x) && Number.isFinite(point.y)))) {
+                errors.push(`${where}: "routingPoints" must be an array of {x, y} points`);
+            }
+        });
+    }
+
+    /**
+     * Removes edges that point to a missing node, in the graph and every subgraph.
+     * @param {object} graph - A validated graph or subgraph.
+     * @private
+     */
+    _dropDanglingEdges(graph) {
+        const nodeIds = new Set(graph.nodes.map(node => node.id));
+        graph.edges = graph.edges.filter(edge => nodeIds.has(edge.startNodeId) && nodeIds.has(edge.endNodeId));
+        graph.nodes.forEach(node => {
+            if (node.internalGraph) this._dropDanglingEdges(node.internalGraph);
+        });
+    }
+
+    /**
+     * Validates the list of plugins a graph requires.
+     * @param {*} plugins - The value of `metadata.plugins`.
+     * @param {string[]} errors - Collected problems.
+     * @private
+     */
+    _validatePlugins(plugins, errors) {
+        if (!Array.isArray(plugins)) {
+            errors.push('"metadata.plugins" must be an array');
+            return;
+        }
+        plugins.forEach((plugin, index) => {
+            const where = this._describe('metadata.plugins', index, plugin);
+            if (!this._isObject(plugin)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (typeof plugin.id !== 'string' || plugin.id === '') {
+                errors.push(`${where}: "id" must be a non-empty string`);
+            }
+            ['name', 'version'].forEach(key => {
+                if (plugin[key] !== undefined && typeof plugin[key] !== 'string') {
+                    errors.push(`${where}: "${key}" must be a string`);
+                }
+            });
+            if (plugin.enabled !== undefined && typeof plugin.enabled !== 'boolean') {
+                errors.push(`${where}: "enabled" must be a boolean`);
+            }
+            if (plugin.nodeTypes !== undefined &&
+                !(Array.isArray(plugin.nodeTypes) && plugin.nodeTypes.every(type => typeof type === 'string'))) {
+                errors.push(`${where}: "nodeTypes" must be an array of type names`);
+            }
+        });
+    }
+
+    /**
+     * Builds a readable location for an array entry, e.g. `nodes[3] (id "abc")`.
+     * @param {string} collection - The name of the array.
+     * @param {number} index - The index of the entry.
+     * @param {*} entry - The entry itself.
+     * @returns {string}
+     * @private
+     */
+    _describe(collection, index, entry) {
+        const id = this._isObject(entry) && entry.id !== undefined ? ` (id "${entry.id}")` : '';
+        return `${collection}[${index}]${id}`;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} Whether the value is a plain object.
+     * @private
+     */
+    _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Attach to window for global access
+window.GraphSchema = GraphSchema;
+window.GraphValidationError = GraphValidationError;
@@ -0,0 +1,522 @@
+/**
+ * @fileoverview Command-based undo/redo history for graph mutations.
+ * Every recorded change is stored as a pair of event bus operations (one to redo it,
+ * one to revert it), so stepping through the history simply republishes events that
+ * the rest of the application already knows how to apply.
+ *
+ * Each client keeps its own stacks and only records local edits. In a collaborative
+ * session, remote operations rebase the stacks instead of being recorded, so every
+ * user undoes only their own work.
+ */
+
+class UndoHistory {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSteps = 100;
+
+        this.pendingStep = null; // The step currently collecting commands
+        this.batchDepth = 0;     // Nesting level of explicit beginBatch() calls
+        this.suspendCount = 0;   // Recording is disabled while this is above zero
+        this.isApplying = false; // True while an undo/redo is replaying operations
+    }
+
+    // --- Recording ---
+
+    /**
+     * Whether changes made right now should be recorded.
+     * @returns {boolean}
+     */
+    isRecording() {
+        return !this.isApplying && this.suspendCount === 0;
+    }
+
+    /**
+     * Records a single command. Commands recorded in the same call stack (or inside
+     * an explicit batch) are merged into one undo step.
+     * @param {{eventName: string, data: any}[]} redoOps - Operations that re-apply the change.
+     * @param {{eventName: string, data: any}[]} undoOps - Operations that revert the change.
+     */
+    record(redoOps, undoOps) {
+        if (!this.isRecording()) return;
+
+        if (!this.pendingStep) {
+            this.pendingStep = { label: null, commands: [] };
+            // Close implicit steps once the current call stack has finished
+            queueMicrotask(() => this._commitStep());
+        }
+
+        this.pendingStep.commands.push({
+            redo: this._clone(redoOps),
+            undo: this._clone(undoOps)
+        });
+    }
+
+    /**
+     * Opens a batch. Everything recorded until the matching endBatch() becomes a single undo step.
+     * @param {string} [label] - An optional description of the step.
+     */
+    beginBatch(label = null) {
+        if (!this.pendingStep) {
+            this.pendingStep = { label: null, commands: [] };
+        }
+        if (label && !this.pendingStep.label) {
+            this.pendingStep.label = label;
+        }
+        this.batchDepth++;
+    }
+
+    /**
+     * Closes a batch opened with beginBatch().
+     */
+    endBatch() {
+        if (this.batchDepth === 0) return;
+        this.batchDepth--;
+        if (this.batchDepth === 0) {
+            this._commitStep();
+        }
+    }
+
+    /**
+     * Runs a function inside a batch so all of its changes undo together.
+     * @param {string} label - A description of the step.
+     * @param {Function} fn - The function performing the changes.
+     * @returns {*} The return value of the function.
+     */
+    batch(label, fn) {
+        this.beginBatch(label);
+        try {
+            return fn();
+        } finally {
+            this.endBatch();
+        }
+    }
+
+    /**
+     * Temporarily stops recording, e.g. while loading a file or applying remote changes.
+     * Calls can be nested and must be balanced with resume().
+     */
+    suspend() {
+        this.suspendCount++;
+    }
+
+    /**
+     * Re-enables recording after a call to suspend().
+     */
+    resume() {
+        this.suspendCount = Math.max(0, this.suspendCount - 1);
+    }
+
+    /**
+     * Pushes the pending step onto the undo stack, unless a batch is still open.
+     * @private
+     */
+    _commitStep() {
+        if (this.batchDepth > 0) return;
+
+        const step = this.pendingStep;
+        this.pendingStep = null;
+        if (!step || step.commands.length === 0) return;
+
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.maxSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._publishState();
+    }
+
+    // --- Command Helpers ---
+
+    /**
+     * Records the creation of a node.
+     * @param {BaseNode} node - The node that was added.
+     */
+    recordNodeCreate(node) {
+        if (!this.isRecording()) return;
+        this.record(this._nodeCreateOps(node), [{ eventName: 'node:delete', data: node.id }]);
+    }
+
+    /**
+     * Records the deletion of a node. Must be called before the node is removed.
+     * @param {BaseNode} node - The node being removed.
+     */
+    recordNodeDelete(node) {
+        if (!this.isRecording()) return;
+        this.record([{ eventName: 'node:delete', data: node.id }], this._nodeCreateOps(node));
+    }
+
+    /**
+     * Records the creation of an edge.
+     * @param {BaseEdge} edge - The edge that was added.
+     */
+    recordEdgeCreate(edge) {
+        if (!this.isRecording()) return;
+        this.record(
+            [{ eventName: 'edge:create', data: edge.serialize() }],
+            [{ eventName: 'edge:delete', data: edge.id }]
+        );
+    }
+
+    /**
+     * Records the deletion of an edge. Must be called before the edge is removed.
+     * @param {BaseEdge} edge - The edge being removed.
+     */
+    recordEdgeDelete(edge) {
+        if (!this.isRecording()) return;
+        this.record(
+            [{ eventName: 'edge:delete', data: edge.id }],
+            [{ eventName: 'edge:create', data: edge.serialize() }]
+        );
+    }
+
+    /**
+     * Records a property change applied through `node:update`.
+     * @param {string} nodeId - The ID of the node.
+     * @param {object} before - The previous values of the changed properties.
+     * @param {object} after - The new values of the changed properties.
+     */
+    recordNodeUpdate(nodeId, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.record(
+            [{ eventName: 'node:update', data: { nodeId, ...after } }],
+            [{ eventName: 'node:update', data: { nodeId, ...before } }]
+        );
+    }
+
+    /**
+     * Records a node being moved.
+     * @param {string} nodeId - The ID of the node.
+     * @param {{x: number, y: number}} from - The original position.
+     * @param {{x: number, y: number}} to - The new position.
+     */
+    recordNodeMove(nodeId, from, to) {
+        if (from.x === to.x && from.y === to.y) return;
+        this.record(
+            [{ eventName: 'node:moved', data: { nodeId, x: to.x, y: to.y } }],
+            [{ eventName: 'node:moved', data: { nodeId, x: from.x, y: from.y } }]
+        );
+    }
+
+    /**
+     * Records a node being resized.
+     * @param {string} nodeId - The ID of the node.
+     * @param {{x: number, y: number, width: number, height: number}} before - The original bounds.
+     * @param {{x: number, y: number, width: number, height: number}} after - The new bounds.
+     */
+    recordNodeResize(nodeId, before, after) {
+        if (before.x === after.x && before.y === after.y &&
+            before.width === after.width && before.height === after.height) return;
+        this.record(
+            [{ eventName: 'node:resized', data: { nodeId, ...after } }],
+            [{ eventName: 'node:resized', data: { nodeId, ...before } }]
+        );
+    }
+
+    /**
+     * Records a property change applied through `edge:update`.
+     * @param {string} edgeId - The ID of the edge.
+     * @param {object} before - The previous values of the changed properties.
+     * @param {object} after - The new values of the changed properties.
+     */
+    recordEdgeUpdate(edgeId, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.record(
+            [{ eventName: 'edge:update', data: { edgeId, ...after } }],
+            [{ eventName: 'edge:update', data: { edgeId, ...before } }]
+        );
+    }
+
+    /**
+     * Records a subgraph's internal graph being replaced through `subgraph:update`.
+     * @param {string} subgraphId - The ID of the SubGraphNode.
+     * @param {object} before - The previous internal graph.
+     * @param {object} after - The new internal graph.
+     */
+    recordSubgraphUpdate(subgraphId, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.record(
+            [{ eventName: 'subgraph:update', data: { subgraphId, internalGraph: after } }],
+            [{ eventName: 'subgraph:update', data: { subgraphId, internalGraph: before } }]
+        );
+    }
+
+    /**
+     * Builds the operations that recreate a node in its current state.
+     * Pinned nodes are recreated in world space and pinned again afterwards.
+     * @param {BaseNode} node - The node to serialize.
+     * @returns {{eventName: string, data: any}[]}
+     * @private
+     */
+    _nodeCreateOps(node) {
+        const nodeData = node.serialize();
+        const ops = [{ eventName: 'node:create', data: nodeData }];
+
+        if (node.isPinned) {
+            const { scale, offsetX, offsetY } = this.nodeUI.panZoom;
+            nodeData.x = (node.x - offsetX) / scale;
+            nodeData.y = (node.y - offsetY) / scale;
+            nodeData.width = node.width / scale;
+            nodeData.height = node.height / scale;
+            nodeData.isPinned = false;
+            ops.push({ eventName: 'node:update', data: { nodeId: node.id, isPinned: true } });
+        }
+        return ops;
+    }
+
+    /**
+     * Runs a function that changes node properties and records the change so it can be
+     * replayed through `node:update`.
+     * @param {BaseNode} node - The node being changed.
+     * @param {string[]} keys - The property names the function may change.
+     * @param {Function} fn - The function performing the change.
+     * @returns {*} The return value of the function.
+     */
+    trackNodeChange(node, keys, fn) {
+        if (!this.isRecording()) return fn();
+
+        const before = this._captureState(node, keys, ['nodeId']);
+        const result = fn();
+        this.recordNodeUpdate(node.id, before, this._captureState(node, keys, ['nodeId']));
+        return result;
+    }
+
+    /**
+     * Runs a function that changes edge properties and records the change so it can be
+     * replayed through `edge:update`.
+     * @param {BaseEdge} edge - The edge being changed.
+     * @param {string[]} keys - The property names the function may change.
+     * @param {Function} fn - The function performing the change.
+     * @returns {*} The return value of the function.
+     */
+    trackEdgeChange(edge, keys, fn) {
+        if (!this.isRecording()) return fn();
+
+        const before = this._captureState(edge, keys, ['edgeId']);
+        const result = fn();
+        this.recordEdgeUpdate(edge.id, before, this._captureState(edge, keys, ['edgeId']));
+        return result;
+    }
+
+    /**
+     * Reads the current values of the given properties as plain, replayable data.
+     * @param {object} target - The node or edge to read from.
+     * @param {string[]} keys - The property names to capture.
+     * @param {string[]} skipKeys - Keys that identify the target rather than describe it.
+     * @returns {object}
+     * @private
+     */
+    _captureState(target, keys, skipKeys) {
+        const state = {};
+        keys.forEach(key => {
+            if (skipKeys.includes(key) || key.startsWith('_')) return;
+            const value = target[key];
+            state[key] = value instanceof Set ? Array.from(value) : value;
+        });
+        return this._clone(state);
+    }
+
+    // --- Undo / Redo ---
+
+    /**
+     * @returns {boolean} Whether there is a step to undo.
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is a step to redo.
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Reverts the most recent step.
+     */
+    undo() {
+        if (this.batchDepth > 0) return; // Don't undo in the middle of a drag or batch
+        this._commitStep();
+
+        const step = this.undoStack.pop();
+        if (!step) return;
+
+        const ops = [];
+        for (let i = step.commands.length - 1; i >= 0; i--) {
+            ops.push(...step.commands[i].undo);
+        }
+        this._applyOperations(ops);
+        this.redoStack.push(step);
+        this._publishState();
+    }
+
+    /**
+     * Re-applies the most recently undone step.
+     */
+    redo() {
+        if (this.batchDepth > 0) return;
+        this._commitStep();
+
+        const step = this.redoStack.pop();
+        if (!step) return;
+
+        const ops = [];
+        step.commands.forEach(command => ops.push(...command.redo));
+        this._applyOperations(ops);
+        this.undoStack.push(step);
+        this._publishState();
+    }
+
+    /**
+     * Publishes a list of operations on the event bus without recording them.
+     * They go out as ordinary local events, so in a collaborative session the
+     * collaboration module broadcasts each inverse operation to peers like any other edit.
+     * @param {{eventName: string, data: any}[]} ops - The operations to apply.
+     * @private
+     */
+    _applyOperations(ops) {
+        this.nodeUI.clearSelection();
+        this.isApplying = true;
+        try {
+            ops.forEach(op => events.publish(op.eventName, this._clone(op.data)));
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    // --- Collaboration ---
+
+    /**
+     * Rebases the local history onto an operation received from another user, before it
+     * is applied. Commands touching something the peer deleted are dropped, and properties
+     * the peer overwrote are removed from our commands, so a later undo only reverts this
+     * user's own changes and never clobbers a peer's newer edit.
+     * @param {string} eventName - The name of the remote event.
+     * @param {*} data - The remote event payload.
+     */
+    rebase(eventName, data) {
+        let transform = null;
+
+        if (eventName === 'node:delete' || eventName === 'edge:delete') {
+            // Deletes are echoed back by peers, so only rebase when something actually goes away
+            const collection = eventName === 'node:delete' ? this.nodeUI.nodes : this.nodeUI.edges;
+            if (!collection.has(data)) return;
+
+            const removedIds = new Set([data]);
+            if (eventName === 'node:delete') {
+                // Connected edges are removed along with the node
+                const connectedEdges = this.nodeUI.nodeEdges.get(data);
+                if (connectedEdges) connectedEdges.forEach(edgeId => removedIds.add(edgeId));
+            }
+            transform = op => this._referencesAny(op, removedIds) ? null : op;
+        } else if (eventName === 'node:update' || eventName === 'node:moved' || eventName === 'node:resized') {
+            const keys = Object.keys(data).filter(key => key !== 'nodeId' && !key.startsWith('_'));
+            transform = op => this._withoutKeys(op, 'node', data.nodeId, keys);
+        } else if (eventName === 'edge:update') {
+            const keys = Object.keys(data).filter(key => key !== 'edgeId' && !key.startsWith('_'));
+            transform = op => this._withoutKeys(op, 'edge', data.edgeId, keys);
+        }
+
+        if (!transform) return;
+
+        const rebaseStep = step => {
+            step.commands = step.commands
+                .map(command => ({
+                    redo: command.redo.map(transform).filter(Boolean),
+                    undo: command.undo.map(transform).filter(Boolean)
+                }))
+                .filter(command => command.redo.length > 0 || command.undo.length > 0);
+            return step.commands.length > 0;
+        };
+
+        this.undoStack = this.undoStack.filter(rebaseStep);
+        this.redoStack = this.redoStack.filter(rebaseStep);
+        if (this.pendingStep) {
+            rebaseStep(this.pendingStep);
+        }
+        this._publishState();
+    }
+
+    /**
+     * Checks whether an operation targets any of the given node or edge IDs.
+     * @param {{eventName: string, data: any}} op - The operation to check.
+     * @param {Set<string>} ids - The IDs to look for.
+     * @returns {boolean}
+     * @private
+     */
+    _referencesAny(op, ids) {
+        if (typeof op.data === 'string') {
+            return ids.has(op.data);
+        }
+        const { id, nodeId, edgeId, startNodeId, endNodeId } = op.data;
+        return [id, nodeId, edgeId, startNodeId, endNodeId].some(ref => ref && ids.has(ref));
+    }
+
+    /**
+     * Removes properties overwritten by a peer from an operation on the same target.
+     * Partial moves and resizes become `node:update`, which applies each property on its own.
+     * @param {{eventName: string, data: any}} op - The operation to transform.
+     * @param {string} kind - Either 'node' or 'edge'.
+     * @param {string} targetId - The ID of the node or edge the peer changed.
+     * @param {string[]} keys - The properties the peer changed.
+     * @returns {{eventName: string, data: any}|null} The transformed operation, or null if nothing is left.
+     * @private
+     */
+    _withoutKeys(op, kind, targetId, keys) {
+        const idKey = kind === 'node' ? 'nodeId' : 'edgeId';
+        const isPropertyOp = kind === 'node'
+            ? ['node:update', 'node:moved', 'node:resized'].includes(op.eventName)
+            : op.eventName === 'edge:update';
+        if (!isPropertyOp || op.data[idKey] !== targetId) return op;
+
+        const remaining = { ...op.data };
+        keys.forEach(key => delete remaining[key]);
+
+        const remainingKeys = Object.keys(remaining).filter(key => key !== idKey);
+        if (remainingKeys.length === 0) return null;
+        if (remainingKeys.length === Object.keys(op.data).length - 1) return op;
+
+        const eventName = kind === 'node' ? 'node:update' : op.eventName;
+        return { eventName, data: remaining };
+    }
+
+    /**
+     * Discards all recorded history.
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingStep = null;
+        this.batchDepth = 0;
+        this._publishState();
+    }
+
+    /**
+     * Notifies listeners that the undo/redo availability may have changed.
+     * @private
+     */
+    _publishState() {
+        events.publish('history:changed', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+
+    /**
+     * Deep copies plain data so recorded commands aren't affected by later mutations.
+     * @param {*} data - The data to copy.
+     * @returns {*}
+     * @private
+     */
+    _clone(data) {
+        return data === undefined ? data : JSON.parse(JSON.stringify(data));
+    }
+}
+
+// Attach to window for global access
+window.UndoHistory = UndoHistory;
@@ -290,6 +290,8 @@ class Interactions {
                     this.nodeUI.updateConnectedEdges(nodeId);
                 }
             });
+            // Selected nodes dragged in from off-screen need mounting
+            this.nodeUI.virtualizer.scheduleUpdate();
 
             // Record shake history
             const now = Date.now();
@@ -780,17 +782,27 @@ class Interactions {
     }
 
     /**
-     * Handles keyboard shortcuts for cut, copy, and paste.
+     * Handles keyboard shortcuts for save, clipboard, undo/redo and selection tools.
      * @param {KeyboardEvent} event 
      */
     async onKeyDown(event) {
-        const isEditingContent = event.target.closest('[contenteditable="true"]');
+        const isEditingContent = event.target.closest('[contenteditable="true"], input, textarea, select');
         if (isEditingContent && event.key !== 'Escape') {
-            return; // Don't process keyboard shortcuts while editing
+            return; // Don't process keyboard shortcuts while editing or typing into a form field
         }
         
         const isModKey = event.ctrlKey || event.metaKey;
 
+        // Plugin shortcuts come first
+        if (!isEditingContent && this.nodeUI.pluginManager.handleKeyDown(event, isModKey)) {
+            return;
+        }
+
+        // Alt shortcuts for aligning and distributing the selection
+        if (!isEditingContent && this.nodeUI.alignment.handleKeyDown(event)) {
+            return;
+        }
+
         if (isModKey) {
             switch (event.key.toLowerCase()) {
                 case 's':
@@ -811,7 +823,28 @@ class Interactions {
                     this.selectAll();
                     break;
                 case 'z':
-                    // TODO: Implement undo/redo functionality
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.nodeUI.historyManager.redo();
+                    } else {
+                        this.nodeUI.historyManager.undo();
+                    }
+                    break;
+                case 'y':
+                    event.preventDefault();
+                    this.nodeUI.historyManager.redo();
+                    break;
+                case 'k':
+                    event.preventDefault();
+                    events.publish('palette:open');
+                    break;
+                case 'o':
+                    event.preventDefault();
+                    events.publish('projects:open');
+                    break;
+                case 'f':
+                    event.preventDefault();
+                    events.publish('find:open');
                     break;
             }
         }
@@ -838,6 +871,17 @@ class Interactions {
                     this.nodeUI.groupSelection();
                 }
                 break;
+            case 'l':
+                if (!isModKey && !isEditingContent) {
+                    event.preventDefault();
+                    events.publish('layout:apply');
+                }
+                break;
+            case 'm':
+                if (!isModKey && !isEditingContent) {
+                    events.publish('minimap:toggle');
+                }
+                break;
             case 'r':
                 if (!isModKey && !isEditingContent) {
                     this.nodeUI.edgeHandler.getRoutingCutState().isRouting = true;
@@ -987,29 +1031,7 @@ class Interactions {
         this.nodeUI.selectedNodes.forEach(nodeId => {
             const node = this.nodeUI.nodes.get(nodeId);
             if (node) {
-                let nodeData;
-                
-                // Try to use the node's serialize method, with fallback
-                if (typeof node.serialize === 'function') {
-                    try {
-                        nodeData = node.serialize();
-                    } catch (error) {
-                        console.warn('Error serializing node:', error);
-                        nodeData = { ...node };
-                    }
-                } else {
-                    // Fallback to basic object spread
-                    nodeData = { ...node };
-                }
-                
-                // Remove DOM-specific properties that shouldn't be copied
-                delete nodeData.element;
-                delete nodeData.handles;
-                delete nodeData.connections;
-                delete nodeData.keyboardListener;
-                delete nodeData.scrubbingListeners;
-                delete nodeData.animationInterval;
-                delete nodeData.thumbnailElement;
+                const nodeData = node.serialize();
                 
                 if (node.isPinned) {
                     nodeData.x = (node.x - this.nodeUI.panZoom.offsetX) / this.nodeUI.panZoom.scale;
@@ -1022,7 +1044,7 @@ class Interactions {
 
         this.nodeUI.edges.forEach(edge => {
             if (this.nodeUI.selectedNodes.has(edge.startNodeId) || this.nodeUI.selectedNodes.has(edge.endNodeId)) {
-                this.nodeUI.clipboard.edges.push({ ...edge, element: null, groupElement: null, hitArea: null, labelElement: null });
+                this.nodeUI.clipboard.edges.push(edge.serialize());
             }
         });
         
@@ -1067,63 +1089,38 @@ class Interactions {
             const offsetX = nodeData.x - groupCenterX;
             const offsetY = nodeData.y - groupCenterY;
             const newNodeData = {
+                ...nodeData,
                 id: newId,
                 x: pasteCenter.x + offsetX,
                 y: pasteCenter.y + offsetY,
-                width: nodeData.width,
-                height: nodeData.height,
-                title: nodeData.title,
-                content: nodeData.content,
-                type: nodeData.type,
-                color: nodeData.color,
-                isPinned: false,
-                containedNodeIds: nodeData.containedNodeIds
+                isPinned: false
             };
 
-            // Add type-specific properties
+            // Point the group at the pasted copies of its children
             if (nodeData.type === 'GroupNode' && nodeData.containedNodeIds) {
                 newNodeData.containedNodeIds = nodeData.containedNodeIds.map(oldChildId => 
                     idMap.get(oldChildId) || oldChildId
                 ).filter(id => id);
             }
 
-            // Add ImageSequenceNode specific properties
-            if (nodeData.type === 'ImageSequenceNode') {
-                newNodeData.imageSequence = nodeData.imageSequence;
-                newNodeData.currentFrame = nodeData.currentFrame;
-                newNodeData.fps = nodeData.fps;
-            }
-
-            if (newNodeData.type === 'RoutingNode') {
-                this.nodeUI.nodeManager.addNode(new RoutingNode(newNodeData));
-            } else if (newNodeData.type === 'GroupNode') {
-                this.nodeUI.nodeManager.addNode(new GroupNode(newNodeData));
-            } else if (newNodeData.type === 'LogNode') {
-                this.nodeUI.nodeManager.addNode(new LogNode(newNodeData));
-            } else if (newNodeData.type === 'SettingsNode') {
-                this.nodeUI.nodeManager.addNode(new SettingsNode(newNodeData));
-            } else if (newNodeData.type === 'ImageSequenceNode') {
-                this.nodeUI.nodeManager.addNode(new ImageSequenceNode(newNodeData));
-            } else if (newNodeData.type === 'SubGraphNode') {
-                this.nodeUI.nodeManager.addNode(new SubGraphNode(newNodeData));
-            } else if (newNodeData.type === 'ThreeJSNode') {
-                this.nodeUI.nodeManager.addNode(new ThreeJSNode(newNodeData));
-            } else {
-                this.nodeUI.nodeManager.addNode(new BaseNode(newNodeData));
-            }
+            this.nodeUI.nodeManager.addNode(nodeRegistry.create(newNodeData));
             if (nodeData.isPinned) {
                 nodesToPin.push(newId);
             }
         });
+        // Routing points move with the pasted nodes
+        const shiftX = pasteCenter.x - groupCenterX;
+        const shiftY = pasteCenter.y - groupCenterY;
         this.nodeUI.clipboard.edges.forEach(edgeData => {
             const newStartNodeId = idMap.get(edgeData.startNodeId) || edgeData.startNodeId;
             const newEndNodeId = idMap.get(edgeData.endNodeId) || edgeData.endNodeId;
             if (idMap.has(edgeData.startNodeId) || idMap.has(edgeData.endNodeId)) {
+                const { id, ...edgeProps } = edgeData;
                 events.publish('edge:create', {
+                    ...edgeProps,
                     startNodeId: newStartNodeId,
                     endNodeId: newEndNodeId,
-                    startHandleId: edgeData.startHandleId,
-                    endHandleId: edgeData.endHandleId
+                    routingPoints: (edgeData.routingPoints || []).map(point => ({ x: point.x + shiftX, y: point.y + shiftY }))
                 });
             }
         });
@@ -1171,41 +1168,15 @@ class Interactions {
             const duplicateY = mouseWorldY - clickOffsetY;
             
             const nodeData = {
-                id: node.id,
+                ...node.serialize(),
                 x: duplicateX,
                 y: duplicateY,
-                width: node.width,
-                height: node.height,
-                title: node.title,
-                content: node.content,
-                type: node.type,
-                color: node.color,
                 isPinned: false
             };
             
-            // Add type-specific data
-            if (node instanceof GroupNode || node.type === 'GroupNode') {
-                nodeData.containedNodeIds = Array.from(node.containedNodeIds || []);
-            }
-            if (node.type === 'SubGraphNode') {
-                nodeData.subgraphId = node.subgraphId;
-                nodeData.subgraphPath = node.subgraphPath;
-                nodeData.internalGraph = node.internalGraph;
-                nodeData.exposedAttributes = node.exposedAttributes;
-            }
-            if (node.type === 'ThreeJSNode') {
-                nodeData.sceneData = node.sceneData;
-                nodeData.animationData = node.animationData;
-            }
-            if (node.type === 'ImageSequenceNode') {
-                nodeData.imageSequence = node.imageSequence;
-                nodeData.currentFrame = node.currentFrame;
-                nodeData.fps = node.fps;
-            }
-            
             // Create new node at the same position as original
             const newId = crypto.randomUUID();
-            const duplicatedNode = this.createNodeFromData({
+            const duplicatedNode = nodeRegistry.create({
                 ...nodeData,
                 id: newId
             });
@@ -1262,6 +1233,12 @@ class Interactions {
             }
         }
 
+        // Everything that happens until the drag ends (moves, regrouping, edge splits,
+        // shake-to-reconnect, alt-duplication) is undone as a single step
+        if (!this.nodeUI.draggingState.isDragging) {
+            this.nodeUI.historyManager.beginBatch('Move nodes');
+        }
+
         this.nodeUI.draggingState.isDragging = true;
         this.nodeUI.draggingState.targetNode = actualNode;
         this.nodeUI.draggingState.isDraggingPinned = isPinned;
@@ -1287,32 +1264,6 @@ class Interactions {
         actualNode.element.classList.add('is-dragging');
     }
 
-    /**
-     * Creates a node instance from node data.
-     * @param {object} nodeData - The node data.
-     * @returns {BaseNode} The created node instance.
-     */
-    createNodeFromData(nodeData) {
-        switch (nodeData.type) {
-            case 'GroupNode':
-                return new GroupNode(nodeData);
-            case 'RoutingNode':
-                return new RoutingNode(nodeData);
-            case 'LogNode':
-                return new LogNode(nodeData);
-            case 'SettingsNode':
-                return new SettingsNode(nodeData);
-            case 'SubGraphNode':
-                return new SubGraphNode(nodeData);
-            case 'ThreeJSNode':
-                return new ThreeJSNode(nodeData);
-            case 'ImageSequenceNode':
-                return new ImageSequenceNode(nodeData);
-            default:
-                return new BaseNode(nodeData);
-        }
-    }
-
     /**
      * Ends the current dragging state and publishes the result.
      */
@@ -1320,57 +1271,58 @@ class Interactions {
         const { targetNode } = this.nodeUI.draggingState;
         if (!targetNode) return;
 
-        this.updateGroupingForMovedNodes();
-
-        // Clear any final droppable state
-        const droppableEdge = this.nodeUI.draggingState.droppableEdge;
-        if (droppableEdge && droppableEdge.element) {
-            droppableEdge.element.classList.remove('is-droppable');
-            this.nodeUI.draggingState.droppableEdge = null;
-        }
+        let nodesMoved = new Set();
+        try {
+            this.updateGroupingForMovedNodes();
 
-        const nodesMoved = this.getNodesToMove(targetNode.id);
+            // Clear any final droppable state
+            const droppableEdge = this.nodeUI.draggingState.droppableEdge;
+            if (droppableEdge && droppableEdge.element) {
+                droppableEdge.element.classList.remove('is-droppable');
+                this.nodeUI.draggingState.droppableEdge = null;
+            }
 
-        // If any node is dropped on an edge, split the edge
-        // Skip edge splitting for GroupNodes to prevent breaking connections to contained nodes
-        if (!(targetNode instanceof GroupNode)) {
-            let edgeToSplit = null;
-            const nodesToCheckForSplitting = nodesMoved;
-            
-            for (const edge of this.nodeUI.edges.values()) {
-                // Don't split edges connected to any node that's being moved
-                if (nodesToCheckForSplitting.has(edge.startNodeId) || nodesToCheckForSplitting.has(edge.endNodeId)) {
-                    continue;
+            nodesMoved = this.getNodesToMove(targetNode.id);
+
+            // If any node is dropped on an edge, split the edge
+            // Skip edge splitting for GroupNodes to prevent breaking connections to contained nodes
+            if (!(targetNode instanceof GroupNode)) {
+                const nodeCenter = { x: targetNode.x + targetNode.width / 2, y: targetNode.y + targetNode.height / 2 };
+                const edgeToSplit = this.nodeUI.spatialIndex.findEdgesNear(nodeCenter, 40)
+                    .map(hit => hit.edge)
+                    // Don't split edges connected to any node that's being moved
+                    .find(edge => !nodesMoved.has(edge.startNodeId) && !nodesMoved.has(edge.endNodeId));
+                if (edgeToSplit) {
+                    this.splitEdgeWithNode(edgeToSplit, targetNode, true);
                 }
-                
-                if (this.isPointOnEdge(targetNode, edge)) {
-                    edgeToSplit = edge;
-                    break;
-                }
-            }
-            if (edgeToSplit) {
-                this.splitEdgeWithNode(edgeToSplit, targetNode, true);
             }
-        }
-
-        targetNode.element.classList.remove('is-dragging');
 
-        // Always clear guides when drag ends, regardless of snap settings
-        this.nodeUI.clearGuides();
+            targetNode.element.classList.remove('is-dragging');
 
-        // Publish 'moved' for all affected nodes
-        nodesMoved.forEach(nodeId => {
-            const node = this.nodeUI.nodes.get(nodeId);
-            if (node) {
-                events.publish('node:moved', { nodeId: node.id, x: node.x, y: node.y });
-            }
-        });
+            // Always clear guides when drag ends, regardless of snap settings
+            this.nodeUI.clearGuides();
 
-        // Reset dragging state
-        this.nodeUI.draggingState.isDragging = false;
-        this.nodeUI.draggingState.targetNode = null;
-        this.nodeUI.draggingState.shakeCooldown = false; // Reset cooldown
-        this.nodeUI.draggingState.isDraggingPinned = false;
+            // Publish 'moved' for all affected nodes
+            nodesMoved.forEach(nodeId => {
+                const node = this.nodeUI.nodes.get(nodeId);
+                if (node) {
+                    if (node.originalX !== undefined) {
+                        this.nodeUI.historyManager.recordNodeMove(node.id,
+                            { x: node.originalX, y: node.originalY },
+                            { x: node.x, y: node.y }
+                        );
+                    }
+                    events.publish('node:moved', { nodeId: node.id, x: node.x, y: node.y });
+                }
+            });
+        } finally {
+            // Reset dragging state, and close the drag's undo step even if the drop failed
+            this.nodeUI.draggingState.isDragging = false;
+            this.nodeUI.draggingState.targetNode = null;
+            this.nodeUI.draggingState.shakeCooldown = false; // Reset cooldown
+            this.nodeUI.draggingState.isDraggingPinned = false;
+            this.nodeUI.historyManager.endBatch();
+        }
         
         // Force update all edges connected to moved nodes to ensure labels are in correct position
         nodesMoved.forEach(nodeId => {
@@ -1433,12 +1385,17 @@ class Interactions {
             const newParent = this.findBestTargetGroup(node);
 
             if (currentParent !== newParent) {
+                const history = this.nodeUI.historyManager;
                 if (currentParent) {
-                    currentParent.removeContainedNode(nodeId);
+                    history.trackNodeChange(currentParent, ['containedNodeIds'], () => {
+                        currentParent.removeContainedNode(nodeId);
+                    });
                     console.log(`Node ${node.title} removed from group ${currentParent.title}`);
                 }
                 if (newParent) {
-                    newParent.addContainedNode(nodeId);
+                    history.trackNodeChange(newParent, ['containedNodeIds'], () => {
+                        newParent.addContainedNode(nodeId);
+                    });
                     console.log(`Node ${node.title} added to group ${newParent.title}`);
                 }
             }
@@ -1525,13 +1482,8 @@ class Interactions {
     }
 
     /**
-     * Checks if a point (from a node's center) is on an edge.
-     * @param {BaseNode} node The node (acting as the point).
-     * @param {BaseEdge} edge The edge to check against.
-     * @returns {boolean}
-     */
-    /**
-     * Edge collision detection for smooth visual feedback during drag.
+     * Edge collision detection for smooth visual feedback during drag. Highlights the
+     * edge nearest the dragged node's center as a drop target.
      * @param {BaseNode} node - The node being dragged.
      */
     checkEdgeCollision(node) {
@@ -1542,171 +1494,24 @@ class Interactions {
             this.nodeUI.draggingState.droppableEdge = null;
         }
 
-        // Check for new droppable edge
-        for (const edge of this.nodeUI.edges.values()) {
-            if (this.isPointNearEdgeSimple(node, edge)) {
-                edge.element.classList.add('is-droppable');
-                this.nodeUI.draggingState.droppableEdge = edge;
-                break;
-            }
-        }
-    }
-
-    /**
-     * Simple fast edge detection for drag feedback.
-     * @param {BaseNode} node - The node to check.
-     * @param {BaseEdge} edge - The edge to check against.
-     * @returns {boolean} True if node is near the edge.
-     */
-    isPointNearEdgeSimple(node, edge) {
-        if (!edge.element || !edge.startPosition || !edge.endPosition) return false;
-
+        // Check for new droppable edge, with a generous 50px tolerance
         const nodeCenter = { x: node.x + node.width / 2, y: node.y + node.height / 2 };
-        
-        // Simple distance to line segment calculation
-        const A = nodeCenter.x - edge.startPosition.x;
-        const B = nodeCenter.y - edge.startPosition.y;
-        const C = edge.endPosition.x - edge.startPosition.x;
-        const D = edge.endPosition.y - edge.startPosition.y;
-
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        
-        if (lenSq === 0) return false;
-
-        let param = dot / lenSq;
-        param = Math.max(0, Math.min(1, param));
-
-        const xx = edge.startPosition.x + param * C;
-        const yy = edge.startPosition.y + param * D;
-
-        const dx = nodeCenter.x - xx;
-        const dy = nodeCenter.y - yy;
-        
-        return Math.sqrt(dx * dx + dy * dy) <= 50; // Generous 50px tolerance
-    }
-
-    /**
-     * Optimized edge collision detection with bounding box pre-filtering.
-     * @param {BaseNode} node - The node to check collision for.
-     * @param {BaseEdge} edge - The edge to check collision against.
-     * @returns {boolean} True if the node overlaps with the edge.
-     */
-    isPointOnEdgeOptimized(node, edge) {
-        if (!edge.element || !edge.startPosition || !edge.endPosition) return false;
-
-        const nodeCenter = { x: node.x + node.width / 2, y: node.y + node.height / 2 };
-        const tolerance = 40; // Generous tolerance for easier edge targeting
-
-        // Quick bounding box check first - add extra padding for curved edges
-        const boundingPadding = 50; // Account for curve control points
-        const minX = Math.min(edge.startPosition.x, edge.endPosition.x) - boundingPadding;
-        const maxX = Math.max(edge.startPosition.x, edge.endPosition.x) + boundingPadding;
-        const minY = Math.min(edge.startPosition.y, edge.endPosition.y) - boundingPadding;
-        const maxY = Math.max(edge.startPosition.y, edge.endPosition.y) + boundingPadding;
-
-        if (nodeCenter.x < minX || nodeCenter.x > maxX || nodeCenter.y < minY || nodeCenter.y > maxY) {
-            return false; // Quick rejection - not even close to the edge
-        }
-
-        // For edges with routing points, use more precise but still efficient detection
-        if (edge.routingPoints && edge.routingPoints.length > 0) {
-            return this.isPointOnRoutedEdge(nodeCenter, edge, tolerance);
+        const hit = this.nodeUI.spatialIndex.findEdgesNear(nodeCenter, 50)[0];
+        if (hit) {
+            hit.edge.element.classList.add('is-droppable');
+            this.nodeUI.draggingState.droppableEdge = hit.edge;
         }
-
-        // For simple edges, check against the actual curve path
-        // Since edges are curved, we need to sample a few points along the curve
-        return this.isPointNearCurvedEdge(nodeCenter, edge, tolerance);
     }
 
     /**
-     * Check if point is near a curved edge using limited sampling.
-     * @param {Object} point - The point to check.
-     * @param {BaseEdge} edge - The edge to check against.
-     * @param {number} tolerance - Maximum distance to consider as collision.
-     * @returns {boolean} True if point is within tolerance of the edge.
-     */
-    isPointNearCurvedEdge(point, edge, tolerance) {
-        if (!edge.element) return false;
-        
-        const path = edge.element;
-        const len = path.getTotalLength();
-        if (len === 0) return false;
-
-        // Sample at 10 strategic points along the curve for good coverage
-        // This is much less than the original which sampled every 5 pixels
-        const samples = 10;
-        const step = len / samples;
-
-        for (let i = 0; i <= samples; i++) {
-            const p = path.getPointAtLength(i * step);
-            if (Math.hypot(p.x - point.x, p.y - point.y) <= tolerance) {
-                return true;
-            }
-        }
-
-        return false;
-    }
-
-    /**
-     * Efficient point-to-line distance calculation.
-     * @param {Object} point - The point to check.
-     * @param {Object} lineStart - Start point of the line.
-     * @param {Object} lineEnd - End point of the line.
-     * @param {number} tolerance - Maximum distance to consider as collision.
-     * @returns {boolean} True if point is within tolerance of the line.
-     */
-    isPointNearLine(point, lineStart, lineEnd, tolerance) {
-        const A = point.x - lineStart.x;
-        const B = point.y - lineStart.y;
-        const C = lineEnd.x - lineStart.x;
-        const D = lineEnd.y - lineStart.y;
-
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        
-        if (lenSq === 0) return Math.hypot(A, B) <= tolerance;
-
-        const param = dot / lenSq;
-        let xx, yy;
-
-        if (param < 0) {
-            xx = lineStart.x;
-            yy = lineStart.y;
-        } else if (param > 1) {
-            xx = lineEnd.x;
-            yy = lineEnd.y;
-        } else {
-            xx = lineStart.x + param * C;
-            yy = lineStart.y + param * D;
-        }
-
-        const dx = point.x - xx;
-        const dy = point.y - yy;
-        return Math.hypot(dx, dy) <= tolerance;
-    }
-
-    /**
-     * Check collision with routed edges (edges with routing points).
-     * @param {Object} point - The point to check.
-     * @param {BaseEdge} edge - The edge with routing points.
-     * @param {number} tolerance - Maximum distance to consider as collision.
-     * @returns {boolean} True if point is within tolerance of any edge segment.
+     * Checks if a point (from a node's center) is on an edge.
+     * @param {BaseNode} node The node (acting as the point).
+     * @param {BaseEdge} edge The edge to check against.
+     * @returns {boolean}
      */
-    isPointOnRoutedEdge(point, edge, tolerance) {
-        const points = [edge.startPosition, ...edge.routingPoints, edge.endPosition];
-        
-        for (let i = 0; i < points.length - 1; i++) {
-            if (this.isPointNearLine(point, points[i], points[i + 1], tolerance)) {
-                return true;
-            }
-        }
-        return false;
-    }
-
     isPointOnEdge(node, edge) {
-        // Legacy method - redirect to optimized version
-        return this.isPointOnEdgeOptimized(node, edge);
+        const nodeCenter = { x: node.x + node.width / 2, y: node.y + node.height / 2 };
+        return this.nodeUI.spatialIndex.distanceToEdge(nodeCenter, edge) <= 40; // Generous tolerance for easier edge targeting
     }
 
     /**
@@ -0,0 +1,577 @@
+/**
+ * @fileoverview Automatic graph layout. Arranges the whole graph or the selection
+ * with a layered (Sugiyama-style), force-directed, grid or tree layout, and tweens
+ * the nodes to their new positions.
+ */
+
+class GraphLayout {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        /**
+         * The layout used by the shortcut; the last one applied.
+         * @type {string}
+         */
+        this.lastAlgorithm = 'layered';
+
+        this.layerGap = 120;    // Space between layers or tree levels
+        this.nodeGap = 40;      // Space between nodes in the same layer, row or column
+        this.duration = 400;    // Tween duration in milliseconds
+        this.maxForceUnits = 500;      // Force layout is O(n²) per iteration, so larger graphs are refused
+        this.forcePairBudget = 1e7;    // Node pairs the force layout and its overlap pass may each compare in total
+        this.isAnimating = false;
+
+        events.subscribe('layout:apply', ({ algorithm } = {}) => this.apply(algorithm));
+    }
+
+    /**
+     * The available layouts and their menu labels.
+     * @type {Object<string, string>}
+     */
+    static get ALGORITHMS() {
+        return {
+            layered: 'Layered',
+            force: 'Force-Directed',
+            grid: 'Grid',
+            tree: 'Tree'
+        };
+    }
+
+    /**
+     * Lays out the selection, or the whole graph if fewer than two nodes are selected.
+     * @param {string} [algorithm] - One of the keys of GraphLayout.ALGORITHMS. Defaults to the last one used.
+     */
+    apply(algorithm = this.lastAlgorithm) {
+        if (!GraphLayout.ALGORITHMS[algorithm]) {
+            console.warn(`Unknown layout "${algorithm}"`);
+            return;
+        }
+        this.lastAlgorithm = algorithm;
+        if (this.isAnimating) return;
+
+        const { units, links } = this._collectUnits();
+        if (units.length < 2) return;
+
+        if (algorithm === 'force' && units.length > this.maxForceUnits) {
+            console.warn(`Force-directed layout handles up to ${this.maxForceUnits} nodes, not ${units.length}. Use the layered or grid layout instead.`);
+            return;
+        }
+
+        const origin = this._getBounds(units);
+        let positions;
+        switch (algorithm) {
+            case 'force':
+                positions = this.forceLayout(units, links);
+                break;
+            case 'grid':
+                positions = this.gridLayout(units);
+                break;
+            case 'tree':
+                positions = this.treeLayout(units, links);
+                break;
+            default:
+                positions = this.layeredLayout(units, links);
+        }
+
+        // Keep the arranged nodes where they were on the canvas
+        const bounds = this._getBounds(units.map(unit => ({ ...unit, ...positions.get(unit.id) })));
+        const targets = new Map();
+        units.forEach(unit => {
+            const position = positions.get(unit.id);
+            const dx = Math.round(position.x - bounds.x + origin.x - unit.x);
+            const dy = Math.round(position.y - bounds.y + origin.y - unit.y);
+            unit.memberIds.forEach(nodeId => {
+                const node = this.nodeUI.nodes.get(nodeId);
+                targets.set(nodeId, { x: node.x + dx, y: node.y + dy });
+            });
+        });
+
+        this._animateTo(targets);
+    }
+
+    // --- Units ---
+
+    /**
+     * Collects what gets arranged: the selection if two or more nodes are selected, else
+     * the whole graph. Groups move as one block together with everything they contain,
+     * pinned nodes stay where they are, and a node inside a group only moves on its own
+     * when the group isn't arranged with it.
+     * @returns {{units: object[], links: {from: string, to: string}[]}} The units, each
+     * with a bounding box and its member node IDs, and the edges between them.
+     * @private
+     */
+    _collectUnits() {
+        const { nodes, selectedNodes } = this.nodeUI;
+        const units = this.nodeUI.nodeManager.getArrangeUnits(selectedNodes.size >= 2 ? selectedNodes : nodes.keys());
+        const unitOf = new Map();
+        units.forEach(unit => unit.memberIds.forEach(memberId => unitOf.set(memberId, unit.id)));
+
+        const seen = new Set();
+        const links = [];
+        this.nodeUI.edges.forEach(edge => {
+            const from = unitOf.get(edge.startNodeId);
+            const to = unitOf.get(edge.endNodeId);
+            const key = `${from}>${to}`;
+            if (!from || !to || from === to || seen.has(key)) return;
+            seen.add(key);
+            links.push({ from, to });
+        });
+
+        return { units, links };
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}[]} boxes
+     * @returns {{x: number, y: number}} The top-left corner of the boxes' bounding box.
+     * @private
+     */
+    _getBounds(boxes) {
+        return {
+            x: Math.min(...boxes.map(box => box.x)),
+            y: Math.min(...boxes.map(box => box.y))
+        };
+    }
+
+    // --- Layered Layout ---
+
+    /**
+     * Sugiyama-style layout for directed flows, running left to right: cycles are broken,
+     * units are assigned to layers by longest path, long edges get dummy nodes, crossings
+     * are reduced with barycenter sweeps and the layers are placed side by side.
+     * @param {object[]} units - The units to arrange.
+     * @param {{from: string, to: string}[]} links - The edges between them.
+     * @returns {Map<string, {x: number, y: number}>} The new top-left corner of each unit.
+     */
+    layeredLayout(units, links) {
+        const unitById = new Map(units.map(unit => [unit.id, unit]));
+        const acyclicLinks = this._breakCycles(units, links);
+
+        // Longest-path layering, walking the units in topological order (Kahn's algorithm)
+        const layerOf = new Map(units.map(unit => [unit.id, 0]));
+        const outgoing = new Map(units.map(unit => [unit.id, []]));
+        const inDegree = new Map(units.map(unit => [unit.id, 0]));
+        acyclicLinks.forEach(link => {
+            outgoing.get(link.from).push(link.to);
+            inDegree.set(link.to, inDegree.get(link.to) + 1);
+        });
+        const ready = units.map(unit => unit.id).filter(id => inDegree.get(id) === 0);
+        while (ready.length > 0) {
+            const unitId = ready.pop();
+            outgoing.get(unitId).forEach(toId => {
+                layerOf.set(toId, Math.max(layerOf.get(toId), layerOf.get(unitId) + 1));
+                inDegree.set(toId, inDegree.get(toId) - 1);
+                if (inDegree.get(toId) === 0) ready.push(toId);
+            });
+        }
+
+        // Split edges spanning several layers with dummy nodes
+        const layers = [];
+        const addToLayer = (id, layer) => {
+            while (layers.length <= layer) layers.push([]);
+            layers[layer].push(id);
+        };
+        units
+            .slice()
+            .sort((a, b) => a.y - b.y)
+            .forEach(unit => addToLayer(unit.id, layerOf.get(unit.id)));
+
+        const up = new Map(units.map(unit => [unit.id, []]));
+        const down = new Map(units.map(unit => [unit.id, []]));
+        let dummyCount = 0;
+        acyclicLinks.forEach(link => {
+            let previousId = link.from;
+            for (let layer = layerOf.get(link.from) + 1; layer < layerOf.get(link.to); layer++) {
+                const dummyId = `dummy:${dummyCount++}`;
+                up.set(dummyId, []);
+                down.set(dummyId, []);
+                addToLayer(dummyId, layer);
+                down.get(previousId).push(dummyId);
+                up.get(dummyId).push(previousId);
+                previousId = dummyId;
+            }
+            down.get(previousId).push(link.to);
+            up.get(link.to).push(previousId);
+        });
+
+        // Barycenter sweeps, alternating downwards and upwards
+        const orderIndex = new Map();
+        const indexLayer = layer => layer.forEach((id, index) => orderIndex.set(id, index));
+        layers.forEach(indexLayer);
+        const barycenter = (id, neighbours) => {
+            const list = neighbours.get(id);
+            if (list.length === 0) return orderIndex.get(id);
+            return list.reduce((sum, neighbourId) => sum + orderIndex.get(neighbourId), 0) / list.length;
+        };
+        for (let sweep = 0; sweep < 8; sweep++) {
+            const downwards = sweep % 2 === 0;
+            const sequence = downwards ? layers.slice(1) : layers.slice(0, -1).reverse();
+            sequence.forEach(layer => {
+                const neighbours = downwards ? up : down;
+                const keys = new Map(layer.map(id => [id, barycenter(id, neighbours)]));
+                layer.sort((a, b) => keys.get(a) - keys.get(b));
+                indexLayer(layer);
+            });
+        }
+
+        // Place the layers side by side, each centred vertically
+        const dummySize = 20;
+        const sizeOf = id => unitById.get(id) || { width: dummySize, height: dummySize };
+        const positions = new Map();
+        let x = 0;
+        layers.forEach(layer => {
+            const layerWidth = Math.max(...layer.map(id => sizeOf(id).width));
+            const layerHeight = layer.reduce((sum, id) => sum + sizeOf(id).height, 0) + this.nodeGap * (layer.length - 1);
+            let y = -layerHeight / 2;
+            layer.forEach(id => {
+                if (unitById.has(id)) {
+                    positions.set(id, { x: x + (layerWidth - sizeOf(id).width) / 2, y });
+                }
+                y += sizeOf(id).height + this.nodeGap;
+            });
+            x += layerWidth + this.layerGap;
+        });
+        return positions;
+    }
+
+    /**
+     * Reverses the edges that close a cycle, found by depth-first search, so the
+     * result can be layered.
+     * @param {object[]} units
+     * @param {{from: string, to: string}[]} links
+     * @returns {{from: string, to: string}[]} The links with back edges reversed.
+     * @private
+     */
+    _breakCycles(units, links) {
+        const outgoing = new Map(units.map(unit => [unit.id, []]));
+        links.forEach(link => outgoing.get(link.from).push(link));
+
+        const state = new Map(); // 1 = on the current path, 2 = finished
+        const reversed = new Set();
+        units.forEach(unit => {
+            if (state.has(unit.id)) return;
+            const stack = [{ id: unit.id, index: 0 }];
+            state.set(unit.id, 1);
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const link = outgoing.get(frame.id)[frame.index++];
+                if (!link) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                } else if (state.get(link.to) === 1) {
+                    reversed.add(link);
+                } else if (!state.has(link.to)) {
+                    state.set(link.to, 1);
+                    stack.push({ id: link.to, index: 0 });
+                }
+            }
+        });
+
+        const seen = new Set();
+        return links
+            .map(link => (reversed.has(link) ? { from: link.to, to: link.from } : link))
+            .filter(link => {
+                const key = `${link.from}>${link.to}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // --- Force-Directed Layout ---
+
+    /**
+     * Fruchterman-Reingold layout for free-form graphs such as mind maps, starting from
+     * the current positions, followed by a pass that pushes overlapping nodes apart.
+     * Larger graphs get fewer iterations and overlap passes, so the work stays within forcePairBudget.
+     * @param {object[]} units - The units to arrange.
+     * @param {{from: string, to: string}[]} links - The edges between them.
+     * @returns {Map<string, {x: number, y: number}>} The new top-left corner of each unit.
+     */
+    forceLayout(units, links) {
+        const averageSize = units.reduce((sum, unit) => sum + Math.max(unit.width, unit.height), 0) / units.length;
+        const idealLength = averageSize + this.layerGap;
+
+        const centres = new Map(units.map((unit, index) => [unit.id, {
+            // Nudge nodes that share a position so the forces can separate them
+            x: unit.x + unit.width / 2 + (index % 7),
+            y: unit.y + unit.height / 2 + (index % 5)
+        }]));
+
+        const pairs = (units.length * (units.length - 1)) / 2;
+        const iterations = Math.max(20, Math.min(300, Math.floor(this.forcePairBudget / pairs)));
+        const overlapPasses = Math.max(5, Math.min(50, Math.floor(this.forcePairBudget / pairs)));
+        // Cool down to the same final temperature however many iterations there are
+        const cooling = Math.pow(0.0025, 1 / iterations);
+        let temperature = idealLength;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const displacement = new Map(units.map(unit => [unit.id, { x: 0, y: 0 }]));
+
+            for (let i = 0; i < units.length; i++) {
+                for (let j = i + 1; j < units.length; j++) {
+                    const a = centres.get(units[i].id);
+                    const b = centres.get(units[j].id);
+                    const dx = a.x - b.x;
+                    const dy = a.y - b.y;
+                    const distance = Math.max(Math.hypot(dx, dy), 1);
+                    // Far-apart nodes don't repel, so the centre pull can keep them together
+                    if (distance > idealLength * 3) continue;
+                    const force = (idealLength * idealLength) / distance;
+                    displacement.get(units[i].id).x += (dx / distance) * force;
+                    displacement.get(units[i].id).y += (dy / distance) * force;
+                    displacement.get(units[j].id).x -= (dx / distance) * force;
+                    displacement.get(units[j].id).y -= (dy / distance) * force;
+                }
+            }
+
+            links.forEach(link => {
+                const a = centres.get(link.from);
+                const b = centres.get(link.to);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                const force = (distance * distance) / idealLength;
+                displacement.get(link.from).x -= (dx / distance) * force;
+                displacement.get(link.from).y -= (dy / distance) * force;
+                displacement.get(link.to).x += (dx / distance) * force;
+                displacement.get(link.to).y += (dy / distance) * force;
+            });
+
+            // A weak pull towards the centre stops disconnected parts drifting off
+            const centreX = units.reduce((sum, unit) => sum + centres.get(unit.id).x, 0) / units.length;
+            const centreY = units.reduce((sum, unit) => sum + centres.get(unit.id).y, 0) / units.length;
+            units.forEach(unit => {
+                const centre = centres.get(unit.id);
+                displacement.get(unit.id).x -= (centre.x - centreX) * 0.1;
+                displacement.get(unit.id).y -= (centre.y - centreY) * 0.1;
+            });
+
+            units.forEach(unit => {
+                const move = displacement.get(unit.id);
+                const length = Math.max(Math.hypot(move.x, move.y), 1);
+                const centre = centres.get(unit.id);
+                centre.x += (move.x / length) * Math.min(length, temperature);
+                centre.y += (move.y / length) * Math.min(length, temperature);
+            });
+            temperature *= cooling;
+        }
+
+        const boxes = units.map(unit => {
+            const centre = centres.get(unit.id);
+            return { id: unit.id, x: centre.x - unit.width / 2, y: centre.y - unit.height / 2, width: unit.width, height: unit.height };
+        });
+        this._removeOverlaps(boxes, overlapPasses);
+        return new Map(boxes.map(box => [box.id, { x: box.x, y: box.y }]));
+    }
+
+    /**
+     * Pushes overlapping boxes apart along the axis of least overlap.
+     * @param {{x: number, y: number, width: number, height: number}[]} boxes - Moved in place.
+     * @param {number} [maxPasses=50] - Stop after this many passes, even if boxes still overlap.
+     * @private
+     */
+    _removeOverlaps(boxes, maxPasses = 50) {
+        const gap = this.nodeGap / 2;
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let moved = false;
+            for (let i = 0; i < boxes.length; i++) {
+                for (let j = i + 1; j < boxes.length; j++) {
+                    const a = boxes[i];
+                    const b = boxes[j];
+                    const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x) + gap;
+                    const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y) + gap;
+                    if (overlapX <= 0 || overlapY <= 0) continue;
+
+                    moved = true;
+                    if (overlapX < overlapY) {
+                        const shift = (a.x < b.x ? -overlapX : overlapX) / 2;
+                        a.x += shift;
+                        b.x -= shift;
+                    } else {
+                        const shift = (a.y < b.y ? -overlapY : overlapY) / 2;
+                        a.y += shift;
+                        b.y -= shift;
+                    }
+                }
+            }
+            if (!moved) return;
+        }
+    }
+
+    // --- Grid Layout ---
+
+    /**
+     * Arranges units in rows of a roughly square grid, keeping their reading order
+     * (top to bottom, then left to right).
+     * @param {object[]} units - The units to arrange.
+     * @returns {Map<string, {x: number, y: number}>} The new top-left corner of each unit.
+     */
+    gridLayout(units) {
+        const columns = Math.ceil(Math.sqrt(units.length));
+        const cellWidth = Math.max(...units.map(unit => unit.width)) + this.nodeGap;
+        const cellHeight = Math.max(...units.map(unit => unit.height)) + this.nodeGap;
+        const rowHeight = 120; // Nodes whose tops are this close count as one row when sorting
+
+        const ordered = units.slice().sort((a, b) =>
+            Math.round(a.y / rowHeight) - Math.round(b.y / rowHeight) || a.x - b.x
+        );
+        return new Map(ordered.map((unit, index) => [unit.id, {
+            x: (index % columns) * cellWidth,
+            y: Math.floor(index / columns) * cellHeight
+        }]));
+    }
+
+    // --- Tree Layout ---
+
+    /**
+     * Tidy tree layout running left to right. Nodes without incoming edges are roots,
+     * each node is placed under the first parent that reaches it, and parents are
+     * centred on their children.
+     * @param {object[]} units - The units to arrange.
+     * @param {{from: string, to: string}[]} links - The edges between them.
+     * @returns {Map<string, {x: number, y: number}>} The new top-left corner of each unit.
+     */
+    treeLayout(units, links) {
+        const unitById = new Map(units.map(unit => [unit.id, unit]));
+        const byPosition = (a, b) => unitById.get(a).y - unitById.get(b).y;
+        const outgoing = new Map(units.map(unit => [unit.id, []]));
+        const inDegree = new Map(units.map(unit => [unit.id, 0]));
+        links.forEach(link => {
+            outgoing.get(link.from).push(link.to);
+            inDegree.set(link.to, inDegree.get(link.to) + 1);
+        });
+        outgoing.forEach(targets => targets.sort(byPosition));
+
+        // Build a spanning forest breadth-first, so nodes attach to their nearest parent
+        const children = new Map(units.map(unit => [unit.id, []]));
+        const depthOf = new Map();
+        const roots = [];
+        const grow = (rootId) => {
+            roots.push(rootId);
+            depthOf.set(rootId, 0);
+            const queue = [rootId];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                outgoing.get(id).forEach(childId => {
+                    if (depthOf.has(childId)) return;
+                    depthOf.set(childId, depthOf.get(id) + 1);
+                    children.get(id).push(childId);
+                    queue.push(childId);
+                });
+            }
+        };
+        units.map(unit => unit.id).filter(id => inDegree.get(id) === 0).sort(byPosition).forEach(grow);
+        // Nodes only reachable through a cycle get a root of their own
+        units.map(unit => unit.id).sort(byPosition).forEach(id => {
+            if (!depthOf.has(id)) grow(id);
+        });
+
+        const levelWidths = [];
+        depthOf.forEach((depth, id) => {
+            levelWidths[depth] = Math.max(levelWidths[depth] || 0, unitById.get(id).width);
+        });
+        const levelX = [];
+        levelWidths.reduce((x, width, depth) => {
+            levelX[depth] = x;
+            return x + width + this.layerGap;
+        }, 0);
+
+        // Leaves are stacked top to bottom; parents are centred on their children.
+        // Each tree is walked depth-first with an explicit stack: a node is placed once
+        // all of its children are, on its second visit.
+        const positions = new Map();
+        let nextY = 0;
+        const place = (rootId) => {
+            const stack = [{ id: rootId, top: null }];
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const childIds = children.get(frame.id);
+                if (frame.top === null) {
+                    frame.top = nextY;
+                    for (let i = childIds.length - 1; i >= 0; i--) {
+                        stack.push({ id: childIds[i], top: null });
+                    }
+                    continue;
+                }
+                stack.pop();
+
+                const unit = unitById.get(frame.id);
+                let y = frame.top;
+                if (childIds.length > 0) {
+                    const first = positions.get(childIds[0]);
+                    const lastId = childIds[childIds.length - 1];
+                    const centre = (first.y + positions.get(lastId).y + unitById.get(lastId).height) / 2;
+                    y = Math.max(centre - unit.height / 2, frame.top);
+                }
+                nextY = Math.max(nextY, y + unit.height + this.nodeGap);
+                positions.set(frame.id, { x: levelX[depthOf.get(frame.id)], y });
+            }
+        };
+        roots.forEach(rootId => {
+            place(rootId);
+            nextY += this.nodeGap;
+        });
+        return positions;
+    }
+
+    // --- Animation ---
+
+    /**
+     * Tweens nodes to their target positions with the same easing as animatePanZoom,
+     * then records the moves as one undo step and publishes them.
+     * @param {Map<string, {x: number, y: number}>} targets - Target positions by node ID.
+     * @private
+     */
+    _animateTo(targets) {
+        const starts = new Map();
+        targets.forEach((target, nodeId) => {
+            const node = this.nodeUI.nodes.get(nodeId);
+            if (node) starts.set(nodeId, { x: node.x, y: node.y });
+        });
+
+        const moveTo = (nodeId, x, y) => {
+            const node = this.nodeUI.nodes.get(nodeId);
+            if (!node) return;
+            node.x = x;
+            node.y = y;
+            node.element.style.left = `${x}px`;
+            node.element.style.top = `${y}px`;
+            this.nodeUI.updateConnectedEdges(nodeId);
+        };
+
+        this.isAnimating = true;
+        let startTime = null;
+        const animationStep = (timestamp) => {
+            if (!startTime) startTime = timestamp;
+            const progress = Math.min((timestamp - startTime) / this.duration, 1);
+            const ease = 1 - Math.pow(1 - progress, 3);
+
+            starts.forEach((start, nodeId) => {
+                const target = targets.get(nodeId);
+                moveTo(nodeId, start.x + (target.x - start.x) * ease, start.y + (target.y - start.y) * ease);
+            });
+
+            if (progress < 1) {
+                requestAnimationFrame(animationStep);
+                return;
+            }
+
+            this.isAnimating = false;
+            this.nodeUI.historyManager.batch('Auto layout', () => {
+                starts.forEach((start, nodeId) => {
+                    const node = this.nodeUI.nodes.get(nodeId);
+                    if (!node) return;
+                    this.nodeUI.historyManager.recordNodeMove(nodeId, start, { x: node.x, y: node.y });
+                    events.publish('node:moved', { nodeId, x: node.x, y: node.y });
+                });
+            });
+        };
+
+        requestAnimationFrame(animationStep);
+    }
+}
+
+// Attach to window for global access
+window.GraphLayout = GraphLayout;
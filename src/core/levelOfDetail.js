@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Level-of-detail rendering for zoomed-out views. As the canvas zooms
+ * out, nodes are drawn more simply: first as colored boxes with just their title,
+ * then as plain rectangles with straight edges. Nodes with heavy content are told
+ * when the level changes, so they can pause their render loops and show a snapshot.
+ */
+
+class LevelOfDetail {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.compactScale = 0.5;   // Below this, nodes show only their title
+        this.minimalScale = 0.25;  // Below this, nodes are plain rectangles and edges are straight
+
+        this.level = 'full';
+
+        events.subscribe('node:update', (data) => this.onNodeUpdate(data));
+    }
+
+    /**
+     * Returns the detail level for a zoom scale.
+     * @param {number} scale - The zoom scale.
+     * @returns {string} 'full', 'compact' or 'minimal'.
+     */
+    getLevelForScale(scale) {
+        if (scale < this.minimalScale) return 'minimal';
+        if (scale < this.compactScale) return 'compact';
+        return 'full';
+    }
+
+    /**
+     * Updates the detail level from the current zoom. Called whenever the canvas transform changes.
+     */
+    update() {
+        this.setLevel(this.getLevelForScale(this.nodeUI.panZoom.scale));
+    }
+
+    /**
+     * Switches every node and edge on the canvas to a detail level.
+     * @param {string} level - 'full', 'compact' or 'minimal'.
+     */
+    setLevel(level) {
+        if (level === this.level) return;
+        const previous = this.level;
+        this.level = level;
+
+        const container = this.nodeUI.container;
+        container.classList.toggle('lod-compact', level === 'compact');
+        container.classList.toggle('lod-minimal', level === 'minimal');
+
+        this.nodeUI.nodes.forEach(node => this.applyToNode(node));
+
+        // Edges are only drawn differently at the minimal level
+        if (previous === 'minimal' || level === 'minimal') {
+            this.nodeUI.edges.forEach(edge => this.nodeUI.updateEdge(edge.id));
+        }
+
+        events.publish('lod:changed', { level, previous });
+    }
+
+    /**
+     * Tells a node about the detail level it is drawn at, if it has changed. Pinned
+     * nodes sit outside the zoomed canvas, so they are always drawn in full.
+     * @param {BaseNode} node - The node.
+     * @param {boolean} [isPinned=node.isPinned] - Whether the node is pinned.
+     */
+    applyToNode(node, isPinned = node.isPinned) {
+        const level = isPinned ? 'full' : this.level;
+        const previous = node.detailLevel;
+        if (level === previous) return;
+
+        node.detailLevel = level;
+        node.onDetailLevelChange(level, previous);
+    }
+
+    /**
+     * @returns {boolean} Whether edges are drawn as straight lines.
+     */
+    isSimplified() {
+        return this.level === 'minimal';
+    }
+
+    /**
+     * Pinning or unpinning moves a node in or out of the zoomed canvas, which changes its level.
+     * @param {object} data - The node:update payload.
+     * @private
+     */
+    onNodeUpdate(data) {
+        if (!('isPinned' in data)) return;
+        const node = this.nodeUI.nodes.get(data.nodeId);
+        if (node) this.applyToNode(node, data.isPinned);
+    }
+}
+
+// Attach to window for global access
+window.LevelOfDetail = LevelOfDetail;
@@ -19,6 +19,8 @@ function loadImportMap() {
 // Lazy loading promises for libraries
 let html2canvasPromise = null;
 let dompurifyPromise = null;
+let jspdfPromise = null;
+let jszipPromise = null;
 
 // Lazy load html2canvas when needed
 window.loadHtml2Canvas = function() {
@@ -54,6 +56,41 @@ window.loadDOMPurify = function() {
     return dompurifyPromise;
 };
 
+// Lazy load jsPDF and its svg2pdf plugin when needed
+window.loadJsPDF = function() {
+    if (!jspdfPromise) {
+        const loadScript = (src) => new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+        // svg2pdf registers itself on the jsPDF global, so it has to load second
+        jspdfPromise = loadScript('https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js')
+            .then(() => loadScript('https://unpkg.com/svg2pdf.js@2.2.1/dist/svg2pdf.umd.min.js'))
+            .then(() => console.log('jsPDF loaded successfully'));
+    }
+    return jspdfPromise;
+};
+
+// Lazy load JSZip when needed
+window.loadJSZip = function() {
+    if (!jszipPromise) {
+        jszipPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+            script.onload = () => {
+                console.log('JSZip loaded successfully');
+                resolve();
+            };
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    }
+    return jszipPromise;
+};
+
 // Load minimal external resources
 function loadExternalLibraries() {
     // Syntax Highlighting CSS (lightweight, non-blocking)
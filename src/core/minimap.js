@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Minimap navigator. A small overview of the current graph in the corner
+ * of the canvas, showing every node, the group outlines and the area in view. Clicking
+ * or dragging on it pans the canvas and scrolling on it zooms. It always shows the
+ * graph currently open, so it follows navigation in and out of subgraphs.
+ */
+
+class Minimap {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.width = 200;     // Size of the minimap in screen pixels
+        this.height = 140;
+        this.padding = 8;     // Screen pixels kept free around the graph
+
+        this.isVisible = true;
+        this.renderFrameId = null;
+
+        // While dragging, the map is frozen so it doesn't shift under the pointer
+        this.dragState = null;
+
+        this.createElement();
+
+        ['node:moved', 'node:resized', 'node:update', 'history:changed'].forEach(eventName => {
+            events.subscribe(eventName, () => this.scheduleRender());
+        });
+        events.subscribe('minimap:toggle', () => this.toggle());
+    }
+
+    /**
+     * Builds the minimap's elements. They're attached to the canvas on the first render,
+     * since the canvas container is cleared while it is set up.
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'minimap';
+
+        this.label = document.createElement('div');
+        this.label.className = 'minimap-label';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap-canvas';
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+
+        this.viewport = document.createElement('div');
+        this.viewport.className = 'minimap-viewport';
+
+        this.element.appendChild(this.label);
+        this.element.appendChild(this.canvas);
+        this.element.appendChild(this.viewport);
+
+        // Keep clicks and scrolling on the minimap from reaching the canvas
+        ['mousedown', 'click', 'dblclick', 'contextmenu', 'touchstart'].forEach(eventName => {
+            this.element.addEventListener(eventName, (event) => event.stopPropagation());
+        });
+        this.canvas.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        this.viewport.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        this.element.addEventListener('wheel', (event) => this.onWheel(event), { passive: false });
+    }
+
+    /**
+     * Shows or hides the minimap.
+     */
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.classList.toggle('is-hidden', !this.isVisible);
+        if (this.isVisible) this.scheduleRender();
+    }
+
+    /**
+     * Redraws the minimap on the next animation frame. Calls made in the same frame are combined.
+     */
+    scheduleRender() {
+        if (this.renderFrameId || !this.isVisible) return;
+        this.renderFrameId = requestAnimationFrame(() => {
+            this.renderFrameId = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Draws the nodes, group outlines and viewport of the current graph.
+     */
+    render() {
+        if (!this.element.isConnected) {
+            this.nodeUI.container.appendChild(this.element);
+        }
+        if (!this.nodeUI.container.clientWidth) return;
+        this.label.textContent = this.getGraphTitle();
+
+        const ratio = window.devicePixelRatio || 1;
+        if (this.canvas.width !== this.width * ratio) {
+            this.canvas.width = this.width * ratio;
+            this.canvas.height = this.height * ratio;
+        }
+        const context = this.canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, this.width, this.height);
+
+        const transform = this.dragState ? this.dragState.transform : this.getTransform();
+        const styles = getComputedStyle(this.nodeUI.container);
+        const colorOf = (node, part) => styles.getPropertyValue(`--color-node-${node.color || 'default'}-${part}`).trim();
+
+        // Groups underneath as outlines, then the other nodes as filled rectangles
+        const nodes = Array.from(this.nodeUI.nodes.values()).filter(node => !node.isPinned);
+        context.setLineDash([3, 2]);
+        context.lineWidth = 1;
+        nodes.filter(node => node instanceof GroupNode).forEach(node => {
+            const rect = this.worldToMap(node, transform);
+            context.strokeStyle = colorOf(node, 'border');
+            context.strokeRect(rect.x + 0.5, rect.y + 0.5, Math.max(1, rect.width - 1), Math.max(1, rect.height - 1));
+        });
+        context.setLineDash([]);
+        nodes.filter(node => !(node instanceof GroupNode)).forEach(node => {
+            const rect = this.worldToMap(node, transform);
+            context.fillStyle = colorOf(node, 'border');
+            context.fillRect(rect.x, rect.y, Math.max(1, rect.width), Math.max(1, rect.height));
+        });
+
+        const view = this.worldToMap(this.getViewBounds(), transform);
+        this.viewport.style.left = `${view.x}px`;
+        this.viewport.style.top = `${view.y}px`;
+        this.viewport.style.width = `${view.width}px`;
+        this.viewport.style.height = `${view.height}px`;
+    }
+
+    // --- Coordinates ---
+
+    /**
+     * Returns the part of the canvas in view.
+     * @returns {{x: number, y: number, width: number, height: number}} The viewport in world coordinates.
+     */
+    getViewBounds() {
+        const { scale, offsetX, offsetY } = this.nodeUI.panZoom;
+        const container = this.nodeUI.container;
+        return {
+            x: -offsetX / scale,
+            y: -offsetY / scale,
+            width: container.clientWidth / scale,
+            height: container.clientHeight / scale
+        };
+    }
+
+    /**
+     * Works out how to fit the graph and the viewport into the minimap.
+     * @returns {{scale: number, offsetX: number, offsetY: number}} Maps world coordinates to minimap pixels.
+     */
+    getTransform() {
+        const view = this.getViewBounds();
+        let minX = view.x, minY = view.y;
+        let maxX = view.x + view.width, maxY = view.y + view.height;
+        this.nodeUI.nodes.forEach(node => {
+            if (node.isPinned) return;
+            minX = Math.min(minX, node.x);
+            minY = Math.min(minY, node.y);
+            maxX = Math.max(maxX, node.x + node.width);
+            maxY = Math.max(maxY, node.y + node.height);
+        });
+
+        const availableWidth = this.width - this.padding * 2;
+        const availableHeight = this.height - this.padding * 2;
+        const scale = Math.min(availableWidth / (maxX - minX), availableHeight / (maxY - minY));
+
+        // Center the content in the minimap
+        return {
+            scale,
+            offsetX: this.padding + (availableWidth - (maxX - minX) * scale) / 2 - minX * scale,
+            offsetY: this.padding + (availableHeight - (maxY - minY) * scale) / 2 - minY * scale
+        };
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}} rect - A rectangle in world coordinates.
+     * @param {object} transform - A transform from getTransform().
+     * @returns {{x: number, y: number, width: number, height: number}} The rectangle in minimap pixels.
+     */
+    worldToMap(rect, transform) {
+        return {
+            x: rect.x * transform.scale + transform.offsetX,
+            y: rect.y * transform.scale + transform.offsetY,
+            width: rect.width * transform.scale,
+            height: rect.height * transform.scale
+        };
+    }
+
+    /**
+     * @param {MouseEvent|WheelEvent} event - A pointer event over the minimap.
+     * @param {object} transform - A transform from getTransform().
+     * @returns {{x: number, y: number}} The point under the pointer in world coordinates.
+     */
+    eventToWorld(event, transform) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - transform.offsetX) / transform.scale,
+            y: (event.clientY - rect.top - transform.offsetY) / transform.scale
+        };
+    }
+
+    // --- Navigation ---
+
+    /**
+     * Pans the canvas so that a world point is in the middle of the view.
+     * @param {{x: number, y: number}} point - The point in world coordinates.
+     * @param {number} [scale=panZoom.scale] - The zoom to end up at.
+     * @param {number} [duration=300] - The animation duration in milliseconds.
+     */
+    centerOn(point, scale = this.nodeUI.panZoom.scale, duration = 300) {
+        const container = this.nodeUI.container;
+        this.nodeUI.canvasRenderer.animatePanZoom(
+            scale,
+            container.clientWidth / 2 - point.x * scale,
+            container.clientHeight / 2 - point.y * scale,
+            duration
+        );
+    }
+
+    /**
+     * Clicking the map moves the view there; dragging the viewport, or dragging after
+     * clicking, moves it along with the pointer.
+     * @param {MouseEvent} event
+     */
+    onMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+
+        const transform = this.getTransform();
+        const view = this.getViewBounds();
+        let center = { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+        if (event.target !== this.viewport) {
+            center = this.eventToWorld(event, transform);
+            this.centerOn(center);
+        }
+        this.dragState = { transform, center, startX: event.clientX, startY: event.clientY };
+        this.element.classList.add('is-dragging');
+
+        const onMouseMove = (moveEvent) => {
+            const { dragState } = this;
+            this.centerOn({
+                x: dragState.center.x + (moveEvent.clientX - dragState.startX) / dragState.transform.scale,
+                y: dragState.center.y + (moveEvent.clientY - dragState.startY) / dragState.transform.scale
+            }, undefined, 60);
+        };
+        const onMouseUp = () => {
+            this.dragState = null;
+            this.element.classList.remove('is-dragging');
+            window.removeEventListener('mousemove', onMouseMove);
+            window.removeEventListener('mouseup', onMouseUp);
+            this.scheduleRender();
+        };
+        window.addEventListener('mousemove', onMouseMove);
+        window.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * Zooms the canvas in or out around the middle of the view.
+     * @param {WheelEvent} event
+     */
+    onWheel(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const zoomIntensity = 0.1;
+        const oldScale = this.nodeUI.panZoom.scale;
+        const scroll = event.deltaY < 0 ? 1 : -1;
+        const newScale = Math.max(0.1, Math.min(3, oldScale + scroll * zoomIntensity * oldScale));
+
+        const view = this.getViewBounds();
+        this.centerOn({ x: view.x + view.width / 2, y: view.y + view.height / 2 }, newScale, 100);
+    }
+
+    // --- Helpers ---
+
+    /**
+     * @returns {string} The title of the graph currently open: "Main" or the subgraph's title.
+     */
+    getGraphTitle() {
+        const { currentGraphId, breadcrumbData } = this.nodeUI.graphContext;
+        if (currentGraphId === 'main' || breadcrumbData.length === 0) return 'Main';
+        return breadcrumbData[breadcrumbData.length - 1].title;
+    }
+}
+
+// Attach to window for global access
+window.Minimap = Minimap;
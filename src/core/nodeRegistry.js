@@ -0,0 +1,173 @@
+/**
+ * @fileoverview A registry of node types. Each node class registers its type name,
+ * default options, title bar icon, context menu entry and deserializer once, and
+ * every place that builds nodes from data or lists node types reads from here.
+ */
+
+class NodeRegistry {
+    /**
+     * Initializes the empty type map.
+     */
+    constructor() {
+        /**
+         * Registered node types keyed by type name, in registration order.
+         * @type {Map<string, object>}
+         */
+        this.types = new Map();
+
+        /**
+         * The type used for data whose type isn't registered.
+         * @type {string}
+         */
+        this.fallbackType = 'BaseNode';
+    }
+
+    /**
+     * Registers a node type. Registering the same type again replaces the previous entry.
+     * @param {string} type - The type name stored in the node's `type` field.
+     * @param {typeof BaseNode} nodeClass - The class that implements the node.
+     * @param {object} [options={}] - Registration options.
+     * @param {object} [options.defaults={}] - Options applied underneath the data of every node created through the registry, e.g. a default `width` and `height`.
+     * @param {string} [options.icon] - Icon class shown in the node's title bar.
+     * @param {object} [options.menu] - Canvas context menu entry. Omit to keep the type out of the menu.
+     * @param {string} options.menu.key - Key of the entry in `contextMenuSettings.canvas`, where users can relabel it.
+     * @param {string} options.menu.label - Default label.
+     * @param {string} options.menu.iconClass - Default icon class.
+     * @param {number} [options.menu.order] - Position in the menu; lower comes first. Defaults to after the built-in types.
+     * @param {boolean} [options.menu.hidden=false] - Leave the entry out of the default menu; it only shows when the menu settings contain its key.
+     * @param {boolean} [options.menu.titleFromLabel=false] - Use the menu label as the new node's title.
+     * @param {function(object): BaseNode} [options.deserialize] - Builds a node from serialized data. Defaults to `nodeClass.deserialize`.
+     */
+    register(type, nodeClass, options = {}) {
+        if (typeof type !== 'string' || type === '') {
+            throw new Error('Node type name must be a non-empty string.');
+        }
+        if (typeof nodeClass !== 'function') {
+            throw new Error(`Node type "${type}" must be registered with a class.`);
+        }
+
+        // Node scripts load in parallel, so types without an explicit order go after the built-in ones
+        const menu = options.menu ? {
+            order: 1000 + this.types.size,
+            hidden: false,
+            titleFromLabel: false,
+            ...options.menu
+        } : null;
+
+        this.types.set(type, {
+            type,
+            nodeClass,
+            defaults: options.defaults || {},
+            icon: options.icon || null,
+            menu,
+            deserialize: options.deserialize || ((data) => nodeClass.deserialize(data))
+        });
+    }
+
+    /**
+     * Removes a node type from the registry.
+     * @param {string} type - The type name.
+     * @returns {boolean} True if the type was registered.
+     */
+    unregister(type) {
+        return this.types.delete(type);
+    }
+
+    /**
+     * @param {string} type - The type name.
+     * @returns {boolean} Whether the type is registered.
+     */
+    has(type) {
+        return this.types.has(type);
+    }
+
+    /**
+     * @param {string} type - The type name.
+     * @returns {object|null} The registration entry, or null if the type isn't registered.
+     */
+    get(type) {
+        return this.types.get(type) || null;
+    }
+
+    /**
+     * @returns {string[]} All registered type names.
+     */
+    getTypes() {
+        return Array.from(this.types.keys());
+    }
+
+    /**
+     * Creates a node instance from serialized data. Unknown types are built with the
+     * fallback type but keep their `type` field, so saving the graph doesn't lose it.
+     * @param {object} data - The node data.
+     * @returns {BaseNode} The created node instance.
+     */
+    create(data) {
+        let entry = this.types.get(data.type);
+        if (!entry) {
+            if (data.type) {
+                console.warn(`Unknown node type "${data.type}", creating it as ${this.fallbackType}.`);
+            }
+            entry = this.types.get(this.fallbackType);
+        }
+        return entry.deserialize({ ...entry.defaults, ...data });
+    }
+
+    /**
+     * Returns the title bar icon class for a type.
+     * @param {string} type - The type name.
+     * @param {string} [fallback='icon-file-text'] - Icon used when the type has none registered.
+     * @returns {string} The icon class.
+     */
+    getIcon(type, fallback = 'icon-file-text') {
+        const entry = this.types.get(type);
+        return (entry && entry.icon) || fallback;
+    }
+
+    /**
+     * Adds the default label and icon of every registered type not marked hidden to the
+     * canvas menu settings, leaving keys the settings already have untouched, including
+     * entries the user hid.
+     * @param {object} canvasMenuSettings - The `canvas` section of the context menu settings.
+     * @returns {object} The same settings object.
+     */
+    addMenuDefaults(canvasMenuSettings) {
+        this.types.forEach(entry => {
+            if (!entry.menu || entry.menu.hidden || canvasMenuSettings[entry.menu.key]) return;
+            canvasMenuSettings[entry.menu.key] = { label: entry.menu.label, iconClass: entry.menu.iconClass };
+        });
+        return canvasMenuSettings;
+    }
+
+    /**
+     * Lists the node types that belong in the canvas context menu, in menu order. An
+     * entry in the menu settings shows its type unless it has `hidden: true`, and its
+     * label and icon override the registered defaults. Types the settings have no entry
+     * for are listed unless they are registered as hidden.
+     * @param {object} [canvasMenuSettings] - The `canvas` section of the context menu settings.
+     * @returns {{type: string, key: string, label: string, iconClass: string, titleFromLabel: boolean}[]}
+     */
+    getMenuEntries(canvasMenuSettings) {
+        const getConfig = entry => canvasMenuSettings && canvasMenuSettings[entry.menu.key];
+        return Array.from(this.types.values())
+            .filter(entry => entry.menu && (getConfig(entry) ? !getConfig(entry).hidden : !entry.menu.hidden))
+            .sort((a, b) => a.menu.order - b.menu.order)
+            .map(entry => {
+                const config = getConfig(entry) || {};
+                return {
+                    type: entry.type,
+                    key: entry.menu.key,
+                    label: config.label || entry.menu.label,
+                    iconClass: config.iconClass || entry.menu.iconClass,
+                    titleFromLabel: entry.menu.titleFromLabel
+                };
+            });
+    }
+}
+
+// Create a single, global registry that node classes add themselves to as they load
+const nodeRegistry = new NodeRegistry();
+
+// Attach to window for global access
+window.NodeRegistry = NodeRegistry;
+window.nodeRegistry = nodeRegistry;
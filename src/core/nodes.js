@@ -22,10 +22,16 @@ class Nodes {
             }
         });
         
-        edgesToRemove.forEach(edgeId => {
-            console.warn(`Removing orphaned edge: ${edgeId}`);
-            this.removeEdge(edgeId);
-        });
+        // Orphan cleanup is housekeeping, not a user edit, so keep it out of the undo history
+        this.nodeUI.historyManager.suspend();
+        try {
+            edgesToRemove.forEach(edgeId => {
+                console.warn(`Removing orphaned edge: ${edgeId}`);
+                this.removeEdge(edgeId);
+            });
+        } finally {
+            this.nodeUI.historyManager.resume();
+        }
     }
 
     /**
@@ -40,62 +46,28 @@ class Nodes {
         }
         
         this.nodeUI.nodes.set(node.id, node);
-        if (node instanceof GroupNode) {
+        if (this.nodeUI.virtualizer.isOffscreen(node)) {
+            // Built detached; the virtualizer mounts it once it comes into view
+            node.render(document.createDocumentFragment());
+        } else if (node instanceof GroupNode) {
             node.render(this.nodeUI.groupContainer);
         } else {
             node.render(this.nodeUI.nodeContainer);
         }
+
+        // Remote and loaded nodes skip broadcasting, and shouldn't be undoable either
+        if (!skipBroadcast) {
+            this.nodeUI.historyManager.recordNodeCreate(node);
+        }
+        this.nodeUI.dataflow.markDirty(node.id);
+        this.nodeUI.spatialIndex.markNodeDirty(node.id);
+        this.nodeUI.virtualizer.scheduleUpdate();
+        this.nodeUI.levelOfDetail.applyToNode(node);
+        this.nodeUI.minimap.scheduleRender();
         
         // Broadcast to collaboration system unless explicitly skipped
         if (!skipBroadcast && this.nodeUI.collaboration && this.nodeUI.collaboration.isConnected) {
-            let nodeData;
-            
-            // Use the node's serialize method if available to get all properties
-            if (typeof node.serialize === 'function') {
-                try {
-                    nodeData = node.serialize();
-                } catch (error) {
-                    console.warn('Error serializing node:', error);
-                    // Fallback to basic properties
-                    nodeData = {
-                        id: node.id,
-                        x: node.x,
-                        y: node.y,
-                        width: node.width,
-                        height: node.height,
-                        title: node.title,
-                        content: node.content,
-                        type: node.constructor.name,
-                        color: node.color,
-                        isPinned: node.isPinned
-                    };
-                }
-            } else {
-                // Fallback for nodes without serialize method
-                nodeData = {
-                    id: node.id,
-                    x: node.x,
-                    y: node.y,
-                    width: node.width,
-                    height: node.height,
-                    title: node.title,
-                    content: node.content,
-                    type: node.constructor.name,
-                    color: node.color,
-                    isPinned: node.isPinned
-                };
-            }
-            
-            // Ensure type is set correctly (serialize might return type differently)
-            if (!nodeData.type) {
-                nodeData.type = node.constructor.name;
-            }
-            
-            // Add type-specific properties for GroupNode if not already included
-            if (node instanceof GroupNode && !nodeData.containedNodeIds) {
-                // Convert Set to Array for serialization
-                nodeData.containedNodeIds = Array.from(node.containedNodeIds);
-            }
+            const nodeData = node.serialize();
             
             // Directly call the collaboration handler instead of publishing event
             // Videos with local-video:// URLs won't work for other users anyway
@@ -127,6 +99,9 @@ class Nodes {
         
         this.nodeUI.edges.set(edge.id, edge);
         edge.render(this.nodeUI.canvasGroup); // Edges are SVG elements
+
+        // The edge takes its color from the start node, whose element may not be mounted
+        edge.applyStyle(startNode.color || 'default');
         
         // Update node-edge mapping for fast lookups
         this._addToNodeEdgeMapping(edge.startNodeId, edge.id);
@@ -142,22 +117,18 @@ class Nodes {
             startNode.addConnection(edge.startHandleId, edge.id);
             endNode.addConnection(edge.endHandleId, edge.id);
         }
+        this.nodeUI.dataflow.markEdgeDirty(edge);
+        this.nodeUI.spatialIndex.markEdgeDirty(edge.id);
+        this.nodeUI.virtualizer.scheduleUpdate();
+
+        if (!skipBroadcast) {
+            this.nodeUI.historyManager.recordEdgeCreate(edge);
+        }
         
         // Broadcast to collaboration system unless explicitly skipped
         if (!skipBroadcast && this.nodeUI.collaboration && this.nodeUI.collaboration.isConnected) {
-            const edgeData = {
-                id: edge.id,
-                startNodeId: edge.startNodeId,
-                endNodeId: edge.endNodeId,
-                startHandleId: edge.startHandleId,
-                endHandleId: edge.endHandleId,
-                type: edge.type,
-                label: edge.label,
-                routingPoints: edge.routingPoints
-            };
-            
             // Directly call the collaboration handler instead of publishing event
-            this.nodeUI.collaboration.handleLocalEvent('edge:create', edgeData);
+            this.nodeUI.collaboration.handleLocalEvent('edge:create', edge.serialize());
         }
     }
 
@@ -182,12 +153,18 @@ class Nodes {
             }
         });
         edgesToRemove.forEach(edgeId => this.removeEdge(edgeId));
+
+        // Record after the edges so undo restores the node before reconnecting them
+        this.nodeUI.historyManager.recordNodeDelete(node);
         
         // Remove the node element itself
         if (node.element) {
             node.element.remove();
         }
         this.nodeUI.nodes.delete(nodeId);
+        this.nodeUI.dataflow.forget(nodeId);
+        this.nodeUI.spatialIndex.markNodeDirty(nodeId);
+        this.nodeUI.minimap.scheduleRender();
     }
 
     /**
@@ -198,6 +175,11 @@ class Nodes {
         const edge = this.nodeUI.edges.get(edgeId);
         if (!edge) return;
 
+        this.nodeUI.historyManager.recordEdgeDelete(edge);
+
+        // Mark downstream nodes while routing nodes can still be followed through this edge
+        this.nodeUI.dataflow.markEdgeDirty(edge);
+
         // Update node-edge mapping for fast lookups
         this._removeFromNodeEdgeMapping(edge.startNodeId, edge.id);
         this._removeFromNodeEdgeMapping(edge.endNodeId, edge.id);
@@ -217,6 +199,7 @@ class Nodes {
             edge.groupElement.remove();
         }
         this.nodeUI.edges.delete(edgeId);
+        this.nodeUI.spatialIndex.markEdgeDirty(edgeId);
     }
 
     /**
@@ -227,7 +210,19 @@ class Nodes {
         const node = this.nodeUI.nodes.get(data.nodeId);
         if (node) {
             const oldPinnedState = node.isPinned;
-            node.update(data);
+            const oldPorts = JSON.stringify(node.getPorts());
+            this.nodeUI.historyManager.trackNodeChange(node, Object.keys(data), () => {
+                node.update(data);
+
+                // Drop connections the new port types no longer allow. Deleting them in here records
+                // them ahead of the update, so undo restores the old types before recreating the edges.
+                // Remote senders broadcast their own deletions.
+                if (!data._operationId && JSON.stringify(node.getPorts()) !== oldPorts) {
+                    this.nodeUI.dataflow.getIncompatibleEdges(node.id)
+                        .forEach(edge => events.publish('edge:delete', edge.id));
+                }
+            });
+            this.nodeUI.dataflow.markDirty(node.id);
 
             // If the title changed, and the node is in the current navigation path,
             // re-render the breadcrumbs to show the new title.
@@ -271,6 +266,46 @@ class Nodes {
         return allNodes;
     }
 
+    /**
+     * Splits nodes into the blocks that auto layout and alignment move. Pinned nodes stay
+     * where they are, a group carries everything inside it, and a node is only a block
+     * of its own when no group around it is among the given nodes.
+     * @param {Iterable<string>} nodeIds - The nodes to arrange.
+     * @returns {{id: string, x: number, y: number, width: number, height: number, memberIds: string[]}[]}
+     */
+    getArrangeUnits(nodeIds) {
+        const candidates = new Set(nodeIds);
+        const parentOf = new Map();
+        this.nodeUI.nodes.forEach(node => {
+            if (node instanceof GroupNode) {
+                node.containedNodeIds.forEach(childId => parentOf.set(childId, node.id));
+            }
+        });
+        const hasCandidateAncestor = (nodeId) => {
+            for (let parentId = parentOf.get(nodeId); parentId; parentId = parentOf.get(parentId)) {
+                if (candidates.has(parentId)) return true;
+            }
+            return false;
+        };
+
+        const units = [];
+        candidates.forEach(nodeId => {
+            const node = this.nodeUI.nodes.get(nodeId);
+            if (!node || node.isPinned || hasCandidateAncestor(nodeId)) return;
+            units.push({
+                id: node.id,
+                x: node.x,
+                y: node.y,
+                width: node.width,
+                height: node.height,
+                memberIds: node instanceof GroupNode
+                    ? [node.id, ...Array.from(this.getAllContainedNodes(node), member => member.id)]
+                    : [node.id]
+            });
+        });
+        return units;
+    }
+
     /**
      * Toggles the visibility of a node's popover.
      * @param {string} nodeId The ID of the node to toggle the popover for.
@@ -479,7 +514,9 @@ class Nodes {
         containedNodeIds.forEach(nodeId => {
             const oldParent = this.nodeUI.interactionHandler.findParentGroup(nodeId);
             if (oldParent) {
-                oldParent.removeContainedNode(nodeId);
+                this.nodeUI.historyManager.trackNodeChange(oldParent, ['containedNodeIds'], () => {
+                    oldParent.removeContainedNode(nodeId);
+                });
             }
         });
 
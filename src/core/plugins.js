@@ -0,0 +1,550 @@
+/**
+ * @fileoverview Plugin support for third-party node packs. A plugin is a script that calls
+ * `registerNodeUIPlugin()` with an `activate(api)` function; everything it adds through the
+ * api (node types, menu items, shortcuts, settings sections, event subscribers) is tracked
+ * so the plugin can be disabled per graph and enabled again without reloading the page.
+ */
+
+class PluginManager {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        /**
+         * Loaded plugins keyed by ID.
+         * @type {Map<string, object>}
+         */
+        this.plugins = new Map();
+
+        /**
+         * Plugins required by the current graph that aren't loaded, keyed by ID.
+         * @type {Map<string, {id: string, name: string, version: string, enabled: boolean, nodeTypes: string[]}>}
+         */
+        this.missingPlugins = new Map();
+
+        /**
+         * IDs of plugins the current graph has disabled.
+         * @type {Set<string>}
+         */
+        this.disabledIds = new Set();
+
+        // Plugin scripts call this global while they execute
+        window.registerNodeUIPlugin = (definition) => this.register(definition);
+
+        this.subscribeToEvents();
+    }
+
+    /**
+     * Handles plugin requests from other parts of the UI, such as the settings node.
+     */
+    subscribeToEvents() {
+        events.subscribe('plugins:request', () => this.publishState());
+        events.subscribe('plugins:set-enabled', ({ id, enabled }) => this.setEnabled(id, enabled));
+        events.subscribe('plugins:load-file', (file) => this.loadFromFile(file));
+    }
+
+    // --- Loading ---
+
+    /**
+     * Loads every plugin listed in `window.NODEUI_PLUGINS` (see config.js).
+     * A plugin that fails to load is logged and skipped.
+     * @returns {Promise<void>}
+     */
+    async loadFromConfig() {
+        const urls = Array.isArray(window.NODEUI_PLUGINS) ? window.NODEUI_PLUGINS : [];
+        for (const url of urls) {
+            try {
+                await this.loadFromUrl(url);
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+    }
+
+    /**
+     * Loads a plugin script from a URL.
+     * @param {string} url - The script URL.
+     * @returns {Promise<void>} Resolves once the script has run.
+     */
+    loadFromUrl(url) {
+        return this._loadScript(url, url);
+    }
+
+    /**
+     * Loads a plugin script from a local file, e.g. one dropped on the canvas.
+     * @param {File} file - The JavaScript file.
+     * @returns {Promise<void>} Resolves once the script has run.
+     */
+    loadFromFile(file) {
+        const url = URL.createObjectURL(file);
+        return this._loadScript(url, file.name).finally(() => URL.revokeObjectURL(url));
+    }
+
+    /**
+     * Adds a script tag and waits for it to run.
+     * @param {string} src - The script URL.
+     * @param {string} source - Where the plugin came from, shown in the settings node.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _loadScript(src, source) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.dataset.pluginSource = source;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load plugin ${source}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    // --- Registration ---
+
+    /**
+     * Registers a plugin and activates it unless the current graph has disabled it.
+     * Registering an ID again replaces the previous version of the plugin.
+     * @param {object} definition - The plugin definition.
+     * @param {string} definition.id - A unique, stable ID. Graphs refer to the plugin by it.
+     * @param {string} [definition.name] - A readable name. Defaults to the ID.
+     * @param {string} [definition.version] - The plugin version.
+     * @param {function(object): void} definition.activate - Adds the plugin's contributions through the api.
+     * @param {function(object): void} [definition.deactivate] - Cleans up anything not added through the api.
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== 'string' || definition.id === '') {
+            throw new Error('A plugin must have a non-empty string id.');
+        }
+        if (typeof definition.activate !== 'function') {
+            throw new Error(`Plugin "${definition.id}" must have an activate function.`);
+        }
+
+        const previous = this.plugins.get(definition.id);
+        if (previous && previous.active) {
+            this._deactivate(previous);
+        }
+        const missing = this.missingPlugins.get(definition.id);
+
+        const script = document.currentScript;
+        const plugin = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            version: definition.version || '',
+            source: (script && script.dataset.pluginSource) || null,
+            definition,
+            enabled: !this.disabledIds.has(definition.id),
+            active: false,
+            error: null,
+            nodeTypes: new Set(),
+            contributions: null
+        };
+        this.plugins.set(plugin.id, plugin);
+        this.missingPlugins.delete(plugin.id);
+
+        if (plugin.enabled) {
+            this._activate(plugin);
+        } else {
+            // Until the plugin is enabled, its types are only known from the previous version or the graph
+            const knownTypes = previous ? previous.nodeTypes : (missing ? missing.nodeTypes : []);
+            plugin.nodeTypes = new Set(knownTypes);
+            plugin.nodeTypes.forEach(type => this._registerPlaceholderType(type, plugin));
+            this._refreshNodes(plugin.nodeTypes);
+        }
+
+        console.log(`%c[Plugins]%c Registered ${plugin.name}${plugin.version ? ` v${plugin.version}` : ''}.`, 'color: #3ecf8e; font-weight: bold;', 'color: inherit;');
+        this.publishState();
+    }
+
+    /**
+     * Enables or disables a plugin for the current graph. Nodes provided by a disabled
+     * plugin are shown as placeholders until it is enabled again.
+     * @param {string} id - The plugin ID.
+     * @param {boolean} enabled - Whether the plugin should be active.
+     */
+    setEnabled(id, enabled) {
+        if (enabled) {
+            this.disabledIds.delete(id);
+        } else {
+            this.disabledIds.add(id);
+        }
+
+        const plugin = this.plugins.get(id);
+        if (plugin && plugin.enabled !== enabled) {
+            plugin.enabled = enabled;
+            if (enabled) {
+                this._activate(plugin);
+            } else {
+                this._deactivate(plugin);
+            }
+        }
+
+        const missing = this.missingPlugins.get(id);
+        if (missing) {
+            missing.enabled = enabled;
+        }
+        this.publishState();
+    }
+
+    /**
+     * Runs a plugin's activate function and swaps its placeholders for real nodes.
+     * @param {object} plugin - The plugin entry.
+     * @private
+     */
+    _activate(plugin) {
+        const previousTypes = Array.from(plugin.nodeTypes);
+        plugin.nodeTypes = new Set();
+        plugin.contributions = {
+            disposers: [],
+            menuItems: [],
+            shortcuts: [],
+            settingsSections: []
+        };
+
+        try {
+            plugin.definition.activate(this._createApi(plugin));
+            plugin.active = true;
+            plugin.error = null;
+        } catch (error) {
+            console.error(`Plugin "${plugin.id}" failed to activate:`, error);
+            plugin.error = error.message;
+            this._dispose(plugin);
+        }
+
+        this._refreshNodes(new Set([...previousTypes, ...plugin.nodeTypes]));
+    }
+
+    /**
+     * Removes everything a plugin added and replaces its nodes with placeholders.
+     * @param {object} plugin - The plugin entry.
+     * @private
+     */
+    _deactivate(plugin) {
+        if (typeof plugin.definition.deactivate === 'function') {
+            try {
+                plugin.definition.deactivate(this._createApi(plugin));
+            } catch (error) {
+                console.error(`Plugin "${plugin.id}" failed to deactivate:`, error);
+            }
+        }
+        this._dispose(plugin);
+        plugin.active = false;
+        this._refreshNodes(plugin.nodeTypes);
+    }
+
+    /**
+     * Undoes a plugin's contributions in reverse order.
+     * @param {object} plugin - The plugin entry.
+     * @private
+     */
+    _dispose(plugin) {
+        if (!plugin.contributions) return;
+        plugin.contributions.disposers.reverse().forEach(dispose => {
+            try {
+                dispose();
+            } catch (error) {
+                console.error(`Error while removing plugin "${plugin.id}":`, error);
+            }
+        });
+        plugin.contributions = null;
+    }
+
+    /**
+     * Builds the api object passed to a plugin's activate and deactivate functions.
+     * @param {object} plugin - The plugin entry.
+     * @returns {object}
+     * @private
+     */
+    _createApi(plugin) {
+        const track = (dispose) => {
+            if (plugin.contributions) {
+                plugin.contributions.disposers.push(dispose);
+            }
+        };
+        const contribute = (listName, item) => {
+            if (!plugin.contributions) return;
+            const list = plugin.contributions[listName];
+            list.push(item);
+            track(() => {
+                const index = list.indexOf(item);
+                if (index !== -1) list.splice(index, 1);
+            });
+        };
+
+        return {
+            nodeUI: this.nodeUI,
+            events,
+
+            /**
+             * Registers a node type. Takes the same arguments as NodeRegistry.register().
+             */
+            registerNodeType: (type, nodeClass, options = {}) => {
+                if (!plugin.contributions) return;
+                nodeRegistry.register(type, nodeClass, options);
+                nodeRegistry.addMenuDefaults(this.nodeUI.contextMenuSettings.canvas);
+                plugin.nodeTypes.add(type);
+                track(() => this._registerPlaceholderType(type, plugin));
+            },
+
+            /**
+             * Adds an item to the canvas context menu.
+             * @param {{label: string, iconClass?: string, action: function({x: number, y: number}): void}} item
+             */
+            registerMenuItem: (item) => {
+                contribute('menuItems', { iconClass: 'icon-box', ...item });
+            },
+
+            /**
+             * Adds a keyboard shortcut. `mod` means Ctrl, or Cmd on macOS.
+             * @param {{key: string, mod?: boolean, shift?: boolean, alt?: boolean, description?: string, handler: function(KeyboardEvent): void}} shortcut
+             */
+            registerShortcut: (shortcut) => {
+                contribute('shortcuts', { mod: false, shift: false, alt: false, ...shortcut });
+            },
+
+            /**
+             * Adds a section to the settings node.
+             * @param {{title: string, render: function(HTMLElement): void}} section
+             */
+            registerSettingsSection: (section) => {
+                contribute('settingsSections', { pluginId: plugin.id, ...section });
+            },
+
+            /**
+             * Subscribes to an event bus event for as long as the plugin is active.
+             * @param {string} eventName - The event name.
+             * @param {Function} callback - The handler.
+             */
+            subscribe: (eventName, callback) => {
+                const subscription = events.subscribe(eventName, callback);
+                track(() => subscription.unsubscribe());
+                return subscription;
+            }
+        };
+    }
+
+    // --- Placeholders ---
+
+    /**
+     * Maps a node type to PlaceholderNode, so nodes of that type that are created while
+     * its plugin is missing or disabled say which plugin they need.
+     * @param {string} type - The node type.
+     * @param {{id: string, name: string}} plugin - The plugin that provides the type.
+     * @private
+     */
+    _registerPlaceholderType(type, plugin) {
+        nodeRegistry.register(type, PlaceholderNode, {
+            icon: 'icon-ghost',
+            deserialize: (data) => new PlaceholderNode({
+                ...data,
+                missingPlugin: { id: plugin.id, name: plugin.name, disabled: this.plugins.has(plugin.id) }
+            })
+        });
+    }
+
+    /**
+     * Rebuilds the nodes of the given types with whatever class is now registered for them.
+     * The swap is local: it isn't recorded in the undo history or sent to collaborators.
+     * @param {Set<string>} types - The node types to rebuild.
+     * @private
+     */
+    _refreshNodes(types) {
+        if (types.size === 0) return;
+
+        const nodes = Array.from(this.nodeUI.nodes.values()).filter(node => types.has(node.type));
+        if (nodes.length === 0) return;
+
+        this.nodeUI.historyManager.suspend();
+        try {
+            nodes.forEach(node => {
+                const data = node.serialize();
+                const edges = Array.from(this.nodeUI.edges.values())
+                    .filter(edge => edge.startNodeId === node.id || edge.endNodeId === node.id)
+                    .map(edge => edge.serialize());
+                const isSelected = this.nodeUI.selectedNodes.has(node.id);
+
+                this.nodeUI.nodeManager.removeNode(node.id);
+
+                const newNode = nodeRegistry.create(data);
+                this.nodeUI.nodeManager.addNode(newNode, true);
+
+                // Pinned nodes are serialized in screen space, so they go straight back into the pinned layer
+                if (newNode.isPinned && newNode.element) {
+                    this.nodeUI.pinnedNodeContainer.appendChild(newNode.element);
+                    this.nodeUI.pinnedNodes.add(newNode.id);
+                }
+                if (isSelected && newNode.element) {
+                    newNode.element.classList.add('is-selected');
+                }
+
+                edges.forEach(edgeData => {
+                    this.nodeUI.nodeManager.addEdge(BaseEdge.deserialize(edgeData), true);
+                });
+            });
+        } finally {
+            this.nodeUI.historyManager.resume();
+        }
+    }
+
+    // --- Graph Metadata ---
+
+    /**
+     * Describes the plugins of the current graph, for `metadata.plugins` in saved files.
+     * Plugins the graph required but that weren't loaded are kept.
+     * @returns {{id: string, name: string, version: string, enabled: boolean, nodeTypes: string[]}[]}
+     */
+    getGraphMetadata() {
+        const loaded = Array.from(this.plugins.values()).map(plugin => ({
+            id: plugin.id,
+            name: plugin.name,
+            version: plugin.version,
+            enabled: plugin.enabled,
+            nodeTypes: Array.from(plugin.nodeTypes)
+        }));
+        const missing = Array.from(this.missingPlugins.values()).map(plugin => ({
+            ...plugin,
+            nodeTypes: [...plugin.nodeTypes]
+        }));
+        return [...loaded, ...missing];
+    }
+
+    /**
+     * Applies the plugin list of a graph that is about to load: enables or disables loaded
+     * plugins, and maps the node types of missing plugins to placeholders.
+     * Loaded plugins the graph doesn't mention are enabled.
+     * @param {object[]} [pluginList=[]] - The graph's `metadata.plugins`.
+     */
+    applyGraphMetadata(pluginList = []) {
+        // Forget the placeholders of the previous graph's missing plugins
+        this.missingPlugins.forEach(plugin => {
+            plugin.nodeTypes.forEach(type => {
+                const entry = nodeRegistry.get(type);
+                if (entry && entry.nodeClass === PlaceholderNode) {
+                    nodeRegistry.unregister(type);
+                }
+            });
+        });
+        this.missingPlugins.clear();
+        this.disabledIds.clear();
+
+        const listed = new Map(pluginList.map(plugin => [plugin.id, plugin]));
+        this.plugins.forEach(plugin => {
+            const entry = listed.get(plugin.id);
+            this.setEnabled(plugin.id, !entry || entry.enabled !== false);
+        });
+
+        listed.forEach(entry => {
+            if (this.plugins.has(entry.id)) return;
+
+            const missing = {
+                id: entry.id,
+                name: entry.name || entry.id,
+                version: entry.version || '',
+                enabled: entry.enabled !== false,
+                nodeTypes: Array.isArray(entry.nodeTypes) ? [...entry.nodeTypes] : []
+            };
+            if (!missing.enabled) {
+                this.disabledIds.add(missing.id);
+            }
+            missing.nodeTypes.forEach(type => {
+                if (!nodeRegistry.has(type)) {
+                    this._registerPlaceholderType(type, missing);
+                }
+            });
+            this.missingPlugins.set(missing.id, missing);
+            console.warn(`Graph requires plugin "${missing.name}", which isn't loaded.`);
+        });
+
+        this.publishState();
+    }
+
+    // --- Contributions ---
+
+    /**
+     * @returns {object[]} The active plugins' context menu items.
+     */
+    getMenuItems() {
+        return this._collect('menuItems');
+    }
+
+    /**
+     * @returns {object[]} The active plugins' settings sections.
+     */
+    getSettingsSections() {
+        return this._collect('settingsSections');
+    }
+
+    /**
+     * Runs the first plugin shortcut matching a key press.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @param {boolean} isModKey - Whether Ctrl (or Cmd on macOS) is held.
+     * @returns {boolean} True if a shortcut handled the event.
+     */
+    handleKeyDown(event, isModKey) {
+        const key = event.key.toLowerCase();
+        const shortcut = this._collect('shortcuts').find(s =>
+            s.key.toLowerCase() === key &&
+            s.mod === isModKey &&
+            s.shift === event.shiftKey &&
+            s.alt === event.altKey
+        );
+        if (!shortcut) return false;
+
+        event.preventDefault();
+        try {
+            shortcut.handler(event);
+        } catch (error) {
+            console.error(`Plugin shortcut "${shortcut.description || shortcut.key}" failed:`, error);
+        }
+        return true;
+    }
+
+    /**
+     * Gathers one kind of contribution from every active plugin.
+     * @param {string} listName - The contribution list, e.g. 'menuItems'.
+     * @returns {object[]}
+     * @private
+     */
+    _collect(listName) {
+        const items = [];
+        this.plugins.forEach(plugin => {
+            if (plugin.active && plugin.contributions) {
+                items.push(...plugin.contributions[listName]);
+            }
+        });
+        return items;
+    }
+
+    /**
+     * Publishes the plugin list and settings sections for the settings node.
+     */
+    publishState() {
+        const plugins = [
+            ...Array.from(this.plugins.values()).map(plugin => ({
+                id: plugin.id,
+                name: plugin.name,
+                version: plugin.version,
+                source: plugin.source,
+                enabled: plugin.enabled,
+                loaded: true,
+                error: plugin.error
+            })),
+            ...Array.from(this.missingPlugins.values()).map(plugin => ({
+                id: plugin.id,
+                name: plugin.name,
+                version: plugin.version,
+                source: null,
+                enabled: plugin.enabled,
+                loaded: false,
+                error: null
+            }))
+        ];
+        events.publish('plugins:response', {
+            plugins,
+            settingsSections: this.getSettingsSections()
+        });
+    }
+}
+
+// Attach to window for global access
+window.PluginManager = PluginManager;
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview A spatial index over node bounds and edge paths, so hit-testing
+ * (marquee selection, cut lines, dropping a node onto an edge, snapping and
+ * viewport virtualization) only looks at what is near the point or area in question.
+ */
+
+/**
+ * A quadtree of axis-aligned rectangles. An item is stored in the smallest cell that
+ * contains it entirely, and the tree grows outwards when an item lands outside it.
+ */
+class Quadtree {
+    /**
+     * @param {object} [options={}]
+     * @param {number} [options.maxItems=8] - Items a cell holds before it is split.
+     * @param {number} [options.minSize=64] - Cells this size or smaller are never split.
+     */
+    constructor({ maxItems = 8, minSize = 64 } = {}) {
+        this.maxItems = maxItems;
+        this.minSize = minSize;
+        this.root = null;
+
+        /**
+         * Each item and the cell holding it, by key.
+         * @type {Map<string, {key: string, bounds: object, value: *, cell: object}>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * @returns {number} The number of items in the tree.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Adds an item, replacing any item with the same key. Items with bounds that aren't
+     * finite numbers, or too far out to reach, are left out with a warning.
+     * @param {string} key - A unique key for the item.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The item's bounds.
+     * @param {*} value - Returned by query().
+     */
+    insert(key, bounds, value) {
+        this.remove(key);
+        if (![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+            console.warn(`Spatial index: ${key} has invalid bounds and is left out.`, bounds);
+            return;
+        }
+        if (!this.root) {
+            const size = Math.max(1024, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 2;
+            this.root = this._createCell(bounds.minX - size / 4, bounds.minY - size / 4, size);
+        }
+        // Each step doubles the root, so this is room for about 10^19 times its first size
+        for (let steps = 0; !this._contains(this.root, bounds); steps++) {
+            if (steps === 64) {
+                console.warn(`Spatial index: ${key} is too far from the other items and is left out.`, bounds);
+                return;
+            }
+            this._grow(bounds);
+        }
+
+        const entry = { key, bounds, value, cell: null };
+        this.entries.set(key, entry);
+        this._insertInto(this.root, entry);
+    }
+
+    /**
+     * Removes an item.
+     * @param {string} key - The item's key.
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        const items = entry.cell.items;
+        items.splice(items.indexOf(entry), 1);
+        this.entries.delete(key);
+    }
+
+    /**
+     * Finds the items whose bounds overlap an area.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The area.
+     * @returns {Array<{key: string, bounds: object, value: *}>} The overlapping items.
+     */
+    query(bounds) {
+        const results = [];
+        if (!this.root) return results;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            if (!this._overlaps(cell, bounds)) continue;
+            cell.items.forEach(entry => {
+                if (this._overlaps(entry.bounds, bounds)) results.push(entry);
+            });
+            if (cell.children) stack.push(...cell.children);
+        }
+        return results;
+    }
+
+    /**
+     * Removes every item.
+     */
+    clear() {
+        this.root = null;
+        this.entries.clear();
+    }
+
+    // --- Cells ---
+
+    /**
+     * @private
+     */
+    _createCell(minX, minY, size) {
+        return { minX, minY, maxX: minX + size, maxY: minY + size, size, items: [], children: null };
+    }
+
+    /**
+     * Doubles the root towards the given bounds, keeping the old root as one of its quadrants.
+     * @private
+     */
+    _grow(bounds) {
+        const oldRoot = this.root;
+        const growLeft = bounds.minX < oldRoot.minX;
+        const growUp = bounds.minY < oldRoot.minY;
+        const minX = growLeft ? oldRoot.minX - oldRoot.size : oldRoot.minX;
+        const minY = growUp ? oldRoot.minY - oldRoot.size : oldRoot.minY;
+
+        this.root = this._createCell(minX, minY, oldRoot.size * 2);
+        this._split(this.root);
+        const index = (growLeft ? 1 : 0) + (growUp ? 2 : 0);
+        this.root.children[index] = oldRoot;
+    }
+
+    /**
+     * @private
+     */
+    _insertInto(cell, entry) {
+        while (cell.children) {
+            const child = cell.children.find(candidate => this._contains(candidate, entry.bounds));
+            if (!child) break;
+            cell = child;
+        }
+
+        cell.items.push(entry);
+        entry.cell = cell;
+
+        if (!cell.children && cell.items.length > this.maxItems && cell.size > this.minSize) {
+            this._split(cell);
+            const items = cell.items;
+            cell.items = [];
+            items.forEach(item => this._insertInto(cell, item));
+        }
+    }
+
+    /**
+     * Gives a cell four quadrants, ordered top-left, top-right, bottom-left, bottom-right.
+     * @private
+     */
+    _split(cell) {
+        const half = cell.size / 2;
+        cell.children = [
+            this._createCell(cell.minX, cell.minY, half),
+            this._createCell(cell.minX + half, cell.minY, half),
+            this._createCell(cell.minX, cell.minY + half, half),
+            this._createCell(cell.minX + half, cell.minY + half, half)
+        ];
+    }
+
+    /**
+     * @private
+     */
+    _contains(outer, inner) {
+        return inner.minX >= outer.minX && inner.maxX <= outer.maxX && inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+    }
+
+    /**
+     * @private
+     */
+    _overlaps(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+}
+
+class SpatialIndex {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.nodeTree = new Quadtree();
+        this.edgeTree = new Quadtree(); // One item per segment of an edge's path
+
+        /**
+         * The polyline each edge is indexed with, by edge ID.
+         * @type {Map<string, {x: number, y: number}[]>}
+         */
+        this.edgePoints = new Map();
+
+        // Changes are collected and applied the next time the index is queried
+        this.dirtyNodeIds = new Set();
+        this.dirtyEdgeIds = new Set();
+
+        events.subscribe('node:update', (data) => {
+            if (data && data.nodeId) this.markNodeDirty(data.nodeId);
+        });
+        events.subscribe('node:resized', (data) => {
+            if (data && data.nodeId) this.markNodeDirty(data.nodeId);
+        });
+    }
+
+    // --- Keeping the Index Current ---
+
+    /**
+     * Re-indexes a node on the next query. Call after it moves or resizes.
+     * @param {string} nodeId - The node's ID.
+     */
+    markNodeDirty(nodeId) {
+        this.dirtyNodeIds.add(nodeId);
+    }
+
+    /**
+     * Re-indexes an edge on the next query. Call after its path changes.
+     * @param {string} edgeId - The edge's ID.
+     */
+    markEdgeDirty(edgeId) {
+        this.dirtyEdgeIds.add(edgeId);
+    }
+
+    /**
+     * Indexes every node and edge from scratch.
+     */
+    rebuild() {
+        this.nodeTree.clear();
+        this.edgeTree.clear();
+        this.edgePoints.clear();
+        this.nodeUI.nodes.forEach(node => this.markNodeDirty(node.id));
+        this.nodeUI.edges.forEach(edge => this.markEdgeDirty(edge.id));
+    }
+
+    /**
+     * Applies the changes collected since the last query.
+     * @private
+     */
+    _flush() {
+        this._flushNodes();
+        this._flushEdges();
+    }
+
+    /**
+     * Applies the node changes collected since the last query. Node queries only need
+     * these, which lets edge routing query nodes while the edges are being indexed.
+     * @private
+     */
+    _flushNodes() {
+        this.dirtyNodeIds.forEach(nodeId => {
+            const node = this.nodeUI.nodes.get(nodeId);
+            // Pinned nodes live in screen space, so they aren't indexed
+            if (!node || node.isPinned) {
+                this.nodeTree.remove(nodeId);
+                return;
+            }
+            this.nodeTree.insert(nodeId, {
+                minX: node.x,
+                minY: node.y,
+                maxX: node.x + node.width,
+                maxY: node.y + node.height
+            }, nodeId);
+        });
+        this.dirtyNodeIds.clear();
+    }
+
+    /**
+     * Re-indexes the edges changed since the last query.
+     * @private
+     */
+    _flushEdges() {
+        this.dirtyEdgeIds.forEach(edgeId => {
+            const previous = this.edgePoints.get(edgeId);
+            if (previous) {
+                for (let i = 0; i < previous.length - 1; i++) this.edgeTree.remove(`${edgeId}:${i}`);
+                this.edgePoints.delete(edgeId);
+            }
+
+            const edge = this.nodeUI.edges.get(edgeId);
+            if (!edge) return;
+            const points = this.nodeUI.canvasRenderer.getEdgePoints(edge);
+            if (points.length < 2) return;
+
+            this.edgePoints.set(edgeId, points);
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                this.edgeTree.insert(`${edgeId}:${i}`, {
+                    minX: Math.min(a.x, b.x),
+                    minY: Math.min(a.y, b.y),
+                    maxX: Math.max(a.x, b.x),
+                    maxY: Math.max(a.y, b.y)
+                }, edgeId);
+            }
+        });
+        this.dirtyEdgeIds.clear();
+    }
+
+    // --- Queries ---
+
+    /**
+     * Finds the nodes overlapping an area. Pinned nodes are not included.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The area in world coordinates.
+     * @returns {BaseNode[]} The nodes.
+     */
+    queryNodes(bounds) {
+        this._flushNodes();
+        const nodes = [];
+        this.nodeTree.query(bounds).forEach(entry => {
+            const node = this.nodeUI.nodes.get(entry.value);
+            if (node) nodes.push(node);
+        });
+        return nodes;
+    }
+
+    /**
+     * Finds the edges with part of their path in an area. The segments' bounding boxes are
+     * tested, so an edge passing close to a corner of the area can be included; use
+     * edgeIntersectsRect() for an exact test.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The area in world coordinates.
+     * @returns {BaseEdge[]} The edges, each once.
+     */
+    queryEdges(bounds) {
+        this._flush();
+        const edgeIds = new Set(this.edgeTree.query(bounds).map(entry => entry.value));
+        const edges = [];
+        edgeIds.forEach(edgeId => {
+            const edge = this.nodeUI.edges.get(edgeId);
+            if (edge) edges.push(edge);
+        });
+        return edges;
+    }
+
+    /**
+     * Finds the edges whose path passes within a distance of a point, nearest first.
+     * @param {{x: number, y: number}} point - The point in world coordinates.
+     * @param {number} tolerance - The maximum distance.
+     * @returns {Array<{edge: BaseEdge, distance: number}>} The edges and their distance from the point.
+     */
+    findEdgesNear(point, tolerance) {
+        const bounds = { minX: point.x - tolerance, minY: point.y - tolerance, maxX: point.x + tolerance, maxY: point.y + tolerance };
+        return this.queryEdges(bounds)
+            .map(edge => ({ edge, distance: this.distanceToEdge(point, edge) }))
+            .filter(hit => hit.distance <= tolerance)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Finds where a line segment crosses edges, nearest to the segment's start first.
+     * @param {{x: number, y: number}} start - The segment's start in world coordinates.
+     * @param {{x: number, y: number}} end - The segment's end in world coordinates.
+     * @returns {Array<{edge: BaseEdge, point: {x: number, y: number}}>} Each crossed edge and the first point where it is crossed.
+     */
+    findEdgeIntersections(start, end) {
+        const bounds = {
+            minX: Math.min(start.x, end.x),
+            minY: Math.min(start.y, end.y),
+            maxX: Math.max(start.x, end.x),
+            maxY: Math.max(start.y, end.y)
+        };
+        const hits = [];
+        this.queryEdges(bounds).forEach(edge => {
+            const points = this.edgePoints.get(edge.id);
+            let nearest = null;
+            for (let i = 0; i < points.length - 1; i++) {
+                const point = this.nodeUI.canvasRenderer.getLineIntersection(start, end, points[i], points[i + 1]);
+                if (point && (!nearest || Math.hypot(point.x - start.x, point.y - start.y) < Math.hypot(nearest.x - start.x, nearest.y - start.y))) {
+                    nearest = point;
+                }
+            }
+            if (nearest) hits.push({ edge, point: nearest });
+        });
+        return hits.sort((a, b) =>
+            Math.hypot(a.point.x - start.x, a.point.y - start.y) - Math.hypot(b.point.x - start.x, b.point.y - start.y)
+        );
+    }
+
+    /**
+     * @param {{x: number, y: number}} point - A point in world coordinates.
+     * @param {BaseEdge} edge - The edge.
+     * @returns {number} The distance from the point to the edge's path, or Infinity if it has none.
+     */
+    distanceToEdge(point, edge) {
+        this._flush();
+        const points = this.edgePoints.get(edge.id);
+        if (!points) return Infinity;
+        let distance = Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            distance = Math.min(distance, this.nodeUI.canvasRenderer.distanceToSegment(point, points[i], points[i + 1]));
+        }
+        return distance;
+    }
+
+    /**
+     * @param {BaseEdge} edge - The edge.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - A rectangle in world coordinates.
+     * @returns {boolean} Whether any part of the edge's path lies inside the rectangle.
+     */
+    edgeIntersectsRect(edge, bounds) {
+        this._flush();
+        const points = this.edgePoints.get(edge.id);
+        if (!points) return false;
+
+        const inside = point => point.x >= bounds.minX && point.x <= bounds.maxX && point.y >= bounds.minY && point.y <= bounds.maxY;
+        const corners = [
+            { x: bounds.minX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.maxY },
+            { x: bounds.minX, y: bounds.maxY }
+        ];
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (inside(a) || inside(b)) return true;
+            // A segment can cross the rectangle with both ends outside it
+            for (let side = 0; side < 4; side++) {
+                if (this.nodeUI.canvasRenderer.getLineIntersection(a, b, corners[side], corners[(side + 1) % 4])) return true;
+            }
+        }
+        return false;
+    }
+}
+
+// Attach to window for global access
+window.Quadtree = Quadtree;
+window.SpatialIndex = SpatialIndex;
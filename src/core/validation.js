@@ -0,0 +1,536 @@
+/**
+ * @fileoverview Graph validation. Finds structural problems in the current graph
+ * (cycles, dangling edges, duplicate edges and groups that reference missing nodes),
+ * lists them in a panel, highlights the offending nodes and edges on the canvas and
+ * offers a one-click fix for each.
+ */
+
+class GraphValidator {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        /**
+         * Problems found by the last validation.
+         * @type {{kind: string, severity: string, message: string, nodeIds: string[], edgeIds: string[], fixLabel: string, fix: function(): void}[]}
+         */
+        this.issues = [];
+
+        this.panel = null;
+        this.isScheduled = false;
+
+        // Elements currently marked on the canvas, so they can be unmarked after the graph changes
+        this.highlightedElements = new Set();
+
+        // Keep an open panel up to date while the graph is edited
+        [
+            'node:create', 'node:delete', 'node:update', 'edge:create', 'edge:delete',
+            'group:node:added', 'group:node:removed', 'history:changed'
+        ].forEach(eventName => {
+            events.subscribe(eventName, () => this.scheduleValidation());
+        });
+        events.subscribe('validation:open', () => this.open());
+        events.subscribe('validation:close', () => this.close());
+    }
+
+    // --- Validation ---
+
+    /**
+     * Checks the current graph and returns every problem found.
+     * @returns {object[]} The problems, errors before warnings.
+     */
+    validate() {
+        const issues = [
+            ...this._findDanglingEdges(),
+            ...this._findDuplicateEdges(),
+            ...this._findMissingGroupMembers(),
+            ...this._findCycles()
+        ];
+        const severityOrder = { error: 0, warning: 1 };
+        this.issues = issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+        return this.issues;
+    }
+
+    /**
+     * Re-validates once the current call stack has finished, if the panel is open.
+     */
+    scheduleValidation() {
+        if (!this.panel || this.isScheduled) return;
+
+        this.isScheduled = true;
+        queueMicrotask(() => {
+            this.isScheduled = false;
+            this.refresh();
+        });
+    }
+
+    /**
+     * Applies the fix for a single problem and re-validates.
+     * @param {object} issue - A problem returned by validate().
+     */
+    fix(issue) {
+        this.nodeUI.historyManager.batch(issue.fixLabel, () => issue.fix());
+        this.refresh();
+    }
+
+    /**
+     * Applies every fix as a single undo step. Cycles are re-checked afterwards,
+     * since removing one edge can break several of them.
+     */
+    fixAll() {
+        this.nodeUI.historyManager.batch('Fix graph problems', () => {
+            this.validate().forEach(issue => {
+                if (issue.kind !== 'cycle') issue.fix();
+            });
+            // Each pass removes one edge per remaining cycle. A pass that removes nothing
+            // means an edge couldn't be deleted, and another pass wouldn't either.
+            let cycles = this._findCycles();
+            while (cycles.length > 0) {
+                const edgeCount = this.nodeUI.edges.size;
+                cycles.forEach(issue => issue.fix());
+                if (this.nodeUI.edges.size === edgeCount) {
+                    console.warn(`${cycles.length} cycle(s) could not be fixed.`);
+                    break;
+                }
+                cycles = this._findCycles();
+            }
+        });
+        this.refresh();
+    }
+
+    // --- Checks ---
+
+    /**
+     * Edges whose start or end node doesn't exist, or that point at a port the node doesn't have.
+     * @returns {object[]}
+     * @private
+     */
+    _findDanglingEdges() {
+        const issues = [];
+        this.nodeUI.edges.forEach(edge => {
+            const startNode = this.nodeUI.nodes.get(edge.startNodeId);
+            const endNode = this.nodeUI.nodes.get(edge.endNodeId);
+
+            let message = null;
+            if (!startNode || !endNode) {
+                message = `Edge ${this._describeEdge(edge)} points to a missing node`;
+            } else if (Dataflow.parseHandle(edge.startHandleId) && !this.nodeUI.dataflow.getPort(startNode, edge.startHandleId)) {
+                message = `Edge ${this._describeEdge(edge)} starts at a port "${startNode.title}" doesn't have`;
+            } else if (Dataflow.parseHandle(edge.endHandleId) && !this.nodeUI.dataflow.getPort(endNode, edge.endHandleId)) {
+                message = `Edge ${this._describeEdge(edge)} ends at a port "${endNode.title}" doesn't have`;
+            }
+
+            if (message) {
+                issues.push({
+                    kind: 'dangling-edge',
+                    severity: 'error',
+                    message,
+                    nodeIds: [startNode, endNode].filter(Boolean).map(node => node.id),
+                    edgeIds: [edge.id],
+                    fixLabel: 'Delete edge',
+                    fix: () => events.publish('edge:delete', edge.id)
+                });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Edges that connect the same two handles as an earlier edge.
+     * @returns {object[]}
+     * @private
+     */
+    _findDuplicateEdges() {
+        const edgesByHandles = new Map();
+        this.nodeUI.edges.forEach(edge => {
+            const key = `${edge.startNodeId}:${edge.startHandleId}>${edge.endNodeId}:${edge.endHandleId}`;
+            if (!edgesByHandles.has(key)) edgesByHandles.set(key, []);
+            edgesByHandles.get(key).push(edge);
+        });
+
+        const issues = [];
+        edgesByHandles.forEach(edges => {
+            if (edges.length < 2) return;
+            const duplicates = edges.slice(1);
+            issues.push({
+                kind: 'duplicate-edge',
+                severity: 'error',
+                message: `${edges.length} edges connect the same handles ${this._describeEdge(edges[0])}`,
+                nodeIds: [edges[0].startNodeId, edges[0].endNodeId],
+                edgeIds: edges.map(edge => edge.id),
+                fixLabel: duplicates.length === 1 ? 'Delete duplicate' : 'Delete duplicates',
+                fix: () => duplicates.forEach(edge => events.publish('edge:delete', edge.id))
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * Groups whose containedNodeIds list nodes that don't exist.
+     * @returns {object[]}
+     * @private
+     */
+    _findMissingGroupMembers() {
+        const issues = [];
+        this.nodeUI.nodes.forEach(node => {
+            if (!(node instanceof GroupNode)) return;
+
+            const missingIds = Array.from(node.containedNodeIds).filter(nodeId => !this.nodeUI.nodes.has(nodeId));
+            if (missingIds.length === 0) return;
+
+            issues.push({
+                kind: 'missing-group-member',
+                severity: 'error',
+                message: `Group "${node.title}" contains ${missingIds.length} missing ${missingIds.length === 1 ? 'node' : 'nodes'}`,
+                nodeIds: [node.id],
+                edgeIds: [],
+                fixLabel: 'Remove references',
+                fix: () => {
+                    const group = this.nodeUI.nodes.get(node.id);
+                    if (!group) return;
+                    events.publish('node:update', {
+                        nodeId: group.id,
+                        containedNodeIds: Array.from(group.containedNodeIds).filter(nodeId => this.nodeUI.nodes.has(nodeId))
+                    });
+                }
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * Directed cycles, following edges from their start node to their end node. Each
+     * strongly connected component is reported once, with one cycle through it whose
+     * closing edge the fix removes.
+     * @returns {object[]}
+     * @private
+     */
+    _findCycles() {
+        const outgoing = new Map();
+        this.nodeUI.nodes.forEach((node, nodeId) => outgoing.set(nodeId, []));
+        this.nodeUI.edges.forEach(edge => {
+            if (outgoing.has(edge.startNodeId) && outgoing.has(edge.endNodeId)) {
+                outgoing.get(edge.startNodeId).push(edge);
+            }
+        });
+
+        return this._findStronglyConnected(outgoing)
+            .map(component => this._findCycleIn(component, outgoing))
+            .filter(Boolean)
+            .map(cycleEdges => {
+                const nodeIds = cycleEdges.map(edge => edge.startNodeId);
+                const names = [...nodeIds, nodeIds[0]].map(nodeId => this._describeNode(nodeId));
+                const closingEdge = cycleEdges[cycleEdges.length - 1];
+                return {
+                    kind: 'cycle',
+                    severity: 'warning',
+                    message: `Cycle: ${names.join(' → ')}`,
+                    nodeIds,
+                    edgeIds: cycleEdges.map(edge => edge.id),
+                    fixLabel: 'Remove closing edge',
+                    fix: () => events.publish('edge:delete', closingEdge.id)
+                };
+            });
+    }
+
+    /**
+     * Tarjan's algorithm, without recursion so large graphs can't overflow the stack.
+     * @param {Map<string, BaseEdge[]>} outgoing - Outgoing edges by node ID.
+     * @returns {Set<string>[]} Components that contain a cycle: more than one node, or a node with an edge to itself.
+     * @private
+     */
+    _findStronglyConnected(outgoing) {
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+
+        outgoing.forEach((edges, rootId) => {
+            if (index.has(rootId)) return;
+
+            const work = [{ nodeId: rootId, edgeIndex: 0 }];
+            index.set(rootId, counter);
+            lowLink.set(rootId, counter++);
+            stack.push(rootId);
+            onStack.add(rootId);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const nodeEdges = outgoing.get(frame.nodeId);
+
+                if (frame.edgeIndex < nodeEdges.length) {
+                    const targetId = nodeEdges[frame.edgeIndex++].endNodeId;
+                    if (!index.has(targetId)) {
+                        index.set(targetId, counter);
+                        lowLink.set(targetId, counter++);
+                        stack.push(targetId);
+                        onStack.add(targetId);
+                        work.push({ nodeId: targetId, edgeIndex: 0 });
+                    } else if (onStack.has(targetId)) {
+                        lowLink.set(frame.nodeId, Math.min(lowLink.get(frame.nodeId), index.get(targetId)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parentId = work[work.length - 1].nodeId;
+                    lowLink.set(parentId, Math.min(lowLink.get(parentId), lowLink.get(frame.nodeId)));
+                }
+
+                if (lowLink.get(frame.nodeId) === index.get(frame.nodeId)) {
+                    const component = new Set();
+                    let memberId;
+                    do {
+                        memberId = stack.pop();
+                        onStack.delete(memberId);
+                        component.add(memberId);
+                    } while (memberId !== frame.nodeId);
+
+                    const hasSelfLoop = nodeEdges.some(edge => edge.endNodeId === frame.nodeId);
+                    if (component.size > 1 || hasSelfLoop) components.push(component);
+                }
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Finds one cycle inside a strongly connected component with a breadth-first
+     * search from its first node back to itself, so the reported cycle is a short one.
+     * @param {Set<string>} component - Node IDs of the component.
+     * @param {Map<string, BaseEdge[]>} outgoing - Outgoing edges by node ID.
+     * @returns {BaseEdge[]|null} The edges of the cycle, in order.
+     * @private
+     */
+    _findCycleIn(component, outgoing) {
+        const startId = component.values().next().value;
+        const reachedBy = new Map();
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            for (const edge of outgoing.get(nodeId)) {
+                if (!component.has(edge.endNodeId)) continue;
+
+                if (edge.endNodeId === startId) {
+                    const cycleEdges = [edge];
+                    let currentId = nodeId;
+                    while (currentId !== startId) {
+                        const incoming = reachedBy.get(currentId);
+                        cycleEdges.unshift(incoming);
+                        currentId = incoming.startNodeId;
+                    }
+                    return cycleEdges;
+                }
+                if (!reachedBy.has(edge.endNodeId)) {
+                    reachedBy.set(edge.endNodeId, edge);
+                    queue.push(edge.endNodeId);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} nodeId
+     * @returns {string} The node's title in quotes, or a note that it is missing.
+     * @private
+     */
+    _describeNode(nodeId) {
+        const node = this.nodeUI.nodes.get(nodeId);
+        return node ? `"${node.title}"` : `(missing ${nodeId.substring(0, 8)})`;
+    }
+
+    /**
+     * @param {BaseEdge} edge
+     * @returns {string} The edge as "start → end".
+     * @private
+     */
+    _describeEdge(edge) {
+        return `${this._describeNode(edge.startNodeId)} → ${this._describeNode(edge.endNodeId)}`;
+    }
+
+    // --- Panel ---
+
+    /**
+     * Validates the graph and shows the problems panel.
+     */
+    open() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.className = 'validation-panel';
+            // Keep clicks and scrolling in the panel from reaching the canvas
+            ['mousedown', 'dblclick', 'wheel', 'contextmenu'].forEach(eventName => {
+                this.panel.addEventListener(eventName, (event) => event.stopPropagation());
+            });
+            this.nodeUI.container.appendChild(this.panel);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Hides the panel and removes the highlights.
+     */
+    close() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this._clearHighlights();
+    }
+
+    /**
+     * Re-validates and redraws the panel and highlights.
+     */
+    refresh() {
+        if (!this.panel) return;
+
+        this.validate();
+        this._renderPanel();
+        this._clearHighlights();
+        this.issues.forEach(issue => this._highlight(issue, 'validation-highlight'));
+    }
+
+    /**
+     * Fills the panel with the current problems.
+     * @private
+     */
+    _renderPanel() {
+        this.panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'validation-panel-header';
+
+        const title = document.createElement('span');
+        title.className = 'validation-panel-title';
+        title.textContent = this.issues.length === 0
+            ? 'No problems found'
+            : `${this.issues.length} ${this.issues.length === 1 ? 'problem' : 'problems'}`;
+        header.appendChild(title);
+
+        if (this.issues.length > 1) {
+            header.appendChild(this._createButton('Fix All', () => this.fixAll()));
+        }
+        header.appendChild(this._createButton('Re-check', () => this.refresh()));
+        header.appendChild(this._createButton('Close', () => this.close()));
+        this.panel.appendChild(header);
+
+        if (this.issues.length === 0) return;
+
+        const list = document.createElement('ul');
+        list.className = 'validation-issue-list';
+        this.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `validation-issue ${issue.severity}`;
+
+            const icon = document.createElement('span');
+            icon.className = `icon ${issue.severity === 'error' ? 'icon-bug' : 'icon-refresh-cw'}`;
+
+            const message = document.createElement('span');
+            message.className = 'validation-issue-message';
+            // Titles come from the graph, so never parse them as HTML
+            message.textContent = issue.message;
+
+            item.appendChild(icon);
+            item.appendChild(message);
+            item.appendChild(this._createButton(issue.fixLabel, () => this.fix(issue)));
+
+            item.addEventListener('mouseenter', () => this._highlight(issue, 'validation-focus'));
+            item.addEventListener('mouseleave', () => this._unhighlight(issue, 'validation-focus'));
+            item.addEventListener('click', () => this._selectIssue(issue));
+
+            list.appendChild(item);
+        });
+        this.panel.appendChild(list);
+    }
+
+    /**
+     * @param {string} label - The button text.
+     * @param {function(): void} onClick - The click handler.
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'validation-button';
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Selects the nodes and edges of a problem.
+     * @param {object} issue - The problem.
+     * @private
+     */
+    _selectIssue(issue) {
+        this.nodeUI.clearSelection();
+        issue.nodeIds.forEach(nodeId => {
+            if (this.nodeUI.nodes.has(nodeId)) this.nodeUI.selectNode(nodeId);
+        });
+        issue.edgeIds.forEach(edgeId => {
+            if (this.nodeUI.edges.has(edgeId)) this.nodeUI.selectEdge(edgeId);
+        });
+        events.publish('selection:changed', {
+            selectedNodeIds: Array.from(this.nodeUI.selectedNodes),
+            selectedEdgeIds: Array.from(this.nodeUI.selectedEdges)
+        });
+    }
+
+    // --- Highlights ---
+
+    /**
+     * @param {object} issue - The problem.
+     * @returns {Element[]} The DOM elements of its nodes and edges that are on the canvas.
+     * @private
+     */
+    _getElements(issue) {
+        const nodeElements = issue.nodeIds.map(nodeId => this.nodeUI.nodes.get(nodeId)).filter(Boolean).map(node => node.element);
+        const edgeElements = issue.edgeIds.map(edgeId => this.nodeUI.edges.get(edgeId)).filter(Boolean).map(edge => edge.element);
+        return [...nodeElements, ...edgeElements].filter(Boolean);
+    }
+
+    /**
+     * @param {object} issue - The problem.
+     * @param {string} className - The highlight class to add.
+     * @private
+     */
+    _highlight(issue, className) {
+        this._getElements(issue).forEach(element => {
+            element.classList.add(className);
+            this.highlightedElements.add(element);
+        });
+    }
+
+    /**
+     * @param {object} issue - The problem.
+     * @param {string} className - The highlight class to remove.
+     * @private
+     */
+    _unhighlight(issue, className) {
+        this._getElements(issue).forEach(element => element.classList.remove(className));
+    }
+
+    /**
+     * Removes all highlights, including from elements no longer on the canvas.
+     * @private
+     */
+    _clearHighlights() {
+        this.highlightedElements.forEach(element => {
+            element.classList.remove('validation-highlight', 'validation-focus');
+        });
+        this.highlightedElements.clear();
+    }
+}
+
+// Attach to window for global access
+window.GraphValidator = GraphValidator;
@@ -0,0 +1,702 @@
+/**
+ * @fileoverview Vector export of the canvas as SVG or PDF. The exporter walks the node and
+ * edge model rather than the DOM, so nodes the virtualizer has unmounted are included, and
+ * resolves the theme's CSS variables so the SVG stands on its own. Node content is written
+ * out as text with light markdown formatting, so it stays sharp when printed.
+ */
+
+class VectorExporter {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.padding = 40;          // Space around the exported graph
+        this.titleBarHeight = 48;   // Matches the rendered node title bar
+        this.contentPadding = 16;
+        this.pageMargin = 36;       // PDF page margin, in points
+        this.pointsPerPixel = 0.75; // One CSS pixel in PDF points, so pages print at actual size
+
+        this._styles = null;         // The theme's computed styles, read once per export
+        this._measureContext = null; // Canvas context for measuring text
+
+        events.subscribe('graph:export-svg', ({ selectionOnly = false } = {}) => this.exportSvg(selectionOnly));
+        events.subscribe('graph:export-pdf', ({ selectionOnly = false } = {}) => this.exportPdf(selectionOnly));
+    }
+
+    // --- Export ---
+
+    /**
+     * Downloads the graph, or the selection, as a standalone SVG file.
+     * @param {boolean} [selectionOnly=false] - Whether to export only the selected nodes.
+     */
+    exportSvg(selectionOnly = false) {
+        const svg = this.buildSvg(selectionOnly);
+        if (!svg) return;
+
+        const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+        this._download(new Blob([markup], { type: 'image/svg+xml' }), `${this._getFileName()}.svg`);
+    }
+
+    /**
+     * Downloads the graph, or the selection, as a PDF. The graph is printed at actual size
+     * on A4 landscape pages, so a large graph is tiled across as many pages as it needs.
+     * @param {boolean} [selectionOnly=false] - Whether to export only the selected nodes.
+     */
+    async exportPdf(selectionOnly = false) {
+        const svg = this.buildSvg(selectionOnly);
+        if (!svg) return;
+
+        try {
+            await window.loadJsPDF();
+        } catch (error) {
+            console.error('Failed to load the PDF libraries:', error);
+            return;
+        }
+
+        const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+        const tileWidth = (doc.internal.pageSize.getWidth() - this.pageMargin * 2) / this.pointsPerPixel;
+        const tileHeight = (doc.internal.pageSize.getHeight() - this.pageMargin * 2) / this.pointsPerPixel;
+        const [left, top, width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+        const columns = Math.ceil(width / tileWidth);
+        const rows = Math.ceil(height / tileHeight);
+
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    if (row > 0 || column > 0) doc.addPage();
+
+                    const x = left + column * tileWidth;
+                    const y = top + row * tileHeight;
+                    const tile = this._createTile(svg, x, y, Math.min(tileWidth, left + width - x), Math.min(tileHeight, top + height - y));
+                    await doc.svg(tile, {
+                        x: this.pageMargin,
+                        y: this.pageMargin,
+                        width: Number(tile.getAttribute('width')) * this.pointsPerPixel,
+                        height: Number(tile.getAttribute('height')) * this.pointsPerPixel
+                    });
+                }
+            }
+            doc.save(`${this._getFileName()}.pdf`);
+        } catch (error) {
+            console.error('Error exporting PDF:', error);
+        }
+    }
+
+    /**
+     * Builds a standalone SVG of the graph: group frames at the back, then edges with their
+     * markers and labels, then nodes with their titles and content.
+     * @param {boolean} [selectionOnly=false] - Whether to export only the selected nodes.
+     * @returns {SVGSVGElement|null} The SVG, or null if there is nothing to export.
+     */
+    buildSvg(selectionOnly = false) {
+        const { nodes, edges } = this._collect(selectionOnly);
+        if (nodes.length === 0) {
+            console.warn('Nothing to export.');
+            return null;
+        }
+
+        this._styles = getComputedStyle(document.documentElement);
+        const svg = this._create('svg');
+        const defs = this._create('defs');
+        const content = this._create('g');
+        svg.appendChild(defs);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const extend = (x, y, width, height) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + width);
+            maxY = Math.max(maxY, y + height);
+        };
+
+        // Outer groups first, so nested groups are drawn on top of them
+        const groups = nodes.filter(node => node instanceof GroupNode).sort((a, b) => b.width * b.height - a.width * a.height);
+        groups.forEach(node => content.appendChild(this._renderNode(node, defs)));
+
+        edges.forEach(edge => {
+            const rendered = this._renderEdge(edge, defs);
+            if (!rendered) return;
+            content.appendChild(rendered.element);
+            extend(rendered.bounds.x, rendered.bounds.y, rendered.bounds.width, rendered.bounds.height);
+        });
+
+        nodes.forEach(node => {
+            extend(node.x, node.y, node.width, node.height);
+            if (!(node instanceof GroupNode)) content.appendChild(this._renderNode(node, defs));
+        });
+
+        const x = Math.floor(minX - this.padding);
+        const y = Math.floor(minY - this.padding);
+        const width = Math.ceil(maxX - minX + this.padding * 2);
+        const height = Math.ceil(maxY - minY + this.padding * 2);
+        svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+
+        const background = this._create('rect', { x, y, width, height });
+        this._paint(background, 'fill', '--color-bg-default');
+        svg.appendChild(background);
+        svg.appendChild(content);
+        return svg;
+    }
+
+    // --- Collection ---
+
+    /**
+     * Collects the nodes and edges to export. Pinned nodes float over the canvas rather
+     * than belonging to it, so they are left out, as they are from screenshots.
+     * @param {boolean} selectionOnly - Whether to collect only the selection. A selected
+     *   group brings everything inside it.
+     * @returns {{nodes: BaseNode[], edges: BaseEdge[]}}
+     * @private
+     */
+    _collect(selectionOnly) {
+        let candidates = Array.from(this.nodeUI.nodes.values());
+        if (selectionOnly) {
+            const selected = new Set();
+            this.nodeUI.selectedNodes.forEach(nodeId => {
+                const node = this.nodeUI.nodes.get(nodeId);
+                if (!node) return;
+                selected.add(node);
+                if (node instanceof GroupNode) {
+                    this.nodeUI.nodeManager.getAllContainedNodes(node).forEach(member => selected.add(member));
+                }
+            });
+            candidates = Array.from(selected);
+        }
+
+        const nodes = candidates.filter(node => !node.isPinned);
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const edges = Array.from(this.nodeUI.edges.values()).filter(edge =>
+            nodeIds.has(edge.startNodeId) && nodeIds.has(edge.endNodeId)
+        );
+        return { nodes, edges };
+    }
+
+    // --- Nodes ---
+
+    /**
+     * Draws a node: its box, title and content. Routing nodes are drawn as circles and
+     * groups as dashed frames.
+     * @param {BaseNode} node - The node to draw.
+     * @param {SVGDefsElement} defs - The definitions, for the content's clip path.
+     * @returns {SVGGElement}
+     * @private
+     */
+    _renderNode(node, defs) {
+        const color = node.color || 'default';
+        const group = this._create('g');
+
+        if (node instanceof RoutingNode) {
+            const circle = this._create('circle', {
+                cx: node.x + node.width / 2,
+                cy: node.y + node.height / 2,
+                r: Math.min(node.width, node.height) / 2
+            });
+            this._paint(circle, 'fill', '--color-bg-panel');
+            this._paint(circle, 'stroke', `--color-node-${color}-border`);
+            group.appendChild(circle);
+            return group;
+        }
+
+        const box = this._create('rect', {
+            x: node.x,
+            y: node.y,
+            width: node.width,
+            height: node.height,
+            rx: 8,
+            'stroke-width': 1
+        });
+        if (node instanceof GroupNode) {
+            this._paint(box, 'fill', '--color-bg-elevated');
+            this._paint(box, 'stroke', color === 'default' ? '--color-accent' : `--color-node-${color}-border`);
+            box.setAttribute('stroke-dasharray', '6 4');
+        } else {
+            this._paint(box, 'fill', `--color-node-${color}-bg`);
+            this._paint(box, 'stroke', `--color-node-${color}-border`);
+        }
+        group.appendChild(box);
+
+        const titleFont = `600 12px ${this._resolve('--font-sans')}`;
+        const title = this._createText(
+            this._truncate(node.title || '', titleFont, node.width - this.contentPadding * 2),
+            node.x + node.width / 2,
+            node.y + this.titleBarHeight / 2,
+            12,
+            { 'font-weight': 600, 'text-anchor': 'middle' }
+        );
+        this._paint(title, 'fill', `--color-node-${color}-text`, '--color-text-subtle');
+        group.appendChild(title);
+
+        if (node instanceof GroupNode) return group;
+
+        const divider = this._create('line', {
+            x1: node.x,
+            y1: node.y + this.titleBarHeight,
+            x2: node.x + node.width,
+            y2: node.y + this.titleBarHeight,
+            'stroke-width': 1
+        });
+        this._paint(divider, 'stroke', `--color-node-${color}-border`);
+        group.appendChild(divider);
+
+        const contentElement = this._renderContent(node, defs);
+        if (contentElement) group.appendChild(contentElement);
+        return group;
+    }
+
+    /**
+     * Lays out a node's markdown content as lines of text, clipped to the content area.
+     * @param {BaseNode} node - The node whose content to draw.
+     * @param {SVGDefsElement} defs - The definitions, for the clip path.
+     * @returns {SVGGElement|null} The content, or null if the node has none.
+     * @private
+     */
+    _renderContent(node, defs) {
+        if (typeof node.content !== 'string' || node.content.trim() === '') return null;
+
+        const area = {
+            x: node.x + this.contentPadding,
+            y: node.y + this.titleBarHeight + this.contentPadding,
+            width: node.width - this.contentPadding * 2,
+            height: node.height - this.titleBarHeight - this.contentPadding * 2
+        };
+        if (area.width <= 0 || area.height <= 0) return null;
+
+        const clipId = `clip-${defs.childElementCount}`;
+        const clipPath = this._create('clipPath', { id: clipId });
+        clipPath.appendChild(this._create('rect', { x: area.x, y: area.y, width: area.width, height: area.height }));
+        defs.appendChild(clipPath);
+
+        const group = this._create('g', { 'clip-path': `url(#${clipId})` });
+        const bottom = area.y + area.height;
+        const sans = this._resolve('--font-sans');
+        const mono = this._resolve('--font-mono');
+        const headingSizes = [24, 20, 16, 15, 14, 14];
+        let y = area.y;
+
+        for (const block of this._parseMarkdown(node.content)) {
+            if (y >= bottom) break;
+
+            if (block.kind === 'blank') {
+                y += 8;
+                continue;
+            }
+            if (block.kind === 'rule') {
+                const rule = this._create('line', { x1: area.x, y1: y + 8, x2: area.x + area.width, y2: y + 8, 'stroke-width': 1 });
+                this._paint(rule, 'stroke', '--color-border-default');
+                group.appendChild(rule);
+                y += 16;
+                continue;
+            }
+            if (block.kind === 'image') {
+                // Images fill the rest of the content area, as dropped images size their node to fit
+                group.appendChild(this._create('image', {
+                    href: block.src,
+                    x: area.x,
+                    y: y + 8,
+                    width: area.width,
+                    height: Math.max(0, bottom - y - 8),
+                    preserveAspectRatio: 'xMidYMin meet'
+                }));
+                y = bottom;
+                continue;
+            }
+
+            const fontSize = block.kind === 'heading' ? headingSizes[block.level - 1] : (block.kind === 'code' ? 12 : 14);
+            const fontWeight = block.kind === 'heading' ? 700 : 400;
+            const family = block.kind === 'code' ? mono : sans;
+            const lineHeight = Math.round(fontSize * 1.4);
+            const indent = block.marker ? 20 : 0;
+            const lines = this._wrap(block.text, `${fontWeight} ${fontSize}px ${family}`, area.width - indent);
+
+            lines.forEach((line, index) => {
+                if (y >= bottom) return;
+                if (index === 0 && block.marker) {
+                    const marker = this._createText(block.marker, area.x, y + lineHeight / 2, fontSize);
+                    this._paint(marker, 'fill', '--color-text-subtle');
+                    group.appendChild(marker);
+                }
+                const text = this._createText(line, area.x + indent, y + lineHeight / 2, fontSize, {
+                    'font-weight': fontWeight,
+                    'font-family': family
+                });
+                this._paint(text, 'fill', '--color-text-default');
+                group.appendChild(text);
+                y += lineHeight;
+            });
+        }
+
+        return group;
+    }
+
+    /**
+     * Splits markdown into blocks of plain text: headings, paragraphs, list items, code
+     * lines, images and rules. Inline formatting is dropped and links keep their text.
+     * @param {string} markdown - The content to parse.
+     * @returns {{kind: string, text?: string, level?: number, marker?: string, src?: string}[]}
+     * @private
+     */
+    _parseMarkdown(markdown) {
+        const blocks = [];
+        let inCode = false;
+
+        markdown.split('\n').forEach(rawLine => {
+            const line = rawLine.replace(/\s+$/, '');
+
+            if (/^\s*```/.test(line)) {
+                inCode = !inCode;
+                return;
+            }
+            if (inCode) {
+                blocks.push({ kind: 'code', text: line });
+                return;
+            }
+            if (line.trim() === '') {
+                blocks.push({ kind: 'blank' });
+                return;
+            }
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                blocks.push({ kind: 'rule' });
+                return;
+            }
+
+            const image = line.match(/^\s*!\[[^\]]*\]\(([^)\s]+)[^)]*\)\s*$/);
+            if (image) {
+                blocks.push({ kind: 'image', src: image[1] });
+                return;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+            if (heading) {
+                blocks.push({ kind: 'heading', level: heading[1].length, text: this._stripInline(heading[2]) });
+                return;
+            }
+
+            const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/);
+            if (listItem) {
+                let marker = /\d/.test(listItem[1]) ? listItem[1] : '•';
+                if (listItem[2] !== undefined) marker = listItem[2] === ' ' ? '☐' : '☑';
+                blocks.push({ kind: 'paragraph', marker, text: this._stripInline(listItem[3]) });
+                return;
+            }
+
+            // Tables become rows of spaced cells, without the separator row
+            if (/^\s*\|/.test(line)) {
+                if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) return;
+                const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(cell => this._stripInline(cell.trim()));
+                blocks.push({ kind: 'paragraph', text: cells.join('   ') });
+                return;
+            }
+
+            blocks.push({ kind: 'paragraph', text: this._stripInline(line.replace(/^\s*>\s?/, '')) });
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Removes inline markdown and HTML from a line of text.
+     * @param {string} text - The text to clean.
+     * @returns {string}
+     * @private
+     */
+    _stripInline(text) {
+        return text
+            .replace(/<[^>]+>/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|~~)(.+?)\1/g, '$2')
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+            // Underscores only mark emphasis at word boundaries, so snake_case survives
+            .replace(/(^|\W)__(.+?)__(?!\w)/g, '$1$2')
+            .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, '$1$2')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+    }
+
+    // --- Edges ---
+
+    /**
+     * Draws an edge with its markers, dash pattern and label. The path is measured in the
+     * live canvas to find the label position and the area the edge covers.
+     * @param {BaseEdge} edge - The edge to draw.
+     * @param {SVGDefsElement} defs - The definitions, for the markers.
+     * @returns {{element: SVGGElement, bounds: {x: number, y: number, width: number, height: number}}|null}
+     *   The edge and the area it covers, or null if it has no path.
+     * @private
+     */
+    _renderEdge(edge, defs) {
+        const pathData = this.nodeUI.canvasRenderer.calculateEdgePath(edge);
+        if (!pathData) return null;
+
+        const nodeColor = this.nodeUI.nodes.get(edge.startNodeId)?.color || 'default';
+        const color = edge.color || nodeColor;
+        const group = this._create('g');
+
+        const path = this._create('path', {
+            d: pathData,
+            fill: 'none',
+            'stroke-width': edge.strokeWidth,
+            'stroke-linecap': 'round'
+        });
+        // The default edge color uses the brighter hover shade, as it does on the canvas
+        this._paint(path, 'stroke', color === 'default' ? '--color-node-default-border-hover' : `--color-node-${color}-border`);
+        const dashArray = { dashed: '8 6', dotted: '0 7' }[edge.dashPattern];
+        if (dashArray) path.setAttribute('stroke-dasharray', dashArray);
+
+        [['marker-start', edge.startArrow], ['marker-end', edge.endArrow]].forEach(([attribute, shape]) => {
+            const markerId = this._getMarker(defs, shape, color);
+            if (markerId) path.setAttribute(attribute, `url(#${markerId})`);
+        });
+        group.appendChild(path);
+
+        // Measure the path in the live canvas, where it can be laid out
+        const probe = this._create('path', { d: pathData, visibility: 'hidden' });
+        this.nodeUI.svg.appendChild(probe);
+        const box = probe.getBBox();
+        const length = probe.getTotalLength();
+        const midPoint = length > 0 ? probe.getPointAtLength(length / 2) : null;
+        probe.remove();
+
+        if (edge.label && midPoint) {
+            const fontFamily = this._resolve('--font-sans');
+            const labelPadding = 4;
+            const labelWidth = this._measure(edge.label, `12px ${fontFamily}`) + labelPadding * 2;
+            const labelHeight = 12 + labelPadding * 2;
+            const background = this._create('rect', {
+                x: midPoint.x - labelWidth / 2,
+                y: midPoint.y - labelHeight / 2,
+                width: labelWidth,
+                height: labelHeight,
+                rx: 3
+            });
+            this._paint(background, 'fill', `--color-node-${color}-border-hover`);
+            group.appendChild(background);
+
+            const label = this._createText(edge.label, midPoint.x, midPoint.y, 12, { 'text-anchor': 'middle' });
+            this._paint(label, 'fill', '--color-bg-panel');
+            group.appendChild(label);
+        }
+
+        return { element: group, bounds: { x: box.x, y: box.y, width: box.width, height: box.height } };
+    }
+
+    /**
+     * Adds a marker definition for an edge end, copied from the canvas's own markers with
+     * its color resolved. Each shape and color is defined once.
+     * @param {SVGDefsElement} defs - The definitions to add to.
+     * @param {string} shape - The marker shape, as in BaseEdge.ARROWHEADS.
+     * @param {string} color - The node color name.
+     * @returns {string|null} The marker ID, or null for no marker.
+     * @private
+     */
+    _getMarker(defs, shape, color) {
+        if (!shape || shape === 'none') return null;
+        const id = `marker-${shape}-${color}`;
+        if (defs.querySelector(`#${id}`)) return id;
+
+        const source = this.nodeUI.svg.querySelector(`#edge-marker-${shape}-${color}-border`);
+        if (!source) return null;
+
+        const marker = source.cloneNode(true);
+        marker.id = id;
+        const shapeElement = marker.firstElementChild;
+        shapeElement.removeAttribute('style');
+        this._paint(shapeElement, 'fill', `--color-node-${color}-border`);
+        defs.appendChild(marker);
+        return id;
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Creates an SVG element.
+     * @param {string} tag - The element name.
+     * @param {object} [attributes={}] - Attributes to set.
+     * @returns {SVGElement}
+     * @private
+     */
+    _create(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Creates a text element in the sans-serif font, vertically centred on a point. The
+     * baseline is placed explicitly rather than with `dominant-baseline`, which not every
+     * SVG-to-PDF converter supports.
+     * @param {string} content - The text.
+     * @param {number} x - The anchor x-coordinate.
+     * @param {number} centerY - The y-coordinate to centre the text on.
+     * @param {number} fontSize - The font size in pixels.
+     * @param {object} [attributes={}] - Further attributes.
+     * @returns {SVGTextElement}
+     * @private
+     */
+    _createText(content, x, centerY, fontSize, attributes = {}) {
+        const text = this._create('text', {
+            x,
+            y: centerY + fontSize * 0.35,
+            'font-size': fontSize,
+            'font-family': this._resolve('--font-sans'),
+            ...attributes
+        });
+        text.textContent = content;
+        return text;
+    }
+
+    /**
+     * Reads a CSS custom property from the current theme.
+     * @param {string} name - The property name.
+     * @returns {string} The value, or an empty string if it isn't set.
+     * @private
+     */
+    _resolve(name) {
+        return (this._styles || getComputedStyle(document.documentElement)).getPropertyValue(name).trim();
+    }
+
+    /**
+     * Sets a fill or stroke from a theme color. Translucent colors are split into an
+     * opaque color and an opacity, which more SVG and PDF readers understand.
+     * @param {SVGElement} element - The element to paint.
+     * @param {string} attribute - 'fill' or 'stroke'.
+     * @param {string} name - The CSS custom property holding the color.
+     * @param {string} [fallback] - A property to use if the first isn't set.
+     * @private
+     */
+    _paint(element, attribute, name, fallback) {
+        let value = this._resolve(name) || (fallback ? this._resolve(fallback) : '');
+        if (!value) value = attribute === 'fill' ? '#000000' : 'none';
+
+        const rgba = value.match(/^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/);
+        if (rgba) {
+            element.setAttribute(attribute, `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})`);
+            element.setAttribute(`${attribute}-opacity`, rgba[4]);
+        } else {
+            element.setAttribute(attribute, value);
+        }
+    }
+
+    /**
+     * Measures the width of a line of text.
+     * @param {string} text - The text.
+     * @param {string} font - A CSS font shorthand.
+     * @returns {number} The width in pixels.
+     * @private
+     */
+    _measure(text, font) {
+        if (!this._measureContext) {
+            this._measureContext = document.createElement('canvas').getContext('2d');
+        }
+        this._measureContext.font = font;
+        return this._measureContext.measureText(text).width;
+    }
+
+    /**
+     * Wraps text into lines no wider than the given width. Words too long for a line are
+     * broken between characters.
+     * @param {string} text - The text to wrap.
+     * @param {string} font - A CSS font shorthand.
+     * @param {number} maxWidth - The widest a line may be.
+     * @returns {string[]} The lines.
+     * @private
+     */
+    _wrap(text, font, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this._measure(candidate, font) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            line = '';
+            for (const character of word) {
+                if (line && this._measure(line + character, font) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += character;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines.length > 0 ? lines : [''];
+    }
+
+    /**
+     * Shortens text with an ellipsis to fit a width.
+     * @param {string} text - The text.
+     * @param {string} font - A CSS font shorthand.
+     * @param {number} maxWidth - The widest the text may be.
+     * @returns {string}
+     * @private
+     */
+    _truncate(text, font, maxWidth) {
+        if (this._measure(text, font) <= maxWidth) return text;
+        let end = text.length;
+        while (end > 0 && this._measure(`${text.slice(0, end)}…`, font) > maxWidth) end--;
+        return `${text.slice(0, end)}…`;
+    }
+
+    /**
+     * Copies the SVG with its view limited to one page's worth of the graph.
+     * @param {SVGSVGElement} svg - The full export.
+     * @param {number} x - The tile's left edge in world coordinates.
+     * @param {number} y - The tile's top edge.
+     * @param {number} width - The tile's width.
+     * @param {number} height - The tile's height.
+     * @returns {SVGSVGElement}
+     * @private
+     */
+    _createTile(svg, x, y, width, height) {
+        const tile = svg.cloneNode(true);
+        tile.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        tile.setAttribute('width', width);
+        tile.setAttribute('height', height);
+
+        // Keep neighbouring tiles' content out of the page margins
+        const clipPath = this._create('clipPath', { id: 'page-clip' });
+        clipPath.appendChild(this._create('rect', { x, y, width, height }));
+        tile.querySelector('defs').appendChild(clipPath);
+        const page = this._create('g', { 'clip-path': 'url(#page-clip)' });
+        Array.from(tile.children).filter(child => child.tagName !== 'defs').forEach(child => page.appendChild(child));
+        tile.appendChild(page);
+        return tile;
+    }
+
+    /**
+     * @returns {string} The base name for exported files.
+     * @private
+     */
+    _getFileName() {
+        return this.nodeUI.projectName || 'graph';
+    }
+
+    /**
+     * Downloads a file.
+     * @param {Blob} blob - The file contents.
+     * @param {string} fileName - The name to save it as.
+     * @private
+     */
+    _download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Attach to window for global access
+window.VectorExporter = VectorExporter;
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Viewport virtualization for large graphs. Nodes and edges outside the
+ * viewport have their elements detached from the DOM, and attached again as the user
+ * pans towards them. The node and edge objects, their positions and their selection
+ * state are kept, so everything that works on graph data keeps working.
+ *
+ * Nodes added outside the viewport, such as most of a large graph being loaded, are
+ * built detached and never mounted until they come into view. Their markdown, the
+ * costly part of building a note, is only rendered once they are mounted.
+ */
+
+class Virtualizer {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.minNodeCount = 300;   // Smaller graphs stay fully mounted
+        this.margin = 300;         // Screen pixels mounted beyond each side of the viewport
+
+        this.isSuspended = false;
+        this.updateFrameId = null;
+
+        events.subscribe('node:moved', () => this.scheduleUpdate());
+        events.subscribe('node:resized', () => this.scheduleUpdate());
+        events.subscribe('history:changed', () => this.scheduleUpdate());
+    }
+
+    /**
+     * Schedules a visibility update for the next animation frame. Calls made in the
+     * same frame are combined.
+     */
+    scheduleUpdate() {
+        if (this.updateFrameId) return;
+        this.updateFrameId = requestAnimationFrame(() => {
+            this.updateFrameId = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Mounts the nodes and edges that intersect the viewport and unmounts the rest.
+     */
+    update() {
+        if (this.isSuspended) return;
+        if (this.nodeUI.nodes.size < this.minNodeCount) {
+            this.mountAll();
+            return;
+        }
+
+        const view = this.getVisibleBounds();
+        const visibleNodes = new Set(this.nodeUI.spatialIndex.queryNodes(view));
+        const visibleEdges = new Set(this.nodeUI.spatialIndex.queryEdges(view));
+
+        // Unmount what has left the view, looking only at what is mounted now
+        const mountedNodeElements = [...this.nodeUI.nodeContainer.children, ...this.nodeUI.groupContainer.children];
+        mountedNodeElements.forEach(element => {
+            const node = this.nodeUI.nodes.get(element.id);
+            if (node && !node.isPinned && !visibleNodes.has(node) && !this._isInUse(node)) {
+                this.unmountNode(node);
+            }
+        });
+        const routingEdgeId = this.nodeUI.edgeHandler.getRoutingState().edgeId;
+        Array.from(this.nodeUI.canvasGroup.children).forEach(element => {
+            const edge = this.nodeUI.edges.get(element.dataset.edgeId);
+            if (edge && !visibleEdges.has(edge) && edge.id !== routingEdgeId) {
+                this.unmountEdge(edge);
+            }
+        });
+
+        visibleNodes.forEach(node => this.mountNode(node));
+        visibleEdges.forEach(edge => this.mountEdge(edge));
+    }
+
+    /**
+     * Returns the area of the canvas to keep mounted: the viewport plus the margin.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The bounds in world coordinates.
+     */
+    getVisibleBounds() {
+        const { scale, offsetX, offsetY } = this.nodeUI.panZoom;
+        const container = this.nodeUI.container;
+        return {
+            minX: (-this.margin - offsetX) / scale,
+            minY: (-this.margin - offsetY) / scale,
+            maxX: (container.clientWidth + this.margin - offsetX) / scale,
+            maxY: (container.clientHeight + this.margin - offsetY) / scale
+        };
+    }
+
+    /**
+     * Whether a node being added should be built detached, because the graph is
+     * virtualized and the node lies outside the area kept mounted.
+     * @param {BaseNode} node - The node about to be rendered.
+     * @returns {boolean}
+     */
+    isOffscreen(node) {
+        if (this.isSuspended || node.isPinned || this.nodeUI.nodes.size < this.minNodeCount) return false;
+        const view = this.getVisibleBounds();
+        return node.x > view.maxX || node.y > view.maxY ||
+            node.x + node.width < view.minX || node.y + node.height < view.minY;
+    }
+
+    /**
+     * Mounts every node and edge and stops virtualizing until resume() is called.
+     * Used when the whole graph has to be in the DOM, such as for a screenshot.
+     * @returns {Promise<void>} Settles once the content of newly mounted nodes has rendered.
+     */
+    suspend() {
+        this.isSuspended = true;
+        return this.mountAll();
+    }
+
+    /**
+     * Resumes virtualizing after suspend().
+     */
+    resume() {
+        this.isSuspended = false;
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Mounts every node and edge.
+     * @returns {Promise<void>} Settles once the content of newly mounted nodes has rendered.
+     */
+    mountAll() {
+        const rendering = [];
+        this.nodeUI.nodes.forEach(node => {
+            if (!node.isPinned && node.element) rendering.push(this.mountNode(node));
+        });
+        this.nodeUI.edges.forEach(edge => {
+            if (edge.groupElement) this.mountEdge(edge);
+        });
+        return Promise.all(rendering).then(() => {});
+    }
+
+    // --- Mounting ---
+
+    /**
+     * @param {BaseNode|BaseEdge} item - A node or an edge.
+     * @returns {boolean} Whether the item's element is in the DOM.
+     */
+    isMounted(item) {
+        const element = item.groupElement || item.element;
+        return !!element && element.isConnected;
+    }
+
+    /**
+     * Attaches a node's element to its layer and lets the node render what it skipped while detached.
+     * @param {BaseNode} node - The node to mount.
+     * @returns {Promise<void>|undefined} Settles once that content has rendered.
+     */
+    mountNode(node) {
+        if (node.element.isConnected) return;
+        const layer = node instanceof GroupNode ? this.nodeUI.groupContainer : this.nodeUI.nodeContainer;
+        layer.appendChild(node.element);
+        return node.onMounted();
+    }
+
+    /**
+     * Detaches a node's element. The node keeps its element, so it can still be updated.
+     * @param {BaseNode} node - The node to unmount.
+     */
+    unmountNode(node) {
+        if (node.element.isConnected) node.element.remove();
+    }
+
+    /**
+     * Attaches an edge's element and redraws it, since edges aren't redrawn while unmounted.
+     * @param {BaseEdge} edge - The edge to mount.
+     */
+    mountEdge(edge) {
+        if (edge.groupElement.isConnected) return;
+        this.nodeUI.canvasGroup.appendChild(edge.groupElement);
+        this.nodeUI.updateEdge(edge.id);
+    }
+
+    /**
+     * Detaches an edge's element.
+     * @param {BaseEdge} edge - The edge to unmount.
+     */
+    unmountEdge(edge) {
+        if (edge.groupElement.isConnected) edge.groupElement.remove();
+    }
+
+    // --- Helpers ---
+
+    /**
+     * A node stays mounted while the user is working with it, even off-screen.
+     * @param {BaseNode} node
+     * @returns {boolean} Whether the node is being dragged, drawn from, or has focus or an open popover.
+     * @private
+     */
+    _isInUse(node) {
+        const { draggingState, edgeHandler, openPopoverNodeId } = this.nodeUI;
+        return (draggingState.targetNode && draggingState.targetNode.id === node.id) ||
+            edgeHandler.getDrawingState().startNodeId === node.id ||
+            openPopoverNodeId === node.id ||
+            node.element.contains(document.activeElement);
+    }
+}
+
+// Attach to window for global access
+window.Virtualizer = Virtualizer;
@@ -0,0 +1,761 @@
+/**
+ * @fileoverview Project workspace. Keeps any number of named projects in IndexedDB and
+ * lists them in a project browser (Ctrl/Cmd+O) with thumbnails, last-modified times and
+ * tags. The open project is saved as it's edited, and switching to another project
+ * restores the pan, zoom and subgraph it was left at.
+ *
+ * A project record holds:
+ *   id, name, tags          Identity; the name is the graph's project name
+ *   created, modified       Timestamps; modified only moves when the graph changes
+ *   opened                  When it was last opened, to reopen it on the next visit
+ *   thumbnail               The graph's thumbnail URL, or an overview drawn on save
+ *   graph                   The whole graph, as saved by Save Graph
+ *   view                    Subgraph path and pan/zoom, as {path, scale, offsetX, offsetY}
+ */
+
+class ProjectWorkspace {
+    /**
+     * @param {NodeUI} nodeUI - Reference to the main NodeUI instance.
+     */
+    constructor(nodeUI) {
+        this.nodeUI = nodeUI;
+
+        this.db = new AssetDatabase('NodeUI-Projects', 'projects');
+
+        this.saveDelay = 1000;       // Milliseconds without edits before the open project is saved
+        this.thumbnailWidth = 240;   // Size of drawn thumbnails in pixels
+        this.thumbnailHeight = 150;
+
+        this.currentProjectId = null;
+        this.lastSavedGraph = null;  // JSON of the open project's graph as last saved
+        this.saveTimer = null;
+        this.isSwitching = false;    // True while a project is loading, so the load isn't saved back
+
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.projects = [];
+
+        ['history:changed', 'setting:update'].forEach(eventName => {
+            events.subscribe(eventName, () => this.scheduleSave());
+        });
+        // Subscribed before the canvas handles it, so the project is saved before it's replaced
+        events.subscribe('graph:load-content', () => this.detach());
+        events.subscribe('projects:open', () => this.open());
+        events.subscribe('projects:close', () => this.close());
+        window.addEventListener('pagehide', () => this._saveInBackground());
+    }
+
+    // --- Database ---
+
+    /**
+     * @returns {Promise<object[]>} Every project, most recently modified first.
+     */
+    async list() {
+        const projects = await this.db.getAll();
+        return projects.sort((a, b) => b.modified - a.modified);
+    }
+
+    /**
+     * @param {string} id - The project's ID.
+     * @returns {Promise<object|null>} The project, or null if there is none with that ID.
+     */
+    async get(id) {
+        return (await this.db.get(id)) || null;
+    }
+
+    // --- Projects ---
+
+    /**
+     * Creates an empty project and opens it.
+     * @param {string} [name='Untitled Project'] - The project's name.
+     * @returns {Promise<object|null>} The project, or null if the user kept the current graph.
+     */
+    async create(name = 'Untitled Project') {
+        if (!this._confirmReplace()) return null;
+        await this.save();
+
+        const project = this._createRecord(name, {
+            formatVersion: GRAPH_FORMAT_VERSION,
+            metadata: { projectName: name },
+            nodes: [],
+            edges: []
+        });
+        await this._put(project);
+        this.close();
+        this._load(project);
+        return project;
+    }
+
+    /**
+     * Stores the graph on the canvas as a new project, which becomes the open one.
+     * @param {string} name - The project's name. The graph's project name is set to it.
+     * @returns {Promise<object>} The project.
+     */
+    async saveCurrentAs(name) {
+        if (name !== this.nodeUI.projectName) {
+            events.publish('setting:update', { key: 'projectName', value: name });
+        }
+        const graph = this._captureGraph();
+        const project = { ...this._createRecord(name, graph), view: this._captureView() };
+        await this._put(project);
+
+        this.currentProjectId = project.id;
+        this.lastSavedGraph = JSON.stringify(graph);
+        events.publish('project:opened', { id: project.id, name: project.name });
+        return project;
+    }
+
+    /**
+     * Saves the open project and loads another one in its place.
+     * @param {string} id - The project to open.
+     * @returns {Promise<boolean>} Whether the project was opened.
+     */
+    async switchTo(id) {
+        if (id === this.currentProjectId) {
+            this.close();
+            return true;
+        }
+        if (!this._confirmReplace()) return false;
+        await this.save();
+
+        const project = await this.get(id);
+        if (!project) return false;
+        this.close();
+        return this._load(project);
+    }
+
+    /**
+     * Opens the project that was opened last, if there is one.
+     * @returns {Promise<void>}
+     */
+    async restoreLastProject() {
+        let projects;
+        try {
+            projects = await this.list();
+        } catch (error) {
+            console.warn('Projects are unavailable, as the project database could not be opened.');
+            return;
+        }
+        const last = projects.reduce((latest, project) => (!latest || project.opened > latest.opened ? project : latest), null);
+        if (last) {
+            this._load(last);
+        }
+    }
+
+    /**
+     * @param {string} id - The project to rename.
+     * @param {string} name - Its new name.
+     * @returns {Promise<void>}
+     */
+    async rename(id, name) {
+        if (id === this.currentProjectId) {
+            // The open project's name is the graph's, so the settings show it too
+            events.publish('setting:update', { key: 'projectName', value: name });
+            await this.save();
+            return;
+        }
+        const project = await this.get(id);
+        if (!project) return;
+        project.name = name;
+        project.graph.metadata = { ...project.graph.metadata, projectName: name };
+        project.modified = Date.now();
+        await this._put(project);
+    }
+
+    /**
+     * Copies a project. The copy isn't opened.
+     * @param {string} id - The project to copy.
+     * @returns {Promise<object|null>} The copy.
+     */
+    async duplicate(id) {
+        if (id === this.currentProjectId) {
+            await this.save();
+        }
+        const project = await this.get(id);
+        if (!project) return null;
+
+        const name = `${project.name} (copy)`;
+        const now = Date.now();
+        const copy = {
+            ...project,
+            id: crypto.randomUUID(),
+            name,
+            tags: [...project.tags],
+            created: now,
+            modified: now,
+            opened: 0,
+            graph: { ...project.graph, metadata: { ...project.graph.metadata, projectName: name } }
+        };
+        await this._put(copy);
+        return copy;
+    }
+
+    /**
+     * Deletes a project. Deleting the open one leaves its graph on the canvas, unsaved.
+     * @param {string} id - The project to delete.
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (id === this.currentProjectId) {
+            clearTimeout(this.saveTimer);
+            this.currentProjectId = null;
+            this.lastSavedGraph = null;
+        }
+        await this.db.delete(id);
+    }
+
+    /**
+     * Replaces a project's tags. Blank and repeated tags are dropped.
+     * @param {string} id - The project to tag.
+     * @param {string[]} tags - The new tags.
+     * @returns {Promise<void>}
+     */
+    async setTags(id, tags) {
+        const project = await this.get(id);
+        if (!project) return;
+        project.tags = Array.from(new Set(tags.map(tag => tag.trim()).filter(Boolean)));
+        await this._put(project);
+    }
+
+    /**
+     * Whether a project matches a search. Every word of the query has to appear in the
+     * project's name or one of its tags; a word starting with `#` has to be a whole tag.
+     * @param {object} project - The project.
+     * @param {string} query - The search text.
+     * @returns {boolean}
+     */
+    static matches(project, query) {
+        const name = project.name.toLowerCase();
+        const tags = project.tags.map(tag => tag.toLowerCase());
+        return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => term.startsWith('#')
+            ? tags.includes(term.slice(1))
+            : name.includes(term) || tags.some(tag => tag.includes(term)));
+    }
+
+    // --- Saving ---
+
+    /**
+     * Saves the open project once there have been no edits for a moment.
+     */
+    scheduleSave() {
+        if (!this.currentProjectId || this.isSwitching) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this._saveInBackground(true), this.saveDelay);
+    }
+
+    /**
+     * Saves the open project's graph and view.
+     * @param {boolean} [onlyIfChanged=false] - Skip the save when the graph hasn't changed.
+     * @returns {Promise<void>}
+     */
+    async save(onlyIfChanged = false) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.currentProjectId || this.isSwitching) return;
+
+        // Read the canvas now, as it may be replaced before the database answers
+        const id = this.currentProjectId;
+        const graph = this._captureGraph();
+        const json = JSON.stringify(graph);
+        const hasChanged = json !== this.lastSavedGraph;
+        if (onlyIfChanged && !hasChanged) return;
+        const view = this._captureView();
+        const thumbnail = hasChanged ? this._createThumbnail(graph) : null;
+        this.lastSavedGraph = json;
+
+        const project = await this.get(id);
+        if (!project) return;
+        project.name = graph.metadata.projectName || project.name;
+        project.graph = graph;
+        project.view = view;
+        if (hasChanged) {
+            project.thumbnail = thumbnail;
+            project.modified = Date.now();
+        }
+        await this._put(project);
+    }
+
+    /**
+     * Saves the open project without waiting for it, reporting a failed save to the console.
+     * @param {boolean} [onlyIfChanged=false] - Skip the save when the graph hasn't changed.
+     * @private
+     */
+    _saveInBackground(onlyIfChanged = false) {
+        this.save(onlyIfChanged).catch(error => console.error('Failed to save the project:', error));
+    }
+
+    /**
+     * Saves the open project and stops tracking it, so a graph loaded from a file
+     * doesn't overwrite it. The loaded graph can be saved as a project of its own.
+     */
+    detach() {
+        if (!this.currentProjectId || this.isSwitching) return;
+        this._saveInBackground();
+        this.currentProjectId = null;
+        this.lastSavedGraph = null;
+    }
+
+    // --- Browser ---
+
+    /**
+     * Shows the project browser.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (this.element) {
+            this.input.select();
+            return;
+        }
+        this.nodeUI.contextMenuHandler.hide();
+
+        this.element = document.createElement('div');
+        this.element.className = 'project-browser-backdrop';
+        this.element.addEventListener('mousedown', (event) => {
+            if (event.target === this.element) this.close();
+        });
+        // Keep clicks and scrolling in the browser from reaching the canvas
+        ['mousedown', 'wheel', 'contextmenu', 'dblclick'].forEach(eventName => {
+            this.element.addEventListener(eventName, (event) => event.stopPropagation());
+        });
+
+        const panel = document.createElement('div');
+        panel.className = 'project-browser';
+
+        const header = document.createElement('div');
+        header.className = 'project-browser-header';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'project-browser-search';
+        this.input.placeholder = 'Search projects and #tags...';
+        this.input.addEventListener('input', () => this.render());
+        this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+        header.appendChild(this.input);
+
+        header.appendChild(this._createButton('New Project', async () => {
+            const name = prompt('Project name:', 'Untitled Project');
+            if (name && name.trim()) await this.create(name.trim());
+        }));
+        if (!this.currentProjectId) {
+            header.appendChild(this._createButton('Save Current Graph', async () => {
+                const name = prompt('Project name:', this.nodeUI.projectName);
+                if (!name || !name.trim()) return;
+                await this.saveCurrentAs(name.trim());
+                this.close();
+            }));
+        }
+        header.appendChild(this._createButton('Close', () => this.close()));
+
+        this.list = document.createElement('ul');
+        this.list.className = 'project-browser-list';
+
+        panel.appendChild(header);
+        panel.appendChild(this.list);
+        this.element.appendChild(panel);
+        document.body.appendChild(this.element);
+        this.input.focus();
+
+        // List the open project as it is now
+        await this.save(true);
+        await this.refresh();
+    }
+
+    /**
+     * Hides the project browser.
+     */
+    close() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.projects = [];
+        this.nodeUI.container.focus();
+    }
+
+    /**
+     * Re-reads the projects and redraws the browser.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const projects = await this.list();
+        if (!this.element) return;
+        this.projects = projects;
+        this.render();
+    }
+
+    /**
+     * Lists the projects matching the search.
+     */
+    render() {
+        if (!this.element) return;
+        this.list.innerHTML = '';
+
+        const projects = this.projects.filter(project => ProjectWorkspace.matches(project, this.input.value));
+        if (projects.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'project-browser-empty';
+            empty.textContent = this.projects.length > 0
+                ? 'No projects match the search.'
+                : 'No projects yet. Save the current graph or start a new project.';
+            this.list.appendChild(empty);
+            return;
+        }
+        projects.forEach(project => this.list.appendChild(this._createCard(project)));
+    }
+
+    /**
+     * Handles keys typed into the search box.
+     * @param {KeyboardEvent} event
+     */
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            const first = this.projects.find(project => ProjectWorkspace.matches(project, this.input.value));
+            if (first) this.switchTo(first.id);
+        }
+    }
+
+    /**
+     * Builds the browser entry for a project.
+     * @param {object} project - The project.
+     * @returns {HTMLLIElement}
+     * @private
+     */
+    _createCard(project) {
+        const item = document.createElement('li');
+        item.className = 'project-card';
+        item.classList.toggle('is-current', project.id === this.currentProjectId);
+        item.addEventListener('click', () => this.switchTo(project.id));
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'project-card-thumbnail';
+        if (project.thumbnail) {
+            const image = document.createElement('img');
+            image.src = project.thumbnail;
+            image.alt = '';
+            thumbnail.appendChild(image);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'project-card-details';
+
+        // Names and tags are typed by users, so never parse them as HTML
+        const name = document.createElement('div');
+        name.className = 'project-card-name';
+        name.textContent = project.name;
+
+        const time = document.createElement('div');
+        time.className = 'project-card-time';
+        time.textContent = `Edited ${ProjectWorkspace.formatTime(project.modified)}`;
+        time.title = new Date(project.modified).toLocaleString();
+
+        const tags = document.createElement('div');
+        tags.className = 'project-card-tags';
+        project.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'project-card-tag';
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.input.value = `#${tag}`;
+                this.render();
+            });
+            tags.appendChild(chip);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'project-card-actions';
+        actions.appendChild(this._createButton('Rename', async () => {
+            const newName = prompt('Project name:', project.name);
+            if (!newName || !newName.trim()) return;
+            await this.rename(project.id, newName.trim());
+            await this.refresh();
+        }));
+        actions.appendChild(this._createButton('Duplicate', async () => {
+            await this.duplicate(project.id);
+            await this.refresh();
+        }));
+        actions.appendChild(this._createButton('Tags', async () => {
+            const newTags = prompt('Tags, separated by commas:', project.tags.join(', '));
+            if (newTags === null) return;
+            await this.setTags(project.id, newTags.split(','));
+            await this.refresh();
+        }));
+        actions.appendChild(this._createButton('Delete', async () => {
+            if (!confirm(`Delete the project "${project.name}"? This can't be undone.`)) return;
+            await this.remove(project.id);
+            await this.refresh();
+        }));
+
+        details.appendChild(name);
+        details.appendChild(time);
+        details.appendChild(tags);
+        details.appendChild(actions);
+        item.appendChild(thumbnail);
+        item.appendChild(details);
+        return item;
+    }
+
+    /**
+     * @param {string} label - The button text.
+     * @param {function(): void} onClick - Called when the button is clicked.
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'project-browser-button';
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            // Buttons sit on project cards, which open the project when clicked
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Describes how long ago something happened.
+     * @param {number} timestamp - The time, in milliseconds since the epoch.
+     * @returns {string} For example "5 min ago", or the date for anything older than a day.
+     */
+    static formatTime(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Loads a project onto the canvas and goes back to where it was left.
+     * @param {object} project - The project.
+     * @returns {boolean} Whether the project's graph could be loaded.
+     * @private
+     */
+    _load(project) {
+        this.isSwitching = true;
+        clearTimeout(this.saveTimer);
+
+        const view = project.view || { path: ['main'] };
+        const isNested = Array.isArray(view.path) && view.path.length > 1;
+        const finish = () => {
+            // Later saves compare against the graph as the canvas holds it
+            this.lastSavedGraph = JSON.stringify(this._captureGraph());
+            this.isSwitching = false;
+        };
+
+        // Node IDs are kept, since the subgraph path refers to them
+        const isLoading = this.nodeUI.fileHandler.loadGraph(JSON.stringify(project.graph), {
+            keepIds: true,
+            canvasState: !isNested && view.scale ? view : null,
+            // The canvas may hold a subgraph of the old project until the new graph is accepted
+            onValidated: () => this._resetNavigation(),
+            onLoaded: () => (isNested ? this._enterPath(view, finish) : finish()),
+            onFailed: () => {
+                // A partly loaded graph mustn't be saved over the project
+                this.currentProjectId = null;
+                this.lastSavedGraph = null;
+                this.isSwitching = false;
+            }
+        });
+        if (!isLoading) {
+            this.isSwitching = false;
+            alert(`The project "${project.name}" could not be opened. See the console for details.`);
+            return false;
+        }
+
+        this.currentProjectId = project.id;
+        project.opened = Date.now();
+        this._put(project).catch(error => console.error('Failed to save the project:', error));
+        events.publish('project:opened', { id: project.id, name: project.name });
+        return true;
+    }
+
+    /**
+     * Enters the subgraphs a project was left in, then restores its pan and zoom.
+     * @param {{path: string[], scale?: number, offsetX?: number, offsetY?: number}} view - The saved view.
+     * @param {function(): void} onDone - Called once the view is restored.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _enterPath(view, onDone) {
+        try {
+            window.location.hash = view.path.join('/');
+            await this.nodeUI.handleHashChange();
+        } catch (error) {
+            console.error('Failed to reopen the subgraph the project was left in:', error);
+            onDone();
+            return;
+        }
+        // Entering a subgraph frames its content, so the saved view goes on after that
+        setTimeout(() => {
+            try {
+                if (view.scale) {
+                    this.nodeUI.animatePanZoom(view.scale, view.offsetX, view.offsetY, 200);
+                }
+            } finally {
+                onDone();
+            }
+        }, 150);
+    }
+
+    /**
+     * Leaves any open subgraph without saving it back, ready for another graph to load.
+     * @private
+     */
+    _resetNavigation() {
+        const context = this.nodeUI.graphContext;
+        context.graphStack = ['main'];
+        context.currentGraphId = 'main';
+        context.breadcrumbData = [];
+        this.nodeUI.container.classList.remove('subgraph-editor-mode');
+        this.nodeUI.hideBreadcrumb();
+        if (window.location.hash !== '#main') {
+            window.location.hash = 'main';
+        }
+    }
+
+    /**
+     * Asks before replacing a graph on the canvas that isn't kept in a project.
+     * @returns {boolean} Whether to go ahead.
+     * @private
+     */
+    _confirmReplace() {
+        const isEmpty = this.nodeUI.nodes.size === 0 && this.nodeUI.graphContext.graphStack.length === 1;
+        if (this.currentProjectId || isEmpty) return true;
+        return confirm('The graph on the canvas is not saved as a project and will be replaced. Continue?');
+    }
+
+    /**
+     * Builds the whole graph file data, even while a subgraph is open. The canvas then
+     * only holds that subgraph, so it's folded back into the graphs above it.
+     * @returns {object} The graph, in the format `loadGraph` reads.
+     * @private
+     */
+    _captureGraph() {
+        const graph = this.nodeUI.fileHandler.serializeGraph();
+        const breadcrumbData = this.nodeUI.graphContext.breadcrumbData;
+
+        let level = { nodes: graph.nodes, edges: graph.edges };
+        for (let i = breadcrumbData.length - 1; i >= 0; i--) {
+            const parent = JSON.parse(JSON.stringify(breadcrumbData[i].graphData));
+            const parentNode = parent.nodes.find(node => node.id === breadcrumbData[i].parentNodeId);
+            if (parentNode) parentNode.internalGraph = level;
+            level = parent;
+        }
+        return { ...graph, nodes: level.nodes, edges: level.edges };
+    }
+
+    /**
+     * @returns {{path: string[], scale: number, offsetX: number, offsetY: number}} The open
+     *   subgraph path, as in the URL hash, and the current pan and zoom.
+     * @private
+     */
+    _captureView() {
+        const { scale, offsetX, offsetY } = this.nodeUI.panZoom;
+        return {
+            path: this.nodeUI.graphContext.graphStack.map(id => (id === 'main' ? 'main' : `sg_${id.substring(0, 8)}`)),
+            scale,
+            offsetX,
+            offsetY
+        };
+    }
+
+    /**
+     * Picks a project's thumbnail: the graph's own thumbnail URL if it has one, or else an
+     * overview of its top level drawn the way the minimap draws it.
+     * @param {object} graph - The graph file data.
+     * @returns {string} An image URL, or an empty string for an empty graph.
+     * @private
+     */
+    _createThumbnail(graph) {
+        if (graph.metadata && graph.metadata.thumbnailUrl) return graph.metadata.thumbnailUrl;
+
+        const nodes = graph.nodes.filter(node => !node.isPinned);
+        if (nodes.length === 0) return '';
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        nodes.forEach(node => {
+            minX = Math.min(minX, node.x);
+            minY = Math.min(minY, node.y);
+            maxX = Math.max(maxX, node.x + node.width);
+            maxY = Math.max(maxY, node.y + node.height);
+        });
+
+        const padding = 8;
+        const availableWidth = this.thumbnailWidth - padding * 2;
+        const availableHeight = this.thumbnailHeight - padding * 2;
+        const scale = Math.min(availableWidth / (maxX - minX || 1), availableHeight / (maxY - minY || 1));
+        const offsetX = padding + (availableWidth - (maxX - minX) * scale) / 2 - minX * scale;
+        const offsetY = padding + (availableHeight - (maxY - minY) * scale) / 2 - minY * scale;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.thumbnailWidth;
+        canvas.height = this.thumbnailHeight;
+        const context = canvas.getContext('2d');
+        const styles = getComputedStyle(this.nodeUI.container);
+        const colorOf = node => styles.getPropertyValue(`--color-node-${node.color || 'default'}-border`).trim();
+
+        context.fillStyle = styles.getPropertyValue('--color-bg-default').trim();
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Groups underneath as outlines, then the other nodes as filled rectangles
+        context.setLineDash([3, 2]);
+        nodes.filter(node => node.type === 'GroupNode').forEach(node => {
+            context.strokeStyle = colorOf(node);
+            context.strokeRect(node.x * scale + offsetX + 0.5, node.y * scale + offsetY + 0.5,
+                Math.max(1, node.width * scale - 1), Math.max(1, node.height * scale - 1));
+        });
+        context.setLineDash([]);
+        nodes.filter(node => node.type !== 'GroupNode').forEach(node => {
+            context.fillStyle = colorOf(node);
+            context.fillRect(node.x * scale + offsetX, node.y * scale + offsetY,
+                Math.max(1, node.width * scale), Math.max(1, node.height * scale));
+        });
+
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * @param {string} name - The project's name.
+     * @param {object} graph - Its graph file data.
+     * @returns {object} A new project record.
+     * @private
+     */
+    _createRecord(name, graph) {
+        const now = Date.now();
+        return {
+            id: crypto.randomUUID(),
+            name,
+            tags: [],
+            created: now,
+            modified: now,
+            opened: now,
+            thumbnail: this._createThumbnail(graph),
+            graph,
+            view: null
+        };
+    }
+
+    /**
+     * Writes a project record.
+     * @param {object} project - The project.
+     * @returns {Promise<string>} The project's ID.
+     * @private
+     */
+    _put(project) {
+        return this.db.put(project);
+    }
+}
+
+// Attach to window for global access
+window.ProjectWorkspace = ProjectWorkspace;
@@ -11,12 +11,32 @@ window.LITE_MODE = LITE_MODE;
 async function loadCoreModules() {
     const modules = [
         'src/core/events.js',
+        'src/core/nodeRegistry.js',
         'src/core/canvas.js',
+        'src/core/edgeRouter.js',
         'src/core/file.js',
+        'src/core/vectorExport.js',
+        'src/core/diagramImport.js',
+        'src/core/diagramExport.js',
+        'src/core/bundle.js',
+        'src/core/workspace.js',
         'src/core/contextMenu.js',
         'src/core/nodes.js',
         'src/core/interactions.js',
-        'src/core/edges.js'
+        'src/core/edges.js',
+        'src/core/history.js',
+        'src/core/graphSchema.js',
+        'src/core/plugins.js',
+        'src/core/dataflow.js',
+        'src/core/validation.js',
+        'src/core/layout.js',
+        'src/core/alignment.js',
+        'src/core/spatialIndex.js',
+        'src/core/virtualization.js',
+        'src/core/levelOfDetail.js',
+        'src/core/minimap.js',
+        'src/core/commandPalette.js',
+        'src/core/findReplace.js'
     ];
 
     const baseNodeModules = [
@@ -24,18 +44,31 @@ async function loadCoreModules() {
         'src/nodes/baseedge.js'
     ];
 
+    // Base classes shared by several node types, which need BaseNode themselves
+    const sharedNodeModules = [
+        'src/nodes/subgraphproxynode.js'
+    ];
+
     const extendedNodeModules = LITE_MODE ? [
         'src/nodes/routingnode.js',
         'src/nodes/groupnode.js',
-        'src/nodes/subgraphnode.js'
+        'src/nodes/subgraphnode.js',
+        'src/nodes/subgraphinputnode.js',
+        'src/nodes/subgraphoutputnode.js',
+        'src/nodes/placeholdernode.js'
     ] : [
         'src/nodes/routingnode.js',
         'src/nodes/groupnode.js',
         'src/nodes/lognode.js',
         'src/nodes/settingsnode.js',
         'src/nodes/subgraphnode.js',
+        'src/nodes/subgraphinputnode.js',
+        'src/nodes/subgraphoutputnode.js',
         'src/nodes/threejsnode.js',
-        'src/nodes/imagesequencenode.js'
+        'src/nodes/imagesequencenode.js',
+        'src/nodes/valuenode.js',
+        'src/nodes/mathnode.js',
+        'src/nodes/placeholdernode.js'
     ];
 
     // Helper function to load a script
@@ -53,6 +86,7 @@ async function loadCoreModules() {
 
         // Load base node/edge classes first
         await Promise.all(baseNodeModules.map(loadScript));
+        await Promise.all(sharedNodeModules.map(loadScript));
 
         // Then load all extended node types in parallel
         await Promise.all(extendedNodeModules.map(loadScript));
@@ -143,6 +177,7 @@ class Main {
         this.snapThreshold = 5;
         this.shakeSensitivity = 6.5; // Higher number = less sensitive shake detection
         this.edgeGravity = 0;
+        this.edgeRoutingStyle = 'curved'; // Default for edges without a routing style of their own
 
         this.projectName = 'Untitled Graph';
         this.thumbnailUrl = '';
@@ -166,16 +201,29 @@ class Main {
                 log: { label: "Log", iconClass: "icon-terminal" },
                 subgraph: { label: "Subgraph", iconClass: "icon-box" },
                 saveGraph: { label: "Save Graph", iconClass: "icon-download" },
+                saveBundle: { label: "Save Bundle", iconClass: "icon-box" },
+                exportText: { label: "Export as Text", iconClass: "icon-file-text" },
                 loadGraph: { label: "Load Graph", iconClass: "icon-upload" },
+                projects: { label: "Projects", iconClass: "icon-database" },
+                validateGraph: { label: "Validate Graph", iconClass: "icon-check" },
+                autoLayout: { label: "Auto Layout", iconClass: "icon-share-2" },
+                arrange: { label: "Align & Distribute", iconClass: "icon-align-start-vertical" },
                 snapGrid: { label: "Grid Snap", iconClass: "icon-grid-2x2" },
                 snapObject: { label: "Obj Snap", iconClass: "icon-layout-panel-left" }
             },
             edge: {
                 edit: { label: "Edit Label", iconClass: "icon-edit" },
                 addRoutingNode: { label: "Add Routing Node", iconClass: "icon-network" },
+                routingStyle: { label: "Routing", iconClass: "icon-share-2" },
+                startArrow: { label: "Start Arrow", iconClass: "icon-skip-back" },
+                endArrow: { label: "End Arrow", iconClass: "icon-skip-forward" },
+                line: { label: "Line", iconClass: "icon-more-horizontal" },
+                color: { label: "Color", iconClass: "icon-paint-bucket" },
+                flow: { label: "Flow", iconClass: "icon-play" },
                 delete: { label: "Delete", iconClass: "icon-trash-2" }
             }
         };
+        nodeRegistry.addMenuDefaults(this.contextMenuSettings.canvas);
 
         this.contextMenuHandler = new ContextMenu(this);
         this.longPressTimer = null;
@@ -210,10 +258,29 @@ class Main {
     init() {
         // this.container.innerHTML = ''; // Clear any previous content
         this.canvasRenderer = new Canvas(this);
+        this.edgeRouter = new EdgeRouter(this);
+        this.graphSchema = new GraphSchema(this);
         this.fileHandler = new File(this);
+        this.vectorExporter = new VectorExporter(this);
+        this.diagramImporter = new DiagramImporter(this);
+        this.diagramExporter = new DiagramExporter(this);
+        this.projectBundle = new ProjectBundle(this);
+        this.projectWorkspace = new ProjectWorkspace(this);
         this.contextMenuHandler = new ContextMenu(this);
         this.nodeManager = new Nodes(this);
         this.interactionHandler = new Interactions(this);
+        this.historyManager = new UndoHistory(this);
+        this.dataflow = new Dataflow(this);
+        this.spatialIndex = new SpatialIndex(this);
+        this.virtualizer = new Virtualizer(this);
+        this.levelOfDetail = new LevelOfDetail(this);
+        this.minimap = new Minimap(this);
+        this.commandPalette = new CommandPalette(this);
+        this.findReplace = new FindReplace(this);
+        this.validator = new GraphValidator(this);
+        this.graphLayout = new GraphLayout(this);
+        this.alignment = new Alignment(this);
+        this.pluginManager = new PluginManager(this);
         
         // Initialize collaboration (skip in lite mode)
         if (!LITE_MODE) {
@@ -302,23 +369,7 @@ class Main {
             // Skip broadcast only when handling remote events (they're already synced)
             const skipBroadcast = options._operationId ? true : false;
             
-            if (options.type === 'GroupNode') {
-                this.nodeManager.addNode(new GroupNode(options), skipBroadcast);
-            } else if (options.type === 'RoutingNode') {
-                this.nodeManager.addNode(new RoutingNode(options), skipBroadcast);
-            } else if (options.type === 'LogNode') {
-                this.nodeManager.addNode(new LogNode(options), skipBroadcast);
-            } else if (options.type === 'SettingsNode') {
-                this.nodeManager.addNode(new SettingsNode(options), skipBroadcast);
-            } else if (options.type === 'SubGraphNode') {
-                this.nodeManager.addNode(new SubGraphNode(options), skipBroadcast);
-            } else if (options.type === 'ThreeJSNode') {
-                this.nodeManager.addNode(new ThreeJSNode(options), skipBroadcast);
-            } else if (options.type === 'ImageSequenceNode') {
-                this.nodeManager.addNode(new ImageSequenceNode(options), skipBroadcast);
-            } else {
-                this.nodeManager.addNode(new BaseNode(options), skipBroadcast);
-            }
+            this.nodeManager.addNode(this.createNodeFromData(options), skipBroadcast);
         });
         events.subscribe('edge:create', (options) => {
             // Ensure edge has an ID for collaboration sync
@@ -335,8 +386,24 @@ class Main {
                 return;
             }
             
+            // Port-to-port edges must run from an output to a compatible input
+            const connectionProblem = this.dataflow.checkConnection(options);
+            if (connectionProblem) {
+                console.warn(`Rejecting edge creation: ${connectionProblem}`);
+                return;
+            }
+
             // Check if this is from a remote operation (has _operationId) to prevent broadcast loops
             const skipBroadcast = !!options._operationId;
+
+            // An input port takes a single value, so a new connection replaces the old one
+            if (!skipBroadcast && this.dataflow.getPort(this.nodes.get(options.endNodeId), options.endHandleId)) {
+                const existingEdge = this.dataflow.getInputEdge(options.endNodeId, options.endHandleId);
+                if (existingEdge) {
+                    events.publish('edge:delete', existingEdge.id);
+                }
+            }
+
             this.nodeManager.addEdge(new BaseEdge(options), skipBroadcast);
             // Use timeout to ensure connections are established before updating
             setTimeout(() => {
@@ -429,6 +496,8 @@ class Main {
         events.subscribe('settings:request', () => this.publishSettings());
         events.subscribe('graph:save', () => this.fileHandler.saveGraph());
         events.subscribe('graph:load-content', (json) => this.fileHandler.loadGraph(json));
+        events.subscribe('graph:load-file', (file) => this.fileHandler.handleJsonFileReplace(file));
+        events.subscribe('graph:export-canvas', () => this.fileHandler.exportJsonCanvas());
         events.subscribe('graph:screenshot', () => this.fileHandler.takeScreenshot());
 
         // SubGraph file operations (no longer for navigation)
@@ -791,6 +860,9 @@ class Main {
     updateConnectedEdges(nodeId) {
         const node = this.nodes.get(nodeId);
         if (!node) return;
+        // Nodes move or resize through here, so keep the spatial index and minimap in step
+        this.spatialIndex.markNodeDirty(nodeId);
+        this.minimap.scheduleRender();
         
         // Fast lookup: only iterate through edges connected to this node
         const connectedEdgeIds = this.nodeEdges.get(nodeId);
@@ -799,18 +871,14 @@ class Main {
         connectedEdgeIds.forEach(edgeId => {
             const edge = this.edges.get(edgeId);
             if (!edge) return;
+            this.spatialIndex.markEdgeDirty(edgeId);
             
             if (edge.startNodeId === nodeId) {
                 // If the node is the start of an edge, its position and color change.
                 edge.startPosition = this.getHandlePosition(edge.startNodeId, edge.startHandleId);
                 
-                // Update the data-color attribute for the pure CSS styling to pick it up.
-                const nodeColor = node.color || 'default';
-                edge.groupElement.dataset.color = nodeColor;
-                
-                // Update the marker based on the new color
-                const markerState = edge.groupElement.classList.contains('is-hovered') ? 'border-hover' : 'border';
-                edge.element.setAttribute('marker-end', `url(#arrowhead-${nodeColor}-${markerState})`);
+                // Update the data-color attribute and markers for the pure CSS styling to pick up.
+                edge.applyStyle(node.color || 'default');
 
                 this.scheduleEdgeUpdate(edge.id);
             } else if (edge.endNodeId === nodeId) {
@@ -874,6 +942,8 @@ class Main {
     updateEdgePositionOnly(edgeId) {
         const edge = this.edges.get(edgeId);
         if (!edge || !edge.element) return;
+        // Unmounted edges are redrawn when they're mounted again
+        if (!edge.groupElement.isConnected) return;
 
         // Calculate and update the path
         const pathData = this.canvasRenderer.calculateEdgePath(edge);
@@ -1039,7 +1109,8 @@ class Main {
 
         const nodeColor = getComputedStyle(draggedNode.element).getPropertyValue(`--color-node-${draggedNode.color}-border`);
 
-        this.nodes.forEach(staticNode => {
+        // Only nodes near the viewport are snapped to, since their guides couldn't be seen otherwise
+        this.spatialIndex.queryNodes(this.virtualizer.getVisibleBounds()).forEach(staticNode => {
             if (staticNode.id === draggedNode.id) return;
 
             const staticBounds = {
@@ -1206,8 +1277,13 @@ class Main {
     endResize() {
         if (!this.resizingState.isResizing) return;
         
-        const { targetNode } = this.resizingState;
+        const { targetNode, originalX, originalY, originalWidth, originalHeight } = this.resizingState;
         if (targetNode) {
+            this.historyManager.recordNodeResize(
+                targetNode.id,
+                { x: originalX, y: originalY, width: originalWidth, height: originalHeight },
+                { x: targetNode.x, y: targetNode.y, width: targetNode.width, height: targetNode.height }
+            );
             events.publish('node:resized', {
                 nodeId: targetNode.id,
                 x: targetNode.x,
@@ -1439,7 +1515,9 @@ class Main {
             point = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
         }
         
-        edge.routingPoints.splice(insertIndex - 1, 0, point);
+        this.historyManager.trackEdgeChange(edge, ['routingPoints'], () => {
+            edge.routingPoints.splice(insertIndex - 1, 0, point);
+        });
         this.renderRoutingPoints(edge);
         this.updateEdge(edge.id);
     }
@@ -1540,15 +1618,26 @@ class Main {
      */
     createNodeAndConnectEdge(data) {
         const newNode = new BaseNode({ x: data.x, y: data.y, title: 'New Node' });
-        this.addNode(newNode);
+        // Keep the node and its deferred edge in one undo step
+        this.historyManager.beginBatch('Create connected node');
+        try {
+            this.addNode(newNode);
+        } catch (error) {
+            this.historyManager.endBatch();
+            throw error;
+        }
 
         setTimeout(() => {
-            events.publish('edge:create', {
-                startNodeId: data.startNodeId,
-                startHandleId: data.startHandleId,
-                endNodeId: newNode.id,
-                endHandleId: this.getOptimalHandle(this.nodes.get(data.startNodeId), newNode)
-            });
+            try {
+                events.publish('edge:create', {
+                    startNodeId: data.startNodeId,
+                    startHandleId: data.startHandleId,
+                    endNodeId: newNode.id,
+                    endHandleId: this.getOptimalHandle(this.nodes.get(data.startNodeId), newNode)
+                });
+            } finally {
+                this.historyManager.endBatch();
+            }
         }, 0);
     }
 
@@ -1565,6 +1654,7 @@ class Main {
             edge.groupElement.remove();
         }
         this.edges.delete(edgeId);
+        this.spatialIndex.markEdgeDirty(edgeId);
     }
 
     /**
@@ -1657,7 +1747,9 @@ class Main {
         containedNodeIds.forEach(nodeId => {
             const oldParent = this.interactionHandler.findParentGroup(nodeId);
             if (oldParent) {
-                oldParent.removeContainedNode(nodeId);
+                this.historyManager.trackNodeChange(oldParent, ['containedNodeIds'], () => {
+                    oldParent.removeContainedNode(nodeId);
+                });
             }
         });
 
@@ -1733,13 +1825,12 @@ class Main {
             title: 'Subgraph'
         });
 
-        this.addNode(newSubgraph);
-
         // Convert to array for processing
         const nodesToMove = Array.from(allNodeIds);
         const edgesToMove = new Set();
+        const crossingEdges = new Set();
 
-        // Find all edges connected to nodes being moved
+        // Find all edges connected to nodes being moved, and those crossing the selection boundary
         nodesToMove.forEach(nodeId => {
             const connectedEdges = this.nodeEdges.get(nodeId);
             if (connectedEdges) {
@@ -1747,6 +1838,8 @@ class Main {
                     const edge = this.edges.get(edgeId);
                     if (edge && nodesToMove.includes(edge.startNodeId) && nodesToMove.includes(edge.endNodeId)) {
                         edgesToMove.add(edgeId);
+                    } else if (edge) {
+                        crossingEdges.add(edgeId);
                     }
                 });
             }
@@ -1762,40 +1855,13 @@ class Main {
         nodesToMove.forEach(nodeId => {
             const node = this.nodes.get(nodeId);
             if (node) {
-                // Extract node data
                 const nodeData = {
-                    id: node.id,
+                    ...node.serialize(),
                     x: node.x - subgraphX,  // Adjust position to be relative to the subgraph
                     y: node.y - subgraphY,
-                    width: node.width,
-                    height: node.height,
-                    title: node.title,
-                    content: node.content,
-                    type: node.type,
-                    color: node.color,
                     isPinned: false  // Don't pin inside subgraph
                 };
                 
-                // Add type-specific data
-                if (node instanceof GroupNode || node.type === 'GroupNode') {
-                    nodeData.containedNodeIds = Array.from(node.containedNodeIds || []);
-                }
-                if (node.type === 'SubGraphNode') {
-                    nodeData.subgraphId = node.subgraphId;
-                    nodeData.subgraphPath = node.subgraphPath;
-                    nodeData.internalGraph = node.internalGraph;
-                    nodeData.exposedAttributes = node.exposedAttributes;
-                }
-                if (node.type === 'ThreeJSNode') {
-                    nodeData.sceneData = node.sceneData;
-                    nodeData.animationData = node.animationData;
-                }
-                if (node.type === 'ImageSequenceNode') {
-                    nodeData.imageSequence = node.imageSequence;
-                    nodeData.currentFrame = node.currentFrame;
-                    nodeData.fps = node.fps;
-                }
-                
                 // Store node data in subgraph
                 newSubgraph.internalGraph.nodes.push(nodeData);
             }
@@ -1806,26 +1872,34 @@ class Main {
             const edge = this.edges.get(edgeId);
             if (edge) {
                 // Store edge data in subgraph
-                newSubgraph.internalGraph.edges.push({
-                    id: edge.id,
-                    startNodeId: edge.startNodeId,
-                    endNodeId: edge.endNodeId,
-                    startHandleId: edge.startHandleId,
-                    endHandleId: edge.endHandleId,
-                    label: edge.label
-                });
+                newSubgraph.internalGraph.edges.push(edge.serialize());
             }
         });
 
+        // Replace edges that cross the boundary with proxy nodes inside and edges to the subgraph's ports outside
+        const outerEdges = this._createSubgraphProxies(newSubgraph, crossingEdges, subgraphX, subgraphY, subgraphWidth);
+        newSubgraph.createExposedAttributeHandles();
+
+        // Add the subgraph once its internal graph is populated so the recorded state is complete
+        this.addNode(newSubgraph);
+
         // Delete the original nodes and edges from the main graph
         edgesToMove.forEach(edgeId => {
             events.publish('edge:delete', edgeId);
         });
+        crossingEdges.forEach(edgeId => {
+            events.publish('edge:delete', edgeId);
+        });
         
         nodesToMove.forEach(nodeId => {
             events.publish('node:delete', nodeId);
         });
 
+        // Reconnect the outside nodes to the subgraph's ports
+        outerEdges.forEach(edgeData => {
+            events.publish('edge:create', edgeData);
+        });
+
         // Update selection to be just the new subgraph
         this.clearSelection();
         this.selectNode(newSubgraph.id);
@@ -1842,6 +1916,89 @@ class Main {
         }
     }
 
+    /**
+     * Adds an input or output proxy to a new subgraph for each edge crossing its boundary.
+     * Edges from the same outside output share one input proxy, and edges from the same
+     * inside output share one output proxy.
+     * @param {SubGraphNode} subgraph - The new subgraph, whose internal graph is being filled.
+     * @param {Set<string>} crossingEdges - IDs of edges with exactly one end inside the selection.
+     * @param {number} offsetX - X of the subgraph; internal positions are relative to it.
+     * @param {number} offsetY - Y of the subgraph.
+     * @param {number} width - Width of the subgraph.
+     * @returns {object[]} The edges to create in the parent graph, to the subgraph's ports.
+     * @private
+     */
+    _createSubgraphProxies(subgraph, crossingEdges, offsetX, offsetY, width) {
+        const proxies = new Map();
+        const outerEdges = [];
+        let inputCount = 0;
+        let outputCount = 0;
+
+        crossingEdges.forEach(edgeId => {
+            const edge = this.edges.get(edgeId);
+            if (!edge) return;
+            const startNode = this.nodes.get(edge.startNodeId);
+            const endNode = this.nodes.get(edge.endNodeId);
+            if (!startNode || !endNode) return;
+
+            const startPort = this.dataflow.getPort(startNode, edge.startHandleId);
+            const endPort = this.dataflow.getPort(endNode, edge.endHandleId);
+            const isIncoming = subgraph.internalGraph.nodes.some(nodeData => nodeData.id === edge.endNodeId);
+            const key = `${isIncoming ? 'in' : 'out'}:${edge.startNodeId}:${edge.startHandleId}`;
+
+            let proxy = proxies.get(key);
+            if (!proxy) {
+                // Type the proxy like the port on the inside, or failing that the outside
+                const typedPort = isIncoming ? (endPort || startPort) : (startPort || endPort);
+                const ProxyClass = isIncoming ? SubgraphInputNode : SubgraphOutputNode;
+                proxy = new ProxyClass({
+                    title: startPort ? startPort.name : startNode.title,
+                    valueType: typedPort ? typedPort.type : 'any',
+                    x: isIncoming ? -220 : width + 20,
+                    y: 40 + (isIncoming ? inputCount++ : outputCount++) * 180
+                });
+                proxies.set(key, proxy);
+                subgraph.internalGraph.nodes.push(proxy.serialize());
+
+                if (isIncoming) {
+                    outerEdges.push({
+                        startNodeId: edge.startNodeId,
+                        startHandleId: edge.startHandleId,
+                        endNodeId: subgraph.id,
+                        endHandleId: Dataflow.handleId('input', proxy.id)
+                    });
+                } else {
+                    subgraph.internalGraph.edges.push({
+                        id: crypto.randomUUID(),
+                        startNodeId: edge.startNodeId,
+                        startHandleId: edge.startHandleId,
+                        endNodeId: proxy.id,
+                        endHandleId: Dataflow.handleId('input', 'value')
+                    });
+                }
+            }
+
+            if (isIncoming) {
+                subgraph.internalGraph.edges.push({
+                    id: crypto.randomUUID(),
+                    startNodeId: proxy.id,
+                    startHandleId: Dataflow.handleId('output', 'value'),
+                    endNodeId: edge.endNodeId,
+                    endHandleId: edge.endHandleId
+                });
+            } else {
+                outerEdges.push({
+                    startNodeId: subgraph.id,
+                    startHandleId: Dataflow.handleId('output', proxy.id),
+                    endNodeId: edge.endNodeId,
+                    endHandleId: edge.endHandleId
+                });
+            }
+        });
+
+        return outerEdges;
+    }
+
     /**
      * Creates a new BaseNode at the last known mouse position.
      */
@@ -1949,6 +2106,7 @@ class Main {
             snapThreshold: this.snapThreshold,
             shakeSensitivity: this.shakeSensitivity,
             edgeGravity: this.edgeGravity,
+            edgeRoutingStyle: this.edgeRoutingStyle,
             projectName: this.projectName,
             thumbnailUrl: this.thumbnailUrl,
             contextMenuSettings: this.contextMenuSettings
@@ -1967,7 +2125,7 @@ class Main {
             console.log(`Setting updated: ${key} =`, value);
 
             // If a visual setting that affects edges is changed, redraw them all
-            if (key === 'edgeGravity') {
+            if (key === 'edgeGravity' || key === 'edgeRoutingStyle') {
                 this.edges.forEach(edge => this.updateEdge(edge.id));
             }
         } else if (key === 'contextMenuSettings') {
@@ -2002,8 +2160,15 @@ class Main {
         const nodeIds = Array.from(this.nodes.keys());
         const edgeIds = Array.from(this.edges.keys());
 
-        edgeIds.forEach(id => this.removeEdge(id));
-        nodeIds.forEach(id => this.removeNode(id));
+        // Clearing the canvas isn't an undoable edit, and the old history no longer applies
+        this.historyManager.suspend();
+        try {
+            edgeIds.forEach(id => this.removeEdge(id));
+            nodeIds.forEach(id => this.removeNode(id));
+        } finally {
+            this.historyManager.resume();
+        }
+        this.historyManager.clear();
         
         // Double-check edges are really gone
         if (this.edges.size > 0) {
@@ -2114,10 +2279,26 @@ class Main {
     updateEdgeProps(data) {
         const edge = this.edges.get(data.edgeId);
         if (edge) {
-            if (data.label !== undefined) {
-                edge.label = data.label;
-            }
-            // In the future, other properties could be updated here.
+            this.historyManager.trackEdgeChange(edge, Object.keys(data), () => {
+                if (data.label !== undefined) {
+                    edge.label = data.label;
+                }
+                if (data.routingStyle !== undefined) {
+                    edge.routingStyle = data.routingStyle;
+                }
+                const styleKeys = Object.keys(BaseEdge.STYLE_DEFAULTS).filter(key => data[key] !== undefined);
+                if (styleKeys.length > 0) {
+                    styleKeys.forEach(key => { edge[key] = data[key]; });
+                    edge.applyStyle();
+                }
+                if (data.routingPoints !== undefined) {
+                    edge.routingPoints = data.routingPoints.map(point => ({ x: point.x, y: point.y }));
+                    // Only refresh the handles if they are currently shown
+                    if (edge.routingPointElements.length > 0) {
+                        this.renderRoutingPoints(edge);
+                    }
+                }
+            });
             this.updateEdge(data.edgeId); // Re-render the edge to show the new label
         }
     }
@@ -2167,45 +2348,8 @@ class Main {
      */
     serializeCurrentGraph() {
         return {
-            nodes: Array.from(this.nodes.values()).map(node => {
-                const nodeData = {
-                    id: node.id,
-                    x: node.x,
-                    y: node.y,
-                    width: node.width,
-                    height: node.height,
-                    title: node.title,
-                    content: node.content,
-                    type: node.type,
-                    color: node.color,
-                    isPinned: node.isPinned
-                };
-
-                // Add type-specific properties
-                if (node.type === 'SubGraphNode') {
-                    nodeData.internalGraph = node.internalGraph;
-                    nodeData.subgraphPath = node.subgraphPath;
-                    nodeData.subgraphId = node.subgraphId;
-                }
-                if (node.type === 'GroupNode') {
-                    nodeData.containedNodeIds = Array.from(node.containedNodeIds);
-                }
-                if (node.type === 'ImageSequenceNode') {
-                    nodeData.imageSequence = node.imageSequence;
-                    nodeData.currentFrame = node.currentFrame;
-                }
-
-                return nodeData;
-            }),
-            edges: Array.from(this.edges.values()).map(edge => ({
-                id: edge.id,
-                startNodeId: edge.startNodeId,
-                endNodeId: edge.endNodeId,
-                startHandleId: edge.startHandleId,
-                endHandleId: edge.endHandleId,
-                label: edge.label,
-                routingPoints: edge.routingPoints || []
-            })),
+            nodes: Array.from(this.nodes.values()).map(node => node.serialize()),
+            edges: Array.from(this.edges.values()).map(edge => edge.serialize()),
             canvasState: {
                 scale: this.panZoom.scale,
                 offsetX: this.panZoom.offsetX,
@@ -2296,32 +2440,8 @@ class Main {
     _enterSubgraph(nodeToEnter) {
         // Save current graph state before entering subgraph
         const currentGraphData = {
-            nodes: Array.from(this.nodes.entries()).map(([id, node]) => ({
-                id: id,
-                x: node.x,
-                y: node.y,
-                width: node.width,
-                height: node.height,
-                title: node.title,
-                content: node.content,
-                type: node.type || node.constructor.name,
-                color: node.color,
-                isPinned: node.isPinned,
-                // Add type-specific data
-                ...(node.containedNodeIds && { containedNodeIds: Array.from(node.containedNodeIds) }),
-                ...(node.internalGraph && { internalGraph: node.internalGraph }),
-                ...(node.subgraphId && { subgraphId: node.subgraphId })
-            })),
-            edges: Array.from(this.edges.entries()).map(([id, edge]) => ({
-                id: id,
-                startNodeId: edge.startNodeId,
-                endNodeId: edge.endNodeId,
-                startHandleId: edge.startHandleId,
-                endHandleId: edge.endHandleId,
-                type: edge.type,
-                label: edge.label,
-                routingPoints: edge.routingPoints
-            }))
+            nodes: Array.from(this.nodes.values()).map(node => node.serialize()),
+            edges: Array.from(this.edges.values()).map(edge => edge.serialize())
         };
         
         // Update graph context
@@ -2355,14 +2475,14 @@ class Main {
                 if (!this.collaboration.hasLoadedState) {
                     console.log('No collaboration state received, using internal graph:', nodeToEnter.internalGraph);
                     if (nodeToEnter.internalGraph && nodeToEnter.internalGraph.nodes) {
-                        this.loadInternalGraph(nodeToEnter.internalGraph);
+                        this.loadInternalGraph(nodeToEnter.getInternalGraphWithInputs());
                     }
                 }
             }, 500);
         } else {
             // Not in collaboration, use node's internal data
             if (nodeToEnter.internalGraph) {
-                this.loadInternalGraph(nodeToEnter.internalGraph);
+                this.loadInternalGraph(nodeToEnter.getInternalGraphWithInputs());
             }
         }
         
@@ -2384,35 +2504,11 @@ class Main {
         // Store current subgraph state
         const nodeIds = new Set(this.nodes.keys());
         const subgraphData = {
-                nodes: Array.from(this.nodes.values()).map(node => ({
-                    id: node.id,
-                    x: node.x,
-                    y: node.y,
-                    width: node.width,
-                    height: node.height,
-                    title: node.title,
-                    content: node.content,
-                    type: node.type || node.constructor.name,
-                    color: node.color,
-                    isPinned: node.isPinned,
-                    // Add type-specific data
-                    ...(node.containedNodeIds && { containedNodeIds: Array.from(node.containedNodeIds) }),
-                    ...(node.internalGraph && { internalGraph: node.internalGraph }),
-                    ...(node.subgraphId && { subgraphId: node.subgraphId })
-                })),
+                nodes: Array.from(this.nodes.values()).map(node => node.serialize()),
                 // Only include edges where both nodes exist
                 edges: Array.from(this.edges.values())
                     .filter(edge => nodeIds.has(edge.startNodeId) && nodeIds.has(edge.endNodeId))
-                    .map(edge => ({
-                        id: edge.id,
-                        startNodeId: edge.startNodeId,
-                        endNodeId: edge.endNodeId,
-                        startHandleId: edge.startHandleId,
-                        endHandleId: edge.endHandleId,
-                        type: edge.type,
-                        label: edge.label,
-                        routingPoints: edge.routingPoints
-                    }))
+                    .map(edge => edge.serialize())
         };
         
         // Store this in the parent graph data BEFORE we switch contexts
@@ -2420,6 +2516,14 @@ class Main {
             const parentNode = parentGraphInfo.graphData.nodes.find(n => n.id === parentGraphInfo.parentNodeId);
             if (parentNode) {
                 parentNode.internalGraph = subgraphData;
+
+                // Drop edges to the ports of proxy nodes that were deleted inside the subgraph
+                const attributeIds = new Set(SubGraphNode.getProxyAttributes(subgraphData).map(attr => attr.id));
+                parentGraphInfo.graphData.edges = parentGraphInfo.graphData.edges.filter(edgeData => {
+                    const startPort = edgeData.startNodeId === parentNode.id && Dataflow.parseHandle(edgeData.startHandleId);
+                    const endPort = edgeData.endNodeId === parentNode.id && Dataflow.parseHandle(edgeData.endHandleId);
+                    return (!startPort || attributeIds.has(startPort.portId)) && (!endPort || attributeIds.has(endPort.portId));
+                });
             }
         }
         
@@ -2509,15 +2613,7 @@ class Main {
             // Ensure nodes are fully rendered before creating edges
             requestAnimationFrame(() => {
                 graphData.edges.forEach(edgeData => {
-                    const edge = new BaseEdge({
-                        id: edgeData.id,
-                        startNodeId: edgeData.startNodeId,
-                        endNodeId: edgeData.endNodeId,
-                        startHandleId: edgeData.startHandleId,
-                        endHandleId: edgeData.endHandleId,
-                        label: edgeData.label || '',
-                        routingPoints: edgeData.routingPoints || []
-                    });
+                    const edge = BaseEdge.deserialize(edgeData);
                     // Skip broadcasting when loading internal graph data
                     this.nodeManager.addEdge(edge, true);
                 });
@@ -2555,24 +2651,7 @@ class Main {
      * @returns {BaseNode} The created node instance.
      */
     createNodeFromData(nodeData) {
-        switch (nodeData.type) {
-            case 'GroupNode':
-                return new GroupNode(nodeData);
-            case 'RoutingNode':
-                return new RoutingNode(nodeData);
-            case 'LogNode':
-                return new LogNode(nodeData);
-            case 'SettingsNode':
-                return new SettingsNode(nodeData);
-            case 'SubGraphNode':
-                return new SubGraphNode(nodeData);
-            case 'ThreeJSNode':
-                return new ThreeJSNode(nodeData);
-            case 'ImageSequenceNode':
-                return new ImageSequenceNode(nodeData);
-            default:
-                return new BaseNode(nodeData);
-        }
+        return nodeRegistry.create(nodeData);
     }
 
     /**
@@ -2673,6 +2752,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         const app = new Main(canvasContainer);
         window.nodeUI = app;
 
+        // Load plugins before any graph so their nodes don't start out as placeholders
+        await app.pluginManager.loadFromConfig();
+
         // Hide chrome when embedded (loaded with ?session= or ?graph= param)
         const searchParams = new URLSearchParams(window.location.search);
         if (searchParams.get('session') || searchParams.get('graph')) {
@@ -2760,6 +2842,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             // In embed mode, bake zoom into the initial frame calculation
             window.NODEUI_FRAME_ZOOM = zoomParam;
         }
+
+        // Otherwise carry on with the project worked on last
+        if (!graphParam && !searchParams.get('session') && !window.NODEUI_EMBED_MODE && !LITE_MODE) {
+            await app.projectWorkspace.restoreLastProject();
+        }
     } catch (error) {
         console.error('Failed to initialize NodeUI:', error);
     }
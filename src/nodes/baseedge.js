@@ -16,6 +16,14 @@ class BaseEdge {
      * @param {string} [options.endPosition=null] - The position of the end handle.
      * @param {string} [options.type='BaseEdge'] - The type of the edge.
      * @param {string} [options.label=''] - The text label for the edge.
+     * @param {{x: number, y: number}[]} [options.routingPoints=[]] - Manual routing points along the edge.
+     * @param {string|null} [options.routingStyle=null] - 'curved', 'straight', 'orthogonal' or 'avoid'. Null follows the graph's default.
+     * @param {string} [options.startArrow='none'] - The marker at the start: 'none', 'arrow', 'diamond' or 'circle'.
+     * @param {string} [options.endArrow='arrow'] - The marker at the end.
+     * @param {number} [options.strokeWidth=2] - The line width in pixels.
+     * @param {string} [options.dashPattern='solid'] - 'solid', 'dashed' or 'dotted'.
+     * @param {string|null} [options.color=null] - A node color name. Null takes the start node's color.
+     * @param {boolean} [options.flow=false] - Whether the line is animated to show its direction.
      */
     constructor({
         id = crypto.randomUUID(),
@@ -24,7 +32,15 @@ class BaseEdge {
         startHandleId = null,
         endHandleId = null,
         type = 'BaseEdge',
-        label = ''
+        label = '',
+        routingPoints = [],
+        routingStyle = null,
+        startArrow = 'none',
+        endArrow = 'arrow',
+        strokeWidth = 2,
+        dashPattern = 'solid',
+        color = null,
+        flow = false
     } = {}) {
         this.id = id;
         this.startNodeId = startNodeId;
@@ -33,7 +49,15 @@ class BaseEdge {
         this.endHandleId = endHandleId;
         this.startPosition = null; // Calculated in addEdge
         this.endPosition = null;   // Calculated in addEdge
-        this.routingPoints = []; // Array of {x, y} points
+        this.routingPoints = (routingPoints || []).map(point => ({ x: point.x, y: point.y })); // Array of {x, y} points
+        this.routingStyle = routingStyle;
+        this.startArrow = startArrow;
+        this.endArrow = endArrow;
+        this.strokeWidth = strokeWidth;
+        this.dashPattern = dashPattern;
+        this.color = color;
+        this.flow = flow;
+        this.nodeColor = 'default'; // The start node's color, used when the edge has no color of its own
         this.type = type;
         this.label = label;
 
@@ -54,6 +78,7 @@ class BaseEdge {
     render(svgGroup) {
         // Create a group for the edge and its hit area
         this.groupElement = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.groupElement.dataset.edgeId = this.id;
         
         // Create the visible edge path
         this.element = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -95,22 +120,16 @@ class BaseEdge {
         
         // Set the color attribute based on the start node for pure CSS styling
         const startNodeEl = document.getElementById(this.startNodeId);
-        if (startNodeEl) {
-            const nodeColor = startNodeEl.dataset.color || 'default';
-            this.groupElement.dataset.color = nodeColor;
-            this.element.setAttribute('marker-end', `url(#arrowhead-${nodeColor}-border)`);
-        }
+        this.applyStyle(startNodeEl ? startNodeEl.dataset.color : undefined);
 
         // Add hover effects to the group to show routing handles and trigger CSS changes
         this.hitArea.addEventListener('mouseenter', () => {
             this.groupElement.classList.add('is-hovered');
-            const nodeColor = this.groupElement.dataset.color || 'default';
-            this.element.setAttribute('marker-end', `url(#arrowhead-${nodeColor}-border-hover)`);
+            this.updateMarkers();
         });
         this.hitArea.addEventListener('mouseleave', () => {
             this.groupElement.classList.remove('is-hovered');
-            const nodeColor = this.groupElement.dataset.color || 'default';
-            this.element.setAttribute('marker-end', `url(#arrowhead-${nodeColor}-border)`);
+            this.updateMarkers();
         });
         
         this.hitArea.addEventListener('click', (event) => {
@@ -143,4 +162,99 @@ class BaseEdge {
         if (startHandle) startHandle.classList.add('connected');
         if (endHandle) endHandle.classList.add('connected');
     }
+
+    /**
+     * The style properties an edge can have, with their defaults.
+     * @type {{startArrow: string, endArrow: string, strokeWidth: number, dashPattern: string, color: null, flow: boolean}}
+     */
+    static get STYLE_DEFAULTS() {
+        return {
+            startArrow: 'none',
+            endArrow: 'arrow',
+            strokeWidth: 2,
+            dashPattern: 'solid',
+            color: null,
+            flow: false
+        };
+    }
+
+    /**
+     * The marker shapes for either end of an edge, and their menu labels.
+     * @type {Object<string, string>}
+     */
+    static get ARROWHEADS() {
+        return {
+            none: 'None',
+            arrow: 'Arrow',
+            diamond: 'Diamond',
+            circle: 'Circle'
+        };
+    }
+
+    /**
+     * Applies the style properties to the edge's elements. The color, dash pattern and flow
+     * are picked up by CSS from attributes on the group, and the width from a CSS variable,
+     * so hover and selection still thicken the line.
+     * @param {string} [nodeColor] - The start node's color. Defaults to the last one given.
+     */
+    applyStyle(nodeColor = this.nodeColor) {
+        this.nodeColor = nodeColor || 'default';
+        if (!this.groupElement) return;
+
+        this.groupElement.dataset.color = this.color || this.nodeColor;
+        this.groupElement.dataset.dash = this.dashPattern;
+        this.groupElement.classList.toggle('has-flow', !!this.flow);
+        this.element.style.setProperty('--edge-width', `${this.strokeWidth}px`);
+        this.updateMarkers();
+    }
+
+    /**
+     * Points the start and end markers at the definitions for the edge's shapes, color and hover state.
+     */
+    updateMarkers() {
+        if (!this.element) return;
+        const color = this.groupElement.dataset.color || 'default';
+        const state = this.groupElement.classList.contains('is-hovered') ? 'border-hover' : 'border';
+
+        [['marker-start', this.startArrow], ['marker-end', this.endArrow]].forEach(([attribute, shape]) => {
+            if (BaseEdge.ARROWHEADS[shape] && shape !== 'none') {
+                this.element.setAttribute(attribute, `url(#edge-marker-${shape}-${color}-${state})`);
+            } else {
+                this.element.removeAttribute(attribute);
+            }
+        });
+    }
+
+    /**
+     * Returns a plain, JSON-safe snapshot of the edge.
+     * @returns {object} The serialized edge.
+     */
+    serialize() {
+        return {
+            id: this.id,
+            startNodeId: this.startNodeId,
+            endNodeId: this.endNodeId,
+            startHandleId: this.startHandleId,
+            endHandleId: this.endHandleId,
+            type: this.type,
+            label: this.label,
+            routingPoints: this.routingPoints.map(point => ({ x: point.x, y: point.y })),
+            routingStyle: this.routingStyle,
+            startArrow: this.startArrow,
+            endArrow: this.endArrow,
+            strokeWidth: this.strokeWidth,
+            dashPattern: this.dashPattern,
+            color: this.color,
+            flow: this.flow
+        };
+    }
+
+    /**
+     * Creates an edge from data produced by serialize().
+     * @param {object} data - The serialized edge.
+     * @returns {BaseEdge} The new edge instance.
+     */
+    static deserialize(data) {
+        return new this(data);
+    }
 } 
\ No newline at end of file
@@ -48,6 +48,8 @@ class BaseNode {
         this.popoverElement = null; // Container for the popover
         this.handles = {}; // To hold handle elements
         this.connections = new Map(); // Maps handlePosition to a Set of edgeIds
+        this.detailLevel = 'full'; // Set by LevelOfDetail as the canvas zooms
+        this.isMarkdownPending = false; // Markdown skipped while detached, rendered on mount
     }
 
     /**
@@ -130,7 +132,7 @@ class BaseNode {
         titleBar.className = 'node-title-bar';
 
         const icon = document.createElement('div');
-        icon.className = 'node-icon icon-file-text';
+        icon.className = `node-icon ${nodeRegistry.getIcon(this.type)}`;
 
         const titleText = document.createElement('span');
         titleText.className = 'node-title-text';
@@ -193,9 +195,8 @@ class BaseNode {
             // Debounce the save - wait for user to stop typing
             saveDebounceTimeout = setTimeout(() => {
                 if (contentArea.isEditing && this.content !== currentContent) {
-                    // Store the pending content update
-                    this.content = currentContent;
-                    // Only update if still editing and content changed
+                    // Only update if still editing and content changed.
+                    // The update handler stores the new content, which lets undo see the previous value.
                     events.publish('node:update', { nodeId: this.id, content: currentContent });
                 }
             }, 500); // Wait 500ms after user stops typing
@@ -234,6 +235,13 @@ class BaseNode {
      * @param {HTMLElement} contentArea The element to render into.
      */
     async renderMarkdown(contentArea) {
+        // A detached node is off-screen in a virtualized graph; it renders once mounted
+        if (!contentArea.isConnected) {
+            this.isMarkdownPending = true;
+            return;
+        }
+        this.isMarkdownPending = false;
+
         // In lite mode, render simple HTML without loading the full markdown CDN
         if (window.LITE_MODE) {
             contentArea.innerHTML = (this.content || '').split('\n').map(line => {
@@ -436,15 +444,91 @@ class BaseNode {
             this.handles[position] = handleZone;
             this.element.appendChild(handleZone);
         });
+        this.createPortHandles();
         this.updateHandleColors(); // Set initial colors
     }
 
+    /**
+     * Creates a handle for every port returned by getPorts(): inputs down the left
+     * side of the node, outputs down the right.
+     */
+    createPortHandles() {
+        const { inputs, outputs } = this.getPorts();
+        const addPortHandle = (port, direction) => {
+            const handleId = Dataflow.handleId(direction, port.id);
+            const handleZone = document.createElement('div');
+            handleZone.className = `node-handle-zone port-handle ${direction}`;
+            handleZone.dataset.nodeId = this.id;
+            handleZone.dataset.handlePosition = handleId;
+            handleZone.dataset.portType = port.type;
+            handleZone.style.top = `${this.getPortOffset(handleId, 0).y}px`;
+            handleZone.title = `${port.name} (${port.type})`;
+
+            const handle = document.createElement('div');
+            handle.className = 'node-handle';
+            handleZone.appendChild(handle);
+
+            const label = document.createElement('span');
+            label.className = 'port-label';
+            label.textContent = port.name;
+            handleZone.appendChild(label);
+
+            this.handles[handleId] = handleZone;
+            this.element.appendChild(handleZone);
+        };
+
+        inputs.forEach(port => addPortHandle(port, 'input'));
+        outputs.forEach(port => addPortHandle(port, 'output'));
+    }
+
+    /**
+     * Rebuilds the port handles after the node's ports have changed, keeping the
+     * connected state of ports that still exist.
+     */
+    refreshPorts() {
+        if (!this.element) return;
+        this.element.querySelectorAll('.port-handle').forEach(handleZone => {
+            delete this.handles[handleZone.dataset.handlePosition];
+            handleZone.remove();
+        });
+        this.createPortHandles();
+        this.updateHandleColors();
+        this.checkConnections();
+        events.publish('node:visual-update', { nodeId: this.id });
+    }
+
+    /**
+     * Returns where a port handle sits relative to the node's top-left corner.
+     * @param {string} handleId - The handle ID, e.g. `in:a`.
+     * @param {number} handleOffset - How far handles sit outside the node's border.
+     * @returns {{x: number, y: number}|null} The offset, or null if the handle isn't a port of this node.
+     */
+    getPortOffset(handleId, handleOffset) {
+        const parsed = Dataflow.parseHandle(handleId);
+        if (!parsed) return null;
+
+        const ports = this.getPorts();
+        const list = parsed.direction === 'input' ? ports.inputs : ports.outputs;
+        const index = list.findIndex(port => port.id === parsed.portId);
+        if (index === -1) return null;
+
+        // The first port lines up with the first line of content below the title bar
+        const firstPortY = 72;
+        const portSpacing = 24;
+        return {
+            x: parsed.direction === 'input' ? -handleOffset : this.width + handleOffset,
+            y: firstPortY + index * portSpacing
+        };
+    }
+
     /**
      * Updates the custom color property on the handles.
      */
     updateHandleColors() {
         for (const position in this.handles) {
             const handleZone = this.handles[position];
+            // Port handles are colored by their type instead
+            if (handleZone.classList.contains('port-handle')) continue;
             handleZone.style.setProperty('--handle-color', `var(--color-node-${this.color}-border)`);
         }
     }
@@ -569,4 +653,163 @@ class BaseNode {
             }
         }
     }
-} 
\ No newline at end of file
+
+    // --- Virtualization ---
+
+    /**
+     * Called by the Virtualizer after it attaches the node's element to the canvas.
+     * Renders markdown that was skipped while the node was detached.
+     * @returns {Promise<void>|undefined} Settles once the content has rendered.
+     */
+    onMounted() {
+        if (!this.isMarkdownPending) return;
+        const contentArea = this.element.querySelector('.node-content');
+        if (!contentArea) return;
+        return this.renderMarkdown(contentArea).then(() => {
+            // Content that appears while zoomed out starts at the current level, e.g. with videos paused
+            if (this.detailLevel !== 'full') this.onDetailLevelChange(this.detailLevel, 'full');
+        });
+    }
+
+    // --- Level of Detail ---
+
+    /**
+     * Called when the node starts being drawn at a different level of detail. Nodes
+     * with heavy content override this to pause it when zoomed out. The base node
+     * pauses any playing videos and shows a snapshot of the first one.
+     * @param {string} level - The new level: 'full', 'compact' or 'minimal'.
+     * @param {string} previous - The previous level.
+     */
+    onDetailLevelChange(level, previous) {
+        const videos = this.element ? Array.from(this.element.querySelectorAll('.node-content video')) : [];
+        if (!videos.length) return;
+
+        if (previous === 'full') {
+            this.pausedVideos = videos.filter(video => !video.paused);
+            this.pausedVideos.forEach(video => video.pause());
+            this.showDetailSnapshot(this.captureVideoFrame(videos[0]));
+        } else if (level === 'full') {
+            this.hideDetailSnapshot();
+            (this.pausedVideos || []).forEach(video => video.play().catch(() => {}));
+            this.pausedVideos = null;
+        }
+    }
+
+    /**
+     * Shows an image over the node's content while it is zoomed out.
+     * @param {string|null} src - The image URL. Nothing is shown if null.
+     */
+    showDetailSnapshot(src) {
+        if (!src || !this.element) return;
+        const contentArea = this.element.querySelector('.node-content');
+        let snapshot = contentArea.querySelector('.node-lod-snapshot');
+        if (!snapshot) {
+            snapshot = document.createElement('img');
+            snapshot.className = 'node-lod-snapshot';
+            snapshot.draggable = false;
+            contentArea.appendChild(snapshot);
+        }
+        snapshot.src = src;
+        this.element.classList.add('has-lod-snapshot');
+    }
+
+    /**
+     * Removes the image shown by showDetailSnapshot().
+     */
+    hideDetailSnapshot() {
+        if (!this.element) return;
+        const snapshot = this.element.querySelector('.node-lod-snapshot');
+        if (snapshot) snapshot.remove();
+        this.element.classList.remove('has-lod-snapshot');
+    }
+
+    /**
+     * Draws a video's current frame to an image.
+     * @param {HTMLVideoElement} video - The video.
+     * @returns {string|null} A data URL, or null if the frame can't be read, e.g. from a cross-origin video.
+     */
+    captureVideoFrame(video) {
+        if (!video.videoWidth || !video.videoHeight) return null;
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0);
+            return canvas.toDataURL('image/jpeg', 0.8);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // --- Dataflow ---
+
+    /**
+     * Declares the node's typed ports. Nodes without ports are ignored by the dataflow
+     * evaluator, so plain notes stay purely visual.
+     * @returns {{inputs: {id: string, name: string, type: string, default?: any}[], outputs: {id: string, name: string, type: string}[]}}
+     */
+    getPorts() {
+        return { inputs: [], outputs: [] };
+    }
+
+    /**
+     * Computes the node's output values. Called by the dataflow evaluator after every
+     * node this one reads from has been evaluated.
+     * @param {object} inputs - Input values keyed by port ID. Unconnected inputs hold the port's `default`.
+     * @returns {object} Output values keyed by port ID.
+     */
+    evaluate(inputs) {
+        return {};
+    }
+
+    /**
+     * Called with the node's evaluation result, e.g. to display it. Errors thrown by
+     * evaluate() are passed in `result.error`.
+     * @param {{inputs: object, outputs: object, error: string|null}} result - The evaluation result.
+     */
+    onEvaluated(result) {
+        if (!this.element) return;
+        this.element.classList.toggle('has-dataflow-error', !!result.error);
+        this.element.title = result.error || '';
+    }
+
+    // --- Serialization ---
+
+    /**
+     * Returns a plain, JSON-safe snapshot of the node. Subclasses extend this with
+     * their own state so that saving, copying, syncing and storing a node in a
+     * subgraph never drops data. Pinned nodes are returned in screen space; callers
+     * convert them to world space where needed.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            title: this.title,
+            content: this.content,
+            type: this.type || this.constructor.name,
+            color: this.color,
+            isPinned: this.isPinned,
+            ...(this.metadata && { metadata: JSON.parse(JSON.stringify(this.metadata)) })
+        };
+    }
+
+    /**
+     * Creates a node from data produced by serialize().
+     * @param {object} data - The serialized node.
+     * @returns {BaseNode} The new node instance.
+     */
+    static deserialize(data) {
+        return new this(data);
+    }
+}
+
+// Register the node type
+nodeRegistry.register('BaseNode', BaseNode, {
+    icon: 'icon-file-text',
+    menu: { key: 'note', label: 'Note', iconClass: 'icon-file-text', order: 0, titleFromLabel: true }
+});
@@ -39,13 +39,6 @@ class GroupNode extends BaseNode {
 
         // Add a specific class for group styling
         this.element.classList.add('group-node');
-        
-        // Change the default icon to the group icon
-        const icon = this.element.querySelector('.node-icon');
-        if (icon) {
-            icon.classList.remove('icon-file-text');
-            icon.classList.add('icon-group');
-        }
 
         return this.element;
     }
@@ -59,6 +52,17 @@ class GroupNode extends BaseNode {
         contentArea.remove();
     }
 
+    /**
+     * Extends the base update to also accept a new list of contained node IDs.
+     * @param {{[key: string]: any}} data The data to update.
+     */
+    update(data) {
+        super.update(data);
+        if (data.containedNodeIds !== undefined) {
+            this.containedNodeIds = new Set(data.containedNodeIds);
+        }
+    }
+
     /**
      * Adds a node ID to the set of contained nodes.
      * @param {string} nodeId - The ID of the node to contain.
@@ -78,4 +82,21 @@ class GroupNode extends BaseNode {
         // Optionally, publish an event
         // events.publish('group:node:removed', { groupId: this.id, nodeId: nodeId });
     }
-} 
\ No newline at end of file
+
+    /**
+     * Extends the base serialization with the contained node IDs.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            containedNodeIds: Array.from(this.containedNodeIds)
+        };
+    }
+}
+
+// Register the node type
+nodeRegistry.register('GroupNode', GroupNode, {
+    icon: 'icon-group',
+    menu: { key: 'group', label: 'Group', iconClass: 'icon-group', order: 1 }
+});
@@ -8,12 +8,14 @@ class ImageSequenceNode extends BaseNode {
      * @param {object} [options={}] - The options for the node.
      * @param {string[]} [options.imageSequence=[]] - Array of image file paths.
      * @param {number} [options.currentFrame=0] - Current frame index.
+     * @param {number} [options.fps=24] - Playback speed in frames per second.
      * @param {number} [options.width=300] - The width of the node.
      * @param {number} [options.height=200] - The height of the node.
      */
     constructor({
         imageSequence = [],
         currentFrame = 0,
+        fps = 24,
         width = 300,
         height = 200,
         ...baseOptions
@@ -34,7 +36,7 @@ class ImageSequenceNode extends BaseNode {
         // Animation state
         this.isPlaying = false;
         this.animationInterval = null;
-        this.fps = 24; // Default 24 FPS
+        this.fps = fps || 24; // Default 24 FPS
         this.frameDuration = 1000 / this.fps; // Duration in milliseconds
     }
 
@@ -46,9 +48,9 @@ class ImageSequenceNode extends BaseNode {
         const titleBar = document.createElement('div');
         titleBar.className = 'node-title-bar';
 
-        // Create icon (only change: use icon-image-play instead of icon-file-text)
+        // Create icon (same as BaseNode)
         const icon = document.createElement('div');
-        icon.className = 'node-icon icon-image-play';
+        icon.className = `node-icon ${nodeRegistry.getIcon(this.type)}`;
         titleBar.appendChild(icon);
 
         // Create pin icon (same as BaseNode)
@@ -320,6 +322,24 @@ class ImageSequenceNode extends BaseNode {
         events.publish('imagesequence:pause', { nodeId: this.id });
     }
 
+    /**
+     * Pauses playback while zoomed out, showing the current frame, and resumes it
+     * when zoomed back in.
+     * @param {string} level - The new level of detail.
+     * @param {string} previous - The previous level of detail.
+     */
+    onDetailLevelChange(level, previous) {
+        if (previous === 'full') {
+            this.resumeOnFullDetail = this.isPlaying;
+            this.pause();
+            this.showDetailSnapshot(this.imageSequence[this.currentFrame] || null);
+        } else if (level === 'full') {
+            this.hideDetailSnapshot();
+            if (this.resumeOnFullDetail) this.play();
+            this.resumeOnFullDetail = false;
+        }
+    }
+
     /**
      * Sets the playback speed (FPS).
      * @param {number} fps - Frames per second.
@@ -427,31 +447,16 @@ class ImageSequenceNode extends BaseNode {
     }
 
     /**
-     * Gets the node data for serialization.
-     * @returns {object} The node data.
+     * Extends the base serialization with the image sequence and playback state.
+     * @returns {object} The serialized node.
      */
     serialize() {
-        const baseData = {
-            id: this.id,
-            x: this.x,
-            y: this.y,
-            width: this.width,
-            height: this.height,
-            title: this.title,
-            content: this.content,
-            type: this.type,
-            color: this.color,
-            isPinned: this.isPinned
-        };
-        
-        // Add ImageSequenceNode specific properties
-        const imageSequenceData = {
-            imageSequence: this.imageSequence || [],
+        return {
+            ...super.serialize(),
+            imageSequence: [...(this.imageSequence || [])],
             currentFrame: this.currentFrame || 0,
             fps: this.fps || 24
         };
-        
-        return { ...baseData, ...imageSequenceData };
     }
 
     /**
@@ -483,4 +488,10 @@ class ImageSequenceNode extends BaseNode {
         // Remove focus
         this.element.removeAttribute('tabindex');
     }
-} 
\ No newline at end of file
+}
+
+// Register the node type
+nodeRegistry.register('ImageSequenceNode', ImageSequenceNode, {
+    icon: 'icon-image-play',
+    menu: { key: 'imageSequence', label: 'Image Sequence', iconClass: 'icon-camera', order: 7, hidden: true }
+});
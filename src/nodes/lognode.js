@@ -28,12 +28,6 @@ class LogNode extends BaseNode {
     render(parentElement) {
         super.render(parentElement);
         this.element.classList.add('log-node');
-        
-        const icon = this.element.querySelector('.node-icon');
-        if (icon) {
-            icon.classList.remove('icon-box');
-            icon.classList.add('icon-terminal');
-        }
 
         // Unsubscribe from any previous subscriptions to prevent memory leaks
         if (this.eventSubscription) {
@@ -178,4 +172,10 @@ class LogNode extends BaseNode {
         // In the future, this could create a dedicated clipboard view section
         this.logEventHandler('clipboard:changed', clipboardData);
     }
-} 
\ No newline at end of file
+}
+
+// Register the node type
+nodeRegistry.register('LogNode', LogNode, {
+    icon: 'icon-terminal',
+    menu: { key: 'log', label: 'Log', iconClass: 'icon-terminal', order: 6 }
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview A dataflow node that applies an arithmetic operation to two
+ * number inputs and shows the result.
+ */
+
+class MathNode extends BaseNode {
+    /**
+     * @param {object} [options={}] - The options for the math node.
+     * @param {string} [options.operation='add'] - The operation to apply. One of the keys of MathNode.OPERATIONS.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            title: 'Math',
+            type: 'MathNode',
+            color: 'purple',
+            width: 200,
+            height: 180,
+        };
+        super({ ...defaults, ...options });
+
+        this.operation = MathNode.OPERATIONS[options.operation] ? options.operation : 'add';
+    }
+
+    /**
+     * The available operations, keyed by name.
+     * @type {Object<string, {label: string, apply: function(number, number): number}>}
+     */
+    static get OPERATIONS() {
+        return {
+            add: { label: 'Add', apply: (a, b) => a + b },
+            subtract: { label: 'Subtract', apply: (a, b) => a - b },
+            multiply: { label: 'Multiply', apply: (a, b) => a * b },
+            divide: {
+                label: 'Divide',
+                apply: (a, b) => {
+                    if (b === 0) throw new Error('Division by zero');
+                    return a / b;
+                }
+            },
+            power: { label: 'Power', apply: (a, b) => Math.pow(a, b) },
+            min: { label: 'Min', apply: (a, b) => Math.min(a, b) },
+            max: { label: 'Max', apply: (a, b) => Math.max(a, b) }
+        };
+    }
+
+    /**
+     * Overrides the default render method to add a math-node class.
+     * @param {HTMLElement} parentElement - The parent element to append the node to.
+     * @returns {HTMLElement} The created DOM element for the node.
+     */
+    render(parentElement) {
+        super.render(parentElement);
+        this.element.classList.add('math-node');
+        return this.element;
+    }
+
+    /**
+     * Renders an operation selector and the last result.
+     * @param {HTMLElement} contentArea - The element to render content into.
+     */
+    renderContent(contentArea) {
+        contentArea.innerHTML = '';
+
+        const container = document.createElement('div');
+        container.className = 'dataflow-node-controls';
+
+        const operationSelect = document.createElement('select');
+        operationSelect.className = 'dataflow-node-select';
+        Object.entries(MathNode.OPERATIONS).forEach(([key, operation]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = operation.label;
+            operationSelect.appendChild(option);
+        });
+        operationSelect.value = this.operation;
+        operationSelect.addEventListener('change', () => {
+            events.publish('node:update', { nodeId: this.id, operation: operationSelect.value });
+        });
+
+        this.resultElement = document.createElement('div');
+        this.resultElement.className = 'dataflow-node-result';
+
+        container.appendChild(operationSelect);
+        container.appendChild(this.resultElement);
+        contentArea.appendChild(container);
+
+        // Keep the node from dragging while using the selector
+        operationSelect.addEventListener('mousedown', (event) => event.stopPropagation());
+    }
+
+    /**
+     * Extends the base update with the operation.
+     * @param {{[key: string]: any}} data The data to update.
+     */
+    update(data) {
+        super.update(data);
+        if (data.operation !== undefined && MathNode.OPERATIONS[data.operation]) {
+            this.operation = data.operation;
+            const operationSelect = this.element.querySelector('.dataflow-node-select');
+            if (operationSelect) operationSelect.value = this.operation;
+        }
+    }
+
+    /**
+     * @returns {{inputs: object[], outputs: object[]}} Two number inputs and a number output.
+     */
+    getPorts() {
+        return {
+            inputs: [
+                { id: 'a', name: 'A', type: 'number', default: 0 },
+                { id: 'b', name: 'B', type: 'number', default: 0 }
+            ],
+            outputs: [{ id: 'result', name: 'Result', type: 'number' }]
+        };
+    }
+
+    /**
+     * @param {{a: number, b: number}} inputs - The input values.
+     * @returns {{result: number}}
+     */
+    evaluate(inputs) {
+        const a = Number(inputs.a);
+        const b = Number(inputs.b);
+        if (Number.isNaN(a) || Number.isNaN(b)) {
+            throw new Error('Inputs must be numbers');
+        }
+        return { result: MathNode.OPERATIONS[this.operation].apply(a, b) };
+    }
+
+    /**
+     * Shows the result, or the error, in the node.
+     * @param {{outputs: object, error: string|null}} result - The evaluation result.
+     */
+    onEvaluated(result) {
+        super.onEvaluated(result);
+        if (!this.resultElement) return;
+        this.resultElement.textContent = result.error ? result.error : `= ${result.outputs.result}`;
+    }
+
+    /**
+     * Extends the base serialization with the operation.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            operation: this.operation
+        };
+    }
+}
+
+// Register the node type
+nodeRegistry.register('MathNode', MathNode, {
+    icon: 'icon-cpu',
+    menu: { key: 'math', label: 'Math', iconClass: 'icon-cpu', order: 9 }
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Stand-in for nodes whose type isn't registered, usually because the
+ * plugin that provides it is missing or disabled. It keeps the node's saved data
+ * untouched so the graph can be saved again without losing anything, and is swapped
+ * for the real node once the type becomes available.
+ */
+
+class PlaceholderNode extends BaseNode {
+    /**
+     * @param {object} [options={}] - The saved data of the missing node.
+     * @param {object} [options.missingPlugin] - The plugin that provides the type, if known.
+     * @param {string} options.missingPlugin.id - The plugin ID.
+     * @param {string} [options.missingPlugin.name] - A readable plugin name.
+     * @param {boolean} [options.missingPlugin.disabled] - Whether the plugin is loaded but disabled for this graph.
+     */
+    constructor(options = {}) {
+        const { missingPlugin = null, _operationId, ...data } = options;
+        super({ color: 'default', ...data });
+
+        /**
+         * The original data, including fields this class doesn't know about.
+         * @type {object}
+         */
+        this.originalData = JSON.parse(JSON.stringify(data));
+        this.missingPlugin = missingPlugin;
+    }
+
+    /**
+     * Overrides the default render method to mark the node as a placeholder.
+     * @param {HTMLElement} parentElement - The parent element to append the node to.
+     * @returns {HTMLElement} The created DOM element for the node.
+     */
+    render(parentElement) {
+        super.render(parentElement);
+        this.element.classList.add('placeholder-node');
+        return this.element;
+    }
+
+    /**
+     * Explains why the node can't be shown instead of rendering its content.
+     * @param {HTMLElement} contentArea - The content area element.
+     */
+    renderContent(contentArea) {
+        contentArea.innerHTML = '';
+
+        const notice = document.createElement('div');
+        notice.className = 'placeholder-node-notice';
+
+        const message = document.createElement('p');
+        if (this.missingPlugin && this.missingPlugin.disabled) {
+            message.textContent = `The "${this.missingPlugin.name || this.missingPlugin.id}" plugin is disabled for this graph.`;
+        } else if (this.missingPlugin) {
+            message.textContent = `This node needs the "${this.missingPlugin.name || this.missingPlugin.id}" plugin, which isn't loaded.`;
+        } else {
+            message.textContent = `Node type "${this.type}" isn't available.`;
+        }
+
+        const detail = document.createElement('p');
+        detail.className = 'placeholder-node-detail';
+        detail.textContent = 'Its data is kept and will be restored when the plugin is loaded.';
+
+        notice.appendChild(message);
+        notice.appendChild(detail);
+        contentArea.appendChild(notice);
+    }
+
+    /**
+     * Returns the original data with the current position, size and title applied.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...JSON.parse(JSON.stringify(this.originalData)),
+            ...super.serialize()
+        };
+    }
+}
+
+// Register the node type and use it for any type that isn't registered
+nodeRegistry.register('PlaceholderNode', PlaceholderNode, { icon: 'icon-ghost' });
+nodeRegistry.fallbackType = 'PlaceholderNode';
@@ -45,4 +45,9 @@ class RoutingNode extends BaseNode {
 
         return this.element;
     }
-} 
\ No newline at end of file
+}
+
+// Register the node type
+nodeRegistry.register('RoutingNode', RoutingNode, {
+    menu: { key: 'routingNode', label: 'Router', iconClass: 'icon-network', order: 3 }
+});
@@ -19,7 +19,9 @@ class SettingsNode extends BaseNode {
         this.nodeUiSettings = {};
         this.cssVariables = [];
         this.settingsSubscription = null;
+        this.pluginsSubscription = null;
         this.fileInput = null; // To hold the file input element
+        this.pluginFileInput = null; // To hold the plugin file input element
     }
 
     /**
@@ -30,12 +32,6 @@ class SettingsNode extends BaseNode {
     render(parentElement) {
         super.render(parentElement);
         this.element.classList.add('settings-node');
-        
-        const icon = this.element.querySelector('.node-icon');
-        if (icon) {
-            icon.classList.remove('icon-box');
-            icon.classList.add('icon-settings');
-        }
 
         // Subscribe to settings updates from NodeUI
         if (this.settingsSubscription) {
@@ -46,8 +42,17 @@ class SettingsNode extends BaseNode {
             this.updateFormValues();
         });
 
+        // Rebuild the plugin list whenever plugins are loaded or toggled
+        if (this.pluginsSubscription) {
+            this.pluginsSubscription.unsubscribe();
+        }
+        this.pluginsSubscription = events.subscribe('plugins:response', (state) => {
+            this.populatePluginSettings(state);
+        });
+
         // Request current settings
         events.publish('settings:request');
+        events.publish('plugins:request');
 
         return this.element;
     }
@@ -73,6 +78,7 @@ class SettingsNode extends BaseNode {
         container.appendChild(this.createUISettingsSection());
         container.appendChild(this.createThemeSection());
         container.appendChild(this.createContextMenuSettingsSection());
+        container.appendChild(this.createPluginsSection());
         
         wrapper.appendChild(container);
         contentArea.appendChild(wrapper);
@@ -92,7 +98,7 @@ class SettingsNode extends BaseNode {
     }
 
     /**
-     * Creates the "Graph Actions" section with Save and Load buttons.
+     * Creates the "Graph Actions" section with Save, Load and Export buttons.
      * @returns {HTMLElement}
      */
     createGraphActionsSection() {
@@ -105,16 +111,25 @@ class SettingsNode extends BaseNode {
 
         const saveButton = this.createButton('Save Graph', 'icon-download', 'save-graph-button');
         const loadButton = this.createButton('Load Graph', 'icon-upload', 'load-graph-button');
+        const bundleButton = this.createButton('Save Bundle', 'icon-box', 'save-bundle-button');
         
         this.fileInput = document.createElement('input');
         this.fileInput.type = 'file';
-        this.fileInput.accept = '.json';
+        this.fileInput.accept = '.json,.canvas,.nodeui';
         this.fileInput.style.display = 'none';
 
         buttonGroup.appendChild(saveButton);
         buttonGroup.appendChild(loadButton);
+        buttonGroup.appendChild(bundleButton);
         section.appendChild(buttonGroup);
         section.appendChild(this.fileInput);
+
+        const exportGroup = document.createElement('div');
+        exportGroup.className = 'button-group';
+        exportGroup.appendChild(this.createButton('Export SVG', 'icon-download', 'export-svg-button'));
+        exportGroup.appendChild(this.createButton('Export PDF', 'icon-file-text', 'export-pdf-button'));
+        exportGroup.appendChild(this.createButton('Export Canvas', 'icon-download', 'export-canvas-button'));
+        section.appendChild(exportGroup);
         
         return section;
     }
@@ -137,6 +152,7 @@ class SettingsNode extends BaseNode {
         card.appendChild(this.createSlider('snapThreshold', 'Snap Threshold', 1, 20, 1));
         card.appendChild(this.createSlider('shakeSensitivity', 'Shake Sensitivity', 1, 10, 0.5));
         card.appendChild(this.createSlider('edgeGravity', 'Edge Gravity', 0, 100, 1));
+        card.appendChild(this.createSelect('edgeRoutingStyle', 'Edge Routing', EdgeRouter.STYLES));
         
         section.appendChild(card);
         return section;
@@ -286,6 +302,102 @@ class SettingsNode extends BaseNode {
         return section;
     }
 
+    /**
+     * Creates the "Plugins" section. The plugin list and the sections contributed by
+     * plugins are filled in by populatePluginSettings.
+     * @returns {HTMLElement}
+     */
+    createPluginsSection() {
+        const section = document.createElement('div');
+        section.className = 'settings-section';
+        section.innerHTML = '<h3>Plugins</h3>';
+
+        const list = document.createElement('div');
+        list.id = 'plugin-list';
+        section.appendChild(list);
+
+        const buttonGroup = document.createElement('div');
+        buttonGroup.className = 'button-group';
+        buttonGroup.appendChild(this.createButton('Load Plugin', 'icon-upload', 'load-plugin-button'));
+        section.appendChild(buttonGroup);
+
+        this.pluginFileInput = document.createElement('input');
+        this.pluginFileInput.type = 'file';
+        this.pluginFileInput.accept = '.js';
+        this.pluginFileInput.style.display = 'none';
+        section.appendChild(this.pluginFileInput);
+
+        const pluginSections = document.createElement('div');
+        pluginSections.id = 'plugin-settings-sections';
+        section.appendChild(pluginSections);
+
+        return section;
+    }
+
+    /**
+     * Renders the plugin list with an enable toggle per plugin, followed by the
+     * settings sections of the active plugins.
+     * @param {{plugins: object[], settingsSections: object[]}} state - The state published by the plugin manager.
+     */
+    populatePluginSettings(state) {
+        if (!this.element) return;
+        const list = this.element.querySelector('#plugin-list');
+        const sectionsContainer = this.element.querySelector('#plugin-settings-sections');
+        if (!list || !sectionsContainer) return;
+
+        list.innerHTML = '';
+        if (state.plugins.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-hint';
+            empty.textContent = 'No plugins loaded. Drop a plugin .js file on the canvas or list it in config.js.';
+            list.appendChild(empty);
+        }
+
+        state.plugins.forEach(plugin => {
+            const card = document.createElement('div');
+            card.className = 'settings-card';
+
+            const toggleId = `plugin-${plugin.id.replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+            const label = `${plugin.name}${plugin.version ? ` v${plugin.version}` : ''}`;
+            const row = this.createToggle(toggleId, '');
+            // Names can come from graph files, so they're never parsed as HTML
+            row.querySelector('label').textContent = label;
+            const checkbox = row.querySelector('input');
+            checkbox.checked = plugin.enabled;
+            checkbox.addEventListener('change', (e) => {
+                events.publish('plugins:set-enabled', { id: plugin.id, enabled: e.target.checked });
+            });
+            card.appendChild(row);
+
+            let status = plugin.source || '';
+            if (!plugin.loaded) status = 'Not loaded: nodes from this plugin are shown as placeholders';
+            if (plugin.error) status = `Failed to activate: ${plugin.error}`;
+            if (status) {
+                const hint = document.createElement('p');
+                hint.className = 'settings-hint';
+                hint.textContent = status;
+                card.appendChild(hint);
+            }
+
+            list.appendChild(card);
+        });
+
+        sectionsContainer.innerHTML = '';
+        state.settingsSections.forEach(pluginSection => {
+            const card = document.createElement('div');
+            card.className = 'settings-card';
+            const title = document.createElement('h4');
+            title.textContent = pluginSection.title;
+            card.appendChild(title);
+            try {
+                pluginSection.render(card);
+            } catch (error) {
+                console.error(`Plugin "${pluginSection.pluginId}" failed to render its settings:`, error);
+            }
+            sectionsContainer.appendChild(card);
+        });
+    }
+
     /**
      * Adds event listeners to the controls.
      */
@@ -299,6 +411,22 @@ class SettingsNode extends BaseNode {
             this.fileInput.click();
         });
 
+        this.element.querySelector('#save-bundle-button').addEventListener('click', () => {
+            events.publish('graph:export-bundle');
+        });
+
+        this.element.querySelector('#export-svg-button').addEventListener('click', () => {
+            events.publish('graph:export-svg');
+        });
+
+        this.element.querySelector('#export-pdf-button').addEventListener('click', () => {
+            events.publish('graph:export-pdf');
+        });
+
+        this.element.querySelector('#export-canvas-button').addEventListener('click', () => {
+            events.publish('graph:export-canvas');
+        });
+
         this.element.querySelector('#screenshot-button').addEventListener('click', () => {
             events.publish('graph:screenshot');
         });
@@ -317,14 +445,23 @@ class SettingsNode extends BaseNode {
             }
         });
 
+        this.element.querySelector('#load-plugin-button').addEventListener('click', () => {
+            this.pluginFileInput.click();
+        });
+
+        this.pluginFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                events.publish('plugins:load-file', file);
+                // Reset file input to allow loading the same file again
+                event.target.value = '';
+            }
+        });
+
         this.fileInput.addEventListener('change', (event) => {
             const file = event.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    events.publish('graph:load-content', e.target.result);
-                };
-                reader.readAsText(file);
+                events.publish('graph:load-file', file);
                 // Reset file input to allow loading the same file again
                 event.target.value = ''; 
             }
@@ -349,6 +486,9 @@ class SettingsNode extends BaseNode {
             events.publish('setting:update', { key: 'edgeGravity', value: parseFloat(e.target.value) });
             this.updateSliderLabel('edgeGravity', e.target.value);
         });
+        this.element.querySelector('#edgeRoutingStyle-select').addEventListener('change', (e) => {
+            events.publish('setting:update', { key: 'edgeRoutingStyle', value: e.target.value });
+        });
 
         // Project Settings
         const debouncedProjectUpdate = this.debounce((key, value) => {
@@ -415,6 +555,7 @@ class SettingsNode extends BaseNode {
         this.element.querySelector('#snapThreshold-slider').value = this.nodeUiSettings.snapThreshold;
         this.element.querySelector('#shakeSensitivity-slider').value = this.nodeUiSettings.shakeSensitivity;
         this.element.querySelector('#edgeGravity-slider').value = this.nodeUiSettings.edgeGravity;
+        this.element.querySelector('#edgeRoutingStyle-select').value = this.nodeUiSettings.edgeRoutingStyle;
         
         this.updateSliderLabel('snapThreshold', this.nodeUiSettings.snapThreshold);
         this.updateSliderLabel('shakeSensitivity', this.nodeUiSettings.shakeSensitivity);
@@ -474,6 +615,25 @@ class SettingsNode extends BaseNode {
         return row;
     }
     
+    /**
+     * Helper to create a dropdown.
+     * @param {string} id - The base ID for the control.
+     * @param {string} label - The text label.
+     * @param {Object<string, string>} options - Option labels by value.
+     * @returns {HTMLElement}
+     */
+    createSelect(id, label, options) {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        row.innerHTML = `
+            <label for="${id}-select">${label}</label>
+            <select id="${id}-select" class="settings-input">
+                ${Object.entries(options).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+            </select>
+        `;
+        return row;
+    }
+
     /**
      * Helper to create a color picker.
      * @param {string} varName - The CSS variable name.
@@ -667,6 +827,10 @@ class SettingsNode extends BaseNode {
             this.settingsSubscription.unsubscribe();
             this.settingsSubscription = null;
         }
+        if (this.pluginsSubscription) {
+            this.pluginsSubscription.unsubscribe();
+            this.pluginsSubscription = null;
+        }
     }
 
     /**
@@ -841,4 +1005,10 @@ class SettingsNode extends BaseNode {
     populateSettings() {
         // Implementation of populateSettings method
     }
-} 
\ No newline at end of file
+}
+
+// Register the node type
+nodeRegistry.register('SettingsNode', SettingsNode, {
+    icon: 'icon-settings',
+    menu: { key: 'settings', label: 'Settings', iconClass: 'icon-settings', order: 5, hidden: true }
+});
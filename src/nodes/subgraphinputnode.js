@@ -0,0 +1,57 @@
+/**
+ * @fileoverview An input proxy inside a subgraph. Each one becomes an input port
+ * on the SubGraphNode in the parent graph, and outputs whatever value reaches
+ * that port.
+ */
+
+class SubgraphInputNode extends SubgraphProxyNode {
+    /**
+     * @param {object} [options={}] - The options for the input proxy.
+     * @param {string} [options.valueType='any'] - The port type, one of PORT_TYPES.
+     * @param {*} [options.value] - The value last passed in from the parent graph.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            title: 'Input',
+            type: 'SubgraphInputNode',
+            color: 'green',
+            width: 200,
+            height: 140,
+        };
+        super({ ...defaults, ...options });
+
+        this.value = options.value;
+    }
+
+    /**
+     * @returns {{inputs: object[], outputs: object[]}} One output carrying the value from the parent graph.
+     */
+    getPorts() {
+        return {
+            inputs: [],
+            outputs: [this.getPort()]
+        };
+    }
+
+    /**
+     * @returns {{value: *}}
+     */
+    evaluate() {
+        return { value: this.value };
+    }
+
+    /**
+     * Shows the value passed in from the parent graph.
+     * @param {{outputs: object, error: string|null}} result - The evaluation result.
+     */
+    onEvaluated(result) {
+        super.onEvaluated(result);
+        this.showValue(this.value, 'Not connected');
+    }
+}
+
+// Register the node type
+nodeRegistry.register('SubgraphInputNode', SubgraphInputNode, {
+    icon: 'icon-log-in',
+    menu: { key: 'subgraph-input', label: 'Subgraph Input', iconClass: 'icon-log-in', order: 10 }
+});
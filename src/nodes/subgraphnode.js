@@ -9,7 +9,7 @@ class SubGraphNode extends BaseNode {
      * @param {object} [options={}] - The options for the subgraph node.
      * @param {string} [options.subgraphId] - Unique ID for the subgraph data.
      * @param {object} [options.internalGraph] - The internal graph data.
-     * @param {object[]} [options.exposedAttributes] - Array of exposed input/output attributes.
+     * @param {object[]} [options.exposedAttributes] - Ignored; exposed attributes are read from the proxy nodes in the internal graph.
      * @param {string} [options.subgraphPath] - Path to the subgraph JSON file.
      */
     constructor(options = {}) {
@@ -52,10 +52,31 @@ class SubGraphNode extends BaseNode {
         };
 
         /**
-         * Exposed attributes that can be connected to parent graph
+         * Exposed attributes that can be connected to parent graph. Each one is backed by
+         * a SubgraphInputNode or SubgraphOutputNode in the internal graph.
          * @type {object[]}
          */
-        this.exposedAttributes = options.exposedAttributes || [];
+        this.exposedAttributes = SubGraphNode.getProxyAttributes(this.internalGraph);
+
+        /**
+         * Output values from the last evaluation, keyed by attribute ID
+         * @type {Object<string, any>}
+         */
+        this.outputValues = {};
+
+        /**
+         * Values passed into the input attributes, keyed by attribute ID. They are runtime
+         * state, so they're kept out of the internal graph and aren't saved.
+         * @type {Object<string, any>}
+         */
+        this.inputValues = {};
+
+        /**
+         * Evaluator holding instances of the internal graph's nodes. It is dropped whenever
+         * the internal graph changes. See _getGraphEvaluator().
+         * @type {Dataflow|null}
+         */
+        this.graphEvaluator = null;
 
         /**
          * Preview SVG for rendering internal graph
@@ -89,9 +110,6 @@ class SubGraphNode extends BaseNode {
             icon.classList.add('icon-squares-subtract');
         }
 
-        // Add exposed attributes as handles
-        this.createExposedAttributeHandles();
-
         // Ensure preview is rendered after the node is fully created
         setTimeout(() => {
             this.renderPreview();
@@ -138,37 +156,33 @@ class SubGraphNode extends BaseNode {
     }
 
     /**
-     * Creates handles for exposed attributes that can connect to the parent graph.
+     * Lists the attributes exposed by the input and output proxy nodes of an internal
+     * graph, ordered top to bottom like the proxies themselves.
+     * @param {object} internalGraph - The internal graph data.
+     * @returns {{id: string, name: string, type: string, direction: 'input'|'output'}[]}
      */
-    createExposedAttributeHandles() {
-        // Clear existing exposed handles
-        const existingHandles = this.element.querySelectorAll('.exposed-handle');
-        existingHandles.forEach(handle => handle.remove());
-
-        // Create handles for each exposed attribute
-        this.exposedAttributes.forEach((attr, index) => {
-            const handle = document.createElement('div');
-            handle.className = `node-handle exposed-handle ${attr.direction}-handle`;
-            handle.dataset.position = `${attr.direction}-${index}`;
-            handle.dataset.attributeId = attr.id;
-            handle.dataset.attributeName = attr.name;
-            handle.dataset.attributeType = attr.type;
-            
-            // Position handles based on direction
-            if (attr.direction === 'input') {
-                handle.style.left = '0px';
-                handle.style.top = `${40 + (index * 20)}px`;
-            } else {
-                handle.style.right = '0px';
-                handle.style.top = `${40 + (index * 20)}px`;
-            }
-
-            // Add tooltip
-            handle.title = `${attr.direction}: ${attr.name} (${attr.type})`;
+    static getProxyAttributes(internalGraph) {
+        const proxyDirections = { SubgraphInputNode: 'input', SubgraphOutputNode: 'output' };
+        return (internalGraph.nodes || [])
+            .filter(nodeData => proxyDirections[nodeData.type])
+            .sort((a, b) => a.y - b.y)
+            .map(nodeData => ({
+                id: nodeData.id,
+                name: nodeData.title,
+                type: nodeData.valueType || 'any',
+                direction: proxyDirections[nodeData.type]
+            }));
+    }
 
-            this.element.appendChild(handle);
-            this.handles[`${attr.direction}-${index}`] = handle;
-        });
+    /**
+     * Re-reads the exposed attributes from the internal graph's proxy nodes and
+     * redraws the port handles.
+     */
+    createExposedAttributeHandles() {
+        this.exposedAttributes = SubGraphNode.getProxyAttributes(this.internalGraph);
+        if (this.element) {
+            this.refreshPorts();
+        }
     }
 
     /**
@@ -399,7 +413,10 @@ class SubGraphNode extends BaseNode {
      * @param {object} graphData - The new graph data.
      */
     updateInternalGraph(graphData) {
-        this.internalGraph = { ...this.internalGraph, ...graphData };
+        // A copy, so the publisher's data can't change the graph later
+        this.internalGraph = { ...this.internalGraph, ...JSON.parse(JSON.stringify(graphData)) };
+        this.graphEvaluator = null;
+        this.createExposedAttributeHandles();
         
         // Re-render the preview after updating the data
         setTimeout(() => {
@@ -456,7 +473,7 @@ class SubGraphNode extends BaseNode {
                 callback: (data) => {
                     if (data) {
                         this.internalGraph = data.internalGraph || this.internalGraph;
-                        this.exposedAttributes = data.exposedAttributes || this.exposedAttributes;
+                        this.graphEvaluator = null;
                         this.title = data.title || this.title;
                         this.renderPreview();
                         this.createExposedAttributeHandles();
@@ -469,55 +486,129 @@ class SubGraphNode extends BaseNode {
     }
 
     /**
-     * Adds an exposed attribute that can be connected to the parent graph.
+     * Adds an exposed attribute by creating its proxy node in the internal graph.
      * @param {object} attribute - The attribute to expose.
-     * @param {string} attribute.id - Unique identifier for the attribute.
+     * @param {string} [attribute.id] - Unique identifier for the attribute, used as the proxy node ID.
      * @param {string} attribute.name - Display name for the attribute.
-     * @param {string} attribute.type - Data type of the attribute.
+     * @param {string} [attribute.type='any'] - Port type of the attribute.
      * @param {string} attribute.direction - 'input' or 'output'.
      */
     addExposedAttribute(attribute) {
-        this.exposedAttributes.push(attribute);
+        const isInput = attribute.direction === 'input';
+        const siblings = this.exposedAttributes.filter(attr => attr.direction === attribute.direction);
+        const proxyNode = new (isInput ? SubgraphInputNode : SubgraphOutputNode)({
+            id: attribute.id || crypto.randomUUID(),
+            title: attribute.name,
+            valueType: attribute.type,
+            x: isInput ? -260 : this.width + 60,
+            y: siblings.length * 180
+        });
+        this.internalGraph.nodes.push(proxyNode.serialize());
+        this.graphEvaluator = null;
         this.createExposedAttributeHandles();
         this.saveSubGraph();
     }
 
     /**
-     * Removes an exposed attribute.
+     * Removes an exposed attribute together with its proxy node and the edges to it.
      * @param {string} attributeId - The ID of the attribute to remove.
      */
     removeExposedAttribute(attributeId) {
-        this.exposedAttributes = this.exposedAttributes.filter(attr => attr.id !== attributeId);
+        this.internalGraph.nodes = this.internalGraph.nodes.filter(nodeData => nodeData.id !== attributeId);
+        this.internalGraph.edges = this.internalGraph.edges.filter(edgeData =>
+            edgeData.startNodeId !== attributeId && edgeData.endNodeId !== attributeId
+        );
+        this.graphEvaluator = null;
         this.createExposedAttributeHandles();
         this.saveSubGraph();
     }
 
     /**
-     * Gets the value of an exposed attribute from the internal graph.
+     * Gets the value an output attribute produced in the last evaluation.
      * @param {string} attributeId - The ID of the attribute.
-     * @returns {any} The attribute value.
+     * @returns {any} The attribute value, or undefined if it has none yet.
      */
     getExposedAttributeValue(attributeId) {
-        const attribute = this.exposedAttributes.find(attr => attr.id === attributeId);
-        if (!attribute) return null;
-
-        // This would need to be implemented based on how the internal graph
-        // exposes its data. For now, return a placeholder.
-        return `subgraph_${this.subgraphId}_${attributeId}`;
+        return this.outputValues[attributeId];
     }
 
     /**
-     * Sets the value of an exposed attribute in the internal graph.
+     * Passes a value into an input attribute. The inner graph sees it both when evaluated
+     * from here and when opened, see getInternalGraphWithInputs().
      * @param {string} attributeId - The ID of the attribute.
      * @param {any} value - The value to set.
      */
     setExposedAttributeValue(attributeId, value) {
-        const attribute = this.exposedAttributes.find(attr => attr.id === attributeId);
-        if (!attribute) return;
+        this.inputValues[attributeId] = value;
+        const proxy = this.graphEvaluator && this.graphEvaluator.nodeUI.nodes.get(attributeId);
+        if (!proxy) return;
+        proxy.value = value;
+        this.graphEvaluator.dirty.add(attributeId);
+    }
+
+    /**
+     * The internal graph with the values last passed in set on its input proxies, for
+     * opening the subgraph. The internal graph itself is left as it is.
+     * @returns {object} The graph data.
+     */
+    getInternalGraphWithInputs() {
+        return {
+            ...this.internalGraph,
+            nodes: (this.internalGraph.nodes || []).map(nodeData =>
+                nodeData.type === 'SubgraphInputNode' && nodeData.id in this.inputValues
+                    ? { ...nodeData, value: this.inputValues[nodeData.id] }
+                    : nodeData
+            )
+        };
+    }
+
+    // --- Dataflow ---
+
+    /**
+     * @returns {{inputs: object[], outputs: object[]}} One port per exposed attribute, with the attribute ID as port ID.
+     */
+    getPorts() {
+        const toPort = attr => ({ id: attr.id, name: attr.name, type: attr.type });
+        return {
+            inputs: this.exposedAttributes.filter(attr => attr.direction === 'input').map(toPort),
+            outputs: this.exposedAttributes.filter(attr => attr.direction === 'output').map(toPort)
+        };
+    }
+
+    /**
+     * Feeds the inputs to the input proxies, evaluates the internal graph and returns
+     * the values that reach the output proxies.
+     * @param {Object<string, any>} inputs - Input values keyed by attribute ID.
+     * @returns {Object<string, any>} Output values keyed by attribute ID.
+     */
+    evaluate(inputs) {
+        const evaluator = this._getGraphEvaluator();
+        this.exposedAttributes
+            .filter(attr => attr.direction === 'input')
+            .forEach(attr => this.setExposedAttributeValue(attr.id, inputs[attr.id]));
+
+        const results = evaluator.runGraph();
+        this.outputValues = {};
+        this.exposedAttributes
+            .filter(attr => attr.direction === 'output')
+            .forEach(attr => {
+                const entry = results.get(attr.id);
+                this.outputValues[attr.id] = entry ? entry.result.outputs.value : undefined;
+            });
+        return { ...this.outputValues };
+    }
 
-        // This would need to be implemented based on how the internal graph
-        // accepts external data. For now, just log the action.
-        console.log(`Setting ${attributeId} to ${value} in subgraph ${this.subgraphId}`);
+    /**
+     * Returns the evaluator for the internal graph, creating its node instances if the
+     * graph has changed since the last evaluation.
+     * @returns {Dataflow}
+     * @private
+     */
+    _getGraphEvaluator() {
+        if (!this.graphEvaluator) {
+            this.graphEvaluator = Dataflow.createGraphEvaluator(this.internalGraph);
+        }
+        return this.graphEvaluator;
     }
 
     /**
@@ -528,4 +619,24 @@ class SubGraphNode extends BaseNode {
             this.renderPreview();
         }
     }
-} 
\ No newline at end of file
+
+    /**
+     * Extends the base serialization with the subgraph reference, its internal graph
+     * and exposed attributes.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            subgraphId: this.subgraphId,
+            subgraphPath: this.subgraphPath,
+            internalGraph: JSON.parse(JSON.stringify(this.internalGraph)),
+            exposedAttributes: JSON.parse(JSON.stringify(this.exposedAttributes))
+        };
+    }
+}
+
+// Register the node type
+nodeRegistry.register('SubGraphNode', SubGraphNode, {
+    menu: { key: 'subgraph', label: 'Subgraph', iconClass: 'icon-box', order: 2 }
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview An output proxy inside a subgraph. Each one becomes an output port
+ * on the SubGraphNode in the parent graph, which passes on whatever value is
+ * connected to it here.
+ */
+
+class SubgraphOutputNode extends SubgraphProxyNode {
+    /**
+     * @param {object} [options={}] - The options for the output proxy.
+     * @param {string} [options.valueType='any'] - The port type, one of PORT_TYPES.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            title: 'Output',
+            type: 'SubgraphOutputNode',
+            color: 'red',
+            width: 200,
+            height: 140,
+        };
+        super({ ...defaults, ...options });
+    }
+
+    /**
+     * @returns {{inputs: object[], outputs: object[]}} One input whose value leaves the subgraph.
+     */
+    getPorts() {
+        return {
+            inputs: [this.getPort()],
+            outputs: []
+        };
+    }
+
+    /**
+     * Passes the connected value through so the subgraph node can read it from the result.
+     * @param {{value: *}} inputs - The input values.
+     * @returns {{value: *}}
+     */
+    evaluate(inputs) {
+        return { value: inputs.value };
+    }
+
+    /**
+     * Shows the value passed out to the parent graph.
+     * @param {{outputs: object, error: string|null}} result - The evaluation result.
+     */
+    onEvaluated(result) {
+        super.onEvaluated(result);
+        this.showValue(result.outputs.value, 'No value');
+    }
+}
+
+// Register the node type
+nodeRegistry.register('SubgraphOutputNode', SubgraphOutputNode, {
+    icon: 'icon-log-out',
+    menu: { key: 'subgraph-output', label: 'Subgraph Output', iconClass: 'icon-log-out', order: 11 }
+});
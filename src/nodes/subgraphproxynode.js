@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Shared base of the input and output proxies inside a subgraph. A proxy
+ * has a port type picked in the node, a single port labelled with its title, and shows
+ * the value passing through it.
+ */
+
+class SubgraphProxyNode extends BaseNode {
+    /**
+     * @param {object} [options={}] - The options for the proxy.
+     * @param {string} [options.valueType='any'] - The port type, one of PORT_TYPES.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.valueType = PORT_TYPES.includes(options.valueType) ? options.valueType : 'any';
+    }
+
+    /**
+     * Overrides the default render method to add a proxy class.
+     * @param {HTMLElement} parentElement - The parent element to append the node to.
+     * @returns {HTMLElement} The created DOM element for the node.
+     */
+    render(parentElement) {
+        super.render(parentElement);
+        this.element.classList.add('subgraph-proxy-node');
+        return this.element;
+    }
+
+    /**
+     * Renders a type selector and the value passing through the proxy.
+     * @param {HTMLElement} contentArea - The element to render content into.
+     */
+    renderContent(contentArea) {
+        contentArea.innerHTML = '';
+
+        const container = document.createElement('div');
+        container.className = 'dataflow-node-controls';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'dataflow-node-select';
+        PORT_TYPES.forEach(valueType => {
+            const option = document.createElement('option');
+            option.value = valueType;
+            option.textContent = valueType;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = this.valueType;
+        typeSelect.addEventListener('change', () => {
+            events.publish('node:update', { nodeId: this.id, valueType: typeSelect.value });
+        });
+        typeSelect.addEventListener('mousedown', (event) => event.stopPropagation());
+
+        this.resultElement = document.createElement('div');
+        this.resultElement.className = 'dataflow-node-result';
+
+        container.appendChild(typeSelect);
+        container.appendChild(this.resultElement);
+        contentArea.appendChild(container);
+    }
+
+    /**
+     * Extends the base update with the port type, and relabels the port when the title changes.
+     * @param {{[key: string]: any}} data The data to update.
+     */
+    update(data) {
+        super.update(data);
+        if (data.valueType !== undefined && data.valueType !== this.valueType && PORT_TYPES.includes(data.valueType)) {
+            this.valueType = data.valueType;
+            this.refreshPorts();
+            const typeSelect = this.element.querySelector('.dataflow-node-select');
+            if (typeSelect) typeSelect.value = this.valueType;
+        } else if (data.title !== undefined) {
+            // The port is labelled with the title
+            this.refreshPorts();
+        }
+    }
+
+    /**
+     * The proxy's single port, labelled with the title.
+     * @returns {{id: string, name: string, type: string}}
+     */
+    getPort() {
+        return { id: 'value', name: this.title, type: this.valueType };
+    }
+
+    /**
+     * Shows a value in the node.
+     * @param {*} value - The value passing through the proxy.
+     * @param {string} emptyText - Shown when there is no value.
+     */
+    showValue(value, emptyText) {
+        if (!this.resultElement) return;
+        this.resultElement.textContent = value === undefined ? emptyText : `= ${JSON.stringify(value)}`;
+    }
+
+    /**
+     * Extends the base serialization with the port type.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            valueType: this.valueType
+        };
+    }
+}
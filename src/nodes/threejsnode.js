@@ -6,6 +6,11 @@
 class ThreeJSNode extends BaseNode {
     /**
      * @param {object} [options={}] - The options for the Three.js node.
+     * @param {object} [options.sceneObjects] - The scene and animation data model (objects, actions, keyframes).
+     * @param {number} [options.startTime=1000] - The first frame of the timeline range.
+     * @param {number} [options.endTime=1100] - The last frame of the timeline range.
+     * @param {number} [options.currentTime] - The playhead frame. Defaults to the start of the range.
+     * @param {number} [options.fps=24] - The timeline playback rate.
      */
     constructor(options = {}) {
         // Set defaults specific to a Three.js node
@@ -44,13 +49,13 @@ class ThreeJSNode extends BaseNode {
         // Timeline state
         this.isPlaying = false;
         this.playDirection = 1; // 1 for forward, -1 for backward
-        this.startTime = 1000;
-        this.endTime = 1100; // Default to a 100-frame range
-        this.currentTime = this.startTime;
+        this.startTime = options.startTime !== undefined ? options.startTime : 1000;
+        this.endTime = options.endTime !== undefined ? options.endTime : 1100; // Default to a 100-frame range
+        this.currentTime = options.currentTime !== undefined ? options.currentTime : this.startTime;
         this.timelineMinimizedHeight = 30; // Corresponds to CSS height for header
         this.timelinePadding = 25;
-        this.fps = 24;
-        this.frameDuration = 1000 / 24;
+        this.fps = options.fps || 24;
+        this.frameDuration = 1000 / this.fps;
         this.timelineAnimationId = null;
         this.lastFrameTime = 0;
 
@@ -101,7 +106,7 @@ class ThreeJSNode extends BaseNode {
         };
 
         // Scene and animation data model
-        this.sceneObjects = {
+        this.sceneObjects = options.sceneObjects ? JSON.parse(JSON.stringify(options.sceneObjects)) : {
             'world': { id: 'world', name: 'World', type: 'Scene', parentId: null, children: ['camera-1', 'cube-1'] },
             'camera-1': { id: 'camera-1', name: 'Camera', type: 'Camera', parentId: 'world', children: [], actions: [{start: 1000, end: 1100}], 
                 animations: {
@@ -1988,6 +1993,40 @@ class ThreeJSNode extends BaseNode {
         }
     }
 
+    /**
+     * Stops rendering while zoomed out and shows the last rendered frame instead.
+     * Playback and tumbling pick up again when zoomed back in.
+     * @param {string} level - The new level of detail.
+     * @param {string} previous - The previous level of detail.
+     */
+    onDetailLevelChange(level, previous) {
+        if (previous === 'full') {
+            this.resumeOnFullDetail = this.isPlaying;
+            if (this.isPlaying) this.stopTimeline();
+            this.stopAnimation();
+            this.showDetailSnapshot(this.captureSnapshot());
+        } else if (level === 'full') {
+            this.hideDetailSnapshot();
+            if (this.resumeOnFullDetail) {
+                this.startTimeline();
+            } else if (this.tumblingEnabled) {
+                this.startAnimation();
+            }
+            this.resumeOnFullDetail = false;
+        }
+    }
+
+    /**
+     * Renders the scene and reads it back as an image. The renderer doesn't preserve
+     * its drawing buffer, so the read has to follow the render directly.
+     * @returns {string|null} A data URL, or null if the scene isn't ready.
+     */
+    captureSnapshot() {
+        if (!this.renderer || !this.scene || !this.camera) return null;
+        this.renderer.render(this.scene, this.camera);
+        return this.renderer.domElement.toDataURL('image/png');
+    }
+
     /**
      * The main animation loop.
      */
@@ -2091,4 +2130,25 @@ class ThreeJSNode extends BaseNode {
             document.removeEventListener('keydown', this.keyDownHandler);
         }
     }
+
+    /**
+     * Extends the base serialization with the scene data model (objects, actions and
+     * keyframes) and the timeline range, playhead and frame rate.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            sceneObjects: JSON.parse(JSON.stringify(this.sceneObjects)),
+            startTime: this.startTime,
+            endTime: this.endTime,
+            currentTime: this.currentTime,
+            fps: this.fps
+        };
+    }
 }
+
+// Register the node type
+nodeRegistry.register('ThreeJSNode', ThreeJSNode, {
+    menu: { key: 'threejs', label: '3D Viewport', iconClass: 'icon-cube', order: 4, hidden: true }
+});
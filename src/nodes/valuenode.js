@@ -0,0 +1,179 @@
+/**
+ * @fileoverview A dataflow source node that outputs a single constant value
+ * (a number, text or true/false) edited directly in the node.
+ */
+
+class ValueNode extends BaseNode {
+    /**
+     * @param {object} [options={}] - The options for the value node.
+     * @param {string} [options.valueType='number'] - The type of the value: 'number', 'string' or 'boolean'.
+     * @param {number|string|boolean} [options.value] - The value. Defaults to 0, '' or false depending on the type.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            title: 'Value',
+            type: 'ValueNode',
+            color: 'blue',
+            width: 200,
+            height: 180,
+        };
+        super({ ...defaults, ...options });
+
+        this.valueType = ValueNode.VALUE_TYPES.includes(options.valueType) ? options.valueType : 'number';
+        this.value = options.value !== undefined ? ValueNode.coerce(options.value, this.valueType) : ValueNode.coerce(undefined, this.valueType);
+    }
+
+    /**
+     * The value types a ValueNode can hold.
+     * @type {string[]}
+     */
+    static get VALUE_TYPES() {
+        return ['number', 'string', 'boolean'];
+    }
+
+    /**
+     * Converts a value to the given type.
+     * @param {*} value - The value to convert.
+     * @param {string} valueType - 'number', 'string' or 'boolean'.
+     * @returns {number|string|boolean}
+     */
+    static coerce(value, valueType) {
+        switch (valueType) {
+            case 'number': {
+                const number = Number(value);
+                return Number.isFinite(number) ? number : 0;
+            }
+            case 'boolean':
+                return value === true || value === 'true';
+            default:
+                return value === undefined || value === null ? '' : String(value);
+        }
+    }
+
+    /**
+     * Overrides the default render method to add a value-node class.
+     * @param {HTMLElement} parentElement - The parent element to append the node to.
+     * @returns {HTMLElement} The created DOM element for the node.
+     */
+    render(parentElement) {
+        super.render(parentElement);
+        this.element.classList.add('value-node');
+        return this.element;
+    }
+
+    /**
+     * Renders a type selector and an input for the value.
+     * @param {HTMLElement} contentArea - The element to render content into.
+     */
+    renderContent(contentArea) {
+        contentArea.innerHTML = '';
+
+        const container = document.createElement('div');
+        container.className = 'dataflow-node-controls';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'dataflow-node-select';
+        ValueNode.VALUE_TYPES.forEach(valueType => {
+            const option = document.createElement('option');
+            option.value = valueType;
+            option.textContent = valueType;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = this.valueType;
+        typeSelect.addEventListener('change', () => {
+            events.publish('node:update', {
+                nodeId: this.id,
+                valueType: typeSelect.value,
+                value: ValueNode.coerce(this.value, typeSelect.value)
+            });
+        });
+
+        this.valueInput = document.createElement('input');
+        this.valueInput.className = 'dataflow-node-input';
+        this.valueInput.addEventListener('change', () => {
+            const value = this.valueType === 'boolean' ? this.valueInput.checked : this.valueInput.value;
+            events.publish('node:update', { nodeId: this.id, value: ValueNode.coerce(value, this.valueType) });
+        });
+
+        container.appendChild(typeSelect);
+        container.appendChild(this.valueInput);
+        contentArea.appendChild(container);
+        this.updateValueInput();
+
+        // Keep the node from dragging while using the controls
+        container.addEventListener('mousedown', (event) => {
+            if (event.target.closest('input, select')) {
+                event.stopPropagation();
+            }
+        });
+    }
+
+    /**
+     * Syncs the input element with the current type and value.
+     */
+    updateValueInput() {
+        if (!this.valueInput) return;
+        if (this.valueType === 'boolean') {
+            this.valueInput.type = 'checkbox';
+            this.valueInput.checked = this.value;
+        } else {
+            this.valueInput.type = this.valueType === 'number' ? 'number' : 'text';
+            this.valueInput.value = this.value;
+        }
+    }
+
+    /**
+     * Extends the base update with the value and its type.
+     * @param {{[key: string]: any}} data The data to update.
+     */
+    update(data) {
+        super.update(data);
+        if (data.valueType !== undefined && data.valueType !== this.valueType) {
+            this.valueType = data.valueType;
+            this.refreshPorts();
+        }
+        if (data.value !== undefined) {
+            this.value = ValueNode.coerce(data.value, this.valueType);
+        }
+        if (data.valueType !== undefined || data.value !== undefined) {
+            const typeSelect = this.element.querySelector('.dataflow-node-select');
+            if (typeSelect) typeSelect.value = this.valueType;
+            this.updateValueInput();
+        }
+    }
+
+    /**
+     * @returns {{inputs: object[], outputs: object[]}} A single output typed like the value.
+     */
+    getPorts() {
+        return {
+            inputs: [],
+            outputs: [{ id: 'value', name: 'Value', type: this.valueType }]
+        };
+    }
+
+    /**
+     * @returns {{value: number|string|boolean}}
+     */
+    evaluate() {
+        return { value: this.value };
+    }
+
+    /**
+     * Extends the base serialization with the value and its type.
+     * @returns {object} The serialized node.
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            valueType: this.valueType,
+            value: this.value
+        };
+    }
+}
+
+// Register the node type
+nodeRegistry.register('ValueNode', ValueNode, {
+    icon: 'icon-diamond',
+    menu: { key: 'value', label: 'Value', iconClass: 'icon-diamond', order: 8 }
+});